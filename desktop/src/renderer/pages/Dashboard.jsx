@@ -23,13 +23,15 @@ import {
   ContentCopy,
 } from '@mui/icons-material';
 import { getAuth } from 'firebase/auth';
-import { fetchRandomQuote, fetchUserFavorites, toggleFavorite } from '../services/api';
+import { fetchRandomQuote, fetchUserFavorites, fetchStreak, toggleFavorite } from '../services/api';
+import StreakCard from '../components/StreakCard';
 
 const Dashboard = () => {
   const [quote, setQuote] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [favorites, setFavorites] = useState([]);
+  const [streak, setStreak] = useState(null);
   const [snackbar, setSnackbar] = useState({
     open: false,
     message: '',
@@ -42,6 +44,8 @@ const Dashboard = () => {
     try {
       const data = await fetchRandomQuote();
       setQuote(data);
+      // Reading a quote may extend today's streak
+      loadStreak();
     } catch (err) {
       console.error('Error fetching quote:', err);
       setError('Failed to fetch quote. Please try again.');
@@ -59,6 +63,15 @@ const Dashboard = () => {
     }
   };
 
+  const loadStreak = async () => {
+    try {
+      const data = await fetchStreak();
+      setStreak(data);
+    } catch (err) {
+      console.error('Error fetching streak:', err);
+    }
+  };
+
   useEffect(() => {
     fetchQuote();
     loadFavorites();
@@ -208,6 +221,12 @@ const Dashboard = () => {
           </Paper>
         </Grid>
 
+        {streak && (
+          <Grid item xs={12}>
+            <StreakCard streak={streak} />
+          </Grid>
+        )}
+
         <Grid item xs={12}>
           <Card
             sx={{
@@ -32,6 +32,22 @@ import {
 import { getAuth, updateProfile, updateEmail, updatePassword } from 'firebase/auth';
 import { fetchUserProfile, updateUserProfile, fetchUserActivity, fetchUserFavorites } from '../services/api';
 
+// Server defaults for preferences the user hasn't set yet
+const DEFAULT_PREFERENCES = {
+  theme: 'system',
+  emailNotifications: true,
+  timezone: 'UTC',
+  language: 'en',
+  quotesPerDay: 1,
+};
+
+// Only send the preference fields the profile API accepts
+const getPreferences = (preferences = {}) =>
+  Object.keys(DEFAULT_PREFERENCES).reduce((result, key) => ({
+    ...result,
+    [key]: preferences[key] ?? DEFAULT_PREFERENCES[key],
+  }), {});
+
 function TabPanel(props) {
   const { children, value, index, ...other } = props;
 
@@ -61,11 +77,7 @@ const Profile = () => {
     currentPassword: '',
     newPassword: '',
     confirmPassword: '',
-    preferences: {
-      theme: 'light',
-      notificationsEnabled: true,
-      quotesPerDay: 1,
-    },
+    preferences: DEFAULT_PREFERENCES,
   });
   const [loading, setLoading] = useState(true);
   const [activityLoading, setActivityLoading] = useState(false);
@@ -83,7 +95,7 @@ const Profile = () => {
       if (!user) return;
 
       try {
-        const profileData = await fetchUserProfile();
+        const { user: profileData } = await fetchUserProfile();
         setProfile(profileData);
         setFormData({
           displayName: user.displayName || '',
@@ -91,11 +103,7 @@ const Profile = () => {
           currentPassword: '',
           newPassword: '',
           confirmPassword: '',
-          preferences: profileData.preferences || {
-            theme: 'light',
-            notificationsEnabled: true,
-            quotesPerDay: 1,
-          },
+          preferences: getPreferences(profileData.preferences),
         });
       } catch (error) {
         console.error('Error loading user profile:', error);
@@ -137,7 +145,7 @@ const Profile = () => {
     setFavoritesLoading(true);
     try {
       const data = await fetchUserFavorites();
-      setFavorites(data);
+      setFavorites(data.favorites || []);
     } catch (error) {
       console.error('Error loading favorites:', error);
       setSnackbar({
@@ -190,11 +198,7 @@ const Profile = () => {
         currentPassword: '',
         newPassword: '',
         confirmPassword: '',
-        preferences: profile.preferences || {
-          theme: 'light',
-          notificationsEnabled: true,
-          quotesPerDay: 1,
-        },
+        preferences: getPreferences(profile.preferences),
       });
     }
     setEditMode(!editMode);
@@ -229,7 +233,7 @@ const Profile = () => {
       });
 
       // Refresh user profile data
-      const updatedProfile = await fetchUserProfile();
+      const { user: updatedProfile } = await fetchUserProfile();
       setProfile(updatedProfile);
 
       setSnackbar({
@@ -482,7 +486,15 @@ const Profile = () => {
                       label="Quotes Per Day"
                       name="preferences.quotesPerDay"
                       value={formData.preferences.quotesPerDay}
-                      onChange={handleChange}
+                      onChange={(e) => {
+                        setFormData({
+                          ...formData,
+                          preferences: {
+                            ...formData.preferences,
+                            quotesPerDay: parseInt(e.target.value, 10),
+                          },
+                        });
+                      }}
                       disabled={!editMode || loading}
                       SelectProps={{
                         native: true,
@@ -491,23 +503,50 @@ const Profile = () => {
                       <option value={1}>1</option>
                       <option value={3}>3</option>
                       <option value={5}>5</option>
+                      <option value={10}>10</option>
                     </TextField>
                   </Grid>
+                  <Grid item xs={12} sm={6}>
+                    <TextField
+                      margin="normal"
+                      fullWidth
+                      id="timezone"
+                      label="Timezone"
+                      name="preferences.timezone"
+                      value={formData.preferences.timezone}
+                      onChange={handleChange}
+                      disabled={!editMode || loading}
+                      helperText="e.g. Europe/London"
+                    />
+                  </Grid>
+                  <Grid item xs={12} sm={6}>
+                    <TextField
+                      margin="normal"
+                      fullWidth
+                      id="language"
+                      label="Language"
+                      name="preferences.language"
+                      value={formData.preferences.language}
+                      onChange={handleChange}
+                      disabled={!editMode || loading}
+                      helperText="e.g. en or en-GB"
+                    />
+                  </Grid>
                   <Grid item xs={12}>
                     <TextField
                       select
                       margin="normal"
                       fullWidth
-                      id="notificationsEnabled"
-                      label="Notifications"
-                      name="preferences.notificationsEnabled"
-                      value={formData.preferences.notificationsEnabled ? 'true' : 'false'}
+                      id="emailNotifications"
+                      label="Email Notifications"
+                      name="preferences.emailNotifications"
+                      value={formData.preferences.emailNotifications ? 'true' : 'false'}
                       onChange={(e) => {
                         setFormData({
                           ...formData,
                           preferences: {
                             ...formData.preferences,
-                            notificationsEnabled: e.target.value === 'true',
+                            emailNotifications: e.target.value === 'true',
                           },
                         });
                       }}
@@ -88,8 +88,17 @@ export const logout = async () => {
 };
 
 // Quotes
-export const fetchRandomQuote = async () => {
-  const response = await api.get('/quotes/random');
+export const fetchRandomQuote = async (filters = {}) => {
+  const response = await api.get('/quotes/random', {
+    params: filters,
+  });
+  return response.data;
+};
+
+export const fetchDailyQuote = async (tz = Intl.DateTimeFormat().resolvedOptions().timeZone) => {
+  const response = await api.get('/quotes/daily', {
+    params: { tz },
+  });
   return response.data;
 };
 
@@ -105,6 +114,20 @@ export const fetchQuotesByTag = async (tag, page = 1, limit = 10) => {
   return response.data;
 };
 
+export const fetchTags = async (prefix = '') => {
+  const response = await api.get('/quotes/tags', {
+    params: prefix ? { prefix } : {},
+  });
+  return response.data;
+};
+
+export const fetchSearchResults = async (q, filters = {}) => {
+  const response = await api.get('/quotes/search', {
+    params: { q, ...filters },
+  });
+  return response.data;
+};
+
 export const fetchAllQuotes = async (page = 1, limit = 10) => {
   const response = await api.get('/quotes', {
     params: { page, limit },
@@ -112,6 +135,21 @@ export const fetchAllQuotes = async (page = 1, limit = 10) => {
   return response.data;
 };
 
+// Authors
+export const fetchAuthors = async (page = 1, limit = 20, search = '') => {
+  const response = await api.get('/authors', {
+    params: search ? { page, limit, search } : { page, limit },
+  });
+  return response.data;
+};
+
+export const fetchAuthorQuotes = async (slug, page = 1, limit = 10) => {
+  const response = await api.get(`/authors/${slug}/quotes`, {
+    params: { page, limit },
+  });
+  return response.data;
+};
+
 // User Profile
 export const fetchUserProfile = async () => {
   const response = await api.get('/users/profile');
@@ -131,6 +169,14 @@ export const fetchUserActivity = async (page = 1, limit = 20) => {
   return response.data;
 };
 
+// Streaks
+export const fetchStreak = async (days = 182) => {
+  const response = await api.get('/users/streak', {
+    params: { days, tz: Intl.DateTimeFormat().resolvedOptions().timeZone },
+  });
+  return response.data;
+};
+
 // Favorites
 export const fetchUserFavorites = async (page = 1, limit = 20) => {
   const response = await api.get('/users/favorites', {
@@ -1,16 +1,26 @@
+const { once } = require('events');
 const User = require('../models/user.model');
 const Quote = require('../models/quote.model');
 const UserActivity = require('../models/userActivity.model');
+const DailyQuote = require('../models/dailyQuote.model');
+const Author = require('../models/author.model');
+const Submission = require('../models/submission.model');
+const QuoteRevision = require('../models/quoteRevision.model');
+const QuoteViewBucket = require('../models/quoteViewBucket.model');
 const { ApiError } = require('../middleware/error.middleware');
+const { isDateKey, isValidTimezone, getDateKey } = require('../utils/date.utils');
+const { buildQuoteFilter, buildDateRange } = require('../utils/query.utils');
+const { paginate } = require('../utils/pagination.utils');
+const { getRetentionDays, getAccountDeletionGraceDays, getPurgeDate } = require('../utils/trash.utils');
+const { normalizeText, clusterDuplicates, getSimilarityThreshold } = require('../utils/duplicate.utils');
+const { IMPORT_FORMATS, detectFormat, parseImportFile, parseTags } = require('../utils/import.utils');
+const { EXPORT_FORMATS, createFormatter } = require('../utils/export.utils');
+const { validateProfileUpdate, applyProfileUpdate } = require('../utils/profile.utils');
 
 /**
  * Get all users with pagination
  */
 exports.getAllUsers = async (req, res) => {
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 10;
-  const skip = (page - 1) * limit;
-  
   // Handle search query if provided
   const searchQuery = {};
   if (req.query.search) {
@@ -20,22 +30,13 @@ exports.getAllUsers = async (req, res) => {
     ];
   }
   
-  const users = await User.find(searchQuery)
-    .select('-__v')
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(limit);
-  
-  const total = await User.countDocuments(searchQuery);
+  const { items: users, pagination } = await paginate(User, searchQuery, req.query, {
+    select: '-__v'
+  });
   
   return res.status(200).json({
     users,
-    pagination: {
-      total,
-      page,
-      limit,
-      pages: Math.ceil(total / limit)
-    }
+    pagination
   });
 };
 
@@ -64,7 +65,8 @@ exports.getUserById = async (req, res) => {
  * Update user (e.g., change role)
  */
 exports.updateUser = async (req, res) => {
-  const { role, displayName, preferences } = req.body;
+  const { role, ...changes } = req.body;
+  const update = validateProfileUpdate(changes);
   
   // Find user
   const user = await User.findById(req.params.id);
@@ -78,15 +80,7 @@ exports.updateUser = async (req, res) => {
     user.role = role;
   }
   
-  if (displayName) user.displayName = displayName;
-  
-  if (preferences) {
-    // Update only provided preference fields
-    user.preferences = {
-      ...user.preferences,
-      ...preferences
-    };
-  }
+  applyProfileUpdate(user, update);
   
   // Save changes
   await user.save();
@@ -111,13 +105,15 @@ exports.deleteUser = async (req, res) => {
     throw ApiError.badRequest('Cannot delete your own account');
   }
   
-  // Find and delete user
-  const user = await User.findByIdAndDelete(req.params.id);
+  const user = await User.findById(req.params.id);
   
   if (!user) {
     throw ApiError.notFound('User not found');
   }
   
+  // Move to the trash, it's purged after the retention period
+  await user.softDelete(req.user._id);
+  
   // Log activity
   await UserActivity.logActivity(
     req.user._id,
@@ -128,7 +124,7 @@ exports.deleteUser = async (req, res) => {
   
   return res.status(200).json({
     success: true,
-    message: 'User deleted successfully'
+    message: 'User moved to trash'
   });
 };
 
@@ -174,6 +170,10 @@ exports.getSystemStats = async (req, res) => {
     .limit(5)
     .select('text author views');
   
+  // Daily views from view buckets
+  const days = Math.min(parseInt(req.query.days) || 30, 365);
+  const viewsOverTime = await QuoteViewBucket.getDailyTotals(days);
+  
   // New registrations
   const registrationsDaily = await User.countDocuments({
     createdAt: { $gte: oneDayAgo }
@@ -202,6 +202,7 @@ exports.getSystemStats = async (req, res) => {
         monthly: quotesServedMonthly
       },
       topQuotes,
+      viewsOverTime,
       registrations: {
         daily: registrationsDaily,
         weekly: registrationsWeekly,
@@ -211,14 +212,32 @@ exports.getSystemStats = async (req, res) => {
   });
 };
 
+/**
+ * Get daily views for a single quote
+ */
+exports.getQuoteViews = async (req, res) => {
+  const quote = await Quote.findById(req.params.id).select('text author views');
+  
+  if (!quote) {
+    throw ApiError.notFound('Quote not found');
+  }
+  
+  const days = Math.min(parseInt(req.query.days) || 30, 365);
+  const daily = await QuoteViewBucket.getDailyTotals(days, quote._id);
+  
+  return res.status(200).json({
+    quote,
+    views: {
+      total: quote.views,
+      daily
+    }
+  });
+};
+
 /**
  * Get all user activity with pagination
  */
 exports.getAllActivity = async (req, res) => {
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 10;
-  const skip = (page - 1) * limit;
-  
   // Filter by user if provided
   const query = {};
   if (req.query.userId) {
@@ -238,97 +257,1047 @@ exports.getAllActivity = async (req, res) => {
     };
   }
   
-  const activities = await UserActivity.find(query)
-    .sort({ timestamp: -1 })
-    .skip(skip)
-    .limit(limit)
-    .populate('userId', 'email displayName');
-  
-  const total = await UserActivity.countDocuments(query);
+  const { items: activities, pagination } = await paginate(UserActivity, query, req.query, {
+    sortField: 'timestamp',
+    populate: ['userId', 'email displayName']
+  });
   
   return res.status(200).json({
     activities,
-    pagination: {
-      total,
-      page,
-      limit,
-      pages: Math.ceil(total / limit)
-    }
+    pagination
   });
 };
 
+// Import modes: `insert` skips quotes whose external ID exists, `upsert` updates them
+const IMPORT_MODES = ['insert', 'upsert'];
+
+/**
+ * Read the rows to import from an uploaded file or a JSON body
+ */
+function getImportRows(req) {
+  if (!req.file) {
+    return req.body.quotes;
+  }
+  
+  const format = detectFormat(req.file, req.body.format);
+  
+  if (!format) {
+    throw ApiError.badRequest(
+      `Unsupported import format. Use one of: ${IMPORT_FORMATS.join(', ')}`,
+      'unsupported_format'
+    );
+  }
+  
+  // Multipart fields arrive as strings
+  let mapping = req.body.mapping || {};
+  if (typeof mapping === 'string') {
+    try {
+      mapping = JSON.parse(mapping);
+    } catch (error) {
+      throw ApiError.badRequest('Column mapping must be a JSON object', 'invalid_mapping');
+    }
+  }
+  
+  try {
+    return parseImportFile(req.file.buffer, format, mapping);
+  } catch (error) {
+    throw ApiError.badRequest(
+      `Could not parse ${format.toUpperCase()} file: ${error.message}`,
+      'invalid_import_file'
+    );
+  }
+}
+
+/**
+ * Check an import row, returning its quote fields and any field errors
+ */
+function validateImportRow(row) {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return { errors: [{ field: null, message: 'Row must be an object' }] };
+  }
+  
+  const toString = value => (value === undefined || value === null ? '' : String(value).trim());
+  
+  const quote = {
+    text: toString(row.text),
+    author: toString(row.author),
+    source: toString(row.source),
+    tags: parseTags(row.tags)
+  };
+  
+  if (toString(row.externalId)) {
+    quote.externalId = toString(row.externalId);
+  }
+  
+  const errors = [];
+  
+  if (!quote.text) {
+    errors.push({ field: 'text', message: 'Quote text is required' });
+  }
+  
+  if (!quote.author) {
+    errors.push({ field: 'author', message: 'Author name is required' });
+  }
+  
+  // Check lengths against the quote schema
+  const validation = new Quote(quote).validateSync();
+  if (validation) {
+    Object.values(validation.errors)
+      .filter(error => !errors.some(existing => existing.field === error.path))
+      .forEach(error => errors.push({ field: error.path, message: error.message }));
+  }
+  
+  return { quote, errors };
+}
+
+/**
+ * Validate, de-duplicate and write one batch of import rows
+ * Nothing is written in a dry run, but the results are the same
+ */
+async function importBatch(rows, offset, { mode, dryRun, userId, seen, results }) {
+  const report = (row, status, details = {}) => {
+    if (results.rows) {
+      results.rows.push({ row, status, ...details });
+    }
+  };
+  
+  const skip = (entry, reason, matchId, score) => {
+    const duplicate = { row: entry.row, quote: entry.data, reason };
+    if (matchId) duplicate.matchId = matchId;
+    if (score !== undefined) duplicate.score = score;
+    
+    results.skipped++;
+    results.duplicates.push(duplicate);
+    report(entry.row, 'duplicate', { reason, matchId });
+  };
+  
+  // Rows are numbered from 1 across the whole file
+  const entries = [];
+  rows.forEach((data, i) => {
+    const row = offset + i + 1;
+    const { quote, errors } = validateImportRow(data);
+    
+    if (errors.length > 0) {
+      results.errors.push({
+        row,
+        quote: data,
+        error: errors.map(error => error.message).join('; '),
+        fields: errors
+      });
+      report(row, 'invalid', { errors });
+    } else {
+      entries.push({ row, data, quote });
+    }
+  });
+  
+  // Find quotes imported earlier with the same external IDs
+  const existing = new Map();
+  const externalIds = entries.map(entry => entry.quote.externalId).filter(Boolean);
+  if (externalIds.length > 0) {
+    const quotes = await Quote.find({ externalId: { $in: externalIds } });
+    quotes.forEach(quote => existing.set(quote.externalId, quote));
+  }
+  
+  // Drop rows repeating an earlier row of the file before looking anything up
+  const candidates = [];
+  for (const entry of entries) {
+    const { externalId, text } = entry.quote;
+    const fingerprint = normalizeText(text);
+    const target = externalId ? existing.get(externalId) : null;
+    
+    if (seen.has(fingerprint) || (externalId && seen.has(`id:${externalId}`))) {
+      skip(entry, 'duplicate_in_import');
+      continue;
+    }
+    
+    seen.add(fingerprint);
+    if (externalId) seen.add(`id:${externalId}`);
+    
+    if (target && mode === 'insert') {
+      skip(entry, 'external_id_exists', target._id);
+      continue;
+    }
+    
+    candidates.push({ ...entry, fingerprint, target });
+  }
+  
+  // Find exact duplicates of the whole batch at once
+  const exact = new Map();
+  if (candidates.length > 0) {
+    const quotes = await Quote.find({ fingerprint: { $in: candidates.map(entry => entry.fingerprint) } })
+      .select('fingerprint')
+      .lean();
+    quotes.forEach(quote => {
+      exact.set(quote.fingerprint, [...(exact.get(quote.fingerprint) || []), quote]);
+    });
+  }
+  
+  const inserts = [];
+  const updates = [];
+  
+  for (const entry of candidates) {
+    const { fingerprint, target } = entry;
+    
+    // A quote being updated isn't a duplicate of itself
+    const isTarget = quote => target && quote._id.toString() === target._id.toString();
+    
+    const duplicate = (exact.get(fingerprint) || []).find(quote => !isTarget(quote));
+    if (duplicate) {
+      skip(entry, 'duplicate', duplicate._id, 1);
+      continue;
+    }
+    
+    const [match] = await Quote.findNearDuplicates(entry.quote.text, {
+      limit: 1,
+      exclude: target ? target._id : null
+    });
+    if (match) {
+      skip(entry, 'near_duplicate', match.quote._id, match.score);
+      continue;
+    }
+    
+    if (target) {
+      updates.push({ ...entry, target });
+    } else {
+      inserts.push(entry);
+    }
+  }
+  
+  if (dryRun) {
+    results.imported += inserts.length;
+    results.updated += updates.length;
+    inserts.forEach(entry => report(entry.row, 'insert'));
+    updates.forEach(entry => report(entry.row, 'update', { quoteId: entry.target._id }));
+    return;
+  }
+  
+  if (inserts.length > 0) {
+    const { inserted, failed } = await Quote.insertBatch(inserts.map(entry => entry.quote));
+    
+    results.imported += inserted.length;
+    failed.forEach(({ index, message }) => {
+      results.errors.push({ row: inserts[index].row, quote: inserts[index].data, error: message });
+    });
+  }
+  
+  for (const { row, data, quote, target } of updates) {
+    try {
+      const previous = QuoteRevision.snapshot(target);
+      target.set(quote);
+      await target.save();
+      await QuoteRevision.record(target, userId, 'updated', previous);
+      
+      results.updated++;
+    } catch (error) {
+      results.errors.push({ row, quote: data, error: error.message });
+    }
+  }
+}
+
 /**
- * Import quotes from JSON file
+ * Import quotes from an uploaded JSON, NDJSON, CSV or YAML file, or a JSON body
  */
 exports.importQuotes = async (req, res) => {
-  const { quotes } = req.body;
+  const quotes = getImportRows(req);
   
   if (!quotes || !Array.isArray(quotes) || quotes.length === 0) {
     throw ApiError.badRequest('Invalid quotes data. Expected an array of quotes.');
   }
   
+  const mode = req.body.mode || 'insert';
+  
+  if (!IMPORT_MODES.includes(mode)) {
+    throw ApiError.badRequest(`Import mode must be one of: ${IMPORT_MODES.join(', ')}`);
+  }
+  
+  const dryRun = [true, 'true', '1'].includes(req.body.dryRun) || req.query.dryRun === 'true';
+  const batchSize = parseInt(process.env.IMPORT_BATCH_SIZE) || 500;
+  
   const results = {
     total: quotes.length,
     imported: 0,
+    updated: 0,
+    skipped: 0,
+    duplicates: [],
     errors: []
   };
   
-  // Process each quote
-  for (const quoteData of quotes) {
-    try {
-      // Validate required fields
-      if (!quoteData.text || !quoteData.author) {
-        results.errors.push({
-          quote: quoteData,
-          error: 'Missing required fields (text or author)'
-        });
-        continue;
+  // A dry run reports what would happen to each row
+  if (dryRun) {
+    results.dryRun = true;
+    results.rows = [];
+  }
+  
+  // Fingerprints and external IDs seen so far, to catch duplicates within the file
+  const seen = new Set();
+  
+  for (let start = 0; start < quotes.length; start += batchSize) {
+    await importBatch(quotes.slice(start, start + batchSize), start, {
+      mode,
+      dryRun,
+      userId: req.user._id,
+      seen,
+      results
+    });
+  }
+  
+  if (dryRun) {
+    results.rows.sort((a, b) => a.row - b.row);
+  } else {
+    // Log activity
+    await UserActivity.logActivity(
+      req.user._id,
+      'quotes_imported',
+      { count: results.imported, updated: results.updated },
+      req
+    );
+  }
+  
+  return res.status(200).json({
+    success: true,
+    results
+  });
+};
+
+/**
+ * Stream quotes matching the export filters as JSON, NDJSON, CSV or Markdown
+ * Quotes are read through a cursor so large exports aren't held in memory
+ */
+exports.exportQuotes = async (req, res) => {
+  const format = (req.query.format || 'json').toLowerCase();
+  
+  if (!EXPORT_FORMATS[format]) {
+    throw ApiError.badRequest(`Export format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  
+  const filter = buildQuoteFilter({ tag: req.query.tag, author: req.query.author });
+  
+  const createdAt = buildDateRange(req.query.from, req.query.to);
+  if (createdAt) {
+    filter.createdAt = createdAt;
+  }
+  
+  if (req.query.minViews !== undefined) {
+    const minViews = parseInt(req.query.minViews);
+    if (isNaN(minViews) || minViews < 0) {
+      throw ApiError.badRequest('Minimum views must be a non-negative number');
+    }
+    filter.views = { $gte: minViews };
+  }
+  
+  const cursor = Quote.find(filter)
+    .select('text author source tags views externalId createdAt updatedAt')
+    .sort({ createdAt: -1, _id: -1 })
+    .lean()
+    .cursor();
+  
+  const formatter = createFormatter(format);
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  
+  res.status(200);
+  res.attachment(`quotes_export_${getDateKey()}.${extension}`);
+  res.type(contentType);
+  
+  // Wait for the client to catch up instead of buffering the whole export
+  // Once the client has gone away there is nothing to write to, and 'close'
+  // has already fired, so don't wait for either
+  const write = async (chunk) => {
+    if (!chunk || res.destroyed || res.writableEnded) {
+      return;
+    }
+    
+    if (!res.write(chunk) && !res.destroyed) {
+      await Promise.race([once(res, 'drain'), once(res, 'close')]);
+    }
+  };
+  
+  let count = 0;
+  
+  try {
+    await write(formatter.header());
+    
+    for await (const quote of cursor) {
+      // Stop reading if the client went away
+      if (res.destroyed) {
+        break;
       }
       
-      // Create quote
-      await Quote.create({
-        text: quoteData.text,
-        author: quoteData.author,
-        source: quoteData.source || '',
-        tags: quoteData.tags || []
-      });
-      
-      results.imported++;
-    } catch (error) {
-      results.errors.push({
-        quote: quoteData,
-        error: error.message
-      });
+      await write(formatter.quote(quote, count));
+      count++;
     }
+    
+    // An aborted download is left unfinished and isn't logged
+    if (res.destroyed) {
+      return;
+    }
+    
+    await write(formatter.footer());
+  } catch (error) {
+    // Headers are already sent, so the error can only end the download
+    res.destroy(error);
+    return;
+  } finally {
+    await cursor.close();
+  }
+  
+  res.end();
+  
+  // Log activity
+  await UserActivity.logActivity(
+    req.user._id,
+    'quotes_exported',
+    { count, format },
+    req
+  );
+};
+
+// Duplicate reports: `exact` pages through clusters, `near` through authors
+const DUPLICATE_TYPES = ['exact', 'near'];
+
+// Most quotes compared for near-duplicates in one request
+const MAX_NEAR_DUPLICATE_QUOTES = 2000;
+
+/**
+ * Report clusters of duplicate or near-duplicate quotes
+ */
+exports.getDuplicateClusters = async (req, res) => {
+  const threshold = req.query.threshold !== undefined
+    ? parseFloat(req.query.threshold)
+    : getSimilarityThreshold();
+  const type = req.query.type || 'exact';
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const skip = (page - 1) * limit;
+  
+  if (isNaN(threshold) || threshold <= 0 || threshold > 1) {
+    throw ApiError.badRequest('Threshold must be a number between 0 and 1');
+  }
+  
+  if (!DUPLICATE_TYPES.includes(type)) {
+    throw ApiError.badRequest(`Duplicate type must be one of: ${DUPLICATE_TYPES.join(', ')}`);
+  }
+  
+  let clusters;
+  let total;
+  
+  if (type === 'exact') {
+    ({ clusters, total } = await Quote.getExactDuplicates({ skip, limit }));
+  } else {
+    // Near-duplicates are only compared within an author, so compare the
+    // quotes of one page of authors at a time
+    const { authorIds, total: authors } = await Quote.getAuthorsWithManyQuotes({ skip, limit });
+    
+    const quotes = authorIds.length > 0
+      ? await Quote.find({ authorId: { $in: authorIds } })
+        .select('text author authorId tags views createdAt')
+        .limit(MAX_NEAR_DUPLICATE_QUOTES)
+        .lean()
+      : [];
+    
+    clusters = clusterDuplicates(quotes, threshold).filter(cluster => !cluster.exact);
+    total = authors;
+  }
+  
+  return res.status(200).json({
+    type,
+    clusters,
+    pagination: {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    },
+    threshold
+  });
+};
+
+/**
+ * Merge duplicate quotes into one, moving their favorites and tags
+ */
+exports.mergeDuplicateQuotes = async (req, res) => {
+  const { sources, target } = req.body;
+  
+  if (!Array.isArray(sources) || sources.length === 0) {
+    throw ApiError.badRequest('Source quotes must be a non-empty array of quote IDs');
   }
   
+  if (!target) {
+    throw ApiError.badRequest('Target quote ID is required');
+  }
+  
+  if (sources.includes(target)) {
+    throw ApiError.badRequest('Target quote cannot also be a source');
+  }
+  
+  const targetQuote = await Quote.findById(target);
+  
+  if (!targetQuote) {
+    throw ApiError.notFound('Target quote not found');
+  }
+  
+  const sourceQuotes = await Quote.find({ _id: { $in: sources } });
+  
+  if (sourceQuotes.length === 0) {
+    throw ApiError.notFound('Source quotes not found');
+  }
+  
+  await Quote.mergeDuplicates(targetQuote, sourceQuotes, req.user._id);
+  
   // Log activity
   await UserActivity.logActivity(
     req.user._id,
-    'quotes_imported',
-    { count: results.imported },
+    'quotes_merged',
+    {
+      from: sourceQuotes.map(quote => quote._id),
+      to: targetQuote._id
+    },
     req
   );
   
   return res.status(200).json({
     success: true,
-    results
+    quote: targetQuote,
+    merged: sourceQuotes.length
   });
 };
 
 /**
- * Export all quotes to JSON
+ * Get today's date in the admin's timezone, so pins for today are allowed
+ * wherever the admin is
  */
-exports.exportQuotes = async (req, res) => {
-  const quotes = await Quote.find().sort({ createdAt: -1 });
+function getAdminToday(req) {
+  const timezone = req.user.preferences && req.user.preferences.timezone;
+  return getDateKey(new Date(), isValidTimezone(timezone) ? timezone : 'UTC');
+}
+
+/**
+ * Pin a quote to a future date as the quote of the day
+ */
+exports.pinDailyQuote = async (req, res) => {
+  const { date } = req.params;
+  const { quoteId } = req.body;
+  
+  if (!isDateKey(date)) {
+    throw ApiError.badRequest('Date must be in YYYY-MM-DD format');
+  }
+  
+  if (date < getAdminToday(req)) {
+    throw ApiError.badRequest('Cannot pin a quote to a past date');
+  }
+  
+  if (!quoteId) {
+    throw ApiError.badRequest('Quote ID is required');
+  }
+  
+  // Check if quote exists
+  const quote = await Quote.findById(quoteId);
+  
+  if (!quote) {
+    throw ApiError.notFound('Quote not found');
+  }
+  
+  const dailyQuote = await DailyQuote.pin(date, quote._id, req.user._id);
   
   // Log activity
   await UserActivity.logActivity(
     req.user._id,
-    'quotes_exported',
-    { count: quotes.length },
+    'daily_quote_pinned',
+    { date, quoteId: quote._id },
     req
   );
   
-  return res.status(200).json({ quotes });
-};
\ No newline at end of file
+  return res.status(200).json({ dailyQuote });
+};
+
+/**
+ * Remove a pinned quote of the day
+ */
+exports.unpinDailyQuote = async (req, res) => {
+  const { date } = req.params;
+  
+  if (!isDateKey(date)) {
+    throw ApiError.badRequest('Date must be in YYYY-MM-DD format');
+  }
+  
+  if (date < getAdminToday(req)) {
+    throw ApiError.badRequest('Cannot unpin a quote from a past date');
+  }
+  
+  const dailyQuote = await DailyQuote.findOneAndDelete({ date, pinned: true });
+  
+  if (!dailyQuote) {
+    throw ApiError.notFound('No pinned quote for this date');
+  }
+  
+  // Log activity
+  await UserActivity.logActivity(
+    req.user._id,
+    'daily_quote_unpinned',
+    { date, quoteId: dailyQuote.quoteId },
+    req
+  );
+  
+  return res.status(200).json({
+    success: true,
+    message: 'Daily quote unpinned successfully'
+  });
+};
+
+/**
+ * Normalize a tag the same way the quote schema does
+ */
+function normalizeTag(tag) {
+  return typeof tag === 'string' ? tag.trim().toLowerCase() : '';
+}
+
+/**
+ * Rename a tag across all quotes
+ */
+exports.renameTag = async (req, res) => {
+  const tag = normalizeTag(req.params.tag);
+  const name = normalizeTag(req.body.name);
+  
+  if (!name) {
+    throw ApiError.badRequest('New tag name is required');
+  }
+  
+  if (name === tag) {
+    throw ApiError.badRequest('New tag name must be different');
+  }
+  
+  const quotesUpdated = await Quote.mergeTags([tag], name, req.user._id);
+  
+  if (quotesUpdated === 0) {
+    throw ApiError.notFound('Tag not found');
+  }
+  
+  // Log activity
+  await UserActivity.logActivity(
+    req.user._id,
+    'tag_renamed',
+    { from: tag, to: name, quotesUpdated },
+    req
+  );
+  
+  return res.status(200).json({
+    success: true,
+    tag: name,
+    quotesUpdated
+  });
+};
+
+/**
+ * Merge several tags into one across all quotes
+ */
+exports.mergeTags = async (req, res) => {
+  const { sources, target } = req.body;
+  
+  if (!Array.isArray(sources) || sources.length === 0) {
+    throw ApiError.badRequest('Source tags must be a non-empty array');
+  }
+  
+  const targetTag = normalizeTag(target);
+  
+  if (!targetTag) {
+    throw ApiError.badRequest('Target tag is required');
+  }
+  
+  const sourceTags = [...new Set(sources.map(normalizeTag).filter(Boolean))];
+  const quotesUpdated = await Quote.mergeTags(sourceTags, targetTag, req.user._id);
+  
+  // Log activity
+  await UserActivity.logActivity(
+    req.user._id,
+    'tags_merged',
+    { from: sourceTags, to: targetTag, quotesUpdated },
+    req
+  );
+  
+  return res.status(200).json({
+    success: true,
+    tag: targetTag,
+    quotesUpdated
+  });
+};
+
+/**
+ * Delete a tag from all quotes
+ */
+exports.deleteTag = async (req, res) => {
+  const tag = normalizeTag(req.params.tag);
+  
+  const quotesUpdated = await Quote.removeTag(tag, req.user._id);
+  
+  if (quotesUpdated === 0) {
+    throw ApiError.notFound('Tag not found');
+  }
+  
+  // Log activity
+  await UserActivity.logActivity(
+    req.user._id,
+    'tag_deleted',
+    { tag, quotesUpdated },
+    req
+  );
+  
+  return res.status(200).json({
+    success: true,
+    message: 'Tag deleted successfully',
+    quotesUpdated
+  });
+};
+
+/**
+ * Update an author profile
+ */
+exports.updateAuthor = async (req, res) => {
+  const { name, aliases, bio, birthYear, deathYear } = req.body;
+  
+  const author = await Author.findOne({ slug: req.params.slug });
+  
+  if (!author) {
+    throw ApiError.notFound('Author not found');
+  }
+  
+  const previousName = author.name;
+  
+  // Update fields
+  if (name) author.name = name;
+  if (Array.isArray(aliases)) author.aliases = aliases;
+  if (bio !== undefined) author.bio = bio;
+  if (birthYear !== undefined) author.birthYear = birthYear;
+  if (deathYear !== undefined) author.deathYear = deathYear;
+  
+  // Names and aliases must not match another author
+  await author.validate();
+  const conflict = await Author.findOne({
+    _id: { $ne: author._id },
+    nameKeys: { $in: author.nameKeys }
+  });
+  
+  if (conflict) {
+    throw ApiError.conflict(
+      `Name or alias already belongs to ${conflict.name}. Merge the authors instead.`,
+      'author_conflict',
+      { slug: conflict.slug }
+    );
+  }
+  
+  await author.save();
+  
+  // Keep the denormalized author name on quotes in sync
+  if (author.name !== previousName) {
+    await Quote.updateTracked(
+      { authorId: author._id },
+      { author: author.name },
+      () => ({ author: author.name }),
+      req.user._id
+    );
+  }
+  
+  // Log activity
+  await UserActivity.logActivity(
+    req.user._id,
+    'author_updated',
+    { authorId: author._id },
+    req
+  );
+  
+  return res.status(200).json({ author });
+};
+
+/**
+ * Merge duplicate author spellings into one author
+ */
+exports.mergeAuthors = async (req, res) => {
+  const { sources, target } = req.body;
+  
+  if (!Array.isArray(sources) || sources.length === 0) {
+    throw ApiError.badRequest('Source authors must be a non-empty array of slugs');
+  }
+  
+  if (!target) {
+    throw ApiError.badRequest('Target author slug is required');
+  }
+  
+  const targetAuthor = await Author.findOne({ slug: target });
+  
+  if (!targetAuthor) {
+    throw ApiError.notFound('Target author not found');
+  }
+  
+  const sourceAuthors = await Author.find({ slug: { $in: sources } }).select('_id slug');
+  
+  if (sourceAuthors.length === 0) {
+    throw ApiError.notFound('Source authors not found');
+  }
+  
+  const quotesUpdated = await Author.merge(
+    sourceAuthors.map(author => author._id),
+    targetAuthor,
+    req.user._id
+  );
+  
+  // Log activity
+  await UserActivity.logActivity(
+    req.user._id,
+    'authors_merged',
+    {
+      from: sourceAuthors.map(author => author.slug),
+      to: targetAuthor.slug,
+      quotesUpdated
+    },
+    req
+  );
+  
+  return res.status(200).json({
+    success: true,
+    author: targetAuthor,
+    quotesUpdated
+  });
+};
+
+/**
+ * Get quote submissions for moderation
+ */
+exports.getSubmissions = async (req, res) => {
+  const filter = { status: req.query.status || 'pending' };
+  
+  const { items: submissions, pagination } = await paginate(Submission, filter, req.query, {
+    populate: ['submittedBy', 'email displayName']
+  });
+  
+  return res.status(200).json({
+    submissions,
+    pagination
+  });
+};
+
+/**
+ * Build the error for a submission that couldn't be claimed for review
+ */
+async function submissionReviewError(id) {
+  const exists = await Submission.exists({ _id: id });
+  
+  return exists
+    ? ApiError.conflict('Submission has already been reviewed', 'submission_already_reviewed')
+    : ApiError.notFound('Submission not found');
+}
+
+/**
+ * Approve a quote submission, optionally editing it first
+ */
+exports.approveSubmission = async (req, res) => {
+  const edits = {};
+  for (const field of ['text', 'author', 'source', 'tags']) {
+    if (req.body[field] !== undefined) edits[field] = req.body[field];
+  }
+  
+  // Claim the submission first so it can't be approved twice
+  const submission = await Submission.findOneAndUpdate(
+    { _id: req.params.id, status: 'pending' },
+    { ...edits, status: 'approved', reviewedBy: req.user._id, reviewedAt: new Date() },
+    { new: true, runValidators: true }
+  );
+  
+  if (!submission) {
+    throw await submissionReviewError(req.params.id);
+  }
+  
+  let quote;
+  try {
+    // Exact duplicates are always rejected, near-duplicates unless forced
+    const matches = await Quote.findDuplicates(submission.text);
+    if (matches.some(match => match.exact) || (matches.length > 0 && !req.body.force)) {
+      throw ApiError.conflict('A matching quote already exists', 'duplicate_quote', { matches });
+    }
+    
+    quote = await Quote.create({
+      text: submission.text,
+      author: submission.author,
+      source: submission.source,
+      tags: submission.tags,
+      submittedBy: submission.submittedBy
+    });
+  } catch (error) {
+    // Put the submission back in the queue if the quote couldn't be created
+    await Submission.updateOne(
+      { _id: submission._id },
+      { status: 'pending', $unset: { reviewedBy: 1, reviewedAt: 1 } }
+    );
+    throw error;
+  }
+  
+  submission.quoteId = quote._id;
+  await submission.save();
+  
+  await QuoteRevision.record(quote, req.user._id, 'created');
+  
+  // Log activity
+  await UserActivity.logActivity(
+    req.user._id,
+    'submission_approved',
+    { submissionId: submission._id, quoteId: quote._id },
+    req
+  );
+  
+  return res.status(200).json({
+    success: true,
+    submission,
+    quote
+  });
+};
+
+/**
+ * Reject a quote submission with a reason
+ */
+exports.rejectSubmission = async (req, res) => {
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+  
+  if (!reason) {
+    throw ApiError.badRequest('Rejection reason is required');
+  }
+  
+  const submission = await Submission.findOneAndUpdate(
+    { _id: req.params.id, status: 'pending' },
+    { status: 'rejected', rejectionReason: reason, reviewedBy: req.user._id, reviewedAt: new Date() },
+    { new: true, runValidators: true }
+  );
+  
+  if (!submission) {
+    throw await submissionReviewError(req.params.id);
+  }
+  
+  // Log activity
+  await UserActivity.logActivity(
+    req.user._id,
+    'submission_rejected',
+    { submissionId: submission._id, reason },
+    req
+  );
+  
+  return res.status(200).json({
+    success: true,
+    submission
+  });
+};
+
+/**
+ * Restore a quote to an earlier revision
+ */
+exports.restoreQuoteRevision = async (req, res) => {
+  const quote = await Quote.findById(req.params.id);
+  
+  if (!quote) {
+    throw ApiError.notFound('Quote not found');
+  }
+  
+  const target = await QuoteRevision.findOne({
+    quoteId: quote._id,
+    revision: parseInt(req.params.revision)
+  });
+  
+  if (!target) {
+    throw ApiError.notFound('Revision not found');
+  }
+  
+  const previous = QuoteRevision.snapshot(quote);
+  
+  quote.text = target.snapshot.text;
+  quote.author = target.snapshot.author;
+  quote.source = target.snapshot.source;
+  quote.tags = target.snapshot.tags;
+  
+  await quote.save();
+  
+  // Restoring is recorded as a new revision so history is never rewritten
+  const revision = await QuoteRevision.record(quote, req.user._id, 'restored', previous, target.revision);
+  
+  // Log activity
+  await UserActivity.logActivity(
+    req.user._id,
+    'quote_restored',
+    { quoteId: quote._id, restoredFrom: target.revision, revision: revision ? revision.revision : null },
+    req
+  );
+  
+  return res.status(200).json({
+    success: true,
+    quote,
+    revision
+  });
+};
+
+// Models that support the trash, keyed by the type used in trash URLs
+const TRASH_MODELS = {
+  quotes: Quote,
+  users: User
+};
+
+/**
+ * Get the trash model for a URL type
+ */
+function getTrashModel(type) {
+  const Model = TRASH_MODELS[type];
+  
+  if (!Model) {
+    throw ApiError.badRequest(`Trash type must be one of: ${Object.keys(TRASH_MODELS).join(', ')}`);
+  }
+  
+  return Model;
+}
+
+/**
+ * Get deleted quotes or users, most recently deleted first
+ */
+exports.getTrash = async (req, res) => {
+  const Model = getTrashModel(req.params.type);
+  const retentionDays = getRetentionDays();
+  
+  const { items, pagination } = await paginate(Model, { deletedAt: { $ne: null } }, req.query, {
+    sortField: 'deletedAt',
+    select: '-__v',
+    populate: ['deletedBy', 'email displayName']
+  });
+  
+  // Show when each item will be permanently deleted
+  const trash = items.map(item => ({
+    ...item.toObject(),
+    purgeAt: getPurgeDate(item)
+  }));
+  
+  return res.status(200).json({
+    items: trash,
+    retentionDays,
+    accountDeletionGraceDays: getAccountDeletionGraceDays(),
+    pagination
+  });
+};
+
+/**
+ * Restore a deleted quote or user from the trash
+ */
+exports.restoreFromTrash = async (req, res) => {
+  const Model = getTrashModel(req.params.type);
+  
+  const item = await Model.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+  
+  if (!item) {
+    throw ApiError.notFound('Item not found in trash');
+  }
+  
+  await item.restore();
+  
+  // Log activity
+  await UserActivity.logActivity(
+    req.user._id,
+    'trash_restored',
+    { type: req.params.type, id: item._id },
+    req
+  );
+  
+  return res.status(200).json({
+    success: true,
+    item
+  });
+};
@@ -0,0 +1,80 @@
+const Author = require('../models/author.model');
+const Quote = require('../models/quote.model');
+const { ApiError } = require('../middleware/error.middleware');
+const { escapeRegex } = require('../utils/query.utils');
+const { normalizeName } = require('../utils/string.utils');
+const { paginate } = require('../utils/pagination.utils');
+
+// Most authors and quotes returned per page
+const MAX_AUTHORS_PER_PAGE = 100;
+const MAX_QUOTES_PER_PAGE = 50;
+
+/**
+ * Read the page size from the query, between 1 and `max`
+ */
+function getLimit(query, defaultLimit, max) {
+  return Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), max);
+}
+
+/**
+ * Get all authors, most quotes first, in page or cursor mode
+ */
+exports.getAuthors = async (req, res) => {
+  // Handle search query if provided (matches name or alias prefixes)
+  const searchQuery = {};
+  if (req.query.search) {
+    searchQuery.nameKeys = { $regex: `^${escapeRegex(normalizeName(req.query.search))}` };
+  }
+  
+  const { items: authors, pagination } = await paginate(
+    Author,
+    searchQuery,
+    {
+      ...req.query,
+      page: Math.max(parseInt(req.query.page) || 1, 1),
+      limit: getLimit(req.query, 20, MAX_AUTHORS_PER_PAGE)
+    },
+    { sortField: 'quoteCount', select: '-nameKeys -__v' }
+  );
+  
+  return res.status(200).json({
+    authors,
+    pagination
+  });
+};
+
+/**
+ * Get an author profile by slug
+ */
+exports.getAuthorBySlug = async (req, res) => {
+  const author = await Author.findOne({ slug: req.params.slug }).select('-nameKeys -__v');
+  
+  if (!author) {
+    throw ApiError.notFound('Author not found');
+  }
+  
+  return res.status(200).json({ author });
+};
+
+/**
+ * Get quotes by an author
+ */
+exports.getAuthorQuotes = async (req, res) => {
+  const author = await Author.findOne({ slug: req.params.slug }).select('-nameKeys -__v');
+  
+  if (!author) {
+    throw ApiError.notFound('Author not found');
+  }
+  
+  const { items: quotes, pagination } = await paginate(
+    Quote,
+    { authorId: author._id },
+    { ...req.query, limit: getLimit(req.query, 10, MAX_QUOTES_PER_PAGE) }
+  );
+  
+  return res.status(200).json({
+    author,
+    quotes,
+    pagination
+  });
+};
@@ -0,0 +1,345 @@
+const Collection = require('../models/collection.model');
+const Quote = require('../models/quote.model');
+const User = require('../models/user.model');
+const UserActivity = require('../models/userActivity.model');
+const { ApiError } = require('../middleware/error.middleware');
+const { paginate, paginateList } = require('../utils/pagination.utils');
+const { getViewerKey } = require('../utils/view.utils');
+
+// Visibilities a collection can be shared with
+const SHARED_VISIBILITIES = ['unlisted', 'public'];
+
+/**
+ * Check a position from the request body, which is optional
+ */
+function parsePosition(position) {
+  if (position !== undefined && (!Number.isInteger(position) || position < 0)) {
+    throw ApiError.badRequest('Position must be a whole number of 0 or more');
+  }
+  
+  return position;
+}
+
+/**
+ * Check a collection name is free among the user's collections, ignoring case
+ */
+async function checkNameAvailable(userId, name, collectionId) {
+  const existing = await Collection.findByName(userId, name);
+  
+  if (existing && !existing._id.equals(collectionId)) {
+    throw ApiError.conflict('You already have a collection with this name', 'duplicate_collection');
+  }
+}
+
+/**
+ * Find one of the user's collections, or throw if it doesn't exist or isn't theirs
+ */
+async function findOwnCollection(id, userId) {
+  const collection = await Collection.findOne({ _id: id, userId });
+  
+  if (!collection) {
+    throw ApiError.notFound('Collection not found');
+  }
+  
+  return collection;
+}
+
+/**
+ * Describe a collection without its entries
+ */
+function summarizeCollection(collection) {
+  const { _id, name, position, entries, visibility, slug, sharedAt, views, createdAt, updatedAt } = collection;
+  
+  return { _id, name, position, quoteCount: entries.length, visibility, slug, sharedAt, views, createdAt, updatedAt };
+}
+
+/**
+ * Describe a shared collection for people other than its owner
+ */
+function summarizeSharedCollection(collection, owner) {
+  const { name, slug, visibility, entries, views, sharedAt, updatedAt } = collection;
+  
+  return {
+    name,
+    slug,
+    visibility,
+    quoteCount: entries.length,
+    views,
+    owner: { displayName: owner.displayName },
+    sharedAt,
+    updatedAt
+  };
+}
+
+/**
+ * Get a page of a collection's quotes in order
+ * Quotes in the trash are left out
+ */
+async function getEntriesPage(collection, query) {
+  const entries = [...collection.entries].sort((a, b) => a.position - b.position);
+  const { items, pagination } = paginateList(entries, query);
+  const quotes = await Quote.find({ _id: { $in: items.map(entry => entry.quoteId) } });
+  const quotesById = new Map(quotes.map(quote => [quote._id.toString(), quote]));
+  
+  return {
+    entries: items
+      .filter(entry => quotesById.has(entry.quoteId.toString()))
+      .map(({ quoteId, position, addedAt, note }) => ({
+        quote: quotesById.get(quoteId.toString()),
+        position,
+        addedAt,
+        note
+      })),
+    pagination
+  };
+}
+
+/**
+ * Get the user's collections in order
+ */
+exports.getCollections = async (req, res) => {
+  const collections = await Collection.find({ userId: req.user._id })
+    .select('name position entries.quoteId visibility slug sharedAt views createdAt updatedAt')
+    .sort({ position: 1, createdAt: 1 })
+    .lean();
+  
+  return res.status(200).json({
+    collections: collections.map(summarizeCollection)
+  });
+};
+
+/**
+ * Create a collection, placed after the user's other collections
+ */
+exports.createCollection = async (req, res) => {
+  const { name } = req.body;
+  
+  await checkNameAvailable(req.user._id, name);
+  
+  const position = await Collection.countDocuments({ userId: req.user._id });
+  const collection = await Collection.create({ userId: req.user._id, name, position });
+  
+  return res.status(201).json({
+    collection: summarizeCollection(collection)
+  });
+};
+
+/**
+ * Get a collection with a page of its quotes in order
+ * Quotes in the trash are left out
+ */
+exports.getCollection = async (req, res) => {
+  const collection = await findOwnCollection(req.params.id, req.user._id);
+  const { entries, pagination } = await getEntriesPage(collection, req.query);
+  
+  return res.status(200).json({
+    collection: summarizeCollection(collection),
+    entries,
+    pagination
+  });
+};
+
+/**
+ * Rename a collection or move it to another position
+ */
+exports.updateCollection = async (req, res) => {
+  const collection = await findOwnCollection(req.params.id, req.user._id);
+  const { name } = req.body;
+  const position = parsePosition(req.body.position);
+  
+  if (name !== undefined) {
+    await checkNameAvailable(req.user._id, name, collection._id);
+    collection.name = name;
+    await collection.save();
+  }
+  
+  if (position !== undefined) {
+    const ordered = await Collection.moveCollection(req.user._id, collection._id, position);
+    collection.position = ordered.find(other => other._id.equals(collection._id)).position;
+  }
+  
+  return res.status(200).json({
+    collection: summarizeCollection(collection)
+  });
+};
+
+/**
+ * Delete a collection
+ * Its quotes stay in the user's favorites
+ */
+exports.deleteCollection = async (req, res) => {
+  const collection = await findOwnCollection(req.params.id, req.user._id);
+  
+  await Collection.deleteOne({ _id: collection._id });
+  
+  return res.status(200).json({
+    success: true,
+    message: 'Collection deleted'
+  });
+};
+
+/**
+ * Add a quote to a collection, at the end unless a position is given
+ * The quote is added to favorites too if it isn't there yet
+ */
+exports.addToCollection = async (req, res) => {
+  const collection = await findOwnCollection(req.params.id, req.user._id);
+  const { quoteId } = req.params;
+  const position = parsePosition(req.body.position);
+  
+  const quote = await Quote.findById(quoteId).select('_id');
+  
+  if (!quote) {
+    throw ApiError.notFound('Quote not found');
+  }
+  
+  if (collection.findEntry(quote._id)) {
+    return res.status(200).json({
+      message: 'Quote already in collection',
+      collection: summarizeCollection(collection)
+    });
+  }
+  
+  const entry = collection.addEntry(quote._id, { note: req.body.note, position });
+  await collection.save();
+  
+  const { modifiedCount } = await User.updateOne({ _id: req.user._id }, { $addToSet: { favorites: quote._id } });
+  
+  if (modifiedCount > 0) {
+    await UserActivity.logActivity(req.user._id, 'favorite_added', { quoteId: quote._id }, req);
+  }
+  
+  return res.status(201).json({
+    message: 'Quote added to collection',
+    collection: summarizeCollection(collection),
+    entry
+  });
+};
+
+/**
+ * Update the note of a quote in a collection or move it to another position
+ * A null note clears it
+ */
+exports.updateCollectionEntry = async (req, res) => {
+  const collection = await findOwnCollection(req.params.id, req.user._id);
+  const entry = collection.findEntry(req.params.quoteId);
+  const { note } = req.body;
+  const position = parsePosition(req.body.position);
+  
+  if (!entry) {
+    throw ApiError.notFound('Quote not in collection');
+  }
+  
+  if (note !== undefined) entry.note = note === null ? undefined : note;
+  if (position !== undefined) collection.moveEntry(entry.quoteId, position);
+  
+  await collection.save();
+  
+  return res.status(200).json({
+    entry: collection.findEntry(req.params.quoteId)
+  });
+};
+
+/**
+ * Remove a quote from a collection
+ * The quote stays in the user's favorites
+ */
+exports.removeFromCollection = async (req, res) => {
+  const collection = await findOwnCollection(req.params.id, req.user._id);
+  
+  if (!collection.findEntry(req.params.quoteId)) {
+    throw ApiError.notFound('Quote not in collection');
+  }
+  
+  collection.removeQuotes([req.params.quoteId]);
+  await collection.save();
+  
+  return res.status(200).json({
+    message: 'Quote removed from collection',
+    collection: summarizeCollection(collection)
+  });
+};
+
+/**
+ * Share a collection as unlisted (anyone with the link) or public (also listed)
+ * The link keeps its slug when the visibility changes
+ */
+exports.shareCollection = async (req, res) => {
+  const collection = await findOwnCollection(req.params.id, req.user._id);
+  const { visibility } = req.body;
+  
+  if (!SHARED_VISIBILITIES.includes(visibility)) {
+    throw ApiError.badRequest(`Visibility must be one of: ${SHARED_VISIBILITIES.join(', ')}`);
+  }
+  
+  await collection.share(visibility);
+  
+  return res.status(200).json({
+    collection: summarizeCollection(collection)
+  });
+};
+
+/**
+ * Make a collection private again, revoking its share link
+ */
+exports.unshareCollection = async (req, res) => {
+  const collection = await findOwnCollection(req.params.id, req.user._id);
+  
+  await collection.unshare();
+  
+  return res.status(200).json({
+    collection: summarizeCollection(collection)
+  });
+};
+
+/**
+ * Get public collections, most recently shared first
+ */
+exports.getPublicCollections = async (req, res) => {
+  const { items, pagination } = await paginate(Collection, { visibility: 'public' }, req.query, {
+    sortField: 'sharedAt',
+    select: 'name slug visibility entries.quoteId views sharedAt updatedAt userId',
+    populate: ['userId', 'displayName']
+  });
+  
+  return res.status(200).json({
+    // Owners in the trash aren't populated, and neither are their collections listed
+    collections: items
+      .filter(collection => collection.userId)
+      .map(collection => summarizeSharedCollection(collection, collection.userId)),
+    pagination
+  });
+};
+
+/**
+ * Get a shared collection by the slug of its share link, with a page of its quotes
+ * Opening the collection counts as a view, once per viewer in the dedup window;
+ * loading further pages and the owner opening their own link don't
+ */
+exports.getSharedCollection = async (req, res) => {
+  const collection = await Collection.findOne({
+    slug: req.params.slug,
+    visibility: { $in: SHARED_VISIBILITIES }
+  });
+  
+  // Collections of users in the trash can't be opened either
+  const owner = collection && await User.findById(collection.userId).select('displayName');
+  
+  if (!collection || !owner) {
+    throw ApiError.notFound('Collection not found');
+  }
+  
+  const { entries, pagination } = await getEntriesPage(collection, req.query);
+  
+  const isOwner = Boolean(req.user) && collection.userId.equals(req.user._id);
+  
+  if (pagination.page === 1 && !isOwner) {
+    await collection.incrementViews(getViewerKey(req));
+  }
+  
+  return res.status(200).json({
+    collection: summarizeSharedCollection(collection, owner),
+    entries,
+    pagination
+  });
+};
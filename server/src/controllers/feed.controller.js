@@ -0,0 +1,191 @@
+const User = require('../models/user.model');
+const Quote = require('../models/quote.model');
+const Author = require('../models/author.model');
+const { ApiError } = require('../middleware/error.middleware');
+const { FEED_SOURCES, buildFeedQueries, allocateFeedPage, interleaveFeed } = require('../utils/feed.utils');
+
+// Most tags, and most authors, a user can follow
+const MAX_FOLLOWS = 100;
+
+// Most quotes on one page of the feed
+const MAX_FEED_LIMIT = 50;
+
+/**
+ * Find the user with the tags and authors they follow, or throw if they don't exist
+ */
+async function findFollower(userId) {
+  const user = await User.findById(userId).select('following');
+  
+  if (!user) {
+    throw ApiError.notFound('User not found');
+  }
+  
+  return user;
+}
+
+/**
+ * Describe the tags and authors a user follows, with the name and slug of each author
+ * Authors are listed in the order they were followed
+ */
+async function describeFollowing(user) {
+  const ids = user.following.authors.map(id => id.toString());
+  const authors = await Author.find({ _id: { $in: ids } }).select('name slug');
+  const authorsById = new Map(authors.map(author => [author._id.toString(), author]));
+  
+  return {
+    tags: user.following.tags,
+    authors: ids.map(id => authorsById.get(id)).filter(Boolean)
+  };
+}
+
+/**
+ * Add a tag or author to what a user follows, unless they already follow it
+ * Resolves to whether it was added
+ */
+async function addFollow(user, field, value) {
+  const list = user.following[field];
+  
+  if (list.some(item => item.toString() === value.toString())) {
+    return false;
+  }
+  
+  if (list.length >= MAX_FOLLOWS) {
+    throw ApiError.badRequest(`You can follow up to ${MAX_FOLLOWS} ${field}`, 'follow_limit');
+  }
+  
+  list.push(value);
+  await user.save();
+  
+  return true;
+}
+
+/**
+ * Remove a tag or author from what a user follows
+ * Resolves to whether it was followed
+ */
+async function removeFollow(user, field, value) {
+  const list = user.following[field];
+  const kept = list.filter(item => item.toString() !== value.toString());
+  
+  if (kept.length === list.length) {
+    return false;
+  }
+  
+  user.following[field] = kept;
+  await user.save();
+  
+  return true;
+}
+
+/**
+ * Get the tags and authors the user follows
+ */
+exports.getFollowing = async (req, res) => {
+  const user = await findFollower(req.user._id);
+  
+  return res.status(200).json({
+    following: await describeFollowing(user)
+  });
+};
+
+/**
+ * Follow a tag
+ * Only tags used by at least one quote can be followed
+ */
+exports.followTag = async (req, res) => {
+  const tag = req.params.tag.trim().toLowerCase();
+  
+  if (!(await Quote.exists({ tags: tag }))) {
+    throw ApiError.notFound('Tag not found');
+  }
+  
+  const user = await findFollower(req.user._id);
+  const added = await addFollow(user, 'tags', tag);
+  
+  return res.status(200).json({
+    message: added ? 'Tag followed' : 'Already following tag',
+    following: await describeFollowing(user)
+  });
+};
+
+/**
+ * Stop following a tag
+ */
+exports.unfollowTag = async (req, res) => {
+  const tag = req.params.tag.trim().toLowerCase();
+  const user = await findFollower(req.user._id);
+  const removed = await removeFollow(user, 'tags', tag);
+  
+  return res.status(200).json({
+    message: removed ? 'Tag unfollowed' : 'Not following tag',
+    following: await describeFollowing(user)
+  });
+};
+
+/**
+ * Follow an author
+ */
+exports.followAuthor = async (req, res) => {
+  const author = await Author.findById(req.params.authorId).select('_id');
+  
+  if (!author) {
+    throw ApiError.notFound('Author not found');
+  }
+  
+  const user = await findFollower(req.user._id);
+  const added = await addFollow(user, 'authors', author._id);
+  
+  return res.status(200).json({
+    message: added ? 'Author followed' : 'Already following author',
+    following: await describeFollowing(user)
+  });
+};
+
+/**
+ * Stop following an author
+ */
+exports.unfollowAuthor = async (req, res) => {
+  const user = await findFollower(req.user._id);
+  const removed = await removeFollow(user, 'authors', req.params.authorId);
+  
+  return res.status(200).json({
+    message: removed ? 'Author unfollowed' : 'Not following author',
+    following: await describeFollowing(user)
+  });
+};
+
+/**
+ * Get a page of the user's feed
+ * Quotes from followed tags and authors are blended with new and popular
+ * quotes; each item says which of these it is
+ */
+exports.getFeed = async (req, res) => {
+  const user = await findFollower(req.user._id);
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), MAX_FEED_LIMIT);
+  
+  const queries = buildFeedQueries(user.following);
+  const totals = await Promise.all(FEED_SOURCES.map(source => Quote.countDocuments(queries[source].filter)));
+  const counts = Object.fromEntries(FEED_SOURCES.map((source, i) => [source, totals[i]]));
+  const allocation = allocateFeedPage(counts, page, limit);
+  
+  const quotes = await Promise.all(FEED_SOURCES.map(source => (
+    allocation[source].limit > 0
+      ? Quote.find(queries[source].filter)
+        .sort(queries[source].sort)
+        .skip(allocation[source].skip)
+        .limit(allocation[source].limit)
+      : []
+  )));
+  const total = totals.reduce((sum, count) => sum + count, 0);
+  
+  return res.status(200).json({
+    feed: interleaveFeed(Object.fromEntries(FEED_SOURCES.map((source, i) => [source, quotes[i]]))),
+    pagination: {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    }
+  });
+};
@@ -1,20 +1,40 @@
 const Quote = require('../models/quote.model');
 const User = require('../models/user.model');
 const UserActivity = require('../models/userActivity.model');
+const DailyQuote = require('../models/dailyQuote.model');
+const QuoteRevision = require('../models/quoteRevision.model');
 const { ApiError } = require('../middleware/error.middleware');
+const { isValidTimezone, getDateKey } = require('../utils/date.utils');
+const { buildQuoteFilter, buildDateRange } = require('../utils/query.utils');
+const { getSearchTerms, highlight } = require('../utils/search.utils');
+const { paginate } = require('../utils/pagination.utils');
+const { TRENDING_WINDOWS, TRENDING_SIZE, getTrending } = require('../utils/trending.utils');
+const { getViewerKey } = require('../utils/view.utils');
 
 /**
  * Get a random quote
+ * Signed-in users don't get quotes they viewed recently
  */
 exports.getRandomQuote = async (req, res) => {
-  const quote = await Quote.getRandom();
+  const filter = buildQuoteFilter(req.query);
+  let quote = null;
+  
+  if (req.user && req.user.quotesViewed && req.user.quotesViewed.length > 0) {
+    const viewedIds = req.user.quotesViewed.map(view => view.quoteId);
+    quote = await Quote.getRandom({ ...filter, _id: { $nin: viewedIds } });
+  }
+  
+  // Fall back to the whole pool once every matching quote has been seen
+  if (!quote) {
+    quote = await Quote.getRandom(filter);
+  }
   
   if (!quote) {
     throw ApiError.notFound('No quotes available');
   }
   
   // Increment view count
-  await quote.incrementViews();
+  await quote.incrementViews(getViewerKey(req));
   
   // Log activity if user is authenticated
   if (req.user) {
@@ -32,6 +52,71 @@ exports.getRandomQuote = async (req, res) => {
   return res.status(200).json({ quote });
 };
 
+/**
+ * Get the quotes trending in a window, most engaged with recently first
+ * Rankings are cached and refreshed on a schedule
+ */
+exports.getTrendingQuotes = async (req, res) => {
+  const window = req.query.window || 'week';
+  const limit = Math.min(parseInt(req.query.limit) || 10, TRENDING_SIZE);
+  
+  if (!TRENDING_WINDOWS.includes(window)) {
+    throw ApiError.badRequest(`Window must be one of: ${TRENDING_WINDOWS.join(', ')}`, 'invalid_window');
+  }
+  
+  const { quotes: ranking, updatedAt } = await getTrending(window);
+  
+  // Quotes moved to the trash since the refresh are left out
+  const quotes = await Quote.findInOrder(ranking.map(({ quoteId }) => quoteId));
+  const scores = new Map(ranking.map(({ quoteId, score }) => [quoteId.toString(), score]));
+  
+  return res.status(200).json({
+    window,
+    updatedAt,
+    trending: quotes.slice(0, limit).map(quote => ({ quote, score: scores.get(quote._id.toString()) }))
+  });
+};
+
+/**
+ * Get the quote of the day for the caller's timezone
+ */
+exports.getDailyQuote = async (req, res) => {
+  const timezone = req.query.tz ||
+    (req.user && req.user.preferences && req.user.preferences.timezone) ||
+    'UTC';
+
+  if (!isValidTimezone(timezone)) {
+    throw ApiError.badRequest(`Invalid timezone: ${timezone}`, 'invalid_timezone');
+  }
+
+  const date = getDateKey(new Date(), timezone);
+  const repeatWindowDays = parseInt(process.env.DAILY_QUOTE_REPEAT_WINDOW_DAYS) || 30;
+
+  const quote = await DailyQuote.getForDate(date, repeatWindowDays);
+
+  if (!quote) {
+    throw ApiError.notFound('No quotes available');
+  }
+
+  // Increment view count
+  await quote.incrementViews(getViewerKey(req));
+
+  // Log activity if user is authenticated
+  if (req.user) {
+    await UserActivity.logActivity(
+      req.user._id,
+      'quote_viewed',
+      { quoteId: quote._id, daily: true },
+      req
+    );
+
+    // Add to user's viewed quotes
+    await req.user.addViewedQuote(quote._id);
+  }
+
+  return res.status(200).json({ quote, date, timezone });
+};
+
 /**
  * Get a quote by ID
  */
@@ -42,8 +127,13 @@ exports.getQuoteById = async (req, res) => {
     throw ApiError.notFound('Quote not found');
   }
   
+  // Include submitter attribution for user-submitted quotes
+  if (quote.submittedBy) {
+    await quote.populate('submittedBy', 'displayName');
+  }
+  
   // Increment view count
-  await quote.incrementViews();
+  await quote.incrementViews(getViewerKey(req));
   
   // Log activity if user is authenticated
   if (req.user) {
@@ -61,57 +151,113 @@ exports.getQuoteById = async (req, res) => {
   return res.status(200).json({ quote });
 };
 
+/**
+ * Get the revision history of a quote, newest first
+ */
+exports.getQuoteRevisions = async (req, res) => {
+  const exists = await Quote.exists({ _id: req.params.id });
+  
+  if (!exists) {
+    throw ApiError.notFound('Quote not found');
+  }
+  
+  const { items: revisions, pagination } = await paginate(
+    QuoteRevision,
+    { quoteId: req.params.id },
+    req.query,
+    { sortField: 'revision', select: '-__v', populate: ['editedBy', 'displayName'] }
+  );
+  
+  return res.status(200).json({
+    revisions,
+    pagination
+  });
+};
+
 /**
  * Get quotes by tag
  */
 exports.getQuotesByTag = async (req, res) => {
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 10;
-  const skip = (page - 1) * limit;
-  
   const tag = req.params.tag.toLowerCase();
   
-  const quotes = await Quote.find({ tags: tag })
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(limit);
-  
-  const total = await Quote.countDocuments({ tags: tag });
+  const { items: quotes, pagination } = await paginate(Quote, { tags: tag }, req.query);
   
   return res.status(200).json({
     quotes,
-    pagination: {
-      total,
-      page,
-      limit,
-      pages: Math.ceil(total / limit)
-    }
+    pagination
   });
 };
 
+/**
+ * Get all tags with quote counts
+ */
+exports.getTags = async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+  const prefix = (req.query.prefix || '').trim();
+  
+  const tags = await Quote.getTagCounts(prefix, limit);
+  
+  return res.status(200).json({ tags });
+};
+
 /**
  * Get all quotes with pagination
  */
 exports.getAllQuotes = async (req, res) => {
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 10;
-  const skip = (page - 1) * limit;
-  
   // Handle search query if provided
   const searchQuery = {};
   if (req.query.search) {
     searchQuery.$text = { $search: req.query.search };
   }
   
-  const quotes = await Quote.find(searchQuery)
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(limit);
-  
-  const total = await Quote.countDocuments(searchQuery);
+  const { items: quotes, pagination } = await paginate(Quote, searchQuery, req.query);
   
   return res.status(200).json({
     quotes,
+    pagination
+  });
+};
+
+/**
+ * Search quotes by relevance with highlighted matches and facet counts
+ */
+exports.searchQuotes = async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+  const skip = (page - 1) * limit;
+  
+  const search = (req.query.q || '').trim();
+  
+  if (!search) {
+    throw ApiError.badRequest('Search query (q) is required');
+  }
+  
+  const filter = buildQuoteFilter({ tag: req.query.tags, author: req.query.author });
+  
+  // Filter by creation date range if provided
+  const createdAt = buildDateRange(req.query.from, req.query.to);
+  if (createdAt) {
+    filter.createdAt = createdAt;
+  }
+  
+  const { quotes, total, facets } = await Quote.search(search, filter, { skip, limit });
+  
+  // Mark matched words so clients can render highlights
+  const terms = getSearchTerms(search);
+  const results = quotes.map(quote => {
+    const highlights = {};
+    const text = highlight(quote.text, terms);
+    const author = highlight(quote.author, terms);
+    
+    if (text) highlights.text = text;
+    if (author) highlights.author = author;
+    
+    return { ...quote, highlights };
+  });
+  
+  return res.status(200).json({
+    quotes: results,
+    facets,
     pagination: {
       total,
       page,
@@ -125,13 +271,19 @@ exports.getAllQuotes = async (req, res) => {
  * Create a new quote (admin only)
  */
 exports.createQuote = async (req, res) => {
-  const { text, author, source, tags } = req.body;
+  const { text, author, source, tags, force } = req.body;
   
   // Validate required fields
   if (!text || !author) {
     throw ApiError.badRequest('Quote text and author are required');
   }
   
+  // Exact duplicates are always rejected, near-duplicates unless forced
+  const matches = await Quote.findDuplicates(text);
+  if (matches.some(match => match.exact) || (matches.length > 0 && !force)) {
+    throw ApiError.conflict('A matching quote already exists', 'duplicate_quote', { matches });
+  }
+  
   // Create new quote
   const quote = await Quote.create({
     text,
@@ -140,6 +292,8 @@ exports.createQuote = async (req, res) => {
     tags: tags || []
   });
   
+  await QuoteRevision.record(quote, req.user._id, 'created');
+  
   // Log activity
   await UserActivity.logActivity(
     req.user._id,
@@ -164,6 +318,8 @@ exports.updateQuote = async (req, res) => {
     throw ApiError.notFound('Quote not found');
   }
   
+  const previous = QuoteRevision.snapshot(quote);
+  
   // Update fields
   if (text) quote.text = text;
   if (author) quote.author = author;
@@ -173,11 +329,13 @@ exports.updateQuote = async (req, res) => {
   // Save changes
   await quote.save();
   
+  const revision = await QuoteRevision.record(quote, req.user._id, 'updated', previous);
+  
   // Log activity
   await UserActivity.logActivity(
     req.user._id,
     'quote_updated',
-    { quoteId: quote._id },
+    { quoteId: quote._id, revision: revision ? revision.revision : null },
     req
   );
   
@@ -188,13 +346,15 @@ exports.updateQuote = async (req, res) => {
  * Delete a quote (admin only)
  */
 exports.deleteQuote = async (req, res) => {
-  // Find and delete quote
-  const quote = await Quote.findByIdAndDelete(req.params.id);
+  const quote = await Quote.findById(req.params.id);
   
   if (!quote) {
     throw ApiError.notFound('Quote not found');
   }
   
+  // Move to the trash, it's purged after the retention period
+  await quote.softDelete(req.user._id);
+  
   // Log activity
   await UserActivity.logActivity(
     req.user._id,
@@ -205,6 +365,6 @@ exports.deleteQuote = async (req, res) => {
   
   return res.status(200).json({
     success: true,
-    message: 'Quote deleted successfully'
+    message: 'Quote moved to trash'
   });
 };
\ No newline at end of file
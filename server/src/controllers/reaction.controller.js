@@ -0,0 +1,124 @@
+const Quote = require('../models/quote.model');
+const QuoteReaction = require('../models/quoteReaction.model');
+const UserActivity = require('../models/userActivity.model');
+const { ApiError } = require('../middleware/error.middleware');
+const { paginate } = require('../utils/pagination.utils');
+const { buildQuoteFilter } = require('../utils/query.utils');
+const { REACTIONS, MIN_RATING, MAX_RATING } = require('../utils/reaction.utils');
+
+/**
+ * Find a quote, or throw if it doesn't exist
+ */
+async function findQuote(id) {
+  const quote = await Quote.findById(id);
+  
+  if (!quote) {
+    throw ApiError.notFound('Quote not found');
+  }
+  
+  return quote;
+}
+
+/**
+ * Describe a quote's reaction and rating totals, and the user's own if signed in
+ */
+function summarizeReactions(quote, mine) {
+  return {
+    quoteId: quote._id,
+    reactions: quote.reactions,
+    reactionCount: quote.reactionCount,
+    rating: {
+      average: quote.ratingAverage,
+      count: quote.ratingCount
+    },
+    score: quote.score,
+    mine: mine ? { reaction: mine.reaction || null, rating: mine.rating || null } : null
+  };
+}
+
+/**
+ * Set or clear the user's reaction or rating of a quote
+ * Resolves to the quote's updated totals
+ */
+async function updateReaction(req, changes) {
+  const quote = await findQuote(req.params.id);
+  const mine = await QuoteReaction.setForUser(quote._id, req.user._id, changes);
+  
+  await QuoteReaction.updateQuoteStats([quote._id]);
+  
+  return summarizeReactions(await findQuote(quote._id), mine || {});
+}
+
+/**
+ * Get quotes with the highest score first
+ * Supports the same `tag`, `excludeTags` and `author` filters as the quote list
+ */
+exports.getTopQuotes = async (req, res) => {
+  const filter = buildQuoteFilter(req.query);
+  
+  const { items: quotes, pagination } = await paginate(Quote, filter, req.query, { sortField: 'score' });
+  
+  return res.status(200).json({
+    quotes,
+    pagination
+  });
+};
+
+/**
+ * Get a quote's reaction and rating totals
+ * Signed-in users also get their own reaction and rating
+ */
+exports.getReactions = async (req, res) => {
+  const quote = await findQuote(req.params.id);
+  const mine = req.user && await QuoteReaction.findOne({ quoteId: quote._id, userId: req.user._id });
+  
+  return res.status(200).json(summarizeReactions(quote, req.user ? mine || {} : null));
+};
+
+/**
+ * React to a quote, replacing the user's earlier reaction
+ */
+exports.react = async (req, res) => {
+  const { reaction } = req.body;
+  
+  if (!REACTIONS.includes(reaction)) {
+    throw ApiError.badRequest(`Reaction must be one of: ${REACTIONS.join(', ')}`);
+  }
+  
+  const summary = await updateReaction(req, { reaction });
+  
+  await UserActivity.logActivity(req.user._id, 'quote_reacted', { quoteId: summary.quoteId, reaction }, req);
+  
+  return res.status(200).json(summary);
+};
+
+/**
+ * Remove the user's reaction to a quote
+ */
+exports.unreact = async (req, res) => {
+  return res.status(200).json(await updateReaction(req, { reaction: null }));
+};
+
+/**
+ * Rate a quote from 1 to 5, replacing the user's earlier rating
+ */
+exports.rate = async (req, res) => {
+  const { rating } = req.body;
+  
+  if (!Number.isInteger(rating) || rating < MIN_RATING || rating > MAX_RATING) {
+    throw ApiError.badRequest(`Rating must be a whole number from ${MIN_RATING} to ${MAX_RATING}`);
+  }
+  
+  const summary = await updateReaction(req, { rating });
+  
+  await UserActivity.logActivity(req.user._id, 'quote_rated', { quoteId: summary.quoteId, rating }, req);
+  
+  return res.status(200).json(summary);
+};
+
+/**
+ * Remove the user's rating of a quote
+ */
+exports.unrate = async (req, res) => {
+  return res.status(200).json(await updateReaction(req, { rating: null }));
+};
@@ -0,0 +1,194 @@
+const { once } = require('events');
+const Reflection = require('../models/reflection.model');
+const Quote = require('../models/quote.model');
+const { ApiError } = require('../middleware/error.middleware');
+const { paginate } = require('../utils/pagination.utils');
+const { isDateKey, isValidTimezone, getDateKey } = require('../utils/date.utils');
+const { markdownReflection } = require('../utils/export.utils');
+
+const QUOTE_FIELDS = 'text author source tags';
+
+/**
+ * Build the filter for listing the user's reflections from query parameters
+ */
+function buildReflectionFilter(userId, query) {
+  const filter = { userId };
+  
+  const search = (query.q || '').trim();
+  if (search) {
+    filter.$text = { $search: search };
+  }
+  
+  if (query.quoteId) {
+    filter.quoteId = query.quoteId;
+  }
+  
+  if (query.mood) {
+    filter.mood = query.mood;
+  }
+  
+  for (const bound of ['from', 'to']) {
+    if (query[bound] !== undefined && !isDateKey(query[bound])) {
+      throw ApiError.badRequest(`The ${bound} date must be in YYYY-MM-DD format`);
+    }
+  }
+  
+  if (query.from || query.to) {
+    filter.date = {};
+    if (query.from) filter.date.$gte = query.from;
+    if (query.to) filter.date.$lte = query.to;
+  }
+  
+  return filter;
+}
+
+/**
+ * Find one of the user's reflections, or throw if it doesn't exist or isn't theirs
+ */
+async function findOwnReflection(id, userId) {
+  const reflection = await Reflection.findOne({ _id: id, userId });
+  
+  if (!reflection) {
+    throw ApiError.notFound('Reflection not found');
+  }
+  
+  return reflection;
+}
+
+/**
+ * Get the user's reflections, newest day first
+ * Filter with `q` (text search), `quoteId`, `mood` and `from`/`to` days
+ */
+exports.getReflections = async (req, res) => {
+  const filter = buildReflectionFilter(req.user._id, req.query);
+  
+  const { items: reflections, pagination } = await paginate(Reflection, filter, req.query, {
+    sortField: 'date',
+    select: '-userId -__v',
+    populate: ['quoteId', QUOTE_FIELDS]
+  });
+  
+  return res.status(200).json({
+    reflections,
+    pagination
+  });
+};
+
+/**
+ * Get one of the user's reflections
+ */
+exports.getReflection = async (req, res) => {
+  const reflection = await findOwnReflection(req.params.id, req.user._id);
+  await reflection.populate('quoteId', QUOTE_FIELDS);
+  
+  return res.status(200).json({ reflection });
+};
+
+/**
+ * Write a reflection on a quote
+ * The date defaults to today in the user's timezone
+ */
+exports.createReflection = async (req, res) => {
+  const { quoteId, text, mood, date } = req.body;
+  
+  if (!quoteId) {
+    throw ApiError.badRequest('Quote ID is required');
+  }
+  
+  const quote = await Quote.findById(quoteId).select(QUOTE_FIELDS);
+  
+  if (!quote) {
+    throw ApiError.notFound('Quote not found');
+  }
+  
+  const timezone = (req.user.preferences && req.user.preferences.timezone) || 'UTC';
+  
+  const reflection = await Reflection.create({
+    userId: req.user._id,
+    quoteId: quote._id,
+    text,
+    mood,
+    date: date || getDateKey(new Date(), isValidTimezone(timezone) ? timezone : 'UTC')
+  });
+  await reflection.populate('quoteId', QUOTE_FIELDS);
+  
+  return res.status(201).json({ reflection });
+};
+
+/**
+ * Update the text, mood or date of a reflection
+ * A null mood clears it
+ */
+exports.updateReflection = async (req, res) => {
+  const reflection = await findOwnReflection(req.params.id, req.user._id);
+  const { text, mood, date } = req.body;
+  
+  if (text !== undefined) reflection.text = text;
+  if (mood !== undefined) reflection.mood = mood === null ? undefined : mood;
+  if (date !== undefined) reflection.date = date;
+  
+  await reflection.save();
+  await reflection.populate('quoteId', QUOTE_FIELDS);
+  
+  return res.status(200).json({ reflection });
+};
+
+/**
+ * Delete a reflection
+ */
+exports.deleteReflection = async (req, res) => {
+  const reflection = await findOwnReflection(req.params.id, req.user._id);
+  
+  await Reflection.deleteOne({ _id: reflection._id });
+  
+  return res.status(200).json({
+    success: true,
+    message: 'Reflection deleted'
+  });
+};
+
+/**
+ * Download the user's reflections as a Markdown journal, oldest day first
+ * Accepts the same filters as the reflections list
+ */
+exports.exportReflections = async (req, res) => {
+  const filter = buildReflectionFilter(req.user._id, req.query);
+  
+  const cursor = Reflection.find(filter)
+    .populate('quoteId', QUOTE_FIELDS)
+    .sort({ date: 1, _id: 1 })
+    .lean()
+    .cursor();
+  
+  res.status(200);
+  res.attachment(`journal_${getDateKey()}.md`);
+  res.type('text/markdown; charset=utf-8');
+  
+  // Wait for the client to catch up instead of buffering the whole journal
+  const write = async (chunk) => {
+    if (!res.write(chunk)) {
+      await Promise.race([once(res, 'drain'), once(res, 'close')]);
+    }
+  };
+  
+  try {
+    await write('# Journal\n\n');
+    
+    for await (const reflection of cursor) {
+      // Stop reading if the client went away
+      if (res.destroyed) {
+        break;
+      }
+      
+      await write(markdownReflection(reflection));
+    }
+  } catch (error) {
+    // Headers are already sent, so the error can only end the download
+    res.destroy(error);
+    return;
+  } finally {
+    await cursor.close();
+  }
+  
+  res.end();
+};
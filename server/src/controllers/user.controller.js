@@ -1,7 +1,18 @@
 const User = require('../models/user.model');
 const Quote = require('../models/quote.model');
 const UserActivity = require('../models/userActivity.model');
+const Submission = require('../models/submission.model');
+const Collection = require('../models/collection.model');
 const { ApiError } = require('../middleware/error.middleware');
+const { paginate, paginateList } = require('../utils/pagination.utils');
+const { validateProfileUpdate, applyProfileUpdate } = require('../utils/profile.utils');
+const { isValidTimezone, getDateKey, addDays } = require('../utils/date.utils');
+const { calculateStreak, buildHeatmap } = require('../utils/streak.utils');
+const { getAccountPurgeDate, isSelfDeleted } = require('../utils/trash.utils');
+const { PERSONAL_DATA_FORMATS, collectPersonalData, writeZip } = require('../utils/personalData.utils');
+
+// Longest streak heatmap that can be requested, in days
+const MAX_HEATMAP_DAYS = 366;
 
 /**
  * Get user profile
@@ -18,9 +29,10 @@ exports.getUserProfile = async (req, res) => {
 
 /**
  * Update user profile
+ * Unknown fields and values of the wrong type are rejected with field errors
  */
 exports.updateUserProfile = async (req, res) => {
-  const { displayName, preferences } = req.body;
+  const update = validateProfileUpdate(req.body);
   
   // Find user
   const user = await User.findById(req.user._id);
@@ -29,15 +41,8 @@ exports.updateUserProfile = async (req, res) => {
     throw ApiError.notFound('User not found');
   }
   
-  // Update fields
-  if (displayName) user.displayName = displayName;
-  if (preferences) {
-    // Update only provided preference fields
-    user.preferences = {
-      ...user.preferences,
-      ...preferences
-    };
-  }
+  // Update only the provided fields
+  applyProfileUpdate(user, update);
   
   // Save changes
   await user.save();
@@ -53,44 +58,201 @@ exports.updateUserProfile = async (req, res) => {
   return res.status(200).json({ user });
 };
 
+/**
+ * Export everything stored about the user as a JSON or ZIP download
+ */
+exports.exportPersonalData = async (req, res) => {
+  const format = (req.query.format || 'json').toLowerCase();
+  
+  if (!PERSONAL_DATA_FORMATS.includes(format)) {
+    throw ApiError.badRequest(`Export format must be one of: ${PERSONAL_DATA_FORMATS.join(', ')}`);
+  }
+  
+  // Log before collecting so the export itself is part of the activity log
+  await UserActivity.logActivity(
+    req.user._id,
+    'personal_data_exported',
+    { format },
+    req
+  );
+  
+  const data = await collectPersonalData(req.user._id);
+  
+  if (!data) {
+    throw ApiError.notFound('User not found');
+  }
+  
+  res.status(200);
+  res.attachment(`personal_data_${getDateKey()}.${format}`);
+  
+  if (format === 'json') {
+    return res.json(data);
+  }
+  
+  try {
+    await writeZip(data, res);
+  } catch (error) {
+    // Headers are already sent, so the error can only end the download
+    res.destroy(error);
+  }
+};
+
+/**
+ * Delete the user's own account
+ * The account moves to the trash and is purged, with its activity, after a grace period
+ */
+exports.deleteAccount = async (req, res) => {
+  const user = await User.findById(req.user._id);
+  
+  if (!user) {
+    throw ApiError.notFound('User not found');
+  }
+  
+  // Keep at least one admin able to manage the app
+  if (user.role === 'admin' && await User.countDocuments({ role: 'admin' }) <= 1) {
+    throw ApiError.badRequest('Cannot delete the only admin account', 'last_admin');
+  }
+  
+  await user.softDelete(user._id);
+  
+  const purgeAfter = getAccountPurgeDate(user.deletedAt);
+  
+  // Log activity
+  await UserActivity.logActivity(
+    user._id,
+    'account_deleted',
+    { purgeAfter },
+    req
+  );
+  
+  return res.status(200).json({
+    success: true,
+    message: 'Account scheduled for deletion',
+    purgeAfter
+  });
+};
+
+/**
+ * Cancel the deletion of the user's own account during the grace period
+ * Accounts deleted by an admin can only be restored by an admin
+ */
+exports.restoreAccount = async (req, res) => {
+  const user = req.user;
+  
+  if (!isSelfDeleted(user)) {
+    throw ApiError.forbidden('This account was deleted by an administrator', 'account_deleted');
+  }
+  
+  if (getAccountPurgeDate(user.deletedAt) <= new Date()) {
+    throw ApiError.forbidden('The grace period for restoring this account has ended', 'grace_period_ended');
+  }
+  
+  await user.restore();
+  
+  // Log activity
+  await UserActivity.logActivity(
+    user._id,
+    'account_restored',
+    {},
+    req
+  );
+  
+  return res.status(200).json({
+    success: true,
+    message: 'Account deletion cancelled',
+    user
+  });
+};
+
 /**
  * Get user activity history
  */
 exports.getUserActivity = async (req, res) => {
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 10;
-  const skip = (page - 1) * limit;
+  const { items: activities, pagination } = await paginate(
+    UserActivity,
+    { userId: req.user._id },
+    req.query,
+    { sortField: 'timestamp' }
+  );
   
-  const activities = await UserActivity.find({ userId: req.user._id })
-    .sort({ timestamp: -1 })
-    .skip(skip)
-    .limit(limit);
+  return res.status(200).json({
+    activities,
+    pagination
+  });
+};
+
+/**
+ * Get the user's reading streak and a heatmap of the days they read quotes
+ * Days are calendar days in the caller's timezone
+ */
+exports.getStreak = async (req, res) => {
+  const timezone = req.query.tz ||
+    (req.user.preferences && req.user.preferences.timezone) ||
+    'UTC';
   
-  const total = await UserActivity.countDocuments({ userId: req.user._id });
+  if (!isValidTimezone(timezone)) {
+    throw ApiError.badRequest(`Invalid timezone: ${timezone}`, 'invalid_timezone');
+  }
+  
+  const days = req.query.days === undefined ? 365 : Number(req.query.days);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_HEATMAP_DAYS) {
+    throw ApiError.badRequest(`Days must be a whole number from 1 to ${MAX_HEATMAP_DAYS}`);
+  }
+  
+  const activeDays = await UserActivity.getActiveDays(req.user._id, 'quote_viewed', timezone);
+  const today = getDateKey(new Date(), timezone);
   
   return res.status(200).json({
-    activities,
-    pagination: {
-      total,
-      page,
-      limit,
-      pages: Math.ceil(total / limit)
-    }
+    ...calculateStreak(activeDays.map(({ date }) => date), today),
+    today,
+    timezone,
+    heatmap: buildHeatmap(activeDays, addDays(today, 1 - days), today)
   });
 };
 
 /**
- * Get user favorite quotes
+ * Get user favorite quotes, most recently added first
  */
 exports.getFavorites = async (req, res) => {
-  const user = await User.findById(req.user._id).populate('favorites');
+  const user = await User.findById(req.user._id).select('favorites');
   
   if (!user) {
     throw ApiError.notFound('User not found');
   }
   
+  // Quotes in the trash stay in favorites so restoring them brings them back,
+  // but are left out of the list and its count
+  const favorites = user.favorites || [];
+  const available = new Set(
+    (await Quote.distinct('_id', { _id: { $in: favorites } })).map(id => id.toString())
+  );
+  
+  // Favorites are stored in the order they were added
+  const { items: ids, pagination } = paginateList(
+    favorites.filter(id => available.has(id.toString())).reverse(),
+    req.query
+  );
+  
+  return res.status(200).json({
+    favorites: await Quote.findInOrder(ids),
+    pagination
+  });
+};
+
+/**
+ * Check if a quote is in favorites, and which collections it is in
+ */
+exports.checkFavorite = async (req, res) => {
+  const { quoteId } = req.params;
+  
+  const [user, collections] = await Promise.all([
+    User.findOne({ _id: req.user._id, favorites: quoteId }).select('_id'),
+    Collection.find({ userId: req.user._id, 'entries.quoteId': quoteId }).select('name').sort({ position: 1 })
+  ]);
+  
   return res.status(200).json({
-    favorites: user.favorites || []
+    isFavorite: Boolean(user),
+    collections
   });
 };
 
@@ -165,9 +327,10 @@ exports.removeFavorite = async (req, res) => {
     });
   }
   
-  // Remove from favorites
+  // Remove from favorites and the user's collections
   user.favorites = user.favorites.filter(id => id.toString() !== quoteId);
   await user.save();
+  await Collection.pullQuote(user._id, quoteId);
   
   // Log activity
   await UserActivity.logActivity(
@@ -181,4 +344,69 @@ exports.removeFavorite = async (req, res) => {
     message: 'Quote removed from favorites',
     favorites: user.favorites
   });
+};
+
+/**
+ * Submit a quote for moderation
+ */
+exports.submitQuote = async (req, res) => {
+  const { text, author, source, tags } = req.body;
+  
+  // Validate required fields
+  if (!text || !author) {
+    throw ApiError.badRequest('Quote text and author are required');
+  }
+  
+  // Limit how many submissions a user can have waiting for review
+  const maxPending = parseInt(process.env.MAX_PENDING_SUBMISSIONS) || 10;
+  const pending = await Submission.countDocuments({
+    submittedBy: req.user._id,
+    status: 'pending'
+  });
+  
+  if (pending >= maxPending) {
+    throw ApiError.tooManyRequests(
+      `You can have at most ${maxPending} submissions awaiting review`,
+      'submission_limit_reached'
+    );
+  }
+  
+  const submission = await Submission.create({
+    text,
+    author,
+    source,
+    tags: tags || [],
+    submittedBy: req.user._id
+  });
+  
+  // Log activity
+  await UserActivity.logActivity(
+    req.user._id,
+    'quote_submitted',
+    { submissionId: submission._id },
+    req
+  );
+  
+  return res.status(201).json({ submission });
+};
+
+/**
+ * Get the user's own quote submissions and their review status
+ */
+exports.getSubmissions = async (req, res) => {
+  const filter = { submittedBy: req.user._id };
+  
+  // Filter by status if provided
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+  
+  const { items: submissions, pagination } = await paginate(Submission, filter, req.query, {
+    select: '-reviewedBy -__v'
+  });
+  
+  return res.status(200).json({
+    submissions,
+    pagination
+  });
 };
\ No newline at end of file
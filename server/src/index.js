@@ -12,14 +12,30 @@ const authRoutes = require('./routes/auth.routes');
 const quoteRoutes = require('./routes/quote.routes');
 const userRoutes = require('./routes/user.routes');
 const adminRoutes = require('./routes/admin.routes');
+const authorRoutes = require('./routes/author.routes');
+const collectionRoutes = require('./routes/collection.routes');
 
 // Import middleware
 const { errorHandler } = require('./middleware/error.middleware');
 const { authMiddleware } = require('./middleware/auth.middleware');
 
+// Import utilities
+const { schedulePurge } = require('./utils/trash.utils');
+const { scheduleTrendingRefresh } = require('./utils/trending.utils');
+const { runMigrationsOnStart } = require('./utils/migration.utils');
+
 // Initialize Express app
 const app = express();
 
+// Behind a load balancer or reverse proxy, take the client IP from
+// X-Forwarded-For so rate limits and view counts apply per client.
+// TRUST_PROXY is the number of proxies in front of the server, or the
+// addresses or subnets to trust (e.g. "loopback, 10.0.0.0/8")
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy && trustProxy !== 'false') {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
+
 // Set up middleware
 app.use(helmet()); // Security headers
 app.use(compression()); // Compress responses
@@ -52,6 +68,8 @@ app.get('/health', (req, res) => {
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/quotes', quoteRoutes);
+app.use('/api/authors', authorRoutes);
+app.use('/api/collections', collectionRoutes);
 app.use('/api/users', authMiddleware, userRoutes);
 app.use('/api/admin', authMiddleware, adminRoutes);
 
@@ -86,10 +104,22 @@ const connectDB = async () => {
 
 // Start the server
 const PORT = process.env.PORT || 5000;
+const timers = [];
+let server = null;
+
 const startServer = async () => {
   const dbConnected = await connectDB();
   
-  app.listen(PORT, () => {
+  if (dbConnected) {
+    // Bring the database schema up to date before serving requests
+    await runMigrationsOnStart();
+    
+    // Permanently remove items that have been in the trash too long, and
+    // keep the trending quote rankings fresh
+    timers.push(schedulePurge(), scheduleTrendingRefresh());
+  }
+  
+  server = app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
     if (!dbConnected) {
       console.log('Server is running in limited mode without database connection');
@@ -97,11 +127,26 @@ const startServer = async () => {
   });
 };
 
+// Stop the scheduled jobs and let open requests finish before exiting
+const shutdown = async (signal) => {
+  console.log(`${signal} received, shutting down`);
+  timers.forEach(timer => clearInterval(timer));
+  
+  if (server) {
+    await new Promise(resolve => server.close(resolve));
+  }
+  await mongoose.connection.close();
+  process.exit(0);
+};
+
 startServer().catch(err => {
   console.error('Failed to start server:', err);
   process.exit(1);
 });
 
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   console.error('Unhandled Promise Rejection:', err);
@@ -37,6 +37,16 @@ exports.authMiddleware = async (req, res, next) => {
     // Get or create user in our database
     let user = await User.findOne({ firebaseUid: decodedToken.uid });
     
+    // Deleted accounts stay in the trash until purged and can't sign in
+    if (!user && await User.exists({ firebaseUid: decodedToken.uid, deletedAt: { $ne: null } })) {
+      return res.status(403).json({
+        error: {
+          code: 'account_deleted',
+          message: 'This account has been deleted.'
+        }
+      });
+    }
+    
     if (!user) {
       // New user, create in our database
       user = await User.create({
@@ -83,6 +93,67 @@ exports.authMiddleware = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to authenticate a user whose account is in the trash
+ * Lets users who deleted their own account cancel the deletion before it is purged
+ */
+exports.deletedAccountMiddleware = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        error: {
+          code: 'authentication_required',
+          message: 'Authentication required. Please provide a valid token.'
+        }
+      });
+    }
+    
+    const token = authHeader.split('Bearer ')[1];
+    const decodedToken = await admin.auth().verifyIdToken(token);
+    
+    // Deleted users are hidden unless asked for explicitly
+    const user = await User.findOne({ firebaseUid: decodedToken.uid, deletedAt: { $ne: null } });
+    
+    if (!user) {
+      return res.status(404).json({
+        error: {
+          code: 'account_not_deleted',
+          message: 'This account has not been deleted.'
+        }
+      });
+    }
+    
+    req.user = user;
+    
+    next();
+  } catch (error) {
+    console.error('Authentication error:', error);
+    
+    return res.status(401).json({
+      error: {
+        code: 'invalid_token',
+        message: 'Invalid or expired authentication token.'
+      }
+    });
+  }
+};
+
+/**
+ * Middleware to authenticate the user only when a token is provided
+ * Lets public routes personalize responses for signed-in callers
+ */
+exports.optionalAuthMiddleware = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return next();
+  }
+
+  return exports.authMiddleware(req, res, next);
+};
+
 /**
  * Middleware to check if user has admin role
  */
@@ -0,0 +1,29 @@
+const multer = require('multer');
+const { ApiError } = require('./error.middleware');
+
+/**
+ * Accept a single file upload held in memory
+ * The size limit comes from IMPORT_MAX_FILE_MB (default 10)
+ */
+exports.singleFileUpload = (field) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: (parseInt(process.env.IMPORT_MAX_FILE_MB) || 10) * 1024 * 1024,
+      files: 1
+    }
+  }).single(field);
+  
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        const message = err.code === 'LIMIT_FILE_SIZE'
+          ? 'Uploaded file is too large'
+          : `Invalid file upload: ${err.message}`;
+        return next(ApiError.badRequest(message, 'invalid_upload'));
+      }
+      
+      next(err);
+    });
+  };
+};
@@ -0,0 +1,39 @@
+/**
+ * Store the normalized text fingerprint used for duplicate detection on
+ * quotes created before it existed, including quotes in the trash.
+ */
+
+const { normalizeText } = require('../utils/duplicate.utils');
+
+const BATCH_SIZE = 500;
+
+exports.description = 'Add duplicate detection fingerprints to existing quotes';
+
+exports.up = async (db) => {
+  const quotes = db.collection('quotes');
+  const cursor = quotes.find({ fingerprint: { $exists: false } }, { projection: { text: 1 } });
+  
+  let batch = [];
+  
+  for await (const quote of cursor) {
+    batch.push({
+      updateOne: {
+        filter: { _id: quote._id },
+        update: { $set: { fingerprint: normalizeText(quote.text) } }
+      }
+    });
+    
+    if (batch.length >= BATCH_SIZE) {
+      await quotes.bulkWrite(batch);
+      batch = [];
+    }
+  }
+  
+  if (batch.length > 0) {
+    await quotes.bulkWrite(batch);
+  }
+};
+
+exports.down = async (db) => {
+  await db.collection('quotes').updateMany({}, { $unset: { fingerprint: '' } });
+};
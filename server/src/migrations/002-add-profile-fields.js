@@ -0,0 +1,30 @@
+/**
+ * Store the defaults of the new profile preferences on existing users. Users
+ * without a saved theme keep the light theme they had before "system" became
+ * the default.
+ */
+
+exports.description = 'Add profile preference defaults to existing users';
+
+exports.up = async (db) => {
+  const users = db.collection('users');
+  
+  await users.updateMany(
+    { 'preferences.theme': { $exists: false } },
+    { $set: { 'preferences.theme': 'light' } }
+  );
+  await users.updateMany(
+    { 'preferences.language': { $exists: false } },
+    { $set: { 'preferences.language': 'en' } }
+  );
+  await users.updateMany(
+    { 'preferences.quotesPerDay': { $exists: false } },
+    { $set: { 'preferences.quotesPerDay': 1 } }
+  );
+};
+
+// Users may have filled in their profile or picked a theme since, and that
+// can't be told apart from the defaults set here, so there is no safe way back
+exports.down = async () => {
+  throw new Error('Migration 002 can\'t be rolled back without losing profile data users entered');
+};
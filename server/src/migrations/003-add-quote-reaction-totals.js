@@ -0,0 +1,36 @@
+/**
+ * Store empty reaction and rating totals, and the score they give, on
+ * existing quotes so they can be listed by score, including quotes in the
+ * trash.
+ */
+
+const { REACTIONS, calculateScore } = require('../utils/reaction.utils');
+
+exports.description = 'Add reaction and rating totals to existing quotes';
+
+exports.up = async (db) => {
+  await db.collection('quotes').updateMany(
+    { score: { $exists: false } },
+    {
+      $set: {
+        reactions: Object.fromEntries(REACTIONS.map(reaction => [reaction, 0])),
+        reactionCount: 0,
+        ratingCount: 0,
+        ratingAverage: 0,
+        score: calculateScore()
+      }
+    }
+  );
+};
+
+exports.down = async (db) => {
+  await db.collection('quotes').updateMany({}, {
+    $unset: {
+      reactions: '',
+      reactionCount: '',
+      ratingCount: '',
+      ratingAverage: '',
+      score: ''
+    }
+  });
+};
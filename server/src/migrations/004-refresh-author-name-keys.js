@@ -0,0 +1,26 @@
+/**
+ * Work out the name keys of existing authors again now that names in any
+ * script are normalized, so free-text author names keep matching authors
+ * whose names have letters outside a-z. Slugs are left as they are so
+ * author URLs don't change.
+ */
+
+const { normalizeName } = require('../utils/string.utils');
+
+exports.description = 'Refresh author name keys for names outside the Latin alphabet';
+
+exports.up = async (db) => {
+  const authors = db.collection('authors');
+  const cursor = authors.find({}, { projection: { name: 1, aliases: 1 } });
+
+  for await (const author of cursor) {
+    const keys = [author.name, ...(author.aliases || [])]
+      .map(normalizeName)
+      .filter(Boolean);
+
+    await authors.updateOne({ _id: author._id }, { $set: { nameKeys: [...new Set(keys)] } });
+  }
+};
+
+// Name keys are derived from the names, so there is nothing to restore
+exports.down = async () => {};
@@ -0,0 +1,72 @@
+/**
+ * Link existing quotes to authors, including quotes in the trash. Every
+ * distinct free-text author name is matched against author names and aliases
+ * (or a new author is created), then quote counts are recalculated.
+ */
+
+const { ObjectId } = require('mongoose').mongo;
+const { generateSlug, normalizeName } = require('../utils/string.utils');
+
+exports.description = 'Link existing quotes to authors';
+
+/**
+ * Find the author with the given name or alias, creating one if none matches
+ */
+async function resolveAuthor(authors, name) {
+  const key = normalizeName(name);
+  const existing = await authors.findOne({ nameKeys: key });
+
+  if (existing) {
+    return existing;
+  }
+
+  // Fall back to the ID when the name has no letters or digits or its slug is taken
+  const _id = new ObjectId();
+  const slug = generateSlug(name);
+  const slugTaken = slug && await authors.findOne({ slug }, { projection: { _id: 1 } });
+  const now = new Date();
+
+  const author = {
+    _id,
+    name: name.trim(),
+    slug: slug && !slugTaken ? slug : `author-${_id}`,
+    aliases: [],
+    nameKeys: [key],
+    quoteCount: 0,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await authors.insertOne(author);
+  return author;
+}
+
+exports.up = async (db) => {
+  const quotes = db.collection('quotes');
+  const authors = db.collection('authors');
+  const names = await quotes.distinct('author');
+
+  for (const name of names) {
+    if (typeof name !== 'string' || !normalizeName(name)) continue;
+
+    const author = await resolveAuthor(authors, name);
+    await quotes.updateMany(
+      { author: name },
+      { $set: { authorId: author._id, author: author.name } }
+    );
+  }
+
+  // Quote counts leave out quotes in the trash
+  const counts = await quotes.aggregate([
+    { $match: { authorId: { $ne: null }, deletedAt: null } },
+    { $group: { _id: '$authorId', count: { $sum: 1 } } }
+  ]).toArray();
+
+  await authors.updateMany({}, { $set: { quoteCount: 0 } });
+  for (const { _id, count } of counts) {
+    await authors.updateOne({ _id }, { $set: { quoteCount: count } });
+  }
+};
+
+// Authors may have been edited or merged since, so quotes keep their links
+exports.down = async () => {};
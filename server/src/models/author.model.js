@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const Quote = require('./quote.model');
+const User = require('./user.model');
+const { generateSlug, normalizeName } = require('../utils/string.utils');
+
+const authorSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Author name is required'],
+    trim: true,
+    maxlength: [100, 'Author name cannot be more than 100 characters']
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  aliases: [{
+    type: String,
+    trim: true,
+    maxlength: [100, 'Alias cannot be more than 100 characters']
+  }],
+  // Normalized name and aliases, used to match free-text author names
+  nameKeys: [{
+    type: String
+  }],
+  bio: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Bio cannot be more than 1000 characters']
+  },
+  birthYear: {
+    type: Number
+  },
+  deathYear: {
+    type: Number,
+    validate: {
+      validator: function(value) {
+        return value === null || value === undefined || !this.birthYear || value >= this.birthYear;
+      },
+      message: 'Death year cannot be before birth year'
+    }
+  },
+  quoteCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Create index on name keys for alias lookups
+authorSchema.index({ nameKeys: 1 });
+
+// Create index for listing authors by popularity
+authorSchema.index({ quoteCount: -1, name: 1 });
+
+// Keep slug and name keys in sync with the name and aliases
+authorSchema.pre('validate', function(next) {
+  if (!this.slug) {
+    // Fall back to the ID for names with no letters or digits to slug
+    this.slug = generateSlug(this.name) || `author-${this._id}`;
+  }
+
+  const keys = [this.name, ...(this.aliases || [])]
+    .map(normalizeName)
+    .filter(Boolean);
+  this.nameKeys = [...new Set(keys)];
+
+  next();
+});
+
+// Static method to find an author by canonical name or alias
+authorSchema.statics.findByName = function(name) {
+  return this.findOne({ nameKeys: normalizeName(name) });
+};
+
+// Static method to find an author by name, creating one if none matches
+authorSchema.statics.resolve = async function(name) {
+  const existing = await this.findByName(name);
+
+  if (existing) {
+    return existing;
+  }
+
+  try {
+    return await this.create({ name });
+  } catch (error) {
+    // Another request created the same author first
+    if (error.code === 11000) {
+      const author = await this.findByName(name);
+      if (author) return author;
+    }
+    throw error;
+  }
+};
+
+// Static method to recalculate quote counts for a set of authors
+authorSchema.statics.updateQuoteCounts = async function(authorIds) {
+  const ids = [...new Set(authorIds.filter(Boolean).map(id => id.toString()))];
+
+  for (const id of ids) {
+    const quoteCount = await Quote.countDocuments({ authorId: id });
+    await this.updateOne({ _id: id }, { quoteCount });
+  }
+};
+
+// Static method to merge duplicate authors into a target author
+// Source names become aliases of the target and their quotes and followers move over
+authorSchema.statics.merge = async function(sourceIds, target, editedBy) {
+  const sources = await this.find({
+    _id: { $in: sourceIds, $ne: target._id }
+  });
+
+  if (sources.length === 0) {
+    return 0;
+  }
+
+  const ids = sources.map(source => source._id);
+
+  const quotesUpdated = await Quote.updateTracked(
+    { authorId: { $in: ids } },
+    { authorId: target._id, author: target.name },
+    () => ({ author: target.name }),
+    editedBy
+  );
+
+  const aliases = new Set(target.aliases);
+  for (const source of sources) {
+    [source.name, ...source.aliases].forEach(alias => aliases.add(alias));
+  }
+  aliases.delete(target.name);
+
+  // Followers of the merged authors follow the target instead
+  const followers = { 'following.authors': { $in: ids } };
+  await User.updateMany(followers, { $addToSet: { 'following.authors': target._id } });
+  await User.updateMany(followers, { $pull: { 'following.authors': { $in: ids } } });
+
+  await this.deleteMany({ _id: { $in: ids } });
+
+  target.aliases = [...aliases];
+  await target.save();
+  await this.updateQuoteCounts([target._id]);
+
+  return quotesUpdated;
+};
+
+const Author = mongoose.model('Author', authorSchema);
+
+module.exports = Author;
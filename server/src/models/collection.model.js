@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const CollectionView = require('./collectionView.model');
+const { getViewWindowMs } = require('../utils/view.utils');
+
+// Compare collection names without regard to case
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+// Private collections are only visible to their owner. Unlisted ones can be
+// opened by anyone with the share link, and public ones are also listed
+const VISIBILITIES = ['private', 'unlisted', 'public'];
+
+// Times to draw a new share slug if the first one is already taken
+const MAX_SLUG_ATTEMPTS = 3;
+
+/**
+ * A quote in a collection, ordered by position
+ */
+const entrySchema = new mongoose.Schema({
+  quoteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quote',
+    required: true
+  },
+  position: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot be more than 500 characters']
+  }
+}, {
+  _id: false
+});
+
+/**
+ * A named folder a user sorts their favorite quotes into
+ * A quote can be in any number of the user's collections
+ */
+const collectionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Collection name is required'],
+    trim: true,
+    maxlength: [100, 'Collection name cannot be more than 100 characters']
+  },
+  // Order of the collection among the user's collections
+  position: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  entries: [entrySchema],
+  visibility: {
+    type: String,
+    enum: {
+      values: VISIBILITIES,
+      message: `Visibility must be one of: ${VISIBILITIES.join(', ')}`
+    },
+    default: 'private'
+  },
+  // Short random slug of the share link, unset while the collection is private
+  slug: {
+    type: String
+  },
+  sharedAt: {
+    type: Date
+  },
+  // Number of times the share link was opened
+  views: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Create index for listing a user's collections in order
+collectionSchema.index({ userId: 1, position: 1 });
+
+// Create unique index so a user's collection names don't repeat, ignoring case
+collectionSchema.index({ userId: 1, name: 1 }, { unique: true, collation: NAME_COLLATION });
+
+// Create index for finding the collections a quote is in
+collectionSchema.index({ 'entries.quoteId': 1 });
+
+// Create unique index for opening share links
+collectionSchema.index({ slug: 1 }, { unique: true, sparse: true });
+
+// Create index matching the public collections list sort order
+collectionSchema.index({ visibility: 1, sharedAt: -1, _id: -1 });
+
+/**
+ * Draw a short URL-safe slug for a share link
+ */
+function generateShareSlug() {
+  return crypto.randomBytes(6).toString('base64url');
+}
+
+/**
+ * Move an item of a list ordered by position to a new index and number the list from 0
+ * Positions past the end move the item to the end
+ */
+function moveItem(items, item, position) {
+  const ordered = [...items].sort((a, b) => a.position - b.position).filter(other => other !== item);
+  const index = Math.min(Math.max(position, 0), ordered.length);
+  
+  ordered.splice(index, 0, item);
+  ordered.forEach((other, i) => {
+    other.position = i;
+  });
+  
+  return ordered;
+}
+
+// Method to find the entry of a quote
+collectionSchema.methods.findEntry = function(quoteId) {
+  return this.entries.find(entry => entry.quoteId.toString() === quoteId.toString());
+};
+
+// Method to add a quote, at the end unless a position is given
+collectionSchema.methods.addEntry = function(quoteId, { note, position } = {}) {
+  const entry = { quoteId, position: this.entries.length, addedAt: new Date(), note };
+  
+  this.entries = moveItem(this.entries, entry, position === undefined ? this.entries.length : position);
+  
+  return this.findEntry(quoteId);
+};
+
+// Method to move a quote to a new position
+collectionSchema.methods.moveEntry = function(quoteId, position) {
+  this.entries = moveItem(this.entries, this.findEntry(quoteId), position);
+};
+
+// Method to remove quotes, closing the gaps they leave
+collectionSchema.methods.removeQuotes = function(quoteIds) {
+  const ids = quoteIds.map(id => id.toString());
+  
+  this.entries = this.entries
+    .filter(entry => !ids.includes(entry.quoteId.toString()))
+    .sort((a, b) => a.position - b.position)
+    .map((entry, i) => Object.assign(entry, { position: i }));
+};
+
+// Method to share the collection as unlisted or public, keeping the link it
+// already has; resolves once saved
+collectionSchema.methods.share = async function(visibility) {
+  const hasSlug = Boolean(this.slug);
+  
+  this.visibility = visibility;
+  if (!hasSlug) {
+    this.sharedAt = new Date();
+  }
+  
+  for (let attempt = 1; ; attempt++) {
+    if (!hasSlug) {
+      this.slug = generateShareSlug();
+    }
+    
+    try {
+      return await this.save();
+    } catch (error) {
+      // Another collection drew the same slug first
+      if (hasSlug || error.code !== 11000 || attempt >= MAX_SLUG_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Method to make the collection private again
+// The share link stops working, and sharing again creates a new one
+collectionSchema.methods.unshare = function() {
+  this.visibility = 'private';
+  this.slug = undefined;
+  this.sharedAt = undefined;
+  
+  return this.save();
+};
+
+// Method to count a view of the share link
+// Each viewer (e.g. `user:<id>` or `ip:<address>`) is counted once per
+// VIEW_DEDUP_WINDOW_MINUTES; resolves to whether the view was counted
+collectionSchema.methods.incrementViews = async function(viewer) {
+  const isNewView = await CollectionView.register(this._id, viewer, getViewWindowMs());
+  
+  if (!isNewView) {
+    return false;
+  }
+  
+  // Atomic update so concurrent views aren't lost
+  await this.constructor.updateOne({ _id: this._id }, { $inc: { views: 1 } });
+  
+  this.views += 1;
+  return true;
+};
+
+// Static method to find one of a user's collections by name, ignoring case
+collectionSchema.statics.findByName = function(userId, name) {
+  return this.findOne({ userId, name: String(name || '').trim() }).collation(NAME_COLLATION);
+};
+
+// Static method to take a quote out of all of a user's collections
+collectionSchema.statics.pullQuote = async function(userId, quoteId) {
+  const collections = await this.find({ userId, 'entries.quoteId': quoteId });
+  
+  for (const collection of collections) {
+    collection.removeQuotes([quoteId]);
+    await collection.save();
+  }
+};
+
+// Static method to move one of a user's collections to a new position
+// The user's collections are numbered from 0 again; resolves to them in order
+collectionSchema.statics.moveCollection = async function(userId, collectionId, position) {
+  const collections = await this.find({ userId }).select('position').sort({ position: 1, createdAt: 1 });
+  const collection = collections.find(other => other._id.equals(collectionId));
+  const ordered = moveItem(collections, collection, position);
+  
+  await this.bulkWrite(ordered.map(other => ({
+    updateOne: { filter: { _id: other._id }, update: { $set: { position: other.position } } }
+  })));
+  
+  return ordered;
+};
+
+// Static method to replace quotes with another in every collection
+// Used when duplicate quotes are merged; a collection without the target
+// keeps the first of the merged entries in its place
+collectionSchema.statics.replaceQuotes = async function(quoteIds, targetId) {
+  const ids = quoteIds.map(id => id.toString());
+  const collections = await this.find({ 'entries.quoteId': { $in: quoteIds } });
+  
+  for (const collection of collections) {
+    if (!collection.findEntry(targetId)) {
+      const first = collection.entries
+        .filter(entry => ids.includes(entry.quoteId.toString()))
+        .sort((a, b) => a.position - b.position)[0];
+      first.quoteId = targetId;
+    }
+    
+    collection.removeQuotes(ids);
+    await collection.save();
+  }
+  
+  return collections.length;
+};
+
+const Collection = mongoose.model('Collection', collectionSchema);
+
+module.exports = Collection;
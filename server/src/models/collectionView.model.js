@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+const viewMarkerPlugin = require('./viewMarker.plugin');
+
+/**
+ * Marks that a viewer (user or IP) has been counted for a shared collection
+ * until `expiresAt`, so refreshes inside the window don't add views
+ */
+const collectionViewSchema = new mongoose.Schema({});
+
+collectionViewSchema.plugin(viewMarkerPlugin, { field: 'collectionId', ref: 'Collection' });
+
+const CollectionView = mongoose.model('CollectionView', collectionViewSchema);
+
+module.exports = CollectionView;
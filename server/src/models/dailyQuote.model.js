@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Quote = require('./quote.model');
+const { addDays } = require('../utils/date.utils');
+
+const dailyQuoteSchema = new mongoose.Schema({
+  date: {
+    type: String,
+    required: [true, 'Date is required'],
+    unique: true,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format']
+  },
+  quoteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quote',
+    required: true
+  },
+  pinned: {
+    type: Boolean,
+    default: false
+  },
+  pinnedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Derive a stable index for a date so every server picks the same quote
+ */
+function dateSeed(date, count) {
+  const hash = crypto.createHash('sha256').update(date).digest('hex');
+  return parseInt(hash.slice(0, 8), 16) % count;
+}
+
+// Static method to get (or assign) the quote for a calendar day
+dailyQuoteSchema.statics.getForDate = async function(date, repeatWindowDays = 30) {
+  let entry = await this.findOne({ date });
+
+  if (!entry) {
+    // Skip quotes already used within the repeat window, and quotes pinned
+    // to a later day so they aren't shown just before their day
+    const recentQuoteIds = await this.find({
+      date: { $gte: addDays(date, -repeatWindowDays), $lt: date }
+    }).distinct('quoteId');
+    const upcomingQuoteIds = await this.find({
+      date: { $gt: date },
+      pinned: true
+    }).distinct('quoteId');
+
+    let filter = { _id: { $nin: [...recentQuoteIds, ...upcomingQuoteIds] } };
+    let count = await Quote.countDocuments(filter);
+
+    // Every quote was used recently or is pinned, allow repeats
+    if (count === 0) {
+      filter = {};
+      count = await Quote.countDocuments(filter);
+    }
+
+    if (count === 0) {
+      return null;
+    }
+
+    const candidate = await Quote.findOne(filter)
+      .sort({ _id: 1 })
+      .skip(dateSeed(date, count))
+      .select('_id');
+
+    try {
+      entry = await this.create({ date, quoteId: candidate._id });
+    } catch (error) {
+      // Another request assigned this day first, use its choice
+      if (error.code !== 11000) {
+        throw error;
+      }
+      entry = await this.findOne({ date });
+    }
+  }
+
+  const quote = await Quote.findById(entry.quoteId);
+
+  // The chosen quote was deleted since, pick another one for the day
+  if (!quote) {
+    await this.deleteOne({ _id: entry._id });
+    return this.getForDate(date, repeatWindowDays);
+  }
+
+  return quote;
+};
+
+// Static method to pin a quote to a calendar day
+dailyQuoteSchema.statics.pin = function(date, quoteId, userId) {
+  return this.findOneAndUpdate(
+    { date },
+    { quoteId, pinned: true, pinnedBy: userId },
+    { new: true, upsert: true, runValidators: true }
+  );
+};
+
+const DailyQuote = mongoose.model('DailyQuote', dailyQuoteSchema);
+
+module.exports = DailyQuote;
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// One document per applied migration
+const migrationSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  appliedAt: {
+    type: Date,
+    default: Date.now
+  },
+  durationMs: {
+    type: Number
+  }
+});
+
+const Migration = mongoose.model('Migration', migrationSchema);
+
+module.exports = Migration;
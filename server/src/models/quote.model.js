@@ -1,4 +1,20 @@
 const mongoose = require('mongoose');
+const QuoteView = require('./quoteView.model');
+const QuoteViewBucket = require('./quoteViewBucket.model');
+const User = require('./user.model');
+const Collection = require('./collection.model');
+const QuoteRevision = require('./quoteRevision.model');
+const softDeletePlugin = require('./softDelete.plugin');
+const { escapeRegex } = require('../utils/query.utils');
+const { normalizeText, similarity, getSimilarityThreshold } = require('../utils/duplicate.utils');
+const { REACTIONS, calculateScore } = require('../utils/reaction.utils');
+const { getViewWindowMs } = require('../utils/view.utils');
+
+// Near-duplicate candidates fetched from the text index before scoring
+const DUPLICATE_CANDIDATES = 20;
+
+// Quotes sampled at random before a filter is applied to them
+const RANDOM_SAMPLE_SIZE = 20;
 
 const quoteSchema = new mongoose.Schema({
   text: {
@@ -13,6 +29,11 @@ const quoteSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Author name cannot be more than 100 characters']
   },
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Author',
+    index: true
+  },
   source: {
     type: String,
     trim: true,
@@ -26,6 +47,41 @@ const quoteSchema = new mongoose.Schema({
   views: {
     type: Number,
     default: 0
+  },
+  // Reaction and rating totals, kept up to date from QuoteReaction
+  reactions: Object.fromEntries(REACTIONS.map(reaction => [reaction, { type: Number, default: 0 }])),
+  reactionCount: {
+    type: Number,
+    default: 0
+  },
+  ratingCount: {
+    type: Number,
+    default: 0
+  },
+  ratingAverage: {
+    type: Number,
+    default: 0
+  },
+  score: {
+    type: Number,
+    default: () => calculateScore()
+  },
+  // User whose submission became this quote
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // ID of the quote in an external source, used to update it on re-import
+  externalId: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'External ID cannot be more than 100 characters']
+  },
+  // Normalized text used to find exact duplicates
+  fingerprint: {
+    type: String,
+    index: true,
+    select: false
   }
 }, {
   timestamps: true
@@ -37,17 +93,440 @@ quoteSchema.index({ text: 'text', author: 'text' });
 // Create index on tags for faster filtering
 quoteSchema.index({ tags: 1 });
 
-// Static method to get a random quote
-quoteSchema.statics.getRandom = async function() {
-  const count = await this.countDocuments();
-  const random = Math.floor(Math.random() * count);
-  return this.findOne().skip(random);
+// Create indexes matching the paginated list sort order
+quoteSchema.index({ createdAt: -1, _id: -1 });
+quoteSchema.index({ tags: 1, createdAt: -1, _id: -1 });
+
+// Create index matching the popular quotes sort order of the feed
+quoteSchema.index({ views: -1, _id: -1 });
+
+// Create index matching the top quotes sort order
+quoteSchema.index({ score: -1, _id: -1 });
+
+// Create unique index so each external ID maps to one quote
+quoteSchema.index({ externalId: 1 }, { unique: true, sparse: true });
+
+// Deleted quotes go to the trash and are hidden from queries
+quoteSchema.plugin(softDeletePlugin);
+
+// Keep the duplicate fingerprint in sync with the text
+quoteSchema.pre('validate', function() {
+  if (this.isModified('text') || !this.fingerprint) {
+    this.fingerprint = normalizeText(this.text);
+  }
+});
+
+// Link the quote to its Author, using the canonical spelling of the name
+quoteSchema.pre('save', async function() {
+  this.$locals.authorChanged = false;
+  
+  // Deleted quotes don't count towards their author
+  this.$locals.deletedChanged = !this.isNew && this.isModified('deletedAt');
+  
+  if (!this.isModified('author') && this.authorId) {
+    return;
+  }
+  
+  // Required here to avoid a circular import with the author model
+  const Author = require('./author.model');
+  const author = await Author.resolve(this.author);
+  
+  this.$locals.authorChanged = true;
+  this.$locals.previousAuthorId = this.authorId;
+  this.authorId = author._id;
+  this.author = author.name;
+});
+
+// Keep author quote counts up to date
+quoteSchema.post('save', async function() {
+  if (!this.$locals.authorChanged && !this.$locals.deletedChanged) {
+    return;
+  }
+  
+  const Author = require('./author.model');
+  await Author.updateQuoteCounts([this.authorId, this.$locals.previousAuthorId]);
+});
+
+quoteSchema.post('findOneAndDelete', async function(quote) {
+  if (quote && quote.authorId) {
+    const Author = require('./author.model');
+    await Author.updateQuoteCounts([quote.authorId]);
+  }
+});
+
+// Static method to get a random quote, optionally matching a filter
+// Uses $sample pipelines instead of count + skip
+quoteSchema.statics.getRandom = async function(filter = {}) {
+  // Aggregation stages aren't cast against the schema, so cast the filter first
+  const match = { ...this.find().cast(this, filter), deletedAt: null };
+  
+  // MongoDB only picks random documents without scanning the collection when
+  // $sample is the first stage, so sample a few quotes and keep one that
+  // matches. The soft delete hook would put its $match first, so deleted
+  // quotes are left out by the match instead. Aggregation ignores
+  // select: false, so the fingerprint is projected out by hand
+  let [quote] = await this.aggregate([
+    { $sample: { size: RANDOM_SAMPLE_SIZE } },
+    { $match: match },
+    { $limit: 1 },
+    { $project: { fingerprint: 0 } }
+  ]).option({ withDeleted: true });
+  
+  // Narrow filters rarely match the sample, so find their matches first
+  if (!quote) {
+    [quote] = await this.aggregate([
+      { $match: match },
+      { $sample: { size: 1 } },
+      { $project: { fingerprint: 0 } }
+    ]);
+  }
+  
+  // Return a full document so callers can use instance methods
+  return quote ? this.hydrate(quote) : null;
+};
+
+// Static method to find quotes by ID, keeping the order of the IDs
+// Quotes in the trash are left out
+quoteSchema.statics.findInOrder = async function(ids, select) {
+  let query = this.find({ _id: { $in: ids } });
+  if (select) query = query.select(select);
+  
+  const quotes = new Map((await query).map(quote => [quote._id.toString(), quote]));
+  
+  return ids.map(id => quotes.get(id.toString())).filter(Boolean);
+};
+
+// Static method for full-text search ranked by relevance
+// Returns one page of results plus tag and author facet counts for all matches
+quoteSchema.statics.search = async function(search, filter = {}, options = {}) {
+  const { skip = 0, limit = 10, facetLimit = 20 } = options;
+  
+  // Aggregation stages aren't cast against the schema, so cast the filter first
+  const match = this.find().cast(this, { ...filter, $text: { $search: search } });
+  
+  const [result] = await this.aggregate([
+    { $match: match },
+    // Named so it doesn't replace the stored reaction score
+    { $addFields: { relevance: { $meta: 'textScore' } } },
+    {
+      $facet: {
+        quotes: [
+          { $sort: { relevance: -1, _id: 1 } },
+          { $skip: skip },
+          { $limit: limit },
+          { $project: { fingerprint: 0 } }
+        ],
+        total: [
+          { $count: 'count' }
+        ],
+        tags: [
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: facetLimit },
+          { $project: { _id: 0, tag: '$_id', count: 1 } }
+        ],
+        authors: [
+          { $group: { _id: '$authorId', author: { $first: '$author' }, count: { $sum: 1 } } },
+          { $sort: { count: -1, author: 1 } },
+          { $limit: facetLimit },
+          { $project: { _id: 0, authorId: '$_id', author: 1, count: 1 } }
+        ]
+      }
+    }
+  ]);
+  
+  return {
+    quotes: result.quotes,
+    total: result.total.length > 0 ? result.total[0].count : 0,
+    facets: {
+      tags: result.tags,
+      authors: result.authors
+    }
+  };
+};
+
+// Static method to find quotes that duplicate or nearly duplicate the given text
+// Resolves to [{ quote, score, exact }] with the closest matches first
+quoteSchema.statics.findDuplicates = async function(text, options = {}) {
+  const { limit = 5, exclude = null } = options;
+  const fingerprint = normalizeText(text);
+  
+  if (!fingerprint) {
+    return [];
+  }
+  
+  const filter = exclude ? { _id: { $ne: exclude } } : {};
+  
+  const exact = await this.find({ ...filter, fingerprint }).limit(limit);
+  if (exact.length > 0) {
+    return exact.map(quote => ({ quote, score: 1, exact: true }));
+  }
+  
+  return this.findNearDuplicates(text, options);
+};
+
+// Static method to find quotes that nearly duplicate the given text, for
+// callers that already checked for exact duplicates
+// Resolves to [{ quote, score, exact }] with the closest matches first
+quoteSchema.statics.findNearDuplicates = async function(text, options = {}) {
+  const { threshold = getSimilarityThreshold(), limit = 5, exclude = null } = options;
+  const fingerprint = normalizeText(text);
+  
+  if (!fingerprint) {
+    return [];
+  }
+  
+  const filter = exclude ? { _id: { $ne: exclude } } : {};
+  
+  // Use the text index to narrow down candidates before scoring them
+  const candidates = await this.find(
+    { ...filter, $text: { $search: fingerprint } },
+    { relevance: { $meta: 'textScore' } }
+  )
+    .sort({ relevance: { $meta: 'textScore' } })
+    .limit(DUPLICATE_CANDIDATES);
+  
+  return candidates
+    .map(quote => ({ quote, score: similarity(text, quote.text), exact: false }))
+    .filter(match => match.score >= threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(match => ({ ...match, score: Math.round(match.score * 1000) / 1000 }));
+};
+
+// Static method to group quotes with the same fingerprint into clusters of
+// exact duplicates, largest first. Resolves to { clusters, total }
+quoteSchema.statics.getExactDuplicates = async function({ skip = 0, limit = 50 } = {}) {
+  const [result] = await this.aggregate([
+    { $match: { fingerprint: { $nin: [null, ''] } } },
+    {
+      $group: {
+        _id: '$fingerprint',
+        count: { $sum: 1 },
+        quotes: {
+          $push: {
+            _id: '$_id',
+            text: '$text',
+            author: '$author',
+            authorId: '$authorId',
+            tags: '$tags',
+            views: '$views',
+            createdAt: '$createdAt'
+          }
+        }
+      }
+    },
+    { $match: { count: { $gt: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    {
+      $facet: {
+        clusters: [{ $skip: skip }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]).allowDiskUse(true);
+  
+  return {
+    clusters: result.clusters.map(cluster => ({ quotes: cluster.quotes, exact: true, score: 1 })),
+    total: result.total.length > 0 ? result.total[0].count : 0
+  };
+};
+
+// Static method to list authors with more than one quote, most quotes first
+// Resolves to { authorIds, total }
+quoteSchema.statics.getAuthorsWithManyQuotes = async function({ skip = 0, limit = 50 } = {}) {
+  const [result] = await this.aggregate([
+    { $match: { authorId: { $ne: null } } },
+    { $group: { _id: '$authorId', count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    {
+      $facet: {
+        authors: [{ $skip: skip }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]).allowDiskUse(true);
+  
+  return {
+    authorIds: result.authors.map(author => author._id),
+    total: result.total.length > 0 ? result.total[0].count : 0
+  };
+};
+
+// Static method to insert many quotes at once, linking each to its Author
+// A failed insert doesn't stop the rest; resolves to the inserted quotes and
+// the index and error message of each quote that failed
+quoteSchema.statics.insertBatch = async function(docs) {
+  const Author = require('./author.model');
+  
+  // Resolve each distinct author name once per batch
+  const authors = new Map();
+  for (const name of new Set(docs.map(doc => doc.author))) {
+    authors.set(name, await Author.resolve(name));
+  }
+  
+  const prepared = docs.map(doc => {
+    const author = authors.get(doc.author);
+    return { ...doc, author: author.name, authorId: author._id };
+  });
+  
+  let inserted;
+  let failed = [];
+  
+  try {
+    inserted = await this.insertMany(prepared, { ordered: false });
+  } catch (error) {
+    if (!error.writeErrors) {
+      throw error;
+    }
+    
+    inserted = error.insertedDocs || [];
+    failed = error.writeErrors.map(writeError => ({
+      index: writeError.index,
+      message: (writeError.err || writeError).code === 11000
+        ? 'A quote with this external ID already exists'
+        : 'Could not insert quote'
+    }));
+  }
+  
+  await Author.updateQuoteCounts([...authors.values()].map(author => author._id));
+  
+  return { inserted, failed };
+};
+
+// Static method to merge duplicate quotes into a target quote
+// Favorites, collection entries, reactions and tags move to the target, views
+// are added up and the duplicates go to the trash; resolves to the updated target
+quoteSchema.statics.mergeDuplicates = async function(target, sources, userId) {
+  const ids = sources.map(source => source._id);
+  
+  const filter = { favorites: { $in: ids } };
+  await User.updateMany(filter, { $addToSet: { favorites: target._id } });
+  await User.updateMany(filter, { $pull: { favorites: { $in: ids } } });
+  await Collection.replaceQuotes(ids, target._id);
+  
+  // Required here to avoid a circular import with the reaction model
+  const QuoteReaction = require('./quoteReaction.model');
+  await QuoteReaction.mergeQuotes(ids, target._id);
+  
+  const previous = QuoteRevision.snapshot(target);
+  target.tags = [...new Set([...target.tags, ...sources.flatMap(source => source.tags)])];
+  target.views += sources.reduce((sum, source) => sum + source.views, 0);
+  await target.save();
+  await QuoteRevision.record(target, userId, 'updated', previous);
+  
+  for (const source of sources) {
+    await source.softDelete(userId);
+  }
+  
+  return target;
+};
+
+// Static method to list tags with the number of quotes using each
+quoteSchema.statics.getTagCounts = function(prefix = '', limit = 100) {
+  const pipeline = [
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } }
+  ];
+  
+  if (prefix) {
+    pipeline.push({ $match: { _id: { $regex: `^${escapeRegex(prefix.toLowerCase())}` } } });
+  }
+  
+  pipeline.push(
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { _id: 0, tag: '$_id', count: 1 } }
+  );
+  
+  return this.aggregate(pipeline);
+};
+
+// Static method to apply updates to every quote matching a filter, including
+// quotes in the trash, and record a revision of each
+// `change` gets a quote's tracked fields and returns them as the updates
+// leave them. Resolves to the number of quotes updated
+quoteSchema.statics.updateTracked = async function(filter, updates, change, editedBy) {
+  const quotes = await this.find(filter)
+    .setOptions({ withDeleted: true })
+    .select('text author source tags createdAt')
+    .lean();
+  
+  if (quotes.length === 0) {
+    return 0;
+  }
+  
+  // Only update the quotes read above, so each one gets its revision
+  const ids = quotes.map(quote => quote._id);
+  for (const update of [].concat(updates)) {
+    await this.updateMany({ _id: { $in: ids } }, update);
+  }
+  
+  for (const quote of quotes) {
+    const previous = QuoteRevision.snapshot(quote);
+    const changed = { ...quote, ...change(QuoteRevision.snapshot(quote)) };
+    await QuoteRevision.record(changed, editedBy, 'updated', previous);
+  }
+  
+  return quotes.length;
+};
+
+// Static method to replace one or more tags with a target tag on every quote
+// Resolves to the number of quotes that had one of the source tags
+quoteSchema.statics.mergeTags = async function(sources, target, editedBy) {
+  const tags = sources.filter(tag => tag !== target);
+  
+  // Add the target first so quotes that already have it don't get duplicates
+  const count = await this.updateTracked(
+    { tags: { $in: tags } },
+    [{ $addToSet: { tags: target } }, { $pull: { tags: { $in: tags } } }],
+    snapshot => ({
+      tags: [...new Set([...snapshot.tags, target])].filter(tag => !tags.includes(tag))
+    }),
+    editedBy
+  );
+  
+  // Followers of the merged tags follow the target instead
+  const followers = { 'following.tags': { $in: tags } };
+  await User.updateMany(followers, { $addToSet: { 'following.tags': target } });
+  await User.updateMany(followers, { $pull: { 'following.tags': { $in: tags } } });
+  
+  return count;
+};
+
+// Static method to remove a tag from every quote and from the tags users follow
+quoteSchema.statics.removeTag = async function(tag, editedBy) {
+  const count = await this.updateTracked(
+    { tags: tag },
+    { $pull: { tags: tag } },
+    snapshot => ({ tags: snapshot.tags.filter(existing => existing !== tag) }),
+    editedBy
+  );
+  
+  await User.updateMany({ 'following.tags': tag }, { $pull: { 'following.tags': tag } });
+  return count;
 };
 
 // Method to increment view count
-quoteSchema.methods.incrementViews = async function() {
+// Pass a viewer key (e.g. `user:<id>` or `ip:<address>`) to count each viewer
+// once per VIEW_DEDUP_WINDOW_MINUTES; resolves to whether the view was counted
+quoteSchema.methods.incrementViews = async function(viewer = null) {
+  if (viewer) {
+    const isNewView = await QuoteView.register(this._id, viewer, getViewWindowMs());
+    
+    if (!isNewView) {
+      return false;
+    }
+  }
+  
+  // Atomic update so concurrent views aren't lost
+  await this.constructor.updateOne({ _id: this._id }, { $inc: { views: 1 } });
+  await QuoteViewBucket.increment(this._id);
+  
   this.views += 1;
-  return this.save();
+  return true;
 };
 
 const Quote = mongoose.model('Quote', quoteSchema);
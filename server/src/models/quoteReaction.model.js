@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const Quote = require('./quote.model');
+const { REACTIONS, MIN_RATING, MAX_RATING, calculateScore } = require('../utils/reaction.utils');
+
+/**
+ * A user's reaction to and rating of a quote
+ * Each user has one of these per quote, holding at most one reaction and one rating
+ */
+const quoteReactionSchema = new mongoose.Schema({
+  quoteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quote',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reaction: {
+    type: String,
+    enum: {
+      values: REACTIONS,
+      message: `Reaction must be one of: ${REACTIONS.join(', ')}`
+    }
+  },
+  rating: {
+    type: Number,
+    min: [MIN_RATING, `Rating must be at least ${MIN_RATING}`],
+    max: [MAX_RATING, `Rating cannot be more than ${MAX_RATING}`],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be a whole number'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Create unique index so each user reacts to and rates a quote once
+quoteReactionSchema.index({ quoteId: 1, userId: 1 }, { unique: true });
+
+// Create index for listing a user's reactions
+quoteReactionSchema.index({ userId: 1, updatedAt: -1 });
+
+// Static method to set or clear the user's reaction or rating of a quote
+// Undefined fields are left as they are and null clears a field; a reaction
+// left without both is removed. Resolves to the reaction, or null if removed
+quoteReactionSchema.statics.setForUser = async function(quoteId, userId, { reaction, rating }) {
+  const reactionDoc = await this.findOne({ quoteId, userId }) || new this({ quoteId, userId });
+
+  if (reaction !== undefined) reactionDoc.reaction = reaction === null ? undefined : reaction;
+  if (rating !== undefined) reactionDoc.rating = rating === null ? undefined : rating;
+
+  if (!reactionDoc.reaction && reactionDoc.rating === undefined) {
+    if (!reactionDoc.isNew) {
+      await this.deleteOne({ _id: reactionDoc._id });
+    }
+    return null;
+  }
+
+  try {
+    await reactionDoc.save();
+  } catch (error) {
+    // The user's first reaction to the quote raced another request; apply to that one
+    if (error.code === 11000 && reactionDoc.isNew) {
+      return this.setForUser(quoteId, userId, { reaction, rating });
+    }
+    throw error;
+  }
+
+  return reactionDoc;
+};
+
+// Static method to recalculate the reaction and rating totals and score of quotes
+quoteReactionSchema.statics.updateQuoteStats = async function(quoteIds) {
+  const ids = [...new Set(quoteIds.filter(Boolean).map(id => id.toString()))]
+    .map(id => new mongoose.Types.ObjectId(id));
+
+  const stats = await this.aggregate([
+    { $match: { quoteId: { $in: ids } } },
+    {
+      $group: {
+        _id: '$quoteId',
+        ratingCount: { $sum: { $cond: [{ $gt: ['$rating', null] }, 1, 0] } },
+        ratingAverage: { $avg: '$rating' },
+        ...Object.fromEntries(REACTIONS.map(reaction => [
+          reaction,
+          { $sum: { $cond: [{ $eq: ['$reaction', reaction] }, 1, 0] } }
+        ]))
+      }
+    }
+  ]);
+  const statsById = new Map(stats.map(stat => [stat._id.toString(), stat]));
+
+  for (const id of ids) {
+    const stat = statsById.get(id.toString()) || {};
+    const reactions = Object.fromEntries(REACTIONS.map(reaction => [reaction, stat[reaction] || 0]));
+    const totals = {
+      reactionCount: Object.values(reactions).reduce((sum, count) => sum + count, 0),
+      ratingCount: stat.ratingCount || 0,
+      ratingAverage: Math.round((stat.ratingAverage || 0) * 100) / 100
+    };
+
+    await Quote.updateOne({ _id: id }, { reactions, ...totals, score: calculateScore(totals) });
+  }
+};
+
+// Static method to move reactions from quotes merged into a target quote
+// Users who already reacted to the target keep that; otherwise their most
+// recent reaction to one of the merged quotes moves over
+quoteReactionSchema.statics.mergeQuotes = async function(sourceIds, targetId) {
+  const reactions = await this.find({ quoteId: { $in: sourceIds } }).sort({ updatedAt: -1 });
+  const users = new Set((await this.find({ quoteId: targetId }).distinct('userId')).map(id => id.toString()));
+
+  for (const reaction of reactions) {
+    if (users.has(reaction.userId.toString())) {
+      await this.deleteOne({ _id: reaction._id });
+    } else {
+      users.add(reaction.userId.toString());
+      reaction.quoteId = targetId;
+      await reaction.save();
+    }
+  }
+
+  await this.updateQuoteStats([targetId, ...sourceIds]);
+};
+
+const QuoteReaction = mongoose.model('QuoteReaction', quoteReactionSchema);
+
+module.exports = QuoteReaction;
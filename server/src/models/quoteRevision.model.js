@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+// Quote fields tracked in the revision history
+const TRACKED_FIELDS = ['text', 'author', 'source', 'tags'];
+
+const MAX_RECORD_ATTEMPTS = 3;
+
+const quoteRevisionSchema = new mongoose.Schema({
+  quoteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quote',
+    required: true
+  },
+  // Sequential per quote, starting at 1
+  revision: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['created', 'updated', 'restored'],
+    required: true
+  },
+  // Missing for the baseline of quotes created before history was kept
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  // Tracked fields as they were after this revision
+  snapshot: {
+    text: String,
+    author: String,
+    source: String,
+    tags: [String]
+  },
+  restoredFrom: {
+    type: Number
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Create unique index so each revision number is used once per quote
+quoteRevisionSchema.index({ quoteId: 1, revision: -1 }, { unique: true });
+
+/**
+ * Compare two snapshots field by field
+ */
+function diff(before, after) {
+  return TRACKED_FIELDS
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => ({ field, from: before[field], to: after[field] }));
+}
+
+// Static method to copy the tracked fields of a quote
+quoteRevisionSchema.statics.snapshot = function(quote) {
+  return {
+    text: quote.text,
+    author: quote.author,
+    source: quote.source,
+    tags: quote.tags ? [...quote.tags] : []
+  };
+};
+
+// Static method to record a revision after a quote was created or changed
+// Pass the snapshot taken before the change as `previous` for updates
+// Returns null if none of the tracked fields changed
+quoteRevisionSchema.statics.record = async function(quote, editedBy, action, previous = null, restoredFrom = null) {
+  const snapshot = this.snapshot(quote);
+  const changes = diff(previous || {}, snapshot);
+
+  if (previous && changes.length === 0) {
+    return null;
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    const latest = await this.findOne({ quoteId: quote._id })
+      .sort({ revision: -1 })
+      .select('revision');
+
+    let revision = latest ? latest.revision + 1 : 1;
+
+    try {
+      // Quotes created before history was kept get a baseline to restore to
+      if (!latest && previous) {
+        await this.create({
+          quoteId: quote._id,
+          revision,
+          action: 'created',
+          changes: diff({}, previous),
+          snapshot: previous,
+          createdAt: quote.createdAt
+        });
+        revision += 1;
+      }
+
+      return await this.create({
+        quoteId: quote._id,
+        revision,
+        action,
+        editedBy,
+        changes,
+        snapshot,
+        restoredFrom
+      });
+    } catch (error) {
+      // Another edit took the same revision number, so read the latest again
+      if (error.code === 11000 && attempt < MAX_RECORD_ATTEMPTS) {
+        continue;
+      }
+      throw error;
+    }
+  }
+};
+
+const QuoteRevision = mongoose.model('QuoteRevision', quoteRevisionSchema);
+
+module.exports = QuoteRevision;
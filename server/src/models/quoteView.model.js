@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+const viewMarkerPlugin = require('./viewMarker.plugin');
+
+/**
+ * Marks that a viewer (user or IP) has been counted for a quote
+ * until `expiresAt`, so refreshes inside the window don't add views
+ */
+const quoteViewSchema = new mongoose.Schema({});
+
+quoteViewSchema.plugin(viewMarkerPlugin, { field: 'quoteId', ref: 'Quote' });
+
+const QuoteView = mongoose.model('QuoteView', quoteViewSchema);
+
+module.exports = QuoteView;
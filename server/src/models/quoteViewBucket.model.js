@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const { getDateKey, addDays } = require('../utils/date.utils');
+
+/**
+ * Daily view totals per quote (UTC calendar days)
+ */
+const quoteViewBucketSchema = new mongoose.Schema({
+  quoteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quote',
+    required: true
+  },
+  date: {
+    type: String,
+    required: true
+  },
+  views: {
+    type: Number,
+    default: 0
+  }
+});
+
+// One bucket per quote and day
+quoteViewBucketSchema.index({ quoteId: 1, date: 1 }, { unique: true });
+
+// Create index on date for range queries across all quotes
+quoteViewBucketSchema.index({ date: 1 });
+
+// Static method to add a view to today's bucket
+quoteViewBucketSchema.statics.increment = function(quoteId, date = getDateKey(new Date(), 'UTC')) {
+  return this.updateOne(
+    { quoteId, date },
+    { $inc: { views: 1 } },
+    { upsert: true }
+  );
+};
+
+// Static method to get daily view totals for the last `days` days, oldest first
+quoteViewBucketSchema.statics.getDailyTotals = async function(days = 30, quoteId = null) {
+  const today = getDateKey(new Date(), 'UTC');
+  const startDate = addDays(today, -(days - 1));
+  
+  const match = { date: { $gte: startDate } };
+  if (quoteId) {
+    match.quoteId = new mongoose.Types.ObjectId(quoteId);
+  }
+  
+  const totals = await this.aggregate([
+    { $match: match },
+    { $group: { _id: '$date', views: { $sum: '$views' } } }
+  ]);
+  
+  const viewsByDate = new Map(totals.map(total => [total._id, total.views]));
+  
+  // Include days without views so charts have no gaps
+  const result = [];
+  for (let i = 0; i < days; i++) {
+    const date = addDays(startDate, i);
+    result.push({ date, views: viewsByDate.get(date) || 0 });
+  }
+  
+  return result;
+};
+
+const QuoteViewBucket = mongoose.model('QuoteViewBucket', quoteViewBucketSchema);
+
+module.exports = QuoteViewBucket;
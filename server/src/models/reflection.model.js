@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const { isDateKey } = require('../utils/date.utils');
+
+const MOODS = ['inspired', 'motivated', 'grateful', 'hopeful', 'calm', 'reflective', 'uncertain', 'sad'];
+
+/**
+ * A private note a user writes about a quote
+ */
+const reflectionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Unset if the quote is later purged, so the note itself is kept
+  quoteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quote'
+  },
+  text: {
+    type: String,
+    required: [true, 'Reflection text is required'],
+    trim: true,
+    maxlength: [5000, 'Reflection cannot be more than 5000 characters']
+  },
+  mood: {
+    type: String,
+    enum: {
+      values: MOODS,
+      message: `Mood must be one of: ${MOODS.join(', ')}`
+    }
+  },
+  // The day (YYYY-MM-DD) the reflection is about, which can differ from when it was written
+  date: {
+    type: String,
+    required: [true, 'Reflection date is required'],
+    validate: {
+      validator: isDateKey,
+      message: props => `${props.value} is not a valid date (YYYY-MM-DD)`
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Create index for listing a user's journal newest first
+reflectionSchema.index({ userId: 1, date: -1, _id: -1 });
+
+// Create index for a user's reflections on one quote
+reflectionSchema.index({ userId: 1, quoteId: 1 });
+
+// Create text index for searching reflections
+reflectionSchema.index({ text: 'text' });
+
+const Reflection = mongoose.model('Reflection', reflectionSchema);
+
+module.exports = Reflection;
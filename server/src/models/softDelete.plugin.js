@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+/**
+ * Soft delete plugin
+ *
+ * Adds `deletedAt` and `deletedBy` fields and hides deleted documents from
+ * find, count and aggregate queries. Queries that filter on `deletedAt`
+ * themselves (such as the admin trash view), or set the `withDeleted`
+ * option, are left untouched.
+ */
+module.exports = function softDeletePlugin(schema) {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  });
+
+  // Create index for trash listings and the scheduled purge
+  schema.index({ deletedAt: 1 });
+
+  // Hide deleted documents unless the query asks about deletedAt itself
+  schema.pre(['find', 'findOne', 'countDocuments', 'distinct'], function() {
+    if (this.getFilter().deletedAt === undefined && !this.getOptions().withDeleted) {
+      this.where({ deletedAt: null });
+    }
+  });
+
+  schema.pre('aggregate', function() {
+    if (this.options.withDeleted) {
+      return;
+    }
+
+    const pipeline = this.pipeline();
+    const first = pipeline[0];
+
+    // Merge into a leading $match, since $text must stay in the first stage
+    if (first && first.$match) {
+      if (first.$match.deletedAt === undefined) {
+        first.$match.deletedAt = null;
+      }
+    } else {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    }
+  });
+
+  // Method to move the document to the trash
+  schema.methods.softDelete = function(userId) {
+    this.deletedAt = new Date();
+    this.deletedBy = userId;
+    return this.save();
+  };
+
+  // Method to restore the document from the trash
+  schema.methods.restore = function() {
+    this.deletedAt = null;
+    this.deletedBy = undefined;
+    return this.save();
+  };
+};
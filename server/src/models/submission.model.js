@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const submissionSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Quote text is required'],
+    trim: true,
+    maxlength: [500, 'Quote text cannot be more than 500 characters']
+  },
+  author: {
+    type: String,
+    required: [true, 'Author name is required'],
+    trim: true,
+    maxlength: [100, 'Author name cannot be more than 100 characters']
+  },
+  source: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Source cannot be more than 200 characters']
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Rejection reason cannot be more than 500 characters']
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  // The quote created when the submission was approved
+  quoteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quote'
+  }
+}, {
+  timestamps: true
+});
+
+// Create index for listing submissions by status
+submissionSchema.index({ status: 1, createdAt: -1, _id: -1 });
+
+// Create index for listing a user's own submissions
+submissionSchema.index({ submittedBy: 1, createdAt: -1, _id: -1 });
+
+const Submission = mongoose.model('Submission', submissionSchema);
+
+module.exports = Submission;
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { isValidTimezone } = require('../utils/date.utils');
+const { isValidLanguage } = require('../utils/string.utils');
+const softDeletePlugin = require('./softDelete.plugin');
 
 const userSchema = new mongoose.Schema({
   firebaseUid: {
@@ -17,7 +20,29 @@ const userSchema = new mongoose.Schema({
   },
   displayName: {
     type: String,
-    trim: true
+    trim: true,
+    maxlength: [100, 'Display name cannot be more than 100 characters']
+  },
+  firstName: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'First name cannot be more than 50 characters']
+  },
+  lastName: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Last name cannot be more than 50 characters']
+  },
+  bio: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Bio cannot be more than 500 characters']
+  },
+  avatar: {
+    type: String,
+    trim: true,
+    maxlength: [2048, 'Avatar URL cannot be more than 2048 characters'],
+    match: [/^https?:\/\/\S+$/, 'Avatar must be an http or https URL']
   },
   role: {
     type: String,
@@ -31,12 +56,37 @@ const userSchema = new mongoose.Schema({
   preferences: {
     theme: {
       type: String,
-      enum: ['light', 'dark'],
-      default: 'light'
+      enum: {
+        values: ['light', 'dark', 'system'],
+        message: 'Theme must be light, dark or system'
+      },
+      default: 'system'
     },
     emailNotifications: {
       type: Boolean,
       default: true
+    },
+    timezone: {
+      type: String,
+      default: 'UTC',
+      validate: {
+        validator: isValidTimezone,
+        message: props => `${props.value} is not a valid timezone`
+      }
+    },
+    language: {
+      type: String,
+      default: 'en',
+      validate: {
+        validator: isValidLanguage,
+        message: props => `${props.value} is not a valid language tag`
+      }
+    },
+    quotesPerDay: {
+      type: Number,
+      default: 1,
+      min: [1, 'Quotes per day must be at least 1'],
+      max: [10, 'Quotes per day cannot be more than 10']
     }
   },
   quotesViewed: [
@@ -56,7 +106,19 @@ const userSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Quote'
     }
-  ]
+  ],
+  // Interests that pick the quotes of the user's feed
+  following: {
+    tags: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }],
+    authors: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Author'
+    }]
+  }
 }, {
   timestamps: true
 });
@@ -67,6 +129,12 @@ userSchema.index({ email: 1 });
 // Create index on role for admin queries
 userSchema.index({ role: 1 });
 
+// Create index matching the paginated list sort order
+userSchema.index({ createdAt: -1, _id: -1 });
+
+// Deleted users go to the trash and are hidden from queries
+userSchema.plugin(softDeletePlugin);
+
 // Method to update last login
 userSchema.methods.updateLastLogin = function() {
   this.lastLogin = Date.now();
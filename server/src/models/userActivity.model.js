@@ -10,7 +10,40 @@ const userActivitySchema = new mongoose.Schema({
   action: {
     type: String,
     required: true,
-    enum: ['login', 'logout', 'quote_viewed', 'profile_updated', 'password_changed']
+    enum: [
+      'login',
+      'logout',
+      'quote_viewed',
+      'quote_created',
+      'quote_updated',
+      'quote_restored',
+      'quote_deleted',
+      'quotes_imported',
+      'quotes_exported',
+      'quotes_merged',
+      'user_updated',
+      'user_deleted',
+      'trash_restored',
+      'profile_updated',
+      'favorite_added',
+      'favorite_removed',
+      'quote_reacted',
+      'quote_rated',
+      'password_changed',
+      'personal_data_exported',
+      'account_deleted',
+      'account_restored',
+      'daily_quote_pinned',
+      'daily_quote_unpinned',
+      'tag_renamed',
+      'tags_merged',
+      'tag_deleted',
+      'author_updated',
+      'authors_merged',
+      'quote_submitted',
+      'submission_approved',
+      'submission_rejected'
+    ]
   },
   details: {
     type: mongoose.Schema.Types.Mixed,
@@ -30,11 +63,20 @@ const userActivitySchema = new mongoose.Schema({
 });
 
 // Create compound index for userId and timestamp for efficient queries
-userActivitySchema.index({ userId: 1, timestamp: -1 });
+userActivitySchema.index({ userId: 1, timestamp: -1, _id: -1 });
+
+// Create index matching the paginated activity log sort order
+userActivitySchema.index({ timestamp: -1, _id: -1 });
 
 // Create index on action for filtering
 userActivitySchema.index({ action: 1 });
 
+// Create index for per-user counts of one action, e.g. reading streaks
+userActivitySchema.index({ userId: 1, action: 1, timestamp: -1 });
+
+// Create index for reading recent activity of some actions, e.g. trending quotes
+userActivitySchema.index({ action: 1, timestamp: -1 });
+
 // Static method to log activity
 userActivitySchema.statics.logActivity = async function(userId, action, details = {}, req = null) {
   const activityData = {
@@ -52,6 +94,21 @@ userActivitySchema.statics.logActivity = async function(userId, action, details
   return this.create(activityData);
 };
 
+// Static method to count a user's activity per calendar day in a timezone
+userActivitySchema.statics.getActiveDays = function(userId, action, timezone = 'UTC') {
+  return this.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId), action } },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp', timezone } },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, date: '$_id', count: 1 } }
+  ]);
+};
+
 // Static method to get recent activities for a user
 userActivitySchema.statics.getRecentForUser = function(userId, limit = 10) {
   return this.find({ userId })
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+/**
+ * View marker plugin
+ *
+ * Turns a schema into markers that a viewer (user or IP) has been counted
+ * for a document until `expiresAt`, so refreshes inside the window don't add
+ * views. `field` names the reference to the viewed document, e.g. `quoteId`.
+ */
+module.exports = function viewMarkerPlugin(schema, { field, ref }) {
+  schema.add({
+    [field]: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref,
+      required: true
+    },
+    viewer: {
+      type: String,
+      required: true
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  });
+
+  // One marker per viewer and document
+  schema.index({ [field]: 1, viewer: 1 }, { unique: true });
+
+  // Let MongoDB clean up expired markers
+  schema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+  // Static method to register a view, resolves to false if it was already counted
+  schema.statics.register = async function(id, viewer, windowMs) {
+    const now = new Date();
+
+    try {
+      // Only matches an expired marker; an active one makes the upsert hit the unique index
+      await this.updateOne(
+        { [field]: id, viewer, expiresAt: { $lte: now } },
+        { $set: { expiresAt: new Date(now.getTime() + windowMs) } },
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      if (error.code === 11000) {
+        return false;
+      }
+      throw error;
+    }
+  };
+};
@@ -1,6 +1,7 @@
 const express = require('express');
 const { asyncHandler } = require('../middleware/error.middleware');
 const { authMiddleware, adminMiddleware } = require('../middleware/auth.middleware');
+const { singleFileUpload } = require('../middleware/upload.middleware');
 const adminController = require('../controllers/admin.controller');
 
 const router = express.Router();
@@ -39,11 +40,18 @@ router.delete('/users/:id', asyncHandler(adminController.deleteUser));
 
 /**
  * @route   GET /api/admin/stats
- * @desc    Get system statistics
+ * @desc    Get system statistics (`?days=` sets the views-over-time range)
  * @access  Admin
  */
 router.get('/stats', asyncHandler(adminController.getSystemStats));
 
+/**
+ * @route   GET /api/admin/quotes/:id/views
+ * @desc    Get daily view counts for a quote
+ * @access  Admin
+ */
+router.get('/quotes/:id/views', asyncHandler(adminController.getQuoteViews));
+
 /**
  * @route   GET /api/admin/activity
  * @desc    Get all user activity with pagination
@@ -53,16 +61,122 @@ router.get('/activity', asyncHandler(adminController.getAllActivity));
 
 /**
  * @route   POST /api/admin/quotes/import
- * @desc    Import quotes from JSON file
+ * @desc    Import quotes from a JSON, NDJSON, CSV or YAML file
  * @access  Admin
  */
-router.post('/quotes/import', asyncHandler(adminController.importQuotes));
+router.post('/quotes/import', singleFileUpload('file'), asyncHandler(adminController.importQuotes));
 
 /**
  * @route   GET /api/admin/quotes/export
- * @desc    Export all quotes to JSON
+ * @desc    Stream quotes as JSON, NDJSON, CSV or Markdown (`?format=`), filtered by
+ *          `?tag=`, `?author=`, `?from=`, `?to=` and `?minViews=`
  * @access  Admin
  */
 router.get('/quotes/export', asyncHandler(adminController.exportQuotes));
 
+/**
+ * @route   GET /api/admin/quotes/duplicates
+ * @desc    Report clusters of duplicate and near-duplicate quotes
+ * @access  Admin
+ */
+router.get('/quotes/duplicates', asyncHandler(adminController.getDuplicateClusters));
+
+/**
+ * @route   POST /api/admin/quotes/duplicates/merge
+ * @desc    Merge duplicate quotes into one
+ * @access  Admin
+ */
+router.post('/quotes/duplicates/merge', asyncHandler(adminController.mergeDuplicateQuotes));
+
+/**
+ * @route   POST /api/admin/quotes/:id/revisions/:revision/restore
+ * @desc    Restore a quote to an earlier revision
+ * @access  Admin
+ */
+router.post('/quotes/:id/revisions/:revision/restore', asyncHandler(adminController.restoreQuoteRevision));
+
+/**
+ * @route   PUT /api/admin/quotes/daily/:date
+ * @desc    Pin a quote as the quote of the day for a future date
+ * @access  Admin
+ */
+router.put('/quotes/daily/:date', asyncHandler(adminController.pinDailyQuote));
+
+/**
+ * @route   DELETE /api/admin/quotes/daily/:date
+ * @desc    Remove a pinned quote of the day
+ * @access  Admin
+ */
+router.delete('/quotes/daily/:date', asyncHandler(adminController.unpinDailyQuote));
+
+/**
+ * @route   PUT /api/admin/tags/:tag
+ * @desc    Rename a tag across all quotes
+ * @access  Admin
+ */
+router.put('/tags/:tag', asyncHandler(adminController.renameTag));
+
+/**
+ * @route   POST /api/admin/tags/merge
+ * @desc    Merge several tags into one across all quotes
+ * @access  Admin
+ */
+router.post('/tags/merge', asyncHandler(adminController.mergeTags));
+
+/**
+ * @route   DELETE /api/admin/tags/:tag
+ * @desc    Delete a tag from all quotes
+ * @access  Admin
+ */
+router.delete('/tags/:tag', asyncHandler(adminController.deleteTag));
+
+/**
+ * @route   PUT /api/admin/authors/:slug
+ * @desc    Update an author profile (name, aliases, bio, years)
+ * @access  Admin
+ */
+router.put('/authors/:slug', asyncHandler(adminController.updateAuthor));
+
+/**
+ * @route   POST /api/admin/authors/merge
+ * @desc    Merge duplicate author spellings into one author
+ * @access  Admin
+ */
+router.post('/authors/merge', asyncHandler(adminController.mergeAuthors));
+
+/**
+ * @route   GET /api/admin/submissions
+ * @desc    Get quote submissions for moderation (pending by default)
+ * @access  Admin
+ */
+router.get('/submissions', asyncHandler(adminController.getSubmissions));
+
+/**
+ * @route   POST /api/admin/submissions/:id/approve
+ * @desc    Approve a submission, optionally editing it first
+ * @access  Admin
+ */
+router.post('/submissions/:id/approve', asyncHandler(adminController.approveSubmission));
+
+/**
+ * @route   POST /api/admin/submissions/:id/reject
+ * @desc    Reject a submission with a reason
+ * @access  Admin
+ */
+router.post('/submissions/:id/reject', asyncHandler(adminController.rejectSubmission));
+
+/**
+ * @route   GET /api/admin/trash/:type
+ * @desc    Get deleted quotes or users waiting to be purged
+ * @access  Admin
+ */
+router.get('/trash/:type', asyncHandler(adminController.getTrash));
+
+/**
+ * @route   POST /api/admin/trash/:type/:id/restore
+ * @desc    Restore a deleted quote or user
+ * @access  Admin
+ */
+router.post('/trash/:type/:id/restore', asyncHandler(adminController.restoreFromTrash));
+
 module.exports = router;
\ No newline at end of file
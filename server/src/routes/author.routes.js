@@ -0,0 +1,28 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/error.middleware');
+const authorController = require('../controllers/author.controller');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/authors
+ * @desc    Get all authors with pagination
+ * @access  Public
+ */
+router.get('/', asyncHandler(authorController.getAuthors));
+
+/**
+ * @route   GET /api/authors/:slug
+ * @desc    Get an author profile
+ * @access  Public
+ */
+router.get('/:slug', asyncHandler(authorController.getAuthorBySlug));
+
+/**
+ * @route   GET /api/authors/:slug/quotes
+ * @desc    Get quotes by an author with pagination
+ * @access  Public
+ */
+router.get('/:slug/quotes', asyncHandler(authorController.getAuthorQuotes));
+
+module.exports = router;
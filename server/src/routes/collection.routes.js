@@ -0,0 +1,22 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/error.middleware');
+const { optionalAuthMiddleware } = require('../middleware/auth.middleware');
+const collectionController = require('../controllers/collection.controller');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/collections
+ * @desc    Get public collections, most recently shared first
+ * @access  Public
+ */
+router.get('/', asyncHandler(collectionController.getPublicCollections));
+
+/**
+ * @route   GET /api/collections/:slug
+ * @desc    Get a public or unlisted collection by its share link slug
+ * @access  Public
+ */
+router.get('/:slug', optionalAuthMiddleware, asyncHandler(collectionController.getSharedCollection));
+
+module.exports = router;
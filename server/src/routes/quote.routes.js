@@ -1,24 +1,106 @@
 const express = require('express');
 const { asyncHandler } = require('../middleware/error.middleware');
-const { authMiddleware } = require('../middleware/auth.middleware');
+const { authMiddleware, optionalAuthMiddleware } = require('../middleware/auth.middleware');
 const { adminMiddleware } = require('../middleware/auth.middleware');
 const quoteController = require('../controllers/quote.controller');
+const reactionController = require('../controllers/reaction.controller');
 
 const router = express.Router();
 
 /**
  * @route   GET /api/quotes/random
- * @desc    Get a random quote
+ * @desc    Get a random quote (skips recently viewed quotes for signed-in users)
  * @access  Public
  */
-router.get('/random', asyncHandler(quoteController.getRandomQuote));
+router.get('/random', optionalAuthMiddleware, asyncHandler(quoteController.getRandomQuote));
+
+/**
+ * @route   GET /api/quotes/daily
+ * @desc    Get the quote of the day (same for every caller on a calendar day)
+ * @access  Public
+ */
+router.get('/daily', optionalAuthMiddleware, asyncHandler(quoteController.getDailyQuote));
+
+/**
+ * @route   GET /api/quotes/trending
+ * @desc    Get the quotes trending over the last day, week or month (`?window=`)
+ * @access  Public
+ */
+router.get('/trending', asyncHandler(quoteController.getTrendingQuotes));
+
+/**
+ * @route   GET /api/quotes/tags
+ * @desc    Get all tags with quote counts (supports `?prefix=` search)
+ * @access  Public
+ */
+router.get('/tags', asyncHandler(quoteController.getTags));
+
+/**
+ * @route   GET /api/quotes/search
+ * @desc    Search quotes by relevance with highlights and tag/author facets
+ * @access  Public
+ */
+router.get('/search', asyncHandler(quoteController.searchQuotes));
+
+/**
+ * @route   GET /api/quotes/top
+ * @desc    Get quotes by score from ratings and reactions, highest first
+ * @access  Public
+ */
+router.get('/top', asyncHandler(reactionController.getTopQuotes));
 
 /**
  * @route   GET /api/quotes/:id
  * @desc    Get a quote by ID
  * @access  Public
  */
-router.get('/:id', asyncHandler(quoteController.getQuoteById));
+router.get('/:id', optionalAuthMiddleware, asyncHandler(quoteController.getQuoteById));
+
+/**
+ * @route   GET /api/quotes/:id/revisions
+ * @desc    Get the revision history of a quote
+ * @access  Admin
+ */
+router.get('/:id/revisions',
+  authMiddleware,
+  adminMiddleware,
+  asyncHandler(quoteController.getQuoteRevisions)
+);
+
+/**
+ * @route   GET /api/quotes/:id/reactions
+ * @desc    Get a quote's reaction and rating totals (and the user's own when signed in)
+ * @access  Public
+ */
+router.get('/:id/reactions', optionalAuthMiddleware, asyncHandler(reactionController.getReactions));
+
+/**
+ * @route   PUT /api/quotes/:id/reaction
+ * @desc    React to a quote, replacing the user's earlier reaction
+ * @access  Private
+ */
+router.put('/:id/reaction', authMiddleware, asyncHandler(reactionController.react));
+
+/**
+ * @route   DELETE /api/quotes/:id/reaction
+ * @desc    Remove the user's reaction to a quote
+ * @access  Private
+ */
+router.delete('/:id/reaction', authMiddleware, asyncHandler(reactionController.unreact));
+
+/**
+ * @route   PUT /api/quotes/:id/rating
+ * @desc    Rate a quote from 1 to 5, replacing the user's earlier rating
+ * @access  Private
+ */
+router.put('/:id/rating', authMiddleware, asyncHandler(reactionController.rate));
+
+/**
+ * @route   DELETE /api/quotes/:id/rating
+ * @desc    Remove the user's rating of a quote
+ * @access  Private
+ */
+router.delete('/:id/rating', authMiddleware, asyncHandler(reactionController.unrate));
 
 /**
  * @route   GET /api/quotes/tag/:tag
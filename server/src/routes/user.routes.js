@@ -1,7 +1,10 @@
 const express = require('express');
 const { asyncHandler } = require('../middleware/error.middleware');
-const { authMiddleware } = require('../middleware/auth.middleware');
+const { authMiddleware, deletedAccountMiddleware } = require('../middleware/auth.middleware');
 const userController = require('../controllers/user.controller');
+const reflectionController = require('../controllers/reflection.controller');
+const collectionController = require('../controllers/collection.controller');
+const feedController = require('../controllers/feed.controller');
 
 const router = express.Router();
 
@@ -19,6 +22,27 @@ router.get('/profile', authMiddleware, asyncHandler(userController.getUserProfil
  */
 router.put('/profile', authMiddleware, asyncHandler(userController.updateUserProfile));
 
+/**
+ * @route   GET /api/users/me/export
+ * @desc    Download the user's personal data (?format=json|zip)
+ * @access  Private
+ */
+router.get('/me/export', authMiddleware, asyncHandler(userController.exportPersonalData));
+
+/**
+ * @route   DELETE /api/users/me
+ * @desc    Delete the user's own account after a grace period
+ * @access  Private
+ */
+router.delete('/me', authMiddleware, asyncHandler(userController.deleteAccount));
+
+/**
+ * @route   POST /api/users/me/restore
+ * @desc    Cancel the deletion of the user's own account during the grace period
+ * @access  Private (deleted accounts only)
+ */
+router.post('/me/restore', deletedAccountMiddleware, asyncHandler(userController.restoreAccount));
+
 /**
  * @route   GET /api/users/activity
  * @desc    Get user activity history
@@ -26,13 +50,27 @@ router.put('/profile', authMiddleware, asyncHandler(userController.updateUserPro
  */
 router.get('/activity', authMiddleware, asyncHandler(userController.getUserActivity));
 
+/**
+ * @route   GET /api/users/streak
+ * @desc    Get the user's reading streak and activity heatmap
+ * @access  Private
+ */
+router.get('/streak', authMiddleware, asyncHandler(userController.getStreak));
+
 /**
  * @route   GET /api/users/favorites
- * @desc    Get user favorite quotes
+ * @desc    Get user favorite quotes, most recently added first (?page=, ?limit=)
  * @access  Private
  */
 router.get('/favorites', authMiddleware, asyncHandler(userController.getFavorites));
 
+/**
+ * @route   GET /api/users/favorites/check/:quoteId
+ * @desc    Check if a quote is in favorites and which collections it is in
+ * @access  Private
+ */
+router.get('/favorites/check/:quoteId', authMiddleware, asyncHandler(userController.checkFavorite));
+
 /**
  * @route   POST /api/users/favorites/:quoteId
  * @desc    Add a quote to favorites
@@ -47,4 +85,172 @@ router.post('/favorites/:quoteId', authMiddleware, asyncHandler(userController.a
  */
 router.delete('/favorites/:quoteId', authMiddleware, asyncHandler(userController.removeFavorite));
 
+/**
+ * @route   GET /api/users/feed
+ * @desc    Get the user's feed of followed, new and popular quotes with pagination
+ * @access  Private
+ */
+router.get('/feed', authMiddleware, asyncHandler(feedController.getFeed));
+
+/**
+ * @route   GET /api/users/following
+ * @desc    Get the tags and authors the user follows
+ * @access  Private
+ */
+router.get('/following', authMiddleware, asyncHandler(feedController.getFollowing));
+
+/**
+ * @route   POST /api/users/following/tags/:tag
+ * @desc    Follow a tag
+ * @access  Private
+ */
+router.post('/following/tags/:tag', authMiddleware, asyncHandler(feedController.followTag));
+
+/**
+ * @route   DELETE /api/users/following/tags/:tag
+ * @desc    Stop following a tag
+ * @access  Private
+ */
+router.delete('/following/tags/:tag', authMiddleware, asyncHandler(feedController.unfollowTag));
+
+/**
+ * @route   POST /api/users/following/authors/:authorId
+ * @desc    Follow an author
+ * @access  Private
+ */
+router.post('/following/authors/:authorId', authMiddleware, asyncHandler(feedController.followAuthor));
+
+/**
+ * @route   DELETE /api/users/following/authors/:authorId
+ * @desc    Stop following an author
+ * @access  Private
+ */
+router.delete('/following/authors/:authorId', authMiddleware, asyncHandler(feedController.unfollowAuthor));
+
+/**
+ * @route   GET /api/users/collections
+ * @desc    Get the user's favorites collections in order
+ * @access  Private
+ */
+router.get('/collections', authMiddleware, asyncHandler(collectionController.getCollections));
+
+/**
+ * @route   POST /api/users/collections
+ * @desc    Create a favorites collection
+ * @access  Private
+ */
+router.post('/collections', authMiddleware, asyncHandler(collectionController.createCollection));
+
+/**
+ * @route   GET /api/users/collections/:id
+ * @desc    Get a collection with its quotes in order
+ * @access  Private
+ */
+router.get('/collections/:id', authMiddleware, asyncHandler(collectionController.getCollection));
+
+/**
+ * @route   PUT /api/users/collections/:id
+ * @desc    Rename or move a collection
+ * @access  Private
+ */
+router.put('/collections/:id', authMiddleware, asyncHandler(collectionController.updateCollection));
+
+/**
+ * @route   DELETE /api/users/collections/:id
+ * @desc    Delete a collection, keeping its quotes in favorites
+ * @access  Private
+ */
+router.delete('/collections/:id', authMiddleware, asyncHandler(collectionController.deleteCollection));
+
+/**
+ * @route   POST /api/users/collections/:id/share
+ * @desc    Share a collection as unlisted or public
+ * @access  Private
+ */
+router.post('/collections/:id/share', authMiddleware, asyncHandler(collectionController.shareCollection));
+
+/**
+ * @route   DELETE /api/users/collections/:id/share
+ * @desc    Revoke a collection's share link
+ * @access  Private
+ */
+router.delete('/collections/:id/share', authMiddleware, asyncHandler(collectionController.unshareCollection));
+
+/**
+ * @route   POST /api/users/collections/:id/quotes/:quoteId
+ * @desc    Add a quote to a collection
+ * @access  Private
+ */
+router.post('/collections/:id/quotes/:quoteId', authMiddleware, asyncHandler(collectionController.addToCollection));
+
+/**
+ * @route   PUT /api/users/collections/:id/quotes/:quoteId
+ * @desc    Update the note or position of a quote in a collection
+ * @access  Private
+ */
+router.put('/collections/:id/quotes/:quoteId', authMiddleware, asyncHandler(collectionController.updateCollectionEntry));
+
+/**
+ * @route   DELETE /api/users/collections/:id/quotes/:quoteId
+ * @desc    Remove a quote from a collection
+ * @access  Private
+ */
+router.delete('/collections/:id/quotes/:quoteId', authMiddleware, asyncHandler(collectionController.removeFromCollection));
+
+/**
+ * @route   GET /api/users/reflections
+ * @desc    Get the user's reflections (?q=, ?quoteId=, ?mood=, ?from=, ?to=)
+ * @access  Private
+ */
+router.get('/reflections', authMiddleware, asyncHandler(reflectionController.getReflections));
+
+/**
+ * @route   GET /api/users/reflections/export
+ * @desc    Download the user's reflections as a Markdown journal
+ * @access  Private
+ */
+router.get('/reflections/export', authMiddleware, asyncHandler(reflectionController.exportReflections));
+
+/**
+ * @route   POST /api/users/reflections
+ * @desc    Write a reflection on a quote
+ * @access  Private
+ */
+router.post('/reflections', authMiddleware, asyncHandler(reflectionController.createReflection));
+
+/**
+ * @route   GET /api/users/reflections/:id
+ * @desc    Get a reflection
+ * @access  Private
+ */
+router.get('/reflections/:id', authMiddleware, asyncHandler(reflectionController.getReflection));
+
+/**
+ * @route   PUT /api/users/reflections/:id
+ * @desc    Update a reflection
+ * @access  Private
+ */
+router.put('/reflections/:id', authMiddleware, asyncHandler(reflectionController.updateReflection));
+
+/**
+ * @route   DELETE /api/users/reflections/:id
+ * @desc    Delete a reflection
+ * @access  Private
+ */
+router.delete('/reflections/:id', authMiddleware, asyncHandler(reflectionController.deleteReflection));
+
+/**
+ * @route   POST /api/users/submissions
+ * @desc    Submit a quote for moderation
+ * @access  Private
+ */
+router.post('/submissions', authMiddleware, asyncHandler(userController.submitQuote));
+
+/**
+ * @route   GET /api/users/submissions
+ * @desc    Get the user's own quote submissions
+ * @access  Private
+ */
+router.get('/submissions', authMiddleware, asyncHandler(userController.getSubmissions));
+
 module.exports = router;
\ No newline at end of file
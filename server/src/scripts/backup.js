@@ -0,0 +1,114 @@
+/**
+ * Backup and Restore Script
+ *
+ * Dumps quotes (with their authors, revisions and view stats), users,
+ * favorites, collections, reactions, activity, submissions and reflections
+ * into a versioned archive, and restores them into another deployment, e.g.
+ * to rebuild staging from production.
+ *
+ * Restores check the whole archive and its schema versions before changing
+ * any data. By default the restored sections are replaced; use --mode=merge
+ * to upsert into existing data instead.
+ *
+ * Usage:
+ *   node src/scripts/backup.js create [--file=backups/backup.ndjson.gz] [--only=quotes,users]
+ *   node src/scripts/backup.js info --file=backups/backup.ndjson.gz
+ *   node src/scripts/backup.js restore --file=backups/backup.ndjson.gz [--only=quotes] [--mode=replace|merge] --yes
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { SECTIONS, createBackup, verifyBackup, restoreBackup } = require('../utils/backup.utils');
+require('dotenv').config();
+
+/**
+ * Read a `--name=value` argument
+ */
+function getArg(name) {
+  const arg = process.argv.find(value => value.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+}
+
+/**
+ * Print document counts per section
+ */
+function printCounts(counts) {
+  for (const [section, collections] of Object.entries(counts)) {
+    const details = Object.entries(collections)
+      .map(([collection, count]) => `${count} ${collection}`)
+      .join(', ');
+    console.log(`  ${section}: ${details || 'empty'}`);
+  }
+}
+
+async function run(command) {
+  const only = getArg('only') ? getArg('only').split(',').map(name => name.trim()) : null;
+  let file = getArg('file');
+  
+  if (command === 'create') {
+    if (!file) {
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      file = path.join('backups', `backup-${timestamp}.ndjson.gz`);
+    }
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    
+    console.log(`Backing up ${(only || SECTIONS).join(', ')} to ${file}`);
+    const counts = await createBackup(file, only);
+    printCounts(counts);
+    return;
+  }
+  
+  if (!file) {
+    throw new Error('--file is required');
+  }
+  
+  if (command === 'info') {
+    const { manifest, counts } = await verifyBackup(file);
+    console.log(`Backup of ${manifest.database} taken ${manifest.createdAt.toISOString()}`);
+    console.log(`Format version ${manifest.formatVersion}, migration ${manifest.migrationVersion || 0}`);
+    Object.entries(manifest.sections).forEach(([name, section]) => {
+      console.log(`  ${name}: schema version ${section.schemaVersion}`);
+    });
+    printCounts(counts);
+    return;
+  }
+  
+  if (command === 'restore') {
+    const mode = getArg('mode') || 'replace';
+    
+    // Replacing data can't be undone, so ask for confirmation
+    if (mode === 'replace' && !process.argv.includes('--yes')) {
+      throw new Error(`Restoring in replace mode deletes the current ${(only || ['all']).join(', ')} data. Re-run with --yes to continue`);
+    }
+    
+    console.log(`Restoring ${(only || ['all sections']).join(', ')} from ${file} (${mode})`);
+    const { restored, failed } = await restoreBackup(file, { only, mode });
+    printCounts(restored);
+    
+    if (failed > 0) {
+      console.warn(`${failed} documents could not be restored`);
+    }
+    return;
+  }
+  
+  throw new Error(`Unknown command "${command}". Use create, info or restore`);
+}
+
+const command = process.argv[2];
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI)
+  .then(() => {
+    console.log('Connected to MongoDB');
+    return run(command);
+  })
+  .then(() => {
+    console.log(`Backup ${command} completed successfully`);
+    mongoose.connection.close();
+  })
+  .catch(err => {
+    console.error(`Error running backup ${command}:`, err);
+    process.exitCode = 1;
+    mongoose.connection.close();
+  });
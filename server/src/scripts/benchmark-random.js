@@ -0,0 +1,133 @@
+/**
+ * Random Quote Benchmark
+ *
+ * Seeds a throwaway database with quotes and compares the latency of the
+ * legacy count + skip random selection against the $sample pipeline used
+ * by Quote.getRandom.
+ *
+ * Usage: node src/scripts/benchmark-random.js [--count=100000] [--runs=200] [--keep]
+ */
+
+const mongoose = require('mongoose');
+const colors = require('colors/safe');
+const Quote = require('../models/quote.model');
+require('dotenv').config();
+
+// Never point this at a real deployment, the database is dropped afterwards
+const MONGODB_URI = process.env.BENCHMARK_MONGODB_URI ||
+  'mongodb://localhost:27017/motivational-quotes-benchmark';
+
+const TAGS = ['inspiration', 'success', 'life', 'work', 'courage', 'future', 'wisdom', 'change'];
+const BATCH_SIZE = 5000;
+
+/**
+ * Read a --name=value argument
+ */
+function getArg(name, defaultValue) {
+  const arg = process.argv.find(value => value.startsWith(`--${name}=`));
+  return arg ? parseInt(arg.split('=')[1]) : defaultValue;
+}
+
+/**
+ * Insert generated quotes in batches
+ */
+async function seed(count) {
+  await Quote.deleteMany({});
+
+  for (let inserted = 0; inserted < count; inserted += BATCH_SIZE) {
+    const batch = [];
+    const size = Math.min(BATCH_SIZE, count - inserted);
+
+    for (let i = 0; i < size; i++) {
+      const n = inserted + i;
+      batch.push({
+        text: `Benchmark quote number ${n}`,
+        author: `Author ${n % 1000}`,
+        tags: [TAGS[n % TAGS.length], TAGS[(n * 7) % TAGS.length]]
+      });
+    }
+
+    await Quote.insertMany(batch, { ordered: false });
+    process.stdout.write(colors.gray(`\r  Seeded ${inserted + size}/${count} quotes`));
+  }
+
+  process.stdout.write('\n');
+  await Quote.syncIndexes();
+}
+
+/**
+ * The selection strategy Quote.getRandom used before switching to $sample
+ */
+async function legacyGetRandom(filter = {}) {
+  const count = await Quote.countDocuments(filter);
+  const random = Math.floor(Math.random() * count);
+  return Quote.findOne(filter).skip(random);
+}
+
+/**
+ * Time a strategy over a number of runs
+ */
+async function measure(fn, runs) {
+  const timings = [];
+
+  for (let i = 0; i < runs; i++) {
+    const start = process.hrtime.bigint();
+    await fn();
+    timings.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+
+  timings.sort((a, b) => a - b);
+
+  return {
+    avg: timings.reduce((sum, t) => sum + t, 0) / runs,
+    p50: timings[Math.floor(runs * 0.5)],
+    p95: timings[Math.floor(runs * 0.95)]
+  };
+}
+
+/**
+ * Print a comparison row
+ */
+function report(label, result) {
+  console.log(
+    `  ${label.padEnd(28)} avg ${result.avg.toFixed(2).padStart(8)} ms` +
+    `   p50 ${result.p50.toFixed(2).padStart(8)} ms` +
+    `   p95 ${result.p95.toFixed(2).padStart(8)} ms`
+  );
+}
+
+async function run() {
+  const count = getArg('count', 100000);
+  const runs = getArg('runs', 200);
+  const keep = process.argv.includes('--keep');
+
+  await mongoose.connect(MONGODB_URI);
+  console.log(colors.cyan(`Connected to ${MONGODB_URI}`));
+
+  console.log(colors.cyan(`\nSeeding ${count} quotes...`));
+  await seed(count);
+
+  const scenarios = [
+    { label: 'unfiltered', filter: {} },
+    { label: 'tag filter', filter: { tags: { $in: ['courage'] } } },
+    { label: 'tag + author filter', filter: { tags: { $in: ['courage'] }, author: 'Author 42' } }
+  ];
+
+  for (const { label, filter } of scenarios) {
+    console.log(colors.cyan(`\n${label} (${runs} runs)`));
+    report('count + skip (legacy)', await measure(() => legacyGetRandom(filter), runs));
+    report('$sample (Quote.getRandom)', await measure(() => Quote.getRandom(filter), runs));
+  }
+
+  if (!keep) {
+    await mongoose.connection.dropDatabase();
+    console.log(colors.gray('\nDropped benchmark database'));
+  }
+}
+
+run()
+  .catch(err => {
+    console.error(colors.red('Benchmark failed:'), err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,134 @@
+/**
+ * Migration Script
+ *
+ * Applies, rolls back and lists the schema migrations in src/migrations.
+ * The server can also apply pending migrations on start by setting
+ * RUN_MIGRATIONS_ON_START=true.
+ *
+ * Usage:
+ *   node src/scripts/migrate.js up [--to=3]
+ *   node src/scripts/migrate.js down [--steps=1 | --to=0]
+ *   node src/scripts/migrate.js status
+ *   node src/scripts/migrate.js create <name>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  getStatus,
+  migrateUp,
+  migrateDown
+} = require('../utils/migration.utils');
+require('dotenv').config();
+
+const TEMPLATE = `/**
+ * Describe what this migration changes and why.
+ */
+
+exports.description = '';
+
+exports.up = async (db) => {
+};
+
+exports.down = async (db) => {
+};
+`;
+
+/**
+ * Read a whole number `--name=value` argument of at least `min`
+ */
+function getNumberArg(name, min = 0) {
+  const arg = process.argv.find(value => value.startsWith(`--${name}=`));
+  if (!arg) {
+    return null;
+  }
+  
+  const value = Number(arg.slice(name.length + 3));
+  if (!Number.isInteger(value) || value < min) {
+    throw new Error(`--${name} must be a whole number of at least ${min}`);
+  }
+  return value;
+}
+
+/**
+ * Write a new migration file numbered after the latest one
+ */
+function createMigration(name) {
+  const slug = (name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  if (!slug) {
+    throw new Error('A migration name is required, e.g. create add-quote-language');
+  }
+  
+  const migrations = loadMigrations();
+  const version = migrations.length > 0 ? migrations[migrations.length - 1].version + 1 : 1;
+  const file = path.join(MIGRATIONS_DIR, `${String(version).padStart(3, '0')}-${slug}.js`);
+  
+  fs.writeFileSync(file, TEMPLATE);
+  console.log(`Created ${path.relative(process.cwd(), file)}`);
+}
+
+async function run(command) {
+  if (command === 'up') {
+    const to = getNumberArg('to');
+    const applied = await migrateUp({ to: to === null ? Infinity : to, log: console.log });
+    console.log(applied.length > 0 ? `Applied ${applied.length} migrations` : 'No pending migrations');
+    return;
+  }
+  
+  if (command === 'down') {
+    const steps = getNumberArg('steps', 1);
+    const rolledBack = await migrateDown({
+      steps: steps === null ? 1 : steps,
+      to: getNumberArg('to'),
+      log: console.log
+    });
+    console.log(rolledBack.length > 0 ? `Rolled back ${rolledBack.length} migrations` : 'No migrations to roll back');
+    return;
+  }
+  
+  if (command === 'status') {
+    const status = await getStatus();
+    
+    if (status.length === 0) {
+      console.log('No migrations found');
+    }
+    
+    status.forEach(migration => {
+      const appliedAt = migration.appliedAt ? ` (${migration.appliedAt.toISOString()})` : '';
+      console.log(`  ${migration.status.padEnd(8)} ${migration.version}-${migration.name}${appliedAt}`);
+    });
+    return;
+  }
+  
+  throw new Error(`Unknown command "${command}". Use up, down, status or create`);
+}
+
+const command = process.argv[2] || 'status';
+
+// Creating a migration doesn't need the database
+if (command === 'create') {
+  try {
+    createMigration(process.argv[3]);
+  } catch (err) {
+    console.error('Error creating migration:', err.message);
+    process.exitCode = 1;
+  }
+} else {
+  // Connect to MongoDB
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(() => {
+      console.log('Connected to MongoDB');
+      return run(command);
+    })
+    .then(() => {
+      mongoose.connection.close();
+    })
+    .catch(err => {
+      console.error(`Error running migrations (${command}):`, err);
+      process.exitCode = 1;
+      mongoose.connection.close();
+    });
+}
@@ -0,0 +1,53 @@
+/**
+ * Trash Purge Script
+ *
+ * Permanently deletes quotes and users that have been in the trash longer
+ * than the retention period, along with their favorites, viewed quotes,
+ * activity and other references. Accounts deleted by their own users are
+ * purged after ACCOUNT_DELETION_GRACE_DAYS instead. The server also runs this
+ * on a schedule. Needs the FIREBASE_* credentials to delete purged users'
+ * sign-in accounts.
+ *
+ * Usage: node src/scripts/purge-trash.js [--days=30]
+ */
+
+const admin = require('firebase-admin');
+const mongoose = require('mongoose');
+const { getRetentionDays, purgeExpired } = require('../utils/trash.utils');
+require('dotenv').config();
+
+// Purged users' sign-in accounts are deleted too, which needs the Admin SDK
+admin.initializeApp({
+  credential: admin.credential.cert({
+    projectId: process.env.FIREBASE_PROJECT_ID,
+    clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+    privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n')
+  })
+});
+
+async function purgeTrash() {
+  const arg = process.argv.find(value => value.startsWith('--days='));
+  const days = arg ? parseInt(arg.split('=')[1]) : getRetentionDays();
+  
+  console.log(`Purging items deleted more than ${days} days ago`);
+  
+  const purged = await purgeExpired(days);
+  
+  console.log(`Purged ${purged.quotes} quotes and ${purged.users} users`);
+}
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI)
+  .then(() => {
+    console.log('Connected to MongoDB');
+    return purgeTrash();
+  })
+  .then(() => {
+    console.log('Trash purge completed successfully');
+    mongoose.connection.close();
+  })
+  .catch(err => {
+    console.error('Error purging trash:', err);
+    process.exitCode = 1;
+    mongoose.connection.close();
+  });
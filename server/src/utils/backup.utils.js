@@ -0,0 +1,360 @@
+/**
+ * Backup and restore of a deployment's data.
+ *
+ * A backup is a gzipped NDJSON archive. The first line is a manifest with the
+ * archive format version and the schema version of each section, then one
+ * line per document in Extended JSON (so ObjectIds and dates survive the round
+ * trip), and finally a footer with the document counts:
+ *
+ *   {"type":"manifest","formatVersion":1,"migrationVersion":1,"sections":{"quotes":{"schemaVersion":1}},...}
+ *   {"type":"document","section":"quotes","collection":"quotes","document":{...}}
+ *   {"type":"footer","counts":{"quotes":{"quotes":120,"authors":45}}}
+ *
+ * Documents are read and written with the native driver so restores are exact
+ * and skip model middleware such as the soft delete filter. A backup can only
+ * be restored into a database at the same migration version.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const readline = require('readline');
+const { once } = require('events');
+const mongoose = require('mongoose');
+const Quote = require('../models/quote.model');
+const Author = require('../models/author.model');
+const QuoteRevision = require('../models/quoteRevision.model');
+const QuoteViewBucket = require('../models/quoteViewBucket.model');
+const DailyQuote = require('../models/dailyQuote.model');
+const User = require('../models/user.model');
+const UserActivity = require('../models/userActivity.model');
+const Submission = require('../models/submission.model');
+const Reflection = require('../models/reflection.model');
+const Collection = require('../models/collection.model');
+const QuoteReaction = require('../models/quoteReaction.model');
+const { getCurrentVersion } = require('./migration.utils');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+const FORMAT_VERSION = 1;
+const BATCH_SIZE = 1000;
+
+// Sections that can be backed up and restored on their own, in restore order.
+// Bump a section's schema version whenever the shape of its documents changes.
+// Favorites are kept apart from users so either can be restored alone.
+const SECTIONS = {
+  quotes: {
+    schemaVersion: 2,
+    collections: [Quote, Author, QuoteRevision, QuoteViewBucket, DailyQuote]
+  },
+  users: {
+    schemaVersion: 3,
+    collections: [User],
+    projection: { favorites: 0 }
+  },
+  favorites: {
+    schemaVersion: 1,
+    collections: [User],
+    filter: { 'favorites.0': { $exists: true } },
+    projection: { favorites: 1 }
+  },
+  collections: {
+    schemaVersion: 2,
+    collections: [Collection]
+  },
+  reactions: {
+    schemaVersion: 1,
+    collections: [QuoteReaction]
+  },
+  activity: {
+    schemaVersion: 1,
+    collections: [UserActivity]
+  },
+  submissions: {
+    schemaVersion: 1,
+    collections: [Submission]
+  },
+  reflections: {
+    schemaVersion: 1,
+    collections: [Reflection]
+  }
+};
+
+exports.SECTIONS = Object.keys(SECTIONS);
+
+/**
+ * Resolve a list of section names, defaulting to every section
+ */
+function getSections(only) {
+  if (!only || only.length === 0) {
+    return Object.keys(SECTIONS);
+  }
+
+  const unknown = only.filter(name => !SECTIONS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown sections: ${unknown.join(', ')}. Choose from: ${Object.keys(SECTIONS).join(', ')}`);
+  }
+
+  // Keep restore order regardless of the order given
+  return Object.keys(SECTIONS).filter(name => only.includes(name));
+}
+
+/**
+ * Write one line to the archive, waiting if the stream is full
+ */
+async function writeLine(stream, value) {
+  if (!stream.write(`${EJSON.stringify(value)}\n`)) {
+    await once(stream, 'drain');
+  }
+}
+
+/**
+ * Read the archive line by line
+ */
+async function* readLines(file) {
+  const input = fs.createReadStream(file).pipe(zlib.createGunzip());
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  let number = 0;
+  for await (const line of lines) {
+    number++;
+    if (!line) continue;
+
+    try {
+      yield EJSON.parse(line);
+    } catch (error) {
+      throw new Error(`Invalid archive entry on line ${number}`);
+    }
+  }
+}
+
+/**
+ * Dump the given sections to a backup archive
+ *
+ * @param {string} file - Path of the archive to write
+ * @param {Array<string>} only - Sections to include (default: all)
+ * @returns {Object} Document counts per section and collection
+ */
+exports.createBackup = async (file, only) => {
+  const sections = getSections(only);
+  const counts = {};
+
+  const gzip = zlib.createGzip();
+  const output = fs.createWriteStream(file);
+  const finished = once(output, 'finish');
+  gzip.pipe(output);
+
+  await writeLine(gzip, {
+    type: 'manifest',
+    formatVersion: FORMAT_VERSION,
+    createdAt: new Date(),
+    database: mongoose.connection.name,
+    migrationVersion: await getCurrentVersion(),
+    sections: Object.fromEntries(sections.map(name => [name, { schemaVersion: SECTIONS[name].schemaVersion }]))
+  });
+
+  for (const name of sections) {
+    const { collections, filter = {}, projection } = SECTIONS[name];
+    counts[name] = {};
+
+    for (const Model of collections) {
+      const collection = Model.collection.collectionName;
+      const cursor = Model.collection.find(filter, { projection });
+      counts[name][collection] = 0;
+
+      for await (const document of cursor) {
+        await writeLine(gzip, { type: 'document', section: name, collection, document });
+        counts[name][collection]++;
+      }
+    }
+  }
+
+  await writeLine(gzip, { type: 'footer', counts });
+  gzip.end();
+  await finished;
+
+  return counts;
+};
+
+/**
+ * Read a backup's manifest and check the archive is complete
+ *
+ * @param {string} file - Path of the archive
+ * @returns {{ manifest: Object, counts: Object }} Manifest and document counts
+ */
+exports.verifyBackup = async (file) => {
+  let manifest = null;
+  let footer = null;
+  const counts = {};
+
+  for await (const entry of readLines(file)) {
+    if (!manifest) {
+      if (entry.type !== 'manifest') {
+        throw new Error('Archive does not start with a manifest');
+      }
+      if (entry.formatVersion !== FORMAT_VERSION) {
+        throw new Error(`Unsupported archive format version ${entry.formatVersion} (expected ${FORMAT_VERSION})`);
+      }
+      manifest = entry;
+    } else if (entry.type === 'document') {
+      counts[entry.section] = counts[entry.section] || {};
+      counts[entry.section][entry.collection] = (counts[entry.section][entry.collection] || 0) + 1;
+    } else if (entry.type === 'footer') {
+      footer = entry;
+    }
+  }
+
+  if (!manifest) {
+    throw new Error('Archive is empty');
+  }
+
+  // A missing footer or mismatched counts means the archive was cut short
+  if (!footer) {
+    throw new Error('Archive is incomplete: footer not found');
+  }
+
+  for (const [section, collections] of Object.entries(footer.counts)) {
+    for (const [collection, count] of Object.entries(collections)) {
+      const found = (counts[section] && counts[section][collection]) || 0;
+      if (found !== count) {
+        throw new Error(`Archive is incomplete: expected ${count} ${collection} in ${section}, found ${found}`);
+      }
+    }
+  }
+
+  return { manifest, counts: footer.counts };
+};
+
+/**
+ * Check the sections to restore exist in the backup with the schema versions this server uses
+ */
+function checkSchemaVersions(manifest, sections) {
+  const problems = [];
+
+  for (const name of sections) {
+    const section = manifest.sections[name];
+
+    if (!section) {
+      problems.push(`${name} is not in the backup`);
+    } else if (section.schemaVersion !== SECTIONS[name].schemaVersion) {
+      problems.push(`${name} has schema version ${section.schemaVersion}, this server expects ${SECTIONS[name].schemaVersion}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Backup can't be restored: ${problems.join('; ')}`);
+  }
+}
+
+/**
+ * Write a batch of restored documents, resolving to the number that failed
+ * Favorites are set on existing users; other documents are inserted, or
+ * replaced by ID when merging into existing data
+ */
+async function writeBatch(section, collection, documents, mode) {
+  const operations = documents.map(document => {
+    if (section === 'favorites') {
+      return { updateOne: { filter: { _id: document._id }, update: { $set: { favorites: document.favorites } } } };
+    }
+    if (mode === 'merge') {
+      return { replaceOne: { filter: { _id: document._id }, replacement: document, upsert: true } };
+    }
+    return { insertOne: { document } };
+  });
+
+  try {
+    await mongoose.connection.collection(collection).bulkWrite(operations, { ordered: false });
+    return 0;
+  } catch (error) {
+    if (!error.writeErrors) {
+      throw error;
+    }
+    return error.writeErrors.length;
+  }
+}
+
+/**
+ * Remove the data a section will restore
+ */
+async function clearSection(name) {
+  if (name === 'favorites') {
+    await User.collection.updateMany({}, { $set: { favorites: [] } });
+    return;
+  }
+
+  for (const Model of SECTIONS[name].collections) {
+    await Model.collection.deleteMany({});
+  }
+}
+
+/**
+ * Restore sections from a backup archive
+ *
+ * @param {string} file - Path of the archive
+ * @param {Object} options
+ * @param {Array<string>} options.only - Sections to restore (default: all in the backup)
+ * @param {string} options.mode - `replace` clears the sections first, `merge` upserts by ID
+ * @returns {{ restored: Object, failed: number }} Documents restored per section and collection
+ */
+exports.restoreBackup = async (file, { only, mode = 'replace' } = {}) => {
+  if (!['replace', 'merge'].includes(mode)) {
+    throw new Error(`Unknown restore mode: ${mode}`);
+  }
+
+  // Validate the whole archive before touching any data
+  const { manifest } = await exports.verifyBackup(file);
+  const sections = only && only.length > 0
+    ? getSections(only)
+    : getSections(Object.keys(manifest.sections));
+
+  checkSchemaVersions(manifest, sections);
+
+  // Documents must have the shape the database's migrations expect
+  const backupVersion = manifest.migrationVersion || 0;
+  const currentVersion = await getCurrentVersion();
+  if (backupVersion !== currentVersion) {
+    throw new Error(
+      `Backup was taken at migration ${backupVersion} but the database is at migration ${currentVersion}. ` +
+      `Migrate the database to ${backupVersion} first, then apply the remaining migrations after restoring`
+    );
+  }
+
+  if (mode === 'replace') {
+    for (const name of sections) {
+      await clearSection(name);
+    }
+  }
+
+  const restored = {};
+  let failed = 0;
+  let batch = { key: null, documents: [] };
+
+  const flush = async () => {
+    if (batch.documents.length === 0) return;
+
+    const [section, collection] = batch.key.split('/');
+    const errors = await writeBatch(section, collection, batch.documents, mode);
+
+    failed += errors;
+    restored[section] = restored[section] || {};
+    restored[section][collection] = (restored[section][collection] || 0) + batch.documents.length - errors;
+    batch.documents = [];
+  };
+
+  for await (const entry of readLines(file)) {
+    if (entry.type !== 'document' || !sections.includes(entry.section)) {
+      continue;
+    }
+
+    const key = `${entry.section}/${entry.collection}`;
+    if (key !== batch.key || batch.documents.length >= BATCH_SIZE) {
+      await flush();
+      batch.key = key;
+    }
+
+    batch.documents.push(entry.document);
+  }
+
+  await flush();
+
+  return { restored, failed };
+};
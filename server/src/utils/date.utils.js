@@ -0,0 +1,56 @@
+/**
+ * Date helpers for working with calendar days in a caller's timezone.
+ * Calendar days are represented as `YYYY-MM-DD` strings ("date keys").
+ */
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check whether a string is a valid IANA timezone name
+ */
+exports.isValidTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== 'string') {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Check whether a string is a well-formed date key (YYYY-MM-DD)
+ */
+exports.isDateKey = (value) => {
+  if (typeof value !== 'string' || !DATE_KEY_PATTERN.test(value)) {
+    return false;
+  }
+
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+/**
+ * Get the calendar day of a moment in the given timezone
+ */
+exports.getDateKey = (date = new Date(), timezone = 'UTC') => {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+};
+
+/**
+ * Shift a date key by a number of days
+ */
+exports.addDays = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
@@ -0,0 +1,163 @@
+/**
+ * Helpers for detecting duplicate and near-duplicate quotes.
+ *
+ * Exact duplicates have the same text once case, accents, punctuation and
+ * whitespace are ignored. Near-duplicates are scored with the Dice
+ * coefficient of character trigrams, from 0 (unrelated) to 1 (identical).
+ */
+
+const DEFAULT_THRESHOLD = 0.85;
+
+/**
+ * Get the minimum score for two quotes to count as near-duplicates
+ */
+exports.getSimilarityThreshold = () => {
+  return parseFloat(process.env.DUPLICATE_SIMILARITY_THRESHOLD) || DEFAULT_THRESHOLD;
+};
+
+/**
+ * Normalize quote text for comparison ("Be  the Change!" -> "be the change")
+ */
+exports.normalizeText = (text) => {
+  if (text === null || text === undefined) {
+    return '';
+  }
+
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+};
+
+/**
+ * Split normalized text into its set of character trigrams
+ */
+function trigrams(normalized) {
+  const padded = ` ${normalized} `;
+  const grams = new Set();
+
+  for (let i = 0; i < padded.length - 2; i++) {
+    grams.add(padded.slice(i, i + 3));
+  }
+
+  return grams;
+}
+
+/**
+ * Dice coefficient of two trigram sets
+ */
+function dice(a, b) {
+  if (a.size === 0 || b.size === 0) {
+    return 0;
+  }
+
+  let shared = 0;
+  for (const gram of a) {
+    if (b.has(gram)) shared++;
+  }
+
+  return (2 * shared) / (a.size + b.size);
+}
+
+/**
+ * Score how similar two quote texts are, from 0 to 1
+ */
+exports.similarity = (a, b) => {
+  const x = exports.normalizeText(a);
+  const y = exports.normalizeText(b);
+
+  if (x === y) {
+    return x ? 1 : 0;
+  }
+
+  return dice(trigrams(x), trigrams(y));
+};
+
+/**
+ * Group quotes into clusters of duplicates
+ *
+ * Identical normalized text is always a duplicate. Near-duplicates are only
+ * compared within the same author to keep the report fast on large collections.
+ *
+ * @param {Array} quotes - Quotes with `_id`, `text` and `authorId` or `author`
+ * @param {number} threshold - Minimum near-duplicate score
+ * @returns {Array<{ quotes: Array, exact: boolean, score: number }>} Largest clusters first
+ */
+exports.clusterDuplicates = (quotes, threshold = exports.getSimilarityThreshold()) => {
+  const normalized = quotes.map(quote => exports.normalizeText(quote.text));
+  const parent = quotes.map((quote, i) => i);
+  const links = [];
+
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  const link = (i, j, score) => {
+    parent[find(i)] = find(j);
+    links.push({ i, score });
+  };
+
+  // Link identical normalized text across all authors
+  const byText = new Map();
+  normalized.forEach((text, i) => {
+    if (!text) return;
+    if (byText.has(text)) {
+      link(i, byText.get(text), 1);
+    } else {
+      byText.set(text, i);
+    }
+  });
+
+  // Compare the remaining texts pairwise within each author
+  const byAuthor = new Map();
+  byText.forEach((i) => {
+    const key = String(quotes[i].authorId || exports.normalizeText(quotes[i].author));
+    if (!byAuthor.has(key)) byAuthor.set(key, []);
+    byAuthor.get(key).push({ i, grams: trigrams(normalized[i]) });
+  });
+
+  // Texts of very different lengths can't reach the threshold
+  const maxRatio = (2 - threshold) / threshold;
+
+  byAuthor.forEach((group) => {
+    group.sort((a, b) => a.grams.size - b.grams.size);
+
+    for (let a = 0; a < group.length; a++) {
+      for (let b = a + 1; b < group.length; b++) {
+        if (group[b].grams.size > group[a].grams.size * maxRatio) break;
+
+        const score = dice(group[a].grams, group[b].grams);
+        if (score >= threshold) {
+          link(group[a].i, group[b].i, score);
+        }
+      }
+    }
+  });
+
+  // Collect cluster members and their weakest link
+  const clusters = new Map();
+  quotes.forEach((quote, i) => {
+    const root = find(i);
+    if (!clusters.has(root)) clusters.set(root, { quotes: [], score: 1 });
+    clusters.get(root).quotes.push(quote);
+  });
+  links.forEach(({ i, score }) => {
+    const cluster = clusters.get(find(i));
+    cluster.score = Math.min(cluster.score, score);
+  });
+
+  return [...clusters.values()]
+    .filter(cluster => cluster.quotes.length > 1)
+    .map(cluster => ({
+      quotes: cluster.quotes,
+      exact: cluster.score === 1,
+      score: Math.round(cluster.score * 1000) / 1000
+    }))
+    .sort((a, b) => b.quotes.length - a.quotes.length || b.score - a.score);
+};
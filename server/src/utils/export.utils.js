@@ -0,0 +1,95 @@
+/**
+ * Formatting of quote exports and the reflections journal.
+ *
+ * Each format is written piece by piece so exports can be streamed: a header,
+ * one chunk per quote and a footer. JSON exports keep the `{ "quotes": [...] }`
+ * shape accepted by the quote import, and CSV uses the import's column names.
+ */
+
+const CSV_COLUMNS = ['text', 'author', 'source', 'tags', 'views', 'createdAt', 'externalId'];
+
+exports.EXPORT_FORMATS = {
+  json: { contentType: 'application/json', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' }
+};
+
+/**
+ * Quote a CSV field if it contains a delimiter, quote or line break
+ */
+function csvField(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format a quote as a Markdown blockquote
+ */
+function markdownQuote(quote) {
+  const lines = quote.text.split(/\r?\n/).map(line => `> ${line}`);
+  const attribution = quote.source ? `${quote.author}, *${quote.source}*` : quote.author;
+
+  lines.push('>', `> — ${attribution}`);
+
+  if (quote.tags && quote.tags.length > 0) {
+    lines.push('', `Tags: ${quote.tags.map(tag => `\`${tag}\``).join(', ')}`);
+  }
+
+  return `${lines.join('\n')}\n\n`;
+}
+
+/**
+ * Create the writer for an export format
+ *
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {{ header: Function, quote: Function, footer: Function }} Functions returning strings to write
+ */
+exports.createFormatter = (format) => {
+  switch (format) {
+    case 'json':
+      return {
+        header: () => '{"quotes":[',
+        quote: (quote, index) => `${index > 0 ? ',' : ''}\n${JSON.stringify(quote)}`,
+        footer: () => '\n]}\n'
+      };
+    case 'ndjson':
+      return {
+        header: () => '',
+        quote: quote => `${JSON.stringify(quote)}\n`,
+        footer: () => ''
+      };
+    case 'csv':
+      return {
+        header: () => `${CSV_COLUMNS.join(',')}\n`,
+        quote: quote => `${CSV_COLUMNS.map(column => csvField(
+          column === 'tags' ? (quote.tags || []).join(', ') : quote[column]
+        )).join(',')}\n`,
+        footer: () => ''
+      };
+    case 'markdown':
+      return {
+        header: () => '# Quotes\n\n',
+        quote: markdownQuote,
+        footer: () => ''
+      };
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+};
+
+/**
+ * Format a reflection as a Markdown journal entry below the quote it's about
+ * Expects the quote to be populated in `quoteId`
+ */
+exports.markdownReflection = (reflection) => {
+  const heading = reflection.mood ? `## ${reflection.date} · ${reflection.mood}` : `## ${reflection.date}`;
+  const quote = reflection.quoteId ? markdownQuote(reflection.quoteId) : '> *This quote is no longer available*\n\n';
+
+  return `${heading}\n\n${quote}${reflection.text}\n\n`;
+};
@@ -0,0 +1,143 @@
+/**
+ * Personal quote feed.
+ *
+ * The feed blends three sources of quotes that never overlap: quotes with a
+ * tag or author the user follows, other quotes added recently, and other
+ * older quotes by popularity. Every page gives each source a fixed share of
+ * its slots. Slots a source can no longer fill go to the others, so only the
+ * last page is short.
+ */
+
+// Sources in the order their quotes take turns on a page
+const FEED_SOURCES = ['following', 'new', 'popular'];
+
+// Share of each page's slots given to each source
+const FEED_SHARES = {
+  following: 0.6,
+  new: 0.2,
+  popular: 0.2
+};
+
+// Quotes count as new for this many days after they were added
+const NEW_QUOTE_DAYS = 14;
+
+exports.FEED_SOURCES = FEED_SOURCES;
+
+/**
+ * Build the filter and sort of each source for a user's followed tags and authors
+ * Without any follows the following source is empty
+ *
+ * @param {Object} following - `tags` and `authors` the user follows
+ * @param {Date} now - Current time, which decides which quotes are new
+ * @returns {Object} `{ filter, sort }` per source
+ */
+exports.buildFeedQueries = (following = {}, now = new Date()) => {
+  const interests = [
+    { tags: { $in: following.tags || [] } },
+    { authorId: { $in: following.authors || [] } }
+  ];
+  const newSince = new Date(now.getTime() - NEW_QUOTE_DAYS * 24 * 60 * 60 * 1000);
+
+  return {
+    following: {
+      filter: { $or: interests },
+      sort: { createdAt: -1, _id: -1 }
+    },
+    new: {
+      filter: { $nor: interests, createdAt: { $gte: newSince } },
+      sort: { createdAt: -1, _id: -1 }
+    },
+    popular: {
+      filter: { $nor: interests, createdAt: { $lt: newSince } },
+      sort: { views: -1, _id: -1 }
+    }
+  };
+};
+
+/**
+ * Split a page's slots between the sources by their shares
+ * Rounding leftovers go to the first sources
+ */
+exports.getSlots = (limit) => {
+  const slots = {};
+  let remaining = limit;
+
+  for (const source of FEED_SOURCES) {
+    slots[source] = Math.min(Math.floor(limit * FEED_SHARES[source]), remaining);
+    remaining -= slots[source];
+  }
+
+  for (let i = 0; remaining > 0; i = (i + 1) % FEED_SOURCES.length, remaining--) {
+    slots[FEED_SOURCES[i]] += 1;
+  }
+
+  return slots;
+};
+
+/**
+ * Work out which quotes of each source fill one page of the feed
+ * Earlier pages are worked out from the source sizes alone, so the same
+ * sizes always give the same pages
+ *
+ * @param {Object} counts - Number of quotes in each source
+ * @param {number} page - Page number, from 1
+ * @param {number} limit - Quotes per page
+ * @returns {Object} `{ skip, limit }` per source
+ */
+exports.allocateFeedPage = (counts, page, limit) => {
+  const slots = exports.getSlots(limit);
+  const taken = Object.fromEntries(FEED_SOURCES.map(source => [source, 0]));
+  let allocation;
+
+  for (let current = 1; current <= page; current++) {
+    allocation = {};
+    let free = limit;
+
+    // Each source first takes its own share of the page
+    for (const source of FEED_SOURCES) {
+      const take = Math.min(slots[source], counts[source] - taken[source]);
+      allocation[source] = { skip: taken[source], limit: take };
+      free -= take;
+    }
+
+    // Then sources with quotes left fill the slots the others couldn't
+    for (const source of FEED_SOURCES) {
+      const left = counts[source] - taken[source] - allocation[source].limit;
+      const take = Math.min(free, left);
+      allocation[source].limit += take;
+      free -= take;
+    }
+
+    for (const source of FEED_SOURCES) {
+      taken[source] += allocation[source].limit;
+    }
+
+    // Every source has run out, so later pages are empty
+    if (free === limit) {
+      break;
+    }
+  }
+
+  return allocation;
+};
+
+/**
+ * Merge the quotes of each source into one page, taking turns between sources
+ *
+ * @param {Object} quotesBySource - Quotes of each source, in order
+ * @returns {Array<{ quote: Object, reason: string }>} Feed items, each with the source it came from
+ */
+exports.interleaveFeed = (quotesBySource) => {
+  const items = [];
+  const longest = Math.max(...FEED_SOURCES.map(source => quotesBySource[source].length));
+
+  for (let i = 0; i < longest; i++) {
+    for (const source of FEED_SOURCES) {
+      if (i < quotesBySource[source].length) {
+        items.push({ quote: quotesBySource[source][i], reason: source });
+      }
+    }
+  }
+
+  return items;
+};
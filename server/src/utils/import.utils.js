@@ -0,0 +1,187 @@
+/**
+ * Parsing of quote import files.
+ *
+ * Files can be JSON (an array, or an object with a `quotes` array), NDJSON
+ * (one quote per line), CSV (one quote per row, with a header row) or YAML.
+ * Every format is turned into an array of plain row objects.
+ */
+
+const path = require('path');
+const { parse: parseCsv } = require('csv-parse/sync');
+const yaml = require('js-yaml');
+
+const FORMATS = ['json', 'ndjson', 'csv', 'yaml'];
+
+const EXTENSIONS = {
+  '.json': 'json',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson',
+  '.csv': 'csv',
+  '.yaml': 'yaml',
+  '.yml': 'yaml'
+};
+
+const MIME_TYPES = {
+  'application/json': 'json',
+  'application/x-ndjson': 'ndjson',
+  'application/jsonl': 'ndjson',
+  'text/csv': 'csv',
+  'application/yaml': 'yaml',
+  'application/x-yaml': 'yaml',
+  'text/yaml': 'yaml'
+};
+
+// CSV headers recognized for each quote field when no mapping is given
+const COLUMN_NAMES = {
+  text: ['text', 'quote'],
+  author: ['author'],
+  source: ['source'],
+  tags: ['tags', 'tag'],
+  externalId: ['externalid', 'external_id', 'external id', 'id']
+};
+
+exports.IMPORT_FORMATS = FORMATS;
+
+/**
+ * Work out the format of an uploaded file
+ * An explicit format wins, then the file extension, then the MIME type
+ * Returns null if the format isn't supported
+ */
+exports.detectFormat = (file, format) => {
+  if (format) {
+    const requested = String(format).toLowerCase();
+    return FORMATS.includes(requested) ? requested : null;
+  }
+
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  if (EXTENSIONS[extension]) {
+    return EXTENSIONS[extension];
+  }
+
+  return MIME_TYPES[file.mimetype] || null;
+};
+
+/**
+ * Take the rows out of a parsed JSON or YAML document
+ */
+function getRows(document) {
+  if (Array.isArray(document)) {
+    return document;
+  }
+
+  if (document && Array.isArray(document.quotes)) {
+    return document.quotes;
+  }
+
+  throw new Error('Expected an array of quotes or an object with a "quotes" array');
+}
+
+/**
+ * Parse newline-delimited JSON, reporting the line of any invalid entry
+ */
+function parseNdjson(content) {
+  const rows = [];
+
+  content.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) return;
+
+    try {
+      rows.push(JSON.parse(line));
+    } catch (error) {
+      throw new Error(`Invalid JSON on line ${i + 1}`);
+    }
+  });
+
+  return rows;
+}
+
+/**
+ * Parse CSV with a header row, renaming columns to quote fields
+ *
+ * @param {string} content - CSV text
+ * @param {Object} mapping - Optional `{ field: column }`, e.g. `{ text: 'Quote', author: 'Said by' }`
+ */
+function parseCsvRows(content, mapping = {}) {
+  const records = parseCsv(content, {
+    columns: true,
+    skip_empty_lines: true,
+    trim: true,
+    bom: true
+  });
+
+  if (records.length === 0) {
+    return [];
+  }
+
+  const headers = Object.keys(records[0]);
+
+  const unknownFields = Object.keys(mapping).filter(field => !COLUMN_NAMES[field]);
+  if (unknownFields.length > 0) {
+    throw new Error(`Unknown fields in column mapping: ${unknownFields.join(', ')}`);
+  }
+
+  // Find the column for each field, from the mapping or the default header names
+  const columns = {};
+  for (const field of Object.keys(COLUMN_NAMES)) {
+    if (mapping[field]) {
+      if (!headers.includes(mapping[field])) {
+        throw new Error(`Column "${mapping[field]}" mapped to ${field} was not found`);
+      }
+      columns[field] = mapping[field];
+    } else {
+      columns[field] = headers.find(header => COLUMN_NAMES[field].includes(header.toLowerCase()));
+    }
+  }
+
+  return records.map(record => {
+    const row = {};
+
+    for (const [field, column] of Object.entries(columns)) {
+      if (column && record[column] !== '') {
+        row[field] = record[column];
+      }
+    }
+
+    return row;
+  });
+}
+
+/**
+ * Parse an import file into an array of rows
+ *
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - One of `json`, `ndjson`, `csv` or `yaml`
+ * @param {Object} mapping - CSV column mapping
+ * @returns {Array<Object>} Rows
+ */
+exports.parseImportFile = (buffer, format, mapping) => {
+  const content = buffer.toString('utf8');
+
+  switch (format) {
+    case 'json':
+      return getRows(JSON.parse(content));
+    case 'ndjson':
+      return parseNdjson(content);
+    case 'csv':
+      return parseCsvRows(content, mapping);
+    case 'yaml':
+      return getRows(yaml.load(content));
+    default:
+      throw new Error(`Unsupported format: ${format}`);
+  }
+};
+
+/**
+ * Turn a tag list given as an array or a comma, semicolon or pipe separated string into tags
+ */
+exports.parseTags = (tags) => {
+  if (!tags) {
+    return [];
+  }
+
+  const values = Array.isArray(tags) ? tags : String(tags).split(/[,;|]/);
+
+  return values
+    .map(tag => String(tag).trim().toLowerCase())
+    .filter(Boolean);
+};
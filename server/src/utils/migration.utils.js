@@ -0,0 +1,225 @@
+/**
+ * Schema migrations.
+ *
+ * Migrations live in `src/migrations` as numbered files such as
+ * `002-add-profile-fields.js`. Each exports a `description` and `up(db)` and
+ * `down(db)` functions that receive the native MongoDB database, so they keep
+ * working after the models change. Applied migrations are recorded in the
+ * `migrations` collection.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Migration = require('../models/migration.model');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)-([\w-]+)\.js$/;
+
+// A lock older than this is assumed to be left over from a crashed run
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+exports.MIGRATIONS_DIR = MIGRATIONS_DIR;
+
+/**
+ * Load the migration files in version order
+ */
+exports.loadMigrations = () => {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => ({ file, match: FILE_PATTERN.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up and down functions`);
+      }
+
+      return {
+        version: parseInt(match[1]),
+        name: match[2],
+        description: migration.description || '',
+        up: migration.up,
+        down: migration.down
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, i) => {
+    if (i > 0 && migration.version === migrations[i - 1].version) {
+      throw new Error(`Two migrations have version ${migration.version}`);
+    }
+  });
+
+  return migrations;
+};
+
+/**
+ * Get the version of the latest applied migration, or 0 if none were applied
+ */
+exports.getCurrentVersion = async () => {
+  const latest = await Migration.findOne().sort({ version: -1 });
+  return latest ? latest.version : 0;
+};
+
+/**
+ * List every migration with when it was applied
+ * Applied migrations whose file no longer exists are included as missing
+ */
+exports.getStatus = async () => {
+  const migrations = exports.loadMigrations();
+  const applied = await Migration.find().sort({ version: 1 });
+  const appliedByVersion = new Map(applied.map(record => [record.version, record]));
+
+  const status = migrations.map(migration => {
+    const record = appliedByVersion.get(migration.version);
+    return {
+      version: migration.version,
+      name: migration.name,
+      description: migration.description,
+      status: record ? 'applied' : 'pending',
+      appliedAt: record ? record.appliedAt : null
+    };
+  });
+
+  applied
+    .filter(record => !migrations.some(migration => migration.version === record.version))
+    .forEach(record => status.push({
+      version: record.version,
+      name: record.name,
+      description: '',
+      status: 'missing',
+      appliedAt: record.appliedAt
+    }));
+
+  return status.sort((a, b) => a.version - b.version);
+};
+
+/**
+ * Run a function while holding the migrations lock, so two processes
+ * (e.g. several servers starting at once) don't migrate at the same time
+ */
+async function withLock(fn) {
+  const locks = mongoose.connection.db.collection('migrationlocks');
+
+  await locks.deleteOne({ _id: 'migrations', lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) } });
+
+  try {
+    await locks.insertOne({ _id: 'migrations', lockedAt: new Date() });
+  } catch (error) {
+    if (error.code === 11000) {
+      const lockError = new Error('Migrations are already running in another process');
+      lockError.code = 'migration_locked';
+      throw lockError;
+    }
+    throw error;
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await locks.deleteOne({ _id: 'migrations' });
+  }
+}
+
+/**
+ * Apply pending migrations in order, up to and including `to` if given
+ *
+ * @param {Object} options
+ * @param {number} options.to - Last version to apply (default: all)
+ * @param {Function} options.log - Called with a message for each migration
+ * @returns {Array<Object>} Applied migrations
+ */
+exports.migrateUp = ({ to = Infinity, log = () => {} } = {}) => withLock(async () => {
+  const applied = new Set(await Migration.distinct('version'));
+  const pending = exports.loadMigrations()
+    .filter(migration => !applied.has(migration.version) && migration.version <= to);
+
+  for (const migration of pending) {
+    log(`Applying ${migration.version}-${migration.name}`);
+
+    const start = Date.now();
+    await migration.up(mongoose.connection.db);
+
+    await Migration.create({
+      version: migration.version,
+      name: migration.name,
+      durationMs: Date.now() - start
+    });
+  }
+
+  return pending;
+});
+
+/**
+ * Roll back applied migrations, newest first
+ * Rolls back `steps` migrations (default 1), or every migration after version `to`
+ *
+ * @param {Object} options
+ * @param {number} options.steps - Number of migrations to roll back
+ * @param {number} options.to - Version to roll back to
+ * @param {Function} options.log - Called with a message for each migration
+ * @returns {Array<Object>} Rolled back migrations
+ */
+exports.migrateDown = ({ steps = 1, to = null, log = () => {} } = {}) => withLock(async () => {
+  if (to === null && (!Number.isInteger(steps) || steps < 1)) {
+    throw new Error('The number of migrations to roll back must be at least 1');
+  }
+
+  const migrations = new Map(exports.loadMigrations().map(migration => [migration.version, migration]));
+
+  let applied = await Migration.find().sort({ version: -1 });
+  applied = to !== null
+    ? applied.filter(record => record.version > to)
+    : applied.slice(0, steps);
+
+  const missing = applied.filter(record => !migrations.has(record.version));
+  if (missing.length > 0) {
+    throw new Error(`Can't roll back ${missing.map(record => record.version).join(', ')}: migration file not found`);
+  }
+
+  const rolledBack = [];
+
+  for (const record of applied) {
+    const migration = migrations.get(record.version);
+    log(`Rolling back ${migration.version}-${migration.name}`);
+
+    await migration.down(mongoose.connection.db);
+    await Migration.deleteOne({ version: record.version });
+
+    rolledBack.push(migration);
+  }
+
+  return rolledBack;
+});
+
+/**
+ * Apply pending migrations when the server starts, if RUN_MIGRATIONS_ON_START is set,
+ * or warn when the database is behind the latest migration
+ * Another process already migrating isn't an error, since it will finish the job
+ */
+exports.runMigrationsOnStart = async () => {
+  if (process.env.RUN_MIGRATIONS_ON_START !== 'true') {
+    const migrations = exports.loadMigrations();
+    const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+    const current = await exports.getCurrentVersion();
+
+    if (current < latest) {
+      console.warn(`Database is at migration ${current} but the latest migration is ${latest}. Run npm run migrate to update it`);
+    }
+    return;
+  }
+
+  try {
+    const applied = await exports.migrateUp({ log: console.log });
+    if (applied.length > 0) {
+      console.log(`Applied ${applied.length} migrations`);
+    }
+  } catch (error) {
+    if (error.code === 'migration_locked') {
+      console.warn('Skipping migrations: another process is running them');
+      return;
+    }
+    throw error;
+  }
+};
@@ -0,0 +1,159 @@
+/**
+ * Pagination helpers shared by the list endpoints.
+ *
+ * Lists are sorted newest first on a field plus `_id` as a tie-breaker, so
+ * every row has a unique position. Cursors encode that position, which keeps
+ * pages stable when rows are added or removed between requests.
+ */
+
+const mongoose = require('mongoose');
+const { ApiError } = require('../middleware/error.middleware');
+
+/**
+ * Encode a document's position in the list as an opaque cursor
+ */
+exports.encodeCursor = (doc, sortField) => {
+  const position = { v: doc[sortField], id: doc._id };
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+};
+
+/**
+ * Decode a cursor, returning null if it's malformed
+ */
+exports.decodeCursor = (cursor) => {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (!position || position.v === undefined || !mongoose.isValidObjectId(position.id)) {
+      return null;
+    }
+
+    return position;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build the filter selecting rows after (older than) or before (newer than) a position
+ */
+function positionFilter(position, sortField, direction) {
+  const operator = direction === 'after' ? '$lt' : '$gt';
+
+  return {
+    $or: [
+      { [sortField]: { [operator]: position.v } },
+      { [sortField]: position.v, _id: { [operator]: position.id } }
+    ]
+  };
+}
+
+/**
+ * Run a list query in page mode (?page=) or cursor mode (?after= / ?before=)
+ *
+ * Page mode keeps the original skip/limit behavior and total counts.
+ * Cursor mode skips the count and seeks directly to the cursor position.
+ * Both modes return `next` and `prev` cursors for switching to cursor mode.
+ *
+ * @param {Model} Model - Mongoose model to query
+ * @param {Object} filter - Query filter
+ * @param {Object} params - Request query parameters
+ * @param {Object} options - `sortField`, `select` and `populate` ([path, select])
+ * @returns {Promise<{ items: Array, pagination: Object }>}
+ */
+exports.paginate = async (Model, filter, params, options = {}) => {
+  const { sortField = 'createdAt', select, populate } = options;
+  const limit = parseInt(params.limit) || 10;
+  const direction = params.after ? 'after' : params.before ? 'before' : null;
+
+  if (!direction) {
+    const page = parseInt(params.page) || 1;
+    const skip = (page - 1) * limit;
+
+    let query = Model.find(filter);
+    if (select) query = query.select(select);
+    query = query
+      .sort({ [sortField]: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit);
+    if (populate) query = query.populate(...populate);
+
+    const items = await query;
+    const total = await Model.countDocuments(filter);
+    const hasItems = items.length > 0;
+
+    return {
+      items,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+        next: hasItems && skip + items.length < total ? exports.encodeCursor(items[items.length - 1], sortField) : null,
+        prev: hasItems && skip > 0 ? exports.encodeCursor(items[0], sortField) : null
+      }
+    };
+  }
+
+  const position = exports.decodeCursor(params[direction]);
+
+  if (!position) {
+    throw ApiError.badRequest('Invalid pagination cursor', 'invalid_cursor');
+  }
+
+  // Walk backwards from the cursor when paging to newer rows
+  const order = direction === 'after' ? -1 : 1;
+
+  let query = Model.find({
+    ...filter,
+    $and: [...(filter.$and || []), positionFilter(position, sortField, direction)]
+  });
+  if (select) query = query.select(select);
+  query = query
+    .sort({ [sortField]: order, _id: order })
+    .limit(limit + 1);
+  if (populate) query = query.populate(...populate);
+
+  const rows = await query;
+  const hasMore = rows.length > limit;
+  const items = rows.slice(0, limit);
+
+  if (direction === 'before') {
+    items.reverse();
+  }
+
+  const hasItems = items.length > 0;
+
+  return {
+    items,
+    pagination: {
+      limit,
+      next: hasItems && (direction === 'before' || hasMore) ? exports.encodeCursor(items[items.length - 1], sortField) : null,
+      prev: hasItems && (direction === 'after' || hasMore) ? exports.encodeCursor(items[0], sortField) : null
+    }
+  };
+};
+
+/**
+ * Page through a list that is already in memory, such as IDs stored on a document
+ * Only page mode is supported, as the list has no sort field for cursors
+ *
+ * @param {Array} list - Whole list, in display order
+ * @param {Object} params - Request query parameters
+ * @returns {{ items: Array, pagination: Object }}
+ */
+exports.paginateList = (list, params) => {
+  const limit = parseInt(params.limit) || 10;
+  const page = parseInt(params.page) || 1;
+  const skip = (page - 1) * limit;
+
+  return {
+    items: list.slice(skip, skip + limit),
+    pagination: {
+      total: list.length,
+      page,
+      limit,
+      pages: Math.ceil(list.length / limit)
+    }
+  };
+};
@@ -0,0 +1,97 @@
+/**
+ * Collection of the personal data held about a user, for the self-service
+ * data export. The bundle has one section per kind of data, and ZIP exports
+ * hold one JSON file per section.
+ */
+
+const archiver = require('archiver');
+const User = require('../models/user.model');
+const UserActivity = require('../models/userActivity.model');
+const Submission = require('../models/submission.model');
+const Reflection = require('../models/reflection.model');
+const Collection = require('../models/collection.model');
+const QuoteReaction = require('../models/quoteReaction.model');
+
+const QUOTE_FIELDS = 'text author source tags';
+
+exports.PERSONAL_DATA_FORMATS = ['json', 'zip'];
+
+// File name of each section in ZIP exports
+const SECTION_FILES = {
+  profile: 'profile.json',
+  favorites: 'favorites.json',
+  collections: 'collections.json',
+  reactions: 'reactions.json',
+  viewHistory: 'view-history.json',
+  activity: 'activity.json',
+  submissions: 'submissions.json',
+  reflections: 'reflections.json'
+};
+
+/**
+ * Gather everything stored about a user
+ *
+ * @param {ObjectId} userId - User to export
+ * @returns {Object} Bundle with exportedAt and one key per section
+ */
+exports.collectPersonalData = async (userId) => {
+  const user = await User.findById(userId)
+    .select('-__v -deletedAt -deletedBy')
+    .populate('favorites', QUOTE_FIELDS)
+    .populate('quotesViewed.quoteId', QUOTE_FIELDS)
+    .populate('following.authors', 'name slug')
+    .lean();
+
+  if (!user) {
+    return null;
+  }
+
+  const { favorites, quotesViewed, ...profile } = user;
+
+  const [collections, reactions, activity, submissions, reflections] = await Promise.all([
+    Collection.find({ userId }).select('-userId -__v').populate('entries.quoteId', QUOTE_FIELDS).sort({ position: 1 }).lean(),
+    QuoteReaction.find({ userId }).select('-userId -__v').populate('quoteId', QUOTE_FIELDS).sort({ updatedAt: -1 }).lean(),
+    UserActivity.find({ userId }).select('-userId -__v').sort({ timestamp: -1 }).lean(),
+    Submission.find({ submittedBy: userId }).select('-submittedBy -__v').sort({ createdAt: -1 }).lean(),
+    Reflection.find({ userId }).select('-userId -__v').populate('quoteId', QUOTE_FIELDS).sort({ date: -1 }).lean()
+  ]);
+
+  return {
+    exportedAt: new Date(),
+    profile,
+    favorites,
+    collections,
+    reactions,
+    // Views of quotes that were since deleted keep their date without the quote
+    viewHistory: quotesViewed.map(({ quoteId, viewedAt }) => ({ quote: quoteId, viewedAt })),
+    activity,
+    submissions,
+    reflections
+  };
+};
+
+/**
+ * Write a personal data bundle to a stream as a ZIP archive
+ * Resolves once the archive has been written
+ */
+exports.writeZip = (data, output) => {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const finished = new Promise((resolve, reject) => {
+    archive.on('error', reject);
+    output.on('close', resolve);
+    output.on('finish', resolve);
+  });
+
+  archive.pipe(output);
+
+  for (const [section, file] of Object.entries(SECTION_FILES)) {
+    archive.append(JSON.stringify(data[section], null, 2), { name: file });
+  }
+  archive.append(JSON.stringify({ exportedAt: data.exportedAt, files: Object.values(SECTION_FILES) }, null, 2), {
+    name: 'manifest.json'
+  });
+
+  archive.finalize();
+
+  return finished;
+};
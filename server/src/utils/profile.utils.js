@@ -0,0 +1,107 @@
+/**
+ * Validation of profile updates.
+ *
+ * Only the fields listed here can be changed through the profile API. Values
+ * are type checked before they reach the model, whose validators then check
+ * lengths, enums and formats. Both report errors as `{ field, message }`.
+ */
+
+const { ApiError } = require('../middleware/error.middleware');
+
+// Fields a user can edit, with the type each value must have.
+// Optional text fields can also be cleared with null.
+const PROFILE_FIELDS = {
+  displayName: { type: 'string' },
+  firstName: { type: 'string', nullable: true },
+  lastName: { type: 'string', nullable: true },
+  bio: { type: 'string', nullable: true },
+  avatar: { type: 'string', nullable: true }
+};
+
+const PREFERENCE_FIELDS = {
+  theme: { type: 'string' },
+  emailNotifications: { type: 'boolean' },
+  timezone: { type: 'string' },
+  language: { type: 'string' },
+  quotesPerDay: { type: 'integer' }
+};
+
+exports.PROFILE_FIELDS = Object.keys(PROFILE_FIELDS);
+exports.PREFERENCE_FIELDS = Object.keys(PREFERENCE_FIELDS);
+
+/**
+ * Check a value has the type a field expects, returning an error message if not
+ */
+function checkType(value, { type, nullable }) {
+  if (value === null) {
+    return nullable ? null : 'cannot be empty';
+  }
+
+  if (type === 'integer') {
+    return Number.isInteger(value) ? null : 'must be a whole number';
+  }
+
+  return typeof value === type ? null : `must be a ${type}`;
+}
+
+/**
+ * Check every key of an object is a known field with a value of the right type
+ */
+function checkFields(values, fields, prefix, errors) {
+  for (const [key, value] of Object.entries(values)) {
+    const field = `${prefix}${key}`;
+
+    if (!Object.prototype.hasOwnProperty.call(fields, key)) {
+      errors.push({ field, message: `${field} is not a profile field` });
+      continue;
+    }
+
+    const problem = checkType(value, fields[key]);
+    if (problem) {
+      errors.push({ field, message: `${field} ${problem}` });
+    }
+  }
+}
+
+/**
+ * Check a profile update, throwing a validation error listing every bad field
+ *
+ * @param {Object} body - Requested changes, e.g. `{ bio, preferences: { theme } }`
+ * @returns {{ profile: Object, preferences: Object }} Profile and preference changes
+ */
+exports.validateProfileUpdate = (body) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw ApiError.badRequest('Profile update must be a JSON object', 'validation_error');
+  }
+
+  const { preferences = {}, ...profile } = body;
+  const errors = [];
+
+  checkFields(profile, PROFILE_FIELDS, '', errors);
+
+  if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+    errors.push({ field: 'preferences', message: 'preferences must be an object' });
+  } else {
+    checkFields(preferences, PREFERENCE_FIELDS, 'preferences.', errors);
+  }
+
+  if (errors.length > 0) {
+    throw ApiError.badRequest('Validation failed', 'validation_error', errors);
+  }
+
+  return { profile, preferences };
+};
+
+/**
+ * Apply a validated profile update to a user document
+ * Cleared fields are removed rather than stored as null
+ */
+exports.applyProfileUpdate = (user, { profile, preferences }) => {
+  for (const [key, value] of Object.entries(profile)) {
+    user[key] = value === null ? undefined : value;
+  }
+
+  for (const [key, value] of Object.entries(preferences)) {
+    user.preferences[key] = value;
+  }
+};
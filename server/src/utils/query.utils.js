@@ -0,0 +1,89 @@
+/**
+ * Helpers for turning request query strings into MongoDB filters
+ */
+
+const { ApiError } = require('../middleware/error.middleware');
+const { isDateKey, addDays } = require('./date.utils');
+
+/**
+ * Split a comma-separated query value (or repeated query param) into a list
+ */
+exports.parseList = (value) => {
+  if (!value) {
+    return [];
+  }
+
+  const values = Array.isArray(value) ? value : String(value).split(',');
+
+  return values
+    .map(item => String(item).trim())
+    .filter(Boolean);
+};
+
+/**
+ * Escape a string for literal use inside a regular expression
+ */
+exports.escapeRegex = (value) => {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+/**
+ * Build a quote filter from `tag`, `author` and `excludeTags` query params
+ * `tag` and `excludeTags` accept comma-separated lists
+ */
+exports.buildQuoteFilter = (query = {}) => {
+  const filter = {};
+
+  const tags = exports.parseList(query.tag).map(tag => tag.toLowerCase());
+  const excludeTags = exports.parseList(query.excludeTags).map(tag => tag.toLowerCase());
+
+  if (tags.length > 0 || excludeTags.length > 0) {
+    filter.tags = {};
+    if (tags.length > 0) filter.tags.$in = tags;
+    if (excludeTags.length > 0) filter.tags.$nin = excludeTags;
+  }
+
+  if (query.author) {
+    filter.author = {
+      $regex: `^${exports.escapeRegex(String(query.author).trim())}$`,
+      $options: 'i'
+    };
+  }
+
+  return filter;
+};
+
+/**
+ * Build a date range condition from `from` and `to` query values
+ * A plain date (YYYY-MM-DD) as the upper bound includes that whole day
+ * Returns null if neither bound is given
+ */
+exports.buildDateRange = (from, to) => {
+  if (!from && !to) {
+    return null;
+  }
+
+  const range = {};
+
+  if (from) {
+    const start = new Date(from);
+    if (isNaN(start.getTime())) {
+      throw ApiError.badRequest('Invalid from date');
+    }
+    range.$gte = start;
+  }
+
+  if (to) {
+    if (isDateKey(to)) {
+      range.$lt = new Date(`${addDays(to, 1)}T00:00:00Z`);
+    } else {
+      const end = new Date(to);
+      if (isNaN(end.getTime())) {
+        throw ApiError.badRequest('Invalid to date');
+      }
+      range.$lte = end;
+    }
+  }
+
+  return range;
+};
@@ -0,0 +1,34 @@
+/**
+ * Reactions and ratings users leave on quotes, and the score that ranks
+ * quotes by them.
+ *
+ * The score is the average rating pulled towards a neutral prior until
+ * enough users have rated the quote, so one 5-star rating doesn't outrank
+ * fifty 4-star ratings, plus a bonus that grows with the number of reactions.
+ */
+
+// Reactions a user can leave on a quote, at most one per quote
+exports.REACTIONS = ['inspiring', 'funny', 'thought_provoking'];
+
+exports.MIN_RATING = 1;
+exports.MAX_RATING = 5;
+
+// Unrated quotes score as if rated 3 by this many users
+const PRIOR_RATING = 3;
+const PRIOR_WEIGHT = 5;
+
+// Score added per tenfold increase in the number of reactions
+const REACTION_WEIGHT = 0.5;
+
+/**
+ * Work out a quote's score from its rating and reaction totals
+ *
+ * @param {Object} stats - `ratingCount`, `ratingAverage` and `reactionCount`
+ * @returns {number} Score, rounded to 4 decimal places
+ */
+exports.calculateScore = ({ ratingCount = 0, ratingAverage = 0, reactionCount = 0 } = {}) => {
+  const rating = (ratingAverage * ratingCount + PRIOR_RATING * PRIOR_WEIGHT) / (ratingCount + PRIOR_WEIGHT);
+  const score = rating + REACTION_WEIGHT * Math.log10(1 + reactionCount);
+
+  return Math.round(score * 10000) / 10000;
+};
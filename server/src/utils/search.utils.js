@@ -0,0 +1,86 @@
+/**
+ * Helpers for highlighting full-text search matches
+ */
+
+const { escapeRegex } = require('./query.utils');
+
+const FRAGMENT_LENGTH = 200;
+
+/**
+ * Reduce a word to a rough stem so "dreams" also highlights "dream"
+ */
+function stem(word) {
+  return word.length > 4 ? word.replace(/(ing|ed|es|s)$/, '') : word;
+}
+
+/**
+ * Extract the words to highlight from a $text search string
+ * Negated terms (-word) are skipped since they never appear in matches
+ */
+exports.getSearchTerms = (search) => {
+  const words = String(search || '')
+    .split(/\s+/)
+    .filter(word => word && !word.startsWith('-'))
+    .map(word => word.replace(/[^\p{L}\p{N}]/gu, '').toLowerCase())
+    .filter(word => word.length > 1)
+    .map(stem);
+
+  return [...new Set(words)];
+};
+
+/**
+ * Split text into segments marking which parts match the search terms
+ * Long text is trimmed to a fragment around the first match
+ * Returns null when nothing matches
+ */
+exports.highlight = (text, terms, fragmentLength = FRAGMENT_LENGTH) => {
+  if (!text || terms.length === 0) {
+    return null;
+  }
+
+  // Match words starting with a term (\b isn't Unicode-aware, so use a lookbehind)
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegex).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+  const matches = [...text.matchAll(pattern)];
+
+  if (matches.length === 0) {
+    return null;
+  }
+
+  // Center the fragment on the first match
+  let start = 0;
+  let end = text.length;
+  if (text.length > fragmentLength) {
+    start = Math.max(0, matches[0].index - Math.floor(fragmentLength / 3));
+    end = Math.min(text.length, start + fragmentLength);
+    start = Math.max(0, end - fragmentLength);
+  }
+
+  const segments = [];
+  let position = start;
+
+  for (const match of matches) {
+    const matchEnd = match.index + match[0].length;
+    if (match.index < start || matchEnd > end) {
+      continue;
+    }
+
+    if (match.index > position) {
+      segments.push({ text: text.slice(position, match.index), match: false });
+    }
+    segments.push({ text: match[0], match: true });
+    position = matchEnd;
+  }
+
+  if (position < end) {
+    segments.push({ text: text.slice(position, end), match: false });
+  }
+
+  if (start > 0) {
+    segments.unshift({ text: '…', match: false });
+  }
+  if (end < text.length) {
+    segments.push({ text: '…', match: false });
+  }
+
+  return segments;
+};
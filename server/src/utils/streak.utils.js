@@ -0,0 +1,61 @@
+/**
+ * Reading streaks.
+ *
+ * Streaks are worked out from the calendar days (date keys, see date.utils)
+ * on which a user read at least one quote, so callers decide which timezone
+ * the days are in.
+ */
+
+const { getDateKey, addDays } = require('./date.utils');
+
+/**
+ * Work out the current and longest streaks of consecutive active days
+ * The current streak only counts if the user was active today
+ *
+ * @param {Array<string>} activityDates - Active days as date keys, in any order and possibly repeated
+ * @param {string} today - Today's date key in the user's timezone (default: today in UTC)
+ * @returns {{ currentStreak: number, longestStreak: number, lastActiveDate: string|null }}
+ */
+exports.calculateStreak = (activityDates, today = getDateKey()) => {
+  const days = [...new Set(activityDates)].sort();
+
+  if (days.length === 0) {
+    return { currentStreak: 0, longestStreak: 0, lastActiveDate: null };
+  }
+
+  let longestStreak = 1;
+  let streak = 1;
+
+  for (let i = 1; i < days.length; i++) {
+    streak = days[i] === addDays(days[i - 1], 1) ? streak + 1 : 1;
+    longestStreak = Math.max(longestStreak, streak);
+  }
+
+  const lastActiveDate = days[days.length - 1];
+
+  return {
+    // `streak` now holds the run ending on the last active day
+    currentStreak: lastActiveDate === today ? streak : 0,
+    longestStreak,
+    lastActiveDate
+  };
+};
+
+/**
+ * Fill in a calendar heatmap between two days, including days without activity
+ *
+ * @param {Array<{ date: string, count: number }>} activeDays - Activity count per active day
+ * @param {string} from - First day of the heatmap
+ * @param {string} to - Last day of the heatmap
+ * @returns {Array<{ date: string, count: number }>} One entry per day, oldest first
+ */
+exports.buildHeatmap = (activeDays, from, to) => {
+  const counts = new Map(activeDays.map(({ date, count }) => [date, count]));
+  const heatmap = [];
+
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    heatmap.push({ date, count: counts.get(date) || 0 });
+  }
+
+  return heatmap;
+};
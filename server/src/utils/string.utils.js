@@ -0,0 +1,52 @@
+/**
+ * String helpers shared by models and controllers
+ */
+
+/**
+ * Turn text into a URL-friendly slug ("Café Society!" -> "cafe-society")
+ * Letters and digits of any script are kept ("Лев Толстой" -> "лев-толстой")
+ */
+exports.generateSlug = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  return String(value)
+    .normalize('NFD')
+    // Drop accents from Latin letters only; other scripts keep their marks
+    .replace(/(\p{Script=Latin})[\u0300-\u036f]+/gu, '$1')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\s-]/gu, ' ')
+    .trim()
+    .replace(/[\s-]+/g, '-');
+};
+
+/**
+ * Normalize a name for matching, ignoring case, accents and punctuation
+ * Names with no letters or digits at all are matched as written
+ */
+exports.normalizeName = (value) => {
+  const slug = exports.generateSlug(value);
+
+  if (!slug && value !== null && value !== undefined) {
+    return String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  return slug.replace(/-/g, ' ');
+};
+
+/**
+ * Check whether a string is a language tag such as "en" or "pt-BR"
+ */
+exports.isValidLanguage = (value) => {
+  if (typeof value !== 'string' || !/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(value)) {
+    return false;
+  }
+
+  try {
+    return Intl.getCanonicalLocales(value).length === 1;
+  } catch (error) {
+    return false;
+  }
+};
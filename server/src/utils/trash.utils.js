@@ -0,0 +1,216 @@
+/**
+ * Permanent removal of soft-deleted quotes and users.
+ *
+ * Purging cascades to every collection that references the purged documents
+ * so no dangling IDs are left behind. Users who deleted their own account are
+ * purged after the account deletion grace period instead of the trash
+ * retention period.
+ */
+
+const admin = require('firebase-admin');
+const Quote = require('../models/quote.model');
+const User = require('../models/user.model');
+const UserActivity = require('../models/userActivity.model');
+const QuoteView = require('../models/quoteView.model');
+const QuoteViewBucket = require('../models/quoteViewBucket.model');
+const QuoteRevision = require('../models/quoteRevision.model');
+const DailyQuote = require('../models/dailyQuote.model');
+const Submission = require('../models/submission.model');
+const Reflection = require('../models/reflection.model');
+const Collection = require('../models/collection.model');
+const QuoteReaction = require('../models/quoteReaction.model');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_GRACE_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the number of days deleted documents stay in the trash
+ */
+exports.getRetentionDays = () => {
+  return parseInt(process.env.TRASH_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+};
+
+/**
+ * Get the number of days a self-deleted account can still be restored
+ */
+exports.getAccountDeletionGraceDays = () => {
+  return parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || DEFAULT_GRACE_DAYS;
+};
+
+/**
+ * Get when a self-deleted account will be purged
+ */
+exports.getAccountPurgeDate = (deletedAt) => {
+  return new Date(deletedAt.getTime() + exports.getAccountDeletionGraceDays() * DAY_MS);
+};
+
+/**
+ * Check a deleted user removed their own account, with deletedBy as an ID or populated user
+ */
+exports.isSelfDeleted = (user) => {
+  const deletedBy = user.deletedBy && (user.deletedBy._id || user.deletedBy);
+  return Boolean(deletedBy) && deletedBy.toString() === user._id.toString();
+};
+
+/**
+ * Get when a deleted quote or user will be purged
+ */
+exports.getPurgeDate = (doc) => {
+  if (exports.isSelfDeleted(doc)) {
+    return exports.getAccountPurgeDate(doc.deletedAt);
+  }
+
+  return new Date(doc.deletedAt.getTime() + exports.getRetentionDays() * DAY_MS);
+};
+
+/**
+ * Match activity details referencing any of the IDs, stored as ObjectId or string
+ */
+function referencing(ids) {
+  return { $in: [...ids, ...ids.map(id => id.toString())] };
+}
+
+/**
+ * Permanently delete quotes and everything referencing them
+ */
+exports.purgeQuotes = async (ids) => {
+  if (ids.length === 0) {
+    return 0;
+  }
+
+  await User.updateMany(
+    { $or: [{ favorites: { $in: ids } }, { 'quotesViewed.quoteId': { $in: ids } }] },
+    {
+      $pull: {
+        favorites: { $in: ids },
+        quotesViewed: { quoteId: { $in: ids } }
+      }
+    }
+  );
+
+  // Keep the activity log but drop the references to purged quotes
+  await UserActivity.updateMany(
+    { 'details.quoteId': referencing(ids) },
+    { $unset: { 'details.quoteId': '' } }
+  );
+
+  await Promise.all([
+    QuoteView.deleteMany({ quoteId: { $in: ids } }),
+    QuoteViewBucket.deleteMany({ quoteId: { $in: ids } }),
+    QuoteRevision.deleteMany({ quoteId: { $in: ids } }),
+    DailyQuote.deleteMany({ quoteId: { $in: ids } }),
+    QuoteReaction.deleteMany({ quoteId: { $in: ids } }),
+    Submission.updateMany({ quoteId: { $in: ids } }, { $unset: { quoteId: '' } }),
+    // Keep users' reflections but drop the references to purged quotes
+    Reflection.updateMany({ quoteId: { $in: ids } }, { $unset: { quoteId: '' } }),
+    // Positions of the remaining entries keep their order
+    Collection.updateMany({ 'entries.quoteId': { $in: ids } }, { $pull: { entries: { quoteId: { $in: ids } } } })
+  ]);
+
+  const result = await Quote.deleteMany({ _id: { $in: ids } });
+  return result.deletedCount;
+};
+
+/**
+ * Permanently delete users and everything referencing them
+ */
+exports.purgeUsers = async (ids) => {
+  if (ids.length === 0) {
+    return 0;
+  }
+
+  // Purged users are in the trash, so deleted users must be asked for explicitly
+  const firebaseUids = await User.find({ _id: { $in: ids }, deletedAt: { $ne: null } }).distinct('firebaseUid');
+
+  // Check before deleting anything, since purged users' sign-in accounts must go too
+  if (firebaseUids.length > 0 && !admin.apps.length) {
+    throw new Error('Firebase Admin must be initialized to purge users');
+  }
+
+  await UserActivity.deleteMany({ userId: { $in: ids } });
+
+  // Keep admin activity about these users but drop the references
+  await UserActivity.updateMany(
+    { 'details.targetUserId': referencing(ids) },
+    { $unset: { 'details.targetUserId': '' } }
+  );
+
+  // Take the purged users' reactions out of the totals of the quotes they reacted to
+  const reactedQuoteIds = await QuoteReaction.find({ userId: { $in: ids } }).distinct('quoteId');
+  await QuoteReaction.deleteMany({ userId: { $in: ids } });
+  await QuoteReaction.updateQuoteStats(reactedQuoteIds);
+
+  await Promise.all([
+    Submission.deleteMany({ submittedBy: { $in: ids } }),
+    Reflection.deleteMany({ userId: { $in: ids } }),
+    Collection.deleteMany({ userId: { $in: ids } }),
+    Quote.updateMany({ submittedBy: { $in: ids } }, { $unset: { submittedBy: '' } }),
+    QuoteRevision.updateMany({ editedBy: { $in: ids } }, { $unset: { editedBy: '' } }),
+    DailyQuote.updateMany({ pinnedBy: { $in: ids } }, { $unset: { pinnedBy: '' } })
+  ]);
+
+  const result = await User.deleteMany({ _id: { $in: ids } });
+
+  // Remove the sign-in accounts too, so purged users don't come back as new users
+  if (firebaseUids.length > 0) {
+    const { errors } = await admin.auth().deleteUsers(firebaseUids);
+    errors.forEach(({ index, error }) => {
+      console.error(`Failed to delete Firebase user ${firebaseUids[index]}:`, error.message);
+    });
+  }
+
+  return result.deletedCount;
+};
+
+/**
+ * Purge quotes and users that have been in the trash longer than the retention period
+ */
+exports.purgeExpired = async (
+  retentionDays = exports.getRetentionDays(),
+  graceDays = exports.getAccountDeletionGraceDays()
+) => {
+  const cutoff = new Date(Date.now() - retentionDays * DAY_MS);
+  const graceCutoff = new Date(Date.now() - graceDays * DAY_MS);
+  const expired = { deletedAt: { $ne: null, $lte: cutoff } };
+
+  // Self-deleted accounts are the ones whose deletedBy is the user itself
+  const selfDeleted = { $expr: { $eq: ['$deletedBy', '$_id'] } };
+  const deletedByOthers = { $expr: { $ne: ['$deletedBy', '$_id'] } };
+
+  const quoteIds = await Quote.find(expired).distinct('_id');
+  const userIds = [
+    ...await User.find({ ...expired, ...deletedByOthers }).distinct('_id'),
+    ...await User.find({ deletedAt: { $ne: null, $lte: graceCutoff }, ...selfDeleted }).distinct('_id')
+  ];
+
+  return {
+    quotes: await exports.purgeQuotes(quoteIds),
+    users: await exports.purgeUsers(userIds)
+  };
+};
+
+/**
+ * Run the purge now and then on a fixed interval
+ * Returns the timer so callers can stop it
+ */
+exports.schedulePurge = (intervalHours = parseInt(process.env.TRASH_PURGE_INTERVAL_HOURS) || 24) => {
+  const run = async () => {
+    try {
+      const purged = await exports.purgeExpired();
+      if (purged.quotes > 0 || purged.users > 0) {
+        console.log(`Purged ${purged.quotes} quotes and ${purged.users} users from the trash`);
+      }
+    } catch (error) {
+      console.error('Trash purge failed:', error);
+    }
+  };
+
+  run();
+
+  const timer = setInterval(run, intervalHours * 60 * 60 * 1000);
+  // Don't keep the process alive just for the purge
+  timer.unref();
+
+  return timer;
+};
@@ -0,0 +1,139 @@
+/**
+ * Trending quotes.
+ *
+ * Quotes are ranked by recent engagement from the activity log: views,
+ * favorites, reactions and ratings, each weighted by how strong a signal it
+ * is and decayed by its age, so a quote trends while people are engaging
+ * with it now rather than for its all-time totals. Each user counts once per
+ * kind of engagement with a quote, at their latest.
+ *
+ * Rankings are kept in memory and refreshed on a schedule, as working them
+ * out means reading the whole window of the activity log.
+ */
+
+const UserActivity = require('../models/userActivity.model');
+
+// Length and half-life of each window, in hours
+const TRENDING_WINDOWS = {
+  day: { hours: 24, halfLifeHours: 6 },
+  week: { hours: 7 * 24, halfLifeHours: 2 * 24 },
+  month: { hours: 30 * 24, halfLifeHours: 7 * 24 }
+};
+
+// Weight of each kind of engagement
+const ACTION_WEIGHTS = {
+  quote_viewed: 1,
+  quote_reacted: 3,
+  quote_rated: 3,
+  favorite_added: 5
+};
+
+// Quotes kept in each ranking
+const TRENDING_SIZE = 50;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Latest ranking of each window, as { quotes: [{ quoteId, score }], updatedAt }
+const cache = new Map();
+
+exports.TRENDING_WINDOWS = Object.keys(TRENDING_WINDOWS);
+exports.TRENDING_SIZE = TRENDING_SIZE;
+
+/**
+ * Rank the quotes with the most engagement in a window, decayed by age
+ *
+ * @param {string} window - `day`, `week` or `month`
+ * @param {Date} now - End of the window
+ * @returns {Promise<Array<{ quoteId: ObjectId, score: number }>>} Highest score first
+ */
+exports.calculateTrending = async (window, now = new Date()) => {
+  const { hours, halfLifeHours } = TRENDING_WINDOWS[window];
+  const since = new Date(now.getTime() - hours * HOUR_MS);
+
+  const weight = {
+    $switch: {
+      branches: Object.entries(ACTION_WEIGHTS).map(([action, value]) => ({
+        case: { $eq: ['$_id.action', action] },
+        then: value
+      })),
+      default: 0
+    }
+  };
+  // Halves every half-life: 2^(-age / halfLife)
+  const decay = {
+    $exp: { $multiply: [-Math.LN2 / (halfLifeHours * HOUR_MS), { $subtract: [now, '$timestamp'] }] }
+  };
+
+  const ranking = await UserActivity.aggregate([
+    {
+      $match: {
+        action: { $in: Object.keys(ACTION_WEIGHTS) },
+        timestamp: { $gte: since, $lte: now },
+        'details.quoteId': { $ne: null }
+      }
+    },
+    {
+      // Quote IDs are logged as ObjectIds or strings
+      $group: {
+        _id: {
+          quoteId: { $convert: { input: '$details.quoteId', to: 'objectId', onError: null } },
+          userId: '$userId',
+          action: '$action'
+        },
+        timestamp: { $max: '$timestamp' }
+      }
+    },
+    { $match: { '_id.quoteId': { $ne: null } } },
+    { $group: { _id: '$_id.quoteId', score: { $sum: { $multiply: [weight, decay] } } } },
+    { $sort: { score: -1, _id: 1 } },
+    { $limit: TRENDING_SIZE }
+  ]);
+
+  return ranking.map(({ _id, score }) => ({ quoteId: _id, score: Math.round(score * 100) / 100 }));
+};
+
+/**
+ * Work out the ranking of every window again and cache them
+ */
+exports.refreshTrending = async (now = new Date()) => {
+  for (const window of exports.TRENDING_WINDOWS) {
+    cache.set(window, { quotes: await exports.calculateTrending(window, now), updatedAt: now });
+  }
+};
+
+/**
+ * Get the cached ranking of a window, working it out first if it isn't cached yet
+ *
+ * @param {string} window - `day`, `week` or `month`
+ * @returns {Promise<{ quotes: Array<{ quoteId: ObjectId, score: number }>, updatedAt: Date }>}
+ */
+exports.getTrending = async (window) => {
+  if (!cache.has(window)) {
+    const now = new Date();
+    cache.set(window, { quotes: await exports.calculateTrending(window, now), updatedAt: now });
+  }
+
+  return cache.get(window);
+};
+
+/**
+ * Refresh the rankings now and then on a fixed interval
+ * Returns the timer so callers can stop it
+ */
+exports.scheduleTrendingRefresh = (intervalMinutes = parseInt(process.env.TRENDING_REFRESH_MINUTES) || 15) => {
+  const run = async () => {
+    try {
+      await exports.refreshTrending();
+    } catch (error) {
+      console.error('Trending refresh failed:', error);
+    }
+  };
+
+  run();
+
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  // Don't keep the process alive just for the refresh
+  timer.unref();
+
+  return timer;
+};
@@ -0,0 +1,19 @@
+/**
+ * View counting helpers. Repeat views by the same viewer within
+ * VIEW_DEDUP_WINDOW_MINUTES are only counted once.
+ */
+
+/**
+ * Identify the caller for view de-duplication: the user if signed in,
+ * otherwise the client IP
+ */
+exports.getViewerKey = (req) => {
+  return req.user ? `user:${req.user._id}` : `ip:${req.ip}`;
+};
+
+/**
+ * Get the window during which repeat views aren't counted, in milliseconds
+ */
+exports.getViewWindowMs = () => {
+  return (parseInt(process.env.VIEW_DEDUP_WINDOW_MINUTES) || 30) * 60 * 1000;
+};
@@ -0,0 +1,342 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const mongoose = require('mongoose');
+const { getCurrentVersion } = require('../src/utils/migration.utils');
+const { createBackup, verifyBackup, restoreBackup } = require('../src/utils/backup.utils');
+const Quote = require('../src/models/quote.model');
+const Author = require('../src/models/author.model');
+const QuoteRevision = require('../src/models/quoteRevision.model');
+const QuoteViewBucket = require('../src/models/quoteViewBucket.model');
+const DailyQuote = require('../src/models/dailyQuote.model');
+const User = require('../src/models/user.model');
+const UserActivity = require('../src/models/userActivity.model');
+const Submission = require('../src/models/submission.model');
+const Reflection = require('../src/models/reflection.model');
+const Collection = require('../src/models/collection.model');
+const QuoteReaction = require('../src/models/quoteReaction.model');
+
+// Mock the migration state
+jest.mock('../src/utils/migration.utils', () => ({
+  getCurrentVersion: jest.fn()
+}));
+
+const { EJSON } = mongoose.mongo.BSON;
+
+const MODELS = [
+  Quote, Author, QuoteRevision, QuoteViewBucket, DailyQuote, User,
+  UserActivity, Submission, Reflection, Collection, QuoteReaction
+];
+
+describe('Backup Utilities', () => {
+  let dir;
+  let file;
+  let db;
+  let quote;
+  let user;
+
+  /**
+   * Apply the filters and projections the backup uses to an in-memory collection
+   */
+  function findDocuments(name, filter, { projection } = {}) {
+    let documents = db[name] || [];
+
+    if (filter['favorites.0']) {
+      documents = documents.filter(document => document.favorites && document.favorites.length > 0);
+    }
+    if (projection && projection.favorites === 0) {
+      documents = documents.map(({ favorites, ...document }) => document);
+    }
+    if (projection && projection.favorites === 1) {
+      documents = documents.map(({ _id, favorites }) => ({ _id, favorites }));
+    }
+
+    return documents;
+  }
+
+  /**
+   * Apply the bulk writes of a restore to an in-memory collection
+   */
+  function bulkWrite(name, operations) {
+    db[name] = db[name] || [];
+    const findIndex = id => db[name].findIndex(document => document._id.equals(id));
+
+    for (const { insertOne, replaceOne, updateOne } of operations) {
+      if (insertOne) {
+        db[name].push(insertOne.document);
+      } else if (replaceOne) {
+        const index = findIndex(replaceOne.filter._id);
+        if (index === -1) {
+          db[name].push(replaceOne.replacement);
+        } else {
+          db[name][index] = replaceOne.replacement;
+        }
+      } else if (updateOne) {
+        const index = findIndex(updateOne.filter._id);
+        if (index !== -1) {
+          db[name][index] = { ...db[name][index], ...updateOne.update.$set };
+        }
+      }
+    }
+
+    return Promise.resolve({});
+  }
+
+  /**
+   * Write an archive by hand, one entry per line
+   */
+  function writeArchive(entries) {
+    const lines = entries.map(entry => EJSON.stringify(entry)).join('\n');
+    fs.writeFileSync(file, zlib.gzipSync(`${lines}\n`));
+  }
+
+  /**
+   * Build a manifest for hand-written archives
+   */
+  function manifest(sections, migrationVersion = 3) {
+    return { type: 'manifest', formatVersion: 1, createdAt: new Date(), migrationVersion, sections };
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-test-'));
+    file = path.join(dir, 'backup.ndjson.gz');
+
+    quote = {
+      _id: new mongoose.Types.ObjectId(),
+      text: 'Stay hungry, stay foolish.',
+      author: 'Steve Jobs',
+      tags: ['life'],
+      createdAt: new Date('2024-01-15T10:00:00Z')
+    };
+    user = {
+      _id: new mongoose.Types.ObjectId(),
+      username: 'reader',
+      email: 'reader@example.com',
+      favorites: [quote._id]
+    };
+    db = { quotes: [quote], users: [user] };
+
+    getCurrentVersion.mockResolvedValue(3);
+
+    for (const Model of MODELS) {
+      const name = Model.collection.collectionName;
+      jest.spyOn(Model.collection, 'find').mockImplementation((filter, options) => findDocuments(name, filter, options));
+      jest.spyOn(Model.collection, 'deleteMany').mockImplementation(async () => {
+        db[name] = [];
+      });
+    }
+    jest.spyOn(User.collection, 'updateMany').mockImplementation(async () => {
+      db.users = db.users.map(document => ({ ...document, favorites: [] }));
+    });
+    jest.spyOn(mongoose.connection, 'collection').mockImplementation(name => ({
+      bulkWrite: jest.fn(operations => bulkWrite(name, operations))
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('createBackup and verifyBackup', () => {
+    test('writes an archive that verifies with the same counts', async () => {
+      // Create the backup
+      const counts = await createBackup(file);
+
+      expect(counts.quotes.quotes).toBe(1);
+      expect(counts.users.users).toBe(1);
+      expect(counts.favorites.users).toBe(1);
+
+      // Verify it
+      const result = await verifyBackup(file);
+
+      expect(result.counts).toEqual(counts);
+      expect(result.manifest.formatVersion).toBe(1);
+      expect(result.manifest.migrationVersion).toBe(3);
+      expect(result.manifest.sections.quotes).toEqual({ schemaVersion: 2 });
+      expect(result.manifest.createdAt).toBeInstanceOf(Date);
+    });
+
+    test('only includes the requested sections', async () => {
+      await createBackup(file, ['users', 'quotes']);
+      const { manifest: written, counts } = await verifyBackup(file);
+
+      expect(Object.keys(written.sections)).toEqual(['quotes', 'users']);
+      expect(Object.keys(counts)).toEqual(['quotes', 'users']);
+    });
+
+    test('rejects unknown sections', async () => {
+      await expect(createBackup(file, ['quotes', 'passwords']))
+        .rejects.toThrow('Unknown sections: passwords');
+    });
+  });
+
+  describe('verifyBackup', () => {
+    test('rejects a truncated archive', async () => {
+      await createBackup(file);
+      const data = fs.readFileSync(file);
+      fs.writeFileSync(file, data.subarray(0, Math.floor(data.length / 2)));
+
+      await expect(verifyBackup(file)).rejects.toThrow();
+    });
+
+    test('rejects a file that is not gzipped', async () => {
+      fs.writeFileSync(file, 'not a backup');
+
+      await expect(verifyBackup(file)).rejects.toThrow();
+    });
+
+    test('rejects a corrupt entry', async () => {
+      fs.writeFileSync(file, zlib.gzipSync(`${EJSON.stringify(manifest({}))}\n{"type":"document",\n`));
+
+      await expect(verifyBackup(file)).rejects.toThrow('Invalid archive entry on line 2');
+    });
+
+    test('rejects an archive without a manifest', async () => {
+      writeArchive([{ type: 'footer', counts: {} }]);
+
+      await expect(verifyBackup(file)).rejects.toThrow('Archive does not start with a manifest');
+    });
+
+    test('rejects an unsupported format version', async () => {
+      writeArchive([{ ...manifest({}), formatVersion: 2 }, { type: 'footer', counts: {} }]);
+
+      await expect(verifyBackup(file)).rejects.toThrow('Unsupported archive format version 2 (expected 1)');
+    });
+
+    test('rejects an empty archive', async () => {
+      fs.writeFileSync(file, zlib.gzipSync(''));
+
+      await expect(verifyBackup(file)).rejects.toThrow('Archive is empty');
+    });
+
+    test('rejects an archive without a footer', async () => {
+      writeArchive([
+        manifest({ quotes: { schemaVersion: 2 } }),
+        { type: 'document', section: 'quotes', collection: 'quotes', document: quote }
+      ]);
+
+      await expect(verifyBackup(file)).rejects.toThrow('Archive is incomplete: footer not found');
+    });
+
+    test('rejects an archive with missing documents', async () => {
+      writeArchive([
+        manifest({ quotes: { schemaVersion: 2 } }),
+        { type: 'document', section: 'quotes', collection: 'quotes', document: quote },
+        { type: 'footer', counts: { quotes: { quotes: 2 } } }
+      ]);
+
+      await expect(verifyBackup(file))
+        .rejects.toThrow('Archive is incomplete: expected 2 quotes in quotes, found 1');
+    });
+  });
+
+  describe('restoreBackup', () => {
+    test('restores the documents it backed up in replace mode', async () => {
+      // Back up, then change the data
+      await createBackup(file);
+      const original = JSON.parse(JSON.stringify(db));
+      db.quotes = [{ _id: new mongoose.Types.ObjectId(), text: 'Added after the backup' }];
+      db.users[0] = { ...db.users[0], username: 'renamed', favorites: [] };
+
+      // Restore
+      const { restored, failed } = await restoreBackup(file);
+
+      expect(failed).toBe(0);
+      expect(restored.quotes).toEqual({ quotes: 1 });
+      expect(restored.users).toEqual({ users: 1 });
+      expect(restored.favorites).toEqual({ users: 1 });
+      expect(JSON.parse(JSON.stringify(db.quotes))).toEqual(original.quotes);
+      expect(JSON.parse(JSON.stringify(db.users))).toEqual(original.users);
+
+      // ObjectIds and dates keep their types
+      expect(db.quotes[0]._id).toBeInstanceOf(mongoose.Types.ObjectId);
+      expect(db.quotes[0].createdAt).toBeInstanceOf(Date);
+      expect(db.users[0].favorites[0].equals(quote._id)).toBe(true);
+    });
+
+    test('keeps documents added after the backup in merge mode', async () => {
+      // Back up, then change the data
+      await createBackup(file, ['quotes']);
+      const added = { _id: new mongoose.Types.ObjectId(), text: 'Added after the backup' };
+      db.quotes = [{ ...quote, text: 'Edited after the backup' }, added];
+
+      // Restore
+      const { restored } = await restoreBackup(file, { mode: 'merge' });
+
+      expect(restored.quotes).toEqual({ quotes: 1 });
+      expect(Quote.collection.deleteMany).not.toHaveBeenCalled();
+      expect(db.quotes).toHaveLength(2);
+      expect(db.quotes.find(document => document._id.equals(quote._id)).text).toBe(quote.text);
+      expect(db.quotes.find(document => document._id.equals(added._id))).toEqual(added);
+    });
+
+    test('only clears and restores the requested sections', async () => {
+      await createBackup(file);
+      db.users[0] = { ...db.users[0], username: 'renamed' };
+
+      await restoreBackup(file, { only: ['favorites'] });
+
+      expect(User.collection.deleteMany).not.toHaveBeenCalled();
+      expect(Quote.collection.deleteMany).not.toHaveBeenCalled();
+      expect(db.users[0].username).toBe('renamed');
+      expect(db.users[0].favorites[0].equals(quote._id)).toBe(true);
+    });
+
+    test('counts documents the database rejects', async () => {
+      await createBackup(file, ['quotes']);
+      mongoose.connection.collection.mockReturnValue({
+        bulkWrite: jest.fn().mockRejectedValue({ writeErrors: [{ code: 11000 }] })
+      });
+
+      const { restored, failed } = await restoreBackup(file);
+
+      expect(failed).toBe(1);
+      expect(restored.quotes).toEqual({ quotes: 0 });
+    });
+
+    test('rejects an unknown mode', async () => {
+      await expect(restoreBackup(file, { mode: 'append' })).rejects.toThrow('Unknown restore mode: append');
+    });
+
+    test('rejects a section with another schema version without changing data', async () => {
+      writeArchive([
+        manifest({ quotes: { schemaVersion: 1 } }),
+        { type: 'footer', counts: { quotes: {} } }
+      ]);
+
+      await expect(restoreBackup(file)).rejects.toThrow(
+        "Backup can't be restored: quotes has schema version 1, this server expects 2"
+      );
+      expect(Quote.collection.deleteMany).not.toHaveBeenCalled();
+      expect(db.quotes).toEqual([quote]);
+    });
+
+    test('rejects sections that are not in the backup', async () => {
+      await createBackup(file, ['quotes']);
+
+      await expect(restoreBackup(file, { only: ['users'] }))
+        .rejects.toThrow("Backup can't be restored: users is not in the backup");
+    });
+
+    test('rejects a backup taken at another migration without changing data', async () => {
+      await createBackup(file);
+      getCurrentVersion.mockResolvedValue(4);
+
+      await expect(restoreBackup(file)).rejects.toThrow(
+        'Backup was taken at migration 3 but the database is at migration 4'
+      );
+      expect(Quote.collection.deleteMany).not.toHaveBeenCalled();
+    });
+
+    test('rejects a corrupt archive without changing data', async () => {
+      await createBackup(file);
+      const data = fs.readFileSync(file);
+      fs.writeFileSync(file, data.subarray(0, data.length - 8));
+
+      await expect(restoreBackup(file)).rejects.toThrow();
+      expect(Quote.collection.deleteMany).not.toHaveBeenCalled();
+    });
+  });
+});
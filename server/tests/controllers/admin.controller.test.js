@@ -4,12 +4,23 @@ const adminController = require('../../src/controllers/admin.controller');
 const User = require('../../src/models/user.model');
 const Quote = require('../../src/models/quote.model');
 const UserActivity = require('../../src/models/userActivity.model');
+const QuoteViewBucket = require('../../src/models/quoteViewBucket.model');
+const Author = require('../../src/models/author.model');
+const Submission = require('../../src/models/submission.model');
+const QuoteRevision = require('../../src/models/quoteRevision.model');
+const DailyQuote = require('../../src/models/dailyQuote.model');
 const { ApiError } = require('../../src/middleware/error.middleware');
+const { encodeCursor } = require('../../src/utils/pagination.utils');
 
 // Mock the models
 jest.mock('../../src/models/user.model');
 jest.mock('../../src/models/quote.model');
 jest.mock('../../src/models/userActivity.model');
+jest.mock('../../src/models/quoteViewBucket.model');
+jest.mock('../../src/models/author.model');
+jest.mock('../../src/models/submission.model');
+jest.mock('../../src/models/quoteRevision.model');
+jest.mock('../../src/models/dailyQuote.model');
 jest.mock('../../src/middleware/error.middleware');
 
 describe('Admin Controller', () => {
@@ -62,7 +73,9 @@ describe('Admin Controller', () => {
           total: 20,
           page: 1,
           limit: 10,
-          pages: 2
+          pages: 2,
+          next: expect.any(String),
+          prev: null
         }
       });
     });
@@ -90,6 +103,50 @@ describe('Admin Controller', () => {
       expect(mockUserFind.skip).toHaveBeenCalledWith(0); // (page-1) * limit = 0
       expect(mockUserFind.limit).toHaveBeenCalledWith(10);
     });
+    
+    test('should seek from an after cursor without counting', async () => {
+      const position = { _id: '507f1f77bcf86cd799439011', createdAt: '2024-01-01T00:00:00.000Z' };
+      req.query = { after: encodeCursor(position, 'createdAt'), limit: '1' };
+      
+      await adminController.getAllUsers(req, res);
+      
+      expect(User.find).toHaveBeenCalledWith({
+        $and: [{
+          $or: [
+            { createdAt: { $lt: position.createdAt } },
+            { createdAt: position.createdAt, _id: { $lt: position._id } }
+          ]
+        }]
+      });
+      expect(User.countDocuments).not.toHaveBeenCalled();
+      
+      const mockUserFind = User.find.mock.results[0].value;
+      expect(mockUserFind.skip).not.toHaveBeenCalled();
+      expect(mockUserFind.limit).toHaveBeenCalledWith(2);
+      expect(res.json).toHaveBeenCalledWith({
+        users: [expect.objectContaining({ _id: 'user1' })],
+        pagination: {
+          limit: 1,
+          next: expect.any(String),
+          prev: expect.any(String)
+        }
+      });
+    });
+    
+    test('should throw error for an invalid cursor', async () => {
+      req.query = { after: 'not-a-cursor' };
+      
+      // Mock ApiError.badRequest
+      ApiError.badRequest = jest.fn(() => {
+        const error = new Error('Invalid pagination cursor');
+        error.statusCode = 400;
+        throw error;
+      });
+      
+      await expect(adminController.getAllUsers(req, res)).rejects.toThrow('Invalid pagination cursor');
+      expect(ApiError.badRequest).toHaveBeenCalledWith('Invalid pagination cursor', 'invalid_cursor');
+      expect(User.find).not.toHaveBeenCalled();
+    });
   });
   
   describe('getUserById', () => {
@@ -190,13 +247,13 @@ describe('Admin Controller', () => {
     });
     
     test('should update user preferences', async () => {
-      req.body = { preferences: { theme: 'dark', notifications: true } };
+      req.body = { preferences: { theme: 'dark', emailNotifications: false } };
       
       await adminController.updateUser(req, res);
       
       expect(mockUser.preferences).toEqual({
         theme: 'dark',
-        notifications: true
+        emailNotifications: false
       });
       expect(mockUser.save).toHaveBeenCalled();
     });
@@ -231,20 +288,24 @@ describe('Admin Controller', () => {
     beforeEach(() => {
       req.params = { id: 'user-id-123' };
       
-      // Mock User.findByIdAndDelete
-      User.findByIdAndDelete.mockResolvedValue({
+      // Mock User.findById
+      User.findById.mockResolvedValue({
         _id: 'user-id-123',
-        email: 'user@example.com'
+        email: 'user@example.com',
+        softDelete: jest.fn().mockResolvedValue({})
       });
       
       // Mock UserActivity.logActivity
       UserActivity.logActivity = jest.fn().mockResolvedValue(undefined);
     });
     
-    test('should delete user', async () => {
+    test('should move user to trash', async () => {
       await adminController.deleteUser(req, res);
       
-      expect(User.findByIdAndDelete).toHaveBeenCalledWith('user-id-123');
+      expect(User.findById).toHaveBeenCalledWith('user-id-123');
+      const user = await User.findById.mock.results[0].value;
+      expect(user.softDelete).toHaveBeenCalledWith('admin-user-id');
+      expect(User.findByIdAndDelete).not.toHaveBeenCalled();
       expect(UserActivity.logActivity).toHaveBeenCalledWith(
         'admin-user-id',
         'user_deleted',
@@ -254,7 +315,7 @@ describe('Admin Controller', () => {
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
-        message: 'User deleted successfully'
+        message: 'User moved to trash'
       });
     });
     
@@ -272,12 +333,12 @@ describe('Admin Controller', () => {
       
       await expect(adminController.deleteUser(req, res)).rejects.toThrow('Cannot delete your own account');
       expect(ApiError.badRequest).toHaveBeenCalledWith('Cannot delete your own account');
-      expect(User.findByIdAndDelete).not.toHaveBeenCalled();
+      expect(User.findById).not.toHaveBeenCalled();
     });
     
     test('should throw error when user not found', async () => {
       // Mock user not found
-      User.findByIdAndDelete.mockResolvedValue(null);
+      User.findById.mockResolvedValue(null);
       
       // Mock ApiError.notFound
       ApiError.notFound = jest.fn(() => {
@@ -324,6 +385,12 @@ describe('Admin Controller', () => {
         ])
       });
       
+      // Mock QuoteViewBucket.getDailyTotals
+      QuoteViewBucket.getDailyTotals.mockResolvedValue([
+        { date: '2023-06-14', views: 120 },
+        { date: '2023-06-15', views: 80 }
+      ]);
+      
       // Mock UserActivity.countDocuments
       UserActivity.countDocuments.mockImplementation((query) => {
         if (query.action === 'quote_viewed') {
@@ -351,6 +418,10 @@ describe('Admin Controller', () => {
           totalQuotes: 500,
           quotesServed: expect.any(Object),
           topQuotes: expect.any(Array),
+          viewsOverTime: [
+            { date: '2023-06-14', views: 120 },
+            { date: '2023-06-15', views: 80 }
+          ],
           registrations: expect.any(Object)
         })
       });
@@ -362,6 +433,30 @@ describe('Admin Controller', () => {
     });
   });
   
+  describe('getQuoteViews', () => {
+    test('should return total and daily views for a quote', async () => {
+      req.params = { id: 'quote-id-123' };
+      
+      const mockQuote = { _id: 'quote-id-123', text: 'Quote 1', author: 'Author 1', views: 42 };
+      Quote.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue(mockQuote)
+      });
+      QuoteViewBucket.getDailyTotals.mockResolvedValue([{ date: '2023-06-15', views: 7 }]);
+      
+      await adminController.getQuoteViews(req, res);
+      
+      expect(QuoteViewBucket.getDailyTotals).toHaveBeenCalledWith(30, 'quote-id-123');
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        quote: mockQuote,
+        views: {
+          total: 42,
+          daily: [{ date: '2023-06-15', views: 7 }]
+        }
+      });
+    });
+  });
+  
   describe('getAllActivity', () => {
     beforeEach(() => {
       req.query = { page: '1', limit: '10' };
@@ -393,7 +488,9 @@ describe('Admin Controller', () => {
           total: 25,
           page: 1,
           limit: 10,
-          pages: 3
+          pages: 3,
+          next: expect.any(String),
+          prev: null
         }
       });
     });
@@ -430,6 +527,19 @@ describe('Admin Controller', () => {
   });
   
   describe('importQuotes', () => {
+    // Mock Quote.find, resolving to the quotes for each filter whether the
+    // query is awaited directly or through select and lean
+    const mockFind = (quotesFor) => {
+      Quote.find.mockImplementation((filter) => {
+        const result = Promise.resolve(quotesFor(filter));
+        return {
+          select: jest.fn().mockReturnThis(),
+          lean: jest.fn(() => result),
+          then: (resolve, reject) => result.then(resolve, reject)
+        };
+      });
+    };
+    
     beforeEach(() => {
       req.body = {
         quotes: [
@@ -439,28 +549,32 @@ describe('Admin Controller', () => {
         ]
       };
       
-      // Mock Quote.create
-      Quote.create.mockImplementation((quote) => {
-        if (!quote.text || !quote.author) {
-          const error = new Error('Missing required fields');
-          return Promise.reject(error);
-        }
-        return Promise.resolve(quote);
-      });
+      // Mock Quote.insertBatch
+      Quote.insertBatch.mockImplementation((quotes) => Promise.resolve({
+        inserted: quotes,
+        failed: []
+      }));
+      
+      mockFind(() => []);
+      Quote.findNearDuplicates.mockResolvedValue([]);
       
       // Mock UserActivity.logActivity
       UserActivity.logActivity = jest.fn().mockResolvedValue(undefined);
     });
     
-    test('should import valid quotes and report errors', async () => {
+    test('should import valid quotes in one batch and report errors', async () => {
       await adminController.importQuotes(req, res);
       
-      // Should create two valid quotes
-      expect(Quote.create).toHaveBeenCalledTimes(3);
+      // Should insert the two valid quotes together
+      expect(Quote.insertBatch).toHaveBeenCalledTimes(1);
+      expect(Quote.insertBatch).toHaveBeenCalledWith([
+        { text: 'Quote 1', author: 'Author 1', source: '', tags: ['inspiration'] },
+        { text: 'Quote 2', author: 'Author 2', source: 'Book', tags: ['motivation'] }
+      ]);
       expect(UserActivity.logActivity).toHaveBeenCalledWith(
         'admin-user-id',
         'quotes_imported',
-        { count: 2 }, // Only 2 valid quotes
+        { count: 2, updated: 0 }, // Only 2 valid quotes
         req
       );
       
@@ -470,16 +584,171 @@ describe('Admin Controller', () => {
         results: {
           total: 3,
           imported: 2,
-          errors: expect.arrayContaining([
+          updated: 0,
+          skipped: 0,
+          duplicates: [],
+          errors: [
             expect.objectContaining({
+              row: 3,
               quote: expect.objectContaining({ text: 'Invalid Quote' }),
-              error: expect.any(String)
+              error: expect.any(String),
+              fields: [{ field: 'author', message: 'Author name is required' }]
             })
-          ])
+          ]
+        }
+      });
+    });
+    
+    test('should skip and report duplicate quotes', async () => {
+      req.body = {
+        quotes: [
+          { text: 'Stay hungry, stay foolish.', author: 'Steve Jobs' },
+          { text: 'stay hungry stay foolish', author: 'Steve Jobs' },
+          { text: 'Quote 1!', author: 'Author 1' }
+        ]
+      };
+      
+      mockFind(() => [{ _id: 'quote1', fingerprint: 'quote 1' }]);
+      
+      await adminController.importQuotes(req, res);
+      
+      // Exact duplicates are looked up for the whole batch at once, and only
+      // the remaining row is checked for near-duplicates
+      expect(Quote.find).toHaveBeenCalledTimes(1);
+      expect(Quote.find).toHaveBeenCalledWith({ fingerprint: { $in: ['stay hungry stay foolish', 'quote 1'] } });
+      expect(Quote.find.mock.results[0].value.select).toHaveBeenCalledWith('fingerprint');
+      expect(Quote.findNearDuplicates).toHaveBeenCalledTimes(1);
+      expect(Quote.findNearDuplicates).toHaveBeenCalledWith('Stay hungry, stay foolish.', { limit: 1, exclude: null });
+      expect(Quote.insertBatch).toHaveBeenCalledWith([
+        expect.objectContaining({ text: 'Stay hungry, stay foolish.' })
+      ]);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        results: {
+          total: 3,
+          imported: 1,
+          updated: 0,
+          skipped: 2,
+          duplicates: [
+            {
+              row: 2,
+              quote: req.body.quotes[1],
+              reason: 'duplicate_in_import'
+            },
+            {
+              row: 3,
+              quote: req.body.quotes[2],
+              reason: 'duplicate',
+              matchId: 'quote1',
+              score: 1
+            }
+          ],
+          errors: []
         }
       });
     });
     
+    test('should skip near-duplicate quotes', async () => {
+      Quote.findNearDuplicates
+        .mockResolvedValueOnce([{ quote: { _id: 'quote1' }, score: 0.9, exact: false }])
+        .mockResolvedValueOnce([]);
+      
+      await adminController.importQuotes(req, res);
+      
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        results: expect.objectContaining({
+          imported: 1,
+          skipped: 1,
+          duplicates: [
+            {
+              row: 1,
+              quote: req.body.quotes[0],
+              reason: 'near_duplicate',
+              matchId: 'quote1',
+              score: 0.9
+            }
+          ]
+        })
+      });
+    });
+    
+    test('should validate each row without writing in a dry run', async () => {
+      req.body.dryRun = 'true';
+      
+      await adminController.importQuotes(req, res);
+      
+      expect(Quote.insertBatch).not.toHaveBeenCalled();
+      expect(UserActivity.logActivity).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        results: expect.objectContaining({
+          imported: 2,
+          dryRun: true,
+          rows: [
+            { row: 1, status: 'insert' },
+            { row: 2, status: 'insert' },
+            {
+              row: 3,
+              status: 'invalid',
+              errors: [{ field: 'author', message: 'Author name is required' }]
+            }
+          ]
+        })
+      });
+    });
+    
+    test('should update quotes with a matching external ID in upsert mode', async () => {
+      const existing = {
+        _id: 'quote1',
+        externalId: 'ext-1',
+        set: jest.fn(),
+        save: jest.fn().mockResolvedValue(undefined)
+      };
+      req.body = {
+        mode: 'upsert',
+        quotes: [
+          { text: 'Updated quote', author: 'Author 1', externalId: 'ext-1' },
+          { text: 'New quote', author: 'Author 2', externalId: 'ext-2' }
+        ]
+      };
+      
+      // The quote being updated has the same text, so it isn't a duplicate
+      mockFind(filter => (
+        filter.externalId ? [existing] : [{ _id: 'quote1', fingerprint: 'updated quote' }]
+      ));
+      
+      await adminController.importQuotes(req, res);
+      
+      expect(Quote.find).toHaveBeenCalledWith({ externalId: { $in: ['ext-1', 'ext-2'] } });
+      expect(Quote.findNearDuplicates).toHaveBeenCalledWith('Updated quote', { limit: 1, exclude: 'quote1' });
+      expect(existing.set).toHaveBeenCalledWith(expect.objectContaining({ text: 'Updated quote' }));
+      expect(existing.save).toHaveBeenCalled();
+      expect(QuoteRevision.record).toHaveBeenCalledWith(existing, 'admin-user-id', 'updated', undefined);
+      expect(Quote.insertBatch).toHaveBeenCalledWith([
+        expect.objectContaining({ text: 'New quote', externalId: 'ext-2' })
+      ]);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        results: expect.objectContaining({ imported: 1, updated: 1 })
+      });
+    });
+    
+    test('should import an uploaded CSV file with a column mapping', async () => {
+      req.body = { mapping: JSON.stringify({ text: 'Quote', author: 'Said by' }) };
+      req.file = {
+        originalname: 'quotes.csv',
+        mimetype: 'text/csv',
+        buffer: Buffer.from('Quote,Said by,Tags\n"Stay hungry, stay foolish.",Steve Jobs,"life;Work"\n')
+      };
+      
+      await adminController.importQuotes(req, res);
+      
+      expect(Quote.insertBatch).toHaveBeenCalledWith([
+        { text: 'Stay hungry, stay foolish.', author: 'Steve Jobs', source: '', tags: ['life', 'work'] }
+      ]);
+    });
+    
     test('should throw error for invalid quotes data', async () => {
       req.body = { quotes: 'not-an-array' };
       
@@ -509,38 +778,760 @@ describe('Admin Controller', () => {
     });
   });
   
-  describe('exportQuotes', () => {
-    beforeEach(() => {
-      // Mock Quote.find chain
-      Quote.find.mockReturnValue({
-        sort: jest.fn().mockResolvedValue([
-          { _id: 'quote1', text: 'Quote 1', author: 'Author 1' },
-          { _id: 'quote2', text: 'Quote 2', author: 'Author 2' }
+  describe('getDuplicateClusters', () => {
+    test('should page through clusters of exact duplicates', async () => {
+      req.query = { page: '2', limit: '10' };
+      
+      const cluster = {
+        quotes: [
+          { _id: 'quote1', text: 'Stay hungry, stay foolish.', author: 'Steve Jobs' },
+          { _id: 'quote2', text: 'Stay hungry. Stay foolish!', author: 'Steve Jobs' }
+        ],
+        exact: true,
+        score: 1
+      };
+      Quote.getExactDuplicates.mockResolvedValue({ clusters: [cluster], total: 11 });
+      
+      await adminController.getDuplicateClusters(req, res);
+      
+      expect(Quote.getExactDuplicates).toHaveBeenCalledWith({ skip: 10, limit: 10 });
+      expect(Quote.find).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        type: 'exact',
+        clusters: [cluster],
+        pagination: { total: 11, page: 2, limit: 10, pages: 2 },
+        threshold: 0.85
+      });
+    });
+    
+    test('should compare the quotes of one page of authors for near-duplicates', async () => {
+      req.query = { type: 'near', limit: '2' };
+      
+      Quote.getAuthorsWithManyQuotes.mockResolvedValue({ authorIds: ['author1', 'author2'], total: 3 });
+      const query = {
+        select: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue([
+          { _id: 'quote1', text: 'Stay hungry, stay foolish.', authorId: 'author1' },
+          { _id: 'quote2', text: 'Stay hungry, stay foolish!!', authorId: 'author1' },
+          { _id: 'quote3', text: 'Stay hungry and stay foolish.', authorId: 'author1' },
+          { _id: 'quote4', text: 'Quote 4', authorId: 'author2' }
         ])
+      };
+      Quote.find.mockReturnValue(query);
+      
+      await adminController.getDuplicateClusters(req, res);
+      
+      expect(Quote.getAuthorsWithManyQuotes).toHaveBeenCalledWith({ skip: 0, limit: 2 });
+      expect(Quote.find).toHaveBeenCalledWith({ authorId: { $in: ['author1', 'author2'] } });
+      expect(query.limit).toHaveBeenCalledWith(2000);
+      
+      const { clusters, pagination } = res.json.mock.calls[0][0];
+      expect(clusters).toHaveLength(1);
+      expect(clusters[0].exact).toBe(false);
+      expect(clusters[0].quotes.map(quote => quote._id).sort()).toEqual(['quote1', 'quote2', 'quote3']);
+      expect(pagination).toEqual({ total: 3, page: 1, limit: 2, pages: 2 });
+    });
+    
+    test('should throw error for an invalid threshold', async () => {
+      req.query = { threshold: '2' };
+      
+      ApiError.badRequest = jest.fn(() => {
+        const error = new Error('Invalid threshold');
+        error.statusCode = 400;
+        throw error;
       });
       
+      await expect(adminController.getDuplicateClusters(req, res)).rejects.toThrow('Invalid threshold');
+      expect(Quote.getExactDuplicates).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('mergeDuplicateQuotes', () => {
+    test('should merge source quotes into the target', async () => {
+      const target = { _id: 'quote1', text: 'Stay hungry, stay foolish.' };
+      const sources = [{ _id: 'quote2', text: 'Stay hungry. Stay foolish!' }];
+      req.body = { target: 'quote1', sources: ['quote2'] };
+      
+      Quote.findById.mockResolvedValue(target);
+      Quote.find.mockResolvedValue(sources);
+      Quote.mergeDuplicates.mockResolvedValue(target);
+      UserActivity.logActivity = jest.fn().mockResolvedValue(undefined);
+      
+      await adminController.mergeDuplicateQuotes(req, res);
+      
+      expect(Quote.mergeDuplicates).toHaveBeenCalledWith(target, sources, 'admin-user-id');
+      expect(UserActivity.logActivity).toHaveBeenCalledWith(
+        'admin-user-id',
+        'quotes_merged',
+        { from: ['quote2'], to: 'quote1' },
+        req
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        quote: target,
+        merged: 1
+      });
+    });
+  });
+  
+  describe('exportQuotes', () => {
+    let findChain;
+    
+    beforeEach(() => {
+      // Mock Quote.find chain ending in a cursor
+      const quotes = [
+        { _id: 'quote1', text: 'Quote 1', author: 'Author 1', tags: ['life'], views: 5 },
+        { _id: 'quote2', text: 'Quote 2', author: 'Author 2', tags: [], views: 0 }
+      ];
+      findChain = {
+        select: jest.fn().mockReturnThis(),
+        sort: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockReturnThis(),
+        cursor: jest.fn(() => {
+          const cursor = (async function* () {
+            yield* quotes;
+          })();
+          cursor.close = jest.fn().mockResolvedValue(undefined);
+          return cursor;
+        })
+      };
+      Quote.find.mockReturnValue(findChain);
+      
+      res = mockResponse({ write: jest.fn().mockReturnValue(true) });
+      
       // Mock UserActivity.logActivity
       UserActivity.logActivity = jest.fn().mockResolvedValue(undefined);
     });
     
-    test('should export all quotes', async () => {
+    const written = () => res.write.mock.calls.map(([chunk]) => chunk).join('');
+    
+    test('should stream all quotes as JSON', async () => {
       await adminController.exportQuotes(req, res);
       
-      expect(Quote.find).toHaveBeenCalled();
+      expect(Quote.find).toHaveBeenCalledWith({});
       expect(UserActivity.logActivity).toHaveBeenCalledWith(
         'admin-user-id',
         'quotes_exported',
-        { count: 2 },
+        { count: 2, format: 'json' },
         req
       );
       
       expect(res.status).toHaveBeenCalledWith(200);
-      expect(res.json).toHaveBeenCalledWith({
-        quotes: expect.arrayContaining([
+      expect(res.attachment).toHaveBeenCalledWith(expect.stringMatching(/\.json$/));
+      expect(res.end).toHaveBeenCalled();
+      expect(JSON.parse(written())).toEqual({
+        quotes: [
           expect.objectContaining({ text: 'Quote 1' }),
           expect.objectContaining({ text: 'Quote 2' })
+        ]
+      });
+    });
+    
+    test('should apply filters and stream CSV', async () => {
+      req.query = {
+        format: 'csv',
+        tag: 'life',
+        author: 'Author 1',
+        from: '2023-01-01',
+        to: '2023-01-31',
+        minViews: '1'
+      };
+      
+      await adminController.exportQuotes(req, res);
+      
+      expect(Quote.find).toHaveBeenCalledWith({
+        tags: { $in: ['life'] },
+        author: { $regex: '^Author 1$', $options: 'i' },
+        createdAt: {
+          $gte: new Date('2023-01-01'),
+          $lt: new Date('2023-02-01T00:00:00Z')
+        },
+        views: { $gte: 1 }
+      });
+      expect(res.type).toHaveBeenCalledWith('text/csv; charset=utf-8');
+      expect(written().split('\n')[1]).toBe('Quote 1,Author 1,,life,5,,');
+    });
+    
+    test('should stop without waiting when the client aborts', async () => {
+      // The client goes away while the first quote is written
+      res.write.mockImplementation((chunk) => {
+        if (chunk.includes('Quote 1')) {
+          res.destroyed = true;
+          return false;
+        }
+        return true;
+      });
+      
+      await adminController.exportQuotes(req, res);
+      
+      const cursor = findChain.cursor.mock.results[0].value;
+      expect(cursor.close).toHaveBeenCalled();
+      expect(written()).not.toContain('Quote 2');
+      expect(written()).not.toMatch(/\]\}\n$/);
+      expect(res.end).not.toHaveBeenCalled();
+      expect(UserActivity.logActivity).not.toHaveBeenCalled();
+    });
+    
+    test('should throw error for an unsupported format', async () => {
+      req.query = { format: 'xml' };
+      
+      ApiError.badRequest = jest.fn(() => {
+        const error = new Error('Unsupported format');
+        error.statusCode = 400;
+        throw error;
+      });
+      
+      await expect(adminController.exportQuotes(req, res)).rejects.toThrow('Unsupported format');
+      expect(Quote.find).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('tag management', () => {
+    beforeEach(() => {
+      // Mock UserActivity.logActivity
+      UserActivity.logActivity = jest.fn().mockResolvedValue(undefined);
+    });
+    
+    test('should rename a tag across all quotes', async () => {
+      req.params = { tag: 'Motivation' };
+      req.body = { name: 'Inspiration ' };
+      Quote.mergeTags.mockResolvedValue(5);
+      
+      await adminController.renameTag(req, res);
+      
+      expect(Quote.mergeTags).toHaveBeenCalledWith(['motivation'], 'inspiration', 'admin-user-id');
+      expect(UserActivity.logActivity).toHaveBeenCalledWith(
+        'admin-user-id',
+        'tag_renamed',
+        { from: 'motivation', to: 'inspiration', quotesUpdated: 5 },
+        req
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        tag: 'inspiration',
+        quotesUpdated: 5
+      });
+    });
+    
+    test('should throw error when renaming an unknown tag', async () => {
+      req.params = { tag: 'missing' };
+      req.body = { name: 'other' };
+      Quote.mergeTags.mockResolvedValue(0);
+      
+      // Mock ApiError.notFound
+      ApiError.notFound = jest.fn(() => {
+        const error = new Error('Tag not found');
+        error.statusCode = 404;
+        throw error;
+      });
+      
+      await expect(adminController.renameTag(req, res)).rejects.toThrow('Tag not found');
+      expect(UserActivity.logActivity).not.toHaveBeenCalled();
+    });
+    
+    test('should merge several tags into one', async () => {
+      req.body = { sources: ['Work', 'career', 'work'], target: 'Career' };
+      Quote.mergeTags.mockResolvedValue(8);
+      
+      await adminController.mergeTags(req, res);
+      
+      expect(Quote.mergeTags).toHaveBeenCalledWith(['work', 'career'], 'career', 'admin-user-id');
+      expect(UserActivity.logActivity).toHaveBeenCalledWith(
+        'admin-user-id',
+        'tags_merged',
+        { from: ['work', 'career'], to: 'career', quotesUpdated: 8 },
+        req
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+    
+    test('should delete a tag from all quotes', async () => {
+      req.params = { tag: 'obsolete' };
+      Quote.removeTag.mockResolvedValue(3);
+      
+      await adminController.deleteTag(req, res);
+      
+      expect(Quote.removeTag).toHaveBeenCalledWith('obsolete', 'admin-user-id');
+      expect(UserActivity.logActivity).toHaveBeenCalledWith(
+        'admin-user-id',
+        'tag_deleted',
+        { tag: 'obsolete', quotesUpdated: 3 },
+        req
+      );
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Tag deleted successfully',
+        quotesUpdated: 3
+      });
+    });
+  });
+  
+  describe('updateAuthor', () => {
+    test('should rename the author on its quotes with a revision of each', async () => {
+      req.params = { slug: 'mark-twain' };
+      req.body = { name: 'Samuel Clemens' };
+      
+      const author = {
+        _id: 'author-1',
+        name: 'Mark Twain',
+        nameKeys: ['samuel clemens'],
+        validate: jest.fn().mockResolvedValue(undefined),
+        save: jest.fn().mockResolvedValue(undefined)
+      };
+      Author.findOne
+        .mockResolvedValueOnce(author)
+        .mockResolvedValueOnce(null);
+      Quote.updateTracked.mockResolvedValue(2);
+      UserActivity.logActivity = jest.fn().mockResolvedValue(undefined);
+      
+      await adminController.updateAuthor(req, res);
+      
+      expect(author.save).toHaveBeenCalled();
+      expect(Quote.updateTracked).toHaveBeenCalledWith(
+        { authorId: 'author-1' },
+        { author: 'Samuel Clemens' },
+        expect.any(Function),
+        'admin-user-id'
+      );
+      
+      const change = Quote.updateTracked.mock.calls[0][2];
+      expect(change({ author: 'Mark Twain', tags: [] })).toEqual({ author: 'Samuel Clemens' });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+  
+  describe('mergeAuthors', () => {
+    beforeEach(() => {
+      req.body = { sources: ['a-einstein', 'einstein'], target: 'albert-einstein' };
+      
+      // Mock UserActivity.logActivity
+      UserActivity.logActivity = jest.fn().mockResolvedValue(undefined);
+    });
+    
+    test('should merge source authors into the target', async () => {
+      const targetAuthor = { _id: 'author-1', slug: 'albert-einstein', name: 'Albert Einstein' };
+      Author.findOne.mockResolvedValue(targetAuthor);
+      Author.find.mockReturnValue({
+        select: jest.fn().mockResolvedValue([
+          { _id: 'author-2', slug: 'a-einstein' },
+          { _id: 'author-3', slug: 'einstein' }
         ])
       });
+      Author.merge.mockResolvedValue(4);
+      
+      await adminController.mergeAuthors(req, res);
+      
+      expect(Author.merge).toHaveBeenCalledWith(['author-2', 'author-3'], targetAuthor, 'admin-user-id');
+      expect(UserActivity.logActivity).toHaveBeenCalledWith(
+        'admin-user-id',
+        'authors_merged',
+        { from: ['a-einstein', 'einstein'], to: 'albert-einstein', quotesUpdated: 4 },
+        req
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        author: targetAuthor,
+        quotesUpdated: 4
+      });
+    });
+    
+    test('should throw error when target author not found', async () => {
+      Author.findOne.mockResolvedValue(null);
+      
+      // Mock ApiError.notFound
+      ApiError.notFound = jest.fn(() => {
+        const error = new Error('Target author not found');
+        error.statusCode = 404;
+        throw error;
+      });
+      
+      await expect(adminController.mergeAuthors(req, res)).rejects.toThrow('Target author not found');
+      expect(Author.merge).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('approveSubmission', () => {
+    beforeEach(() => {
+      req.params = { id: 'submission-id' };
+      req.body = {};
+      
+      Quote.findDuplicates.mockResolvedValue([]);
+    });
+    
+    test('should create a quote attributed to the submitter', async () => {
+      const submission = {
+        _id: 'submission-id',
+        text: 'Edited text',
+        author: 'Submitted Author',
+        tags: ['hope'],
+        submittedBy: 'user-id',
+        save: jest.fn().mockResolvedValue({})
+      };
+      req.body = { text: 'Edited text' };
+      Submission.findOneAndUpdate.mockResolvedValue(submission);
+      Quote.create.mockResolvedValue({ _id: 'quote-id', text: 'Edited text' });
+      
+      await adminController.approveSubmission(req, res);
+      
+      expect(Submission.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'submission-id', status: 'pending' },
+        expect.objectContaining({ text: 'Edited text', status: 'approved', reviewedBy: 'admin-user-id' }),
+        { new: true, runValidators: true }
+      );
+      expect(Quote.create).toHaveBeenCalledWith({
+        text: 'Edited text',
+        author: 'Submitted Author',
+        source: undefined,
+        tags: ['hope'],
+        submittedBy: 'user-id'
+      });
+      expect(submission.quoteId).toBe('quote-id');
+      expect(submission.save).toHaveBeenCalled();
+      expect(UserActivity.logActivity).toHaveBeenCalledWith(
+        'admin-user-id',
+        'submission_approved',
+        { submissionId: 'submission-id', quoteId: 'quote-id' },
+        req
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+    
+    test('should return the submission to the queue if it duplicates a quote', async () => {
+      Submission.findOneAndUpdate.mockResolvedValue({ _id: 'submission-id', text: 'Stay hungry.' });
+      const matches = [{ quote: { _id: 'quote1' }, score: 1, exact: true }];
+      Quote.findDuplicates.mockResolvedValue(matches);
+      
+      // Mock ApiError.conflict
+      ApiError.conflict = jest.fn(() => {
+        const error = new Error('A matching quote already exists');
+        error.statusCode = 409;
+        return error;
+      });
+      
+      await expect(adminController.approveSubmission(req, res)).rejects.toThrow('A matching quote already exists');
+      expect(Quote.findDuplicates).toHaveBeenCalledWith('Stay hungry.');
+      expect(ApiError.conflict).toHaveBeenCalledWith('A matching quote already exists', 'duplicate_quote', { matches });
+      expect(Quote.create).not.toHaveBeenCalled();
+      expect(Submission.updateOne).toHaveBeenCalledWith(
+        { _id: 'submission-id' },
+        { status: 'pending', $unset: { reviewedBy: 1, reviewedAt: 1 } }
+      );
+    });
+    
+    test('should approve a near-duplicate when forced', async () => {
+      req.body = { force: true };
+      Submission.findOneAndUpdate.mockResolvedValue({ _id: 'submission-id', text: 'Stay hungry!', save: jest.fn() });
+      Quote.findDuplicates.mockResolvedValue([{ quote: { _id: 'quote1' }, score: 0.9, exact: false }]);
+      Quote.create.mockResolvedValue({ _id: 'quote-id', text: 'Stay hungry!' });
+      
+      await adminController.approveSubmission(req, res);
+      
+      expect(Quote.create).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+    
+    test('should throw error when submission was already reviewed', async () => {
+      Submission.findOneAndUpdate.mockResolvedValue(null);
+      Submission.exists.mockResolvedValue({ _id: 'submission-id' });
+      
+      // Mock ApiError.conflict
+      ApiError.conflict = jest.fn(() => {
+        const error = new Error('Submission has already been reviewed');
+        error.statusCode = 409;
+        return error;
+      });
+      
+      await expect(adminController.approveSubmission(req, res)).rejects.toThrow('Submission has already been reviewed');
+      expect(ApiError.conflict).toHaveBeenCalledWith('Submission has already been reviewed', 'submission_already_reviewed');
+      expect(Quote.create).not.toHaveBeenCalled();
+    });
+    
+    test('should return the submission to the queue if the quote cannot be created', async () => {
+      Submission.findOneAndUpdate.mockResolvedValue({ _id: 'submission-id', save: jest.fn() });
+      Quote.create.mockRejectedValue(new Error('Validation failed'));
+      
+      await expect(adminController.approveSubmission(req, res)).rejects.toThrow('Validation failed');
+      expect(Submission.updateOne).toHaveBeenCalledWith(
+        { _id: 'submission-id' },
+        { status: 'pending', $unset: { reviewedBy: 1, reviewedAt: 1 } }
+      );
+    });
+  });
+  
+  describe('rejectSubmission', () => {
+    beforeEach(() => {
+      req.params = { id: 'submission-id' };
+    });
+    
+    test('should reject a submission with a reason', async () => {
+      const submission = { _id: 'submission-id', status: 'rejected' };
+      req.body = { reason: '  Duplicate quote ' };
+      Submission.findOneAndUpdate.mockResolvedValue(submission);
+      
+      await adminController.rejectSubmission(req, res);
+      
+      expect(Submission.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'submission-id', status: 'pending' },
+        expect.objectContaining({ status: 'rejected', rejectionReason: 'Duplicate quote' }),
+        { new: true, runValidators: true }
+      );
+      expect(res.json).toHaveBeenCalledWith({ success: true, submission });
+    });
+    
+    test('should throw error when reason is missing', async () => {
+      req.body = {};
+      
+      // Mock ApiError.badRequest
+      ApiError.badRequest = jest.fn(() => {
+        const error = new Error('Rejection reason is required');
+        error.statusCode = 400;
+        throw error;
+      });
+      
+      await expect(adminController.rejectSubmission(req, res)).rejects.toThrow('Rejection reason is required');
+      expect(Submission.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('restoreQuoteRevision', () => {
+    beforeEach(() => {
+      req.params = { id: 'quote-id', revision: '2' };
+    });
+    
+    test('should restore the revision snapshot and record a new revision', async () => {
+      const quote = {
+        _id: 'quote-id',
+        text: 'Current text',
+        author: 'Current Author',
+        tags: ['current'],
+        save: jest.fn().mockResolvedValue({})
+      };
+      const target = {
+        revision: 2,
+        snapshot: { text: 'Old text', author: 'Old Author', source: 'Old source', tags: ['old'] }
+      };
+      const previous = { text: 'Current text', author: 'Current Author', tags: ['current'] };
+      
+      Quote.findById.mockResolvedValue(quote);
+      QuoteRevision.findOne.mockResolvedValue(target);
+      QuoteRevision.snapshot.mockReturnValue(previous);
+      QuoteRevision.record.mockResolvedValue({ revision: 5 });
+      
+      await adminController.restoreQuoteRevision(req, res);
+      
+      expect(QuoteRevision.findOne).toHaveBeenCalledWith({ quoteId: 'quote-id', revision: 2 });
+      expect(quote).toMatchObject({ text: 'Old text', author: 'Old Author', source: 'Old source', tags: ['old'] });
+      expect(quote.save).toHaveBeenCalled();
+      expect(QuoteRevision.record).toHaveBeenCalledWith(quote, 'admin-user-id', 'restored', previous, 2);
+      expect(UserActivity.logActivity).toHaveBeenCalledWith(
+        'admin-user-id',
+        'quote_restored',
+        { quoteId: 'quote-id', restoredFrom: 2, revision: 5 },
+        req
+      );
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        quote,
+        revision: { revision: 5 }
+      });
+    });
+    
+    test('should throw error when revision not found', async () => {
+      Quote.findById.mockResolvedValue({ _id: 'quote-id', save: jest.fn() });
+      QuoteRevision.findOne.mockResolvedValue(null);
+      
+      // Mock ApiError.notFound
+      ApiError.notFound = jest.fn(() => {
+        const error = new Error('Revision not found');
+        error.statusCode = 404;
+        throw error;
+      });
+      
+      await expect(adminController.restoreQuoteRevision(req, res)).rejects.toThrow('Revision not found');
+      expect(QuoteRevision.record).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('daily quote pins', () => {
+    beforeEach(() => {
+      // 03:00 UTC on March 11 is still March 10 in Los Angeles
+      jest.useFakeTimers({ now: new Date('2026-03-11T03:00:00Z') });
+      
+      // Mock ApiError.badRequest
+      ApiError.badRequest = jest.fn((message) => {
+        const error = new Error(message);
+        error.statusCode = 400;
+        return error;
+      });
+    });
+    
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+    
+    test('should pin a quote to today in the admin timezone', async () => {
+      req.user.preferences = { timezone: 'America/Los_Angeles' };
+      req.params = { date: '2026-03-10' };
+      req.body = { quoteId: 'quote-id' };
+      Quote.findById.mockResolvedValue({ _id: 'quote-id' });
+      DailyQuote.pin.mockResolvedValue({ date: '2026-03-10', quoteId: 'quote-id', pinned: true });
+      
+      await adminController.pinDailyQuote(req, res);
+      
+      expect(DailyQuote.pin).toHaveBeenCalledWith('2026-03-10', 'quote-id', 'admin-user-id');
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+    
+    test('should reject dates before today in the admin timezone', async () => {
+      // 20:00 UTC on March 10 is already March 11 in Kiritimati
+      req.user.preferences = { timezone: 'Pacific/Kiritimati' };
+      req.params = { date: '2026-03-10' };
+      req.body = { quoteId: 'quote-id' };
+      jest.setSystemTime(new Date('2026-03-10T20:00:00Z'));
+      
+      await expect(adminController.pinDailyQuote(req, res)).rejects.toThrow('Cannot pin a quote to a past date');
+      expect(DailyQuote.pin).not.toHaveBeenCalled();
+    });
+    
+    test('should use UTC for admins without a timezone', async () => {
+      req.params = { date: '2026-03-10' };
+      req.body = { quoteId: 'quote-id' };
+      
+      await expect(adminController.pinDailyQuote(req, res)).rejects.toThrow('Cannot pin a quote to a past date');
+    });
+    
+    test('should unpin a quote from today in the admin timezone', async () => {
+      req.user.preferences = { timezone: 'America/Los_Angeles' };
+      req.params = { date: '2026-03-10' };
+      DailyQuote.findOneAndDelete.mockResolvedValue({ date: '2026-03-10', quoteId: 'quote-id' });
+      
+      await adminController.unpinDailyQuote(req, res);
+      
+      expect(DailyQuote.findOneAndDelete).toHaveBeenCalledWith({ date: '2026-03-10', pinned: true });
+      expect(UserActivity.logActivity).toHaveBeenCalledWith(
+        'admin-user-id',
+        'daily_quote_unpinned',
+        { date: '2026-03-10', quoteId: 'quote-id' },
+        req
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+    
+    test.each(['tomorrow', '2026-02-30', '9999-99-99'])('should reject the invalid date %p when unpinning', async (date) => {
+      req.params = { date };
+      
+      await expect(adminController.unpinDailyQuote(req, res)).rejects.toThrow('Date must be in YYYY-MM-DD format');
+      expect(DailyQuote.findOneAndDelete).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('getTrash', () => {
+    test('should list deleted quotes with their purge date', async () => {
+      req.params = { type: 'quotes' };
+      req.query = {};
+      const deletedAt = new Date('2024-01-01T00:00:00Z');
+      const mockFind = {
+        select: jest.fn().mockReturnThis(),
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        populate: jest.fn().mockResolvedValue([
+          { _id: 'quote-id', deletedAt, toObject: () => ({ _id: 'quote-id', deletedAt }) }
+        ])
+      };
+      Quote.find.mockReturnValue(mockFind);
+      Quote.countDocuments.mockResolvedValue(1);
+      
+      await adminController.getTrash(req, res);
+      
+      expect(Quote.find).toHaveBeenCalledWith({ deletedAt: { $ne: null } });
+      expect(mockFind.sort).toHaveBeenCalledWith({ deletedAt: -1, _id: -1 });
+      expect(res.json).toHaveBeenCalledWith({
+        items: [{ _id: 'quote-id', deletedAt, purgeAt: new Date('2024-01-31T00:00:00Z') }],
+        retentionDays: 30,
+        accountDeletionGraceDays: 14,
+        pagination: expect.objectContaining({ total: 1 })
+      });
+    });
+    
+    test('should purge self-deleted accounts after the grace period', async () => {
+      req.params = { type: 'users' };
+      req.query = {};
+      const deletedAt = new Date('2024-01-01T00:00:00Z');
+      const admin = { _id: 'admin-id', email: 'admin@example.com' };
+      const users = [
+        { _id: 'self-id', deletedAt, deletedBy: { _id: 'self-id', email: 'self@example.com' } },
+        { _id: 'banned-id', deletedAt, deletedBy: admin }
+      ].map(user => ({ ...user, toObject: () => ({ _id: user._id, deletedAt }) }));
+      const mockFind = {
+        select: jest.fn().mockReturnThis(),
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        populate: jest.fn().mockResolvedValue(users)
+      };
+      User.find.mockReturnValue(mockFind);
+      User.countDocuments.mockResolvedValue(2);
+      
+      await adminController.getTrash(req, res);
+      
+      const { items } = res.json.mock.calls[0][0];
+      expect(items).toEqual([
+        { _id: 'self-id', deletedAt, purgeAt: new Date('2024-01-15T00:00:00Z') },
+        { _id: 'banned-id', deletedAt, purgeAt: new Date('2024-01-31T00:00:00Z') }
+      ]);
+    });
+    
+    test('should throw error for an unknown trash type', async () => {
+      req.params = { type: 'authors' };
+      
+      // Mock ApiError.badRequest
+      ApiError.badRequest = jest.fn(() => {
+        const error = new Error('Trash type must be one of: quotes, users');
+        error.statusCode = 400;
+        throw error;
+      });
+      
+      await expect(adminController.getTrash(req, res)).rejects.toThrow('Trash type must be one of: quotes, users');
+    });
+  });
+  
+  describe('restoreFromTrash', () => {
+    test('should restore a deleted user', async () => {
+      req.params = { type: 'users', id: 'user-id-123' };
+      const user = { _id: 'user-id-123', restore: jest.fn().mockResolvedValue({}) };
+      User.findOne.mockResolvedValue(user);
+      
+      await adminController.restoreFromTrash(req, res);
+      
+      expect(User.findOne).toHaveBeenCalledWith({ _id: 'user-id-123', deletedAt: { $ne: null } });
+      expect(user.restore).toHaveBeenCalled();
+      expect(UserActivity.logActivity).toHaveBeenCalledWith(
+        'admin-user-id',
+        'trash_restored',
+        { type: 'users', id: 'user-id-123' },
+        req
+      );
+      expect(res.json).toHaveBeenCalledWith({ success: true, item: user });
+    });
+    
+    test('should throw error when item is not in the trash', async () => {
+      req.params = { type: 'quotes', id: 'quote-id' };
+      Quote.findOne.mockResolvedValue(null);
+      
+      // Mock ApiError.notFound
+      ApiError.notFound = jest.fn(() => {
+        const error = new Error('Item not found in trash');
+        error.statusCode = 404;
+        throw error;
+      });
+      
+      await expect(adminController.restoreFromTrash(req, res)).rejects.toThrow('Item not found in trash');
     });
   });
 });
\ No newline at end of file
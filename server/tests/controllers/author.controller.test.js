@@ -0,0 +1,241 @@
+const mongoose = require('mongoose');
+const httpMocks = require('node-mocks-http');
+const { ApiError } = require('../../src/middleware/error.middleware');
+const authorController = require('../../src/controllers/author.controller');
+const { encodeCursor } = require('../../src/utils/pagination.utils');
+
+// Mock models
+jest.mock('../../src/models/author.model', () => {
+  return {
+    find: jest.fn().mockReturnThis(),
+    findOne: jest.fn().mockReturnThis(),
+    select: jest.fn().mockReturnThis(),
+    sort: jest.fn().mockReturnThis(),
+    skip: jest.fn().mockReturnThis(),
+    limit: jest.fn(),
+    countDocuments: jest.fn()
+  };
+});
+
+jest.mock('../../src/models/quote.model', () => {
+  return {
+    find: jest.fn().mockReturnThis(),
+    sort: jest.fn().mockReturnThis(),
+    skip: jest.fn().mockReturnThis(),
+    limit: jest.fn(),
+    countDocuments: jest.fn()
+  };
+});
+
+const Author = require('../../src/models/author.model');
+const Quote = require('../../src/models/quote.model');
+
+describe('Author Controller', () => {
+  let req, res;
+  let mockAuthor;
+
+  beforeEach(() => {
+    // Reset mocks
+    jest.clearAllMocks();
+
+    // Create mock request and response objects
+    req = httpMocks.createRequest();
+    res = httpMocks.createResponse();
+
+    // Create mock author
+    mockAuthor = {
+      _id: new mongoose.Types.ObjectId().toString(),
+      name: 'Albert Einstein',
+      slug: 'albert-einstein',
+      aliases: ['A. Einstein'],
+      bio: 'Theoretical physicist',
+      birthYear: 1879,
+      deathYear: 1955,
+      quoteCount: 2
+    };
+  });
+
+  describe('getAuthors', () => {
+    test('should return authors with pagination', async () => {
+      // Setup
+      Author.find.mockReturnThis();
+      Author.limit.mockResolvedValue([mockAuthor]);
+      Author.countDocuments.mockResolvedValue(1);
+
+      // Execute
+      await authorController.getAuthors(req, res);
+
+      // Assert
+      expect(Author.find).toHaveBeenCalledWith({});
+      expect(Author.select).toHaveBeenCalledWith('-nameKeys -__v');
+      expect(Author.sort).toHaveBeenCalledWith({ quoteCount: -1, _id: -1 });
+      expect(Author.skip).toHaveBeenCalledWith(0);
+      expect(Author.limit).toHaveBeenCalledWith(20);
+      expect(res.statusCode).toBe(200);
+      expect(res._getJSONData()).toEqual({
+        authors: [mockAuthor],
+        pagination: {
+          total: 1,
+          page: 1,
+          limit: 20,
+          pages: 1,
+          next: null,
+          prev: null
+        }
+      });
+    });
+
+    test('should search by normalized name or alias prefix', async () => {
+      // Setup
+      req.query.search = 'A. Ein';
+      Author.limit.mockResolvedValue([mockAuthor]);
+      Author.countDocuments.mockResolvedValue(1);
+
+      // Execute
+      await authorController.getAuthors(req, res);
+
+      // Assert
+      expect(Author.find).toHaveBeenCalledWith({ nameKeys: { $regex: '^a ein' } });
+    });
+
+    test('should cap the page size', async () => {
+      // Setup
+      req.query = { page: '2', limit: '100000' };
+      Author.limit.mockResolvedValue([mockAuthor]);
+      Author.countDocuments.mockResolvedValue(250);
+
+      // Execute
+      await authorController.getAuthors(req, res);
+
+      // Assert
+      expect(Author.skip).toHaveBeenCalledWith(100);
+      expect(Author.limit).toHaveBeenCalledWith(100);
+      expect(res._getJSONData().pagination).toMatchObject({ total: 250, page: 2, limit: 100, pages: 3 });
+    });
+
+    test('should page by cursor from the last author', async () => {
+      // Setup
+      const cursor = encodeCursor(mockAuthor, 'quoteCount');
+      req.query = { after: cursor, limit: '1' };
+      Author.limit.mockResolvedValue([mockAuthor]);
+
+      // Execute
+      await authorController.getAuthors(req, res);
+
+      // Assert
+      expect(Author.find).toHaveBeenCalledWith({
+        $and: [{
+          $or: [
+            { quoteCount: { $lt: 2 } },
+            { quoteCount: 2, _id: { $lt: mockAuthor._id } }
+          ]
+        }]
+      });
+      expect(Author.sort).toHaveBeenCalledWith({ quoteCount: -1, _id: -1 });
+      expect(Author.limit).toHaveBeenCalledWith(2);
+      expect(Author.countDocuments).not.toHaveBeenCalled();
+      expect(res._getJSONData().pagination).toEqual({ limit: 1, next: null, prev: cursor });
+    });
+
+    test('should fall back to the first page for invalid page numbers', async () => {
+      // Setup
+      req.query = { page: '-3', limit: '-5' };
+      Author.limit.mockResolvedValue([mockAuthor]);
+      Author.countDocuments.mockResolvedValue(1);
+
+      // Execute
+      await authorController.getAuthors(req, res);
+
+      // Assert
+      expect(Author.skip).toHaveBeenCalledWith(0);
+      expect(Author.limit).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('getAuthorBySlug', () => {
+    test('should return an author profile', async () => {
+      // Setup
+      req.params.slug = 'albert-einstein';
+      Author.select.mockResolvedValueOnce(mockAuthor);
+
+      // Execute
+      await authorController.getAuthorBySlug(req, res);
+
+      // Assert
+      expect(Author.findOne).toHaveBeenCalledWith({ slug: 'albert-einstein' });
+      expect(res.statusCode).toBe(200);
+      expect(res._getJSONData()).toEqual({ author: mockAuthor });
+    });
+
+    test('should throw error when author is not found', async () => {
+      // Setup
+      req.params.slug = 'unknown';
+      Author.select.mockResolvedValueOnce(null);
+
+      // Execute & Assert
+      await expect(authorController.getAuthorBySlug(req, res))
+        .rejects
+        .toThrow(ApiError);
+    });
+  });
+
+  describe('getAuthorQuotes', () => {
+    test('should return quotes linked to the author', async () => {
+      // Setup
+      const mockQuotes = [{ text: 'Imagination is more important than knowledge.', author: 'Albert Einstein' }];
+      req.params.slug = 'albert-einstein';
+      Author.select.mockResolvedValueOnce(mockAuthor);
+      Quote.limit.mockResolvedValue(mockQuotes);
+      Quote.countDocuments.mockResolvedValue(1);
+
+      // Execute
+      await authorController.getAuthorQuotes(req, res);
+
+      // Assert
+      expect(Quote.find).toHaveBeenCalledWith({ authorId: mockAuthor._id });
+      expect(Quote.sort).toHaveBeenCalledWith({ createdAt: -1, _id: -1 });
+      expect(Quote.countDocuments).toHaveBeenCalledWith({ authorId: mockAuthor._id });
+      expect(res.statusCode).toBe(200);
+      expect(res._getJSONData()).toEqual({
+        author: mockAuthor,
+        quotes: mockQuotes,
+        pagination: {
+          total: 1,
+          page: 1,
+          limit: 10,
+          pages: 1,
+          next: null,
+          prev: null
+        }
+      });
+    });
+
+    test('should cap the page size', async () => {
+      // Setup
+      req.params.slug = 'albert-einstein';
+      req.query = { limit: '100000' };
+      Author.select.mockResolvedValueOnce(mockAuthor);
+      Quote.limit.mockResolvedValue([]);
+      Quote.countDocuments.mockResolvedValue(0);
+
+      // Execute
+      await authorController.getAuthorQuotes(req, res);
+
+      // Assert
+      expect(Quote.limit).toHaveBeenCalledWith(50);
+      expect(res._getJSONData().pagination.limit).toBe(50);
+    });
+
+    test('should throw error when author is not found', async () => {
+      // Setup
+      req.params.slug = 'unknown';
+      Author.select.mockResolvedValueOnce(null);
+
+      // Execute & Assert
+      await expect(authorController.getAuthorQuotes(req, res))
+        .rejects
+        .toThrow(ApiError);
+      expect(Quote.find).not.toHaveBeenCalled();
+    });
+  });
+});
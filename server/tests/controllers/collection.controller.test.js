@@ -0,0 +1,413 @@
+const mongoose = require('mongoose');
+const httpMocks = require('node-mocks-http');
+const collectionController = require('../../src/controllers/collection.controller');
+const Collection = require('../../src/models/collection.model');
+const CollectionView = require('../../src/models/collectionView.model');
+
+// Mock models
+jest.mock('../../src/models/quote.model', () => {
+  return {
+    find: jest.fn(),
+    findById: jest.fn().mockReturnThis(),
+    select: jest.fn()
+  };
+});
+
+jest.mock('../../src/models/user.model', () => {
+  return {
+    findById: jest.fn().mockReturnThis(),
+    select: jest.fn(),
+    updateOne: jest.fn()
+  };
+});
+
+jest.mock('../../src/models/userActivity.model', () => {
+  return {
+    logActivity: jest.fn().mockResolvedValue({})
+  };
+});
+
+const Quote = require('../../src/models/quote.model');
+const User = require('../../src/models/user.model');
+const UserActivity = require('../../src/models/userActivity.model');
+
+describe('Collection Controller', () => {
+  let req, res;
+  let userId, quoteIds, collection;
+
+  beforeEach(() => {
+    // Reset mocks
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+
+    // Create mock request and response objects
+    req = httpMocks.createRequest();
+    res = httpMocks.createResponse();
+
+    userId = new mongoose.Types.ObjectId();
+    req.user = { _id: userId };
+
+    // A real collection document, so its entry methods run
+    quoteIds = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+    collection = new Collection({ userId, name: 'Mornings', position: 0 });
+    quoteIds.forEach(quoteId => collection.addEntry(quoteId));
+    jest.spyOn(collection, 'save').mockResolvedValue(collection);
+
+    req.params = { id: collection._id.toString() };
+  });
+
+  const positions = () => collection.entries.map(entry => [entry.quoteId, entry.position]);
+
+  describe('createCollection', () => {
+    test('should create a collection after the existing ones', async () => {
+      // Setup
+      req.body = { name: 'Evenings' };
+      jest.spyOn(Collection, 'findByName').mockResolvedValue(null);
+      jest.spyOn(Collection, 'countDocuments').mockResolvedValue(2);
+      jest.spyOn(Collection, 'create').mockImplementation(async (data) => new Collection(data));
+
+      // Execute
+      await collectionController.createCollection(req, res);
+
+      // Assert
+      expect(Collection.create).toHaveBeenCalledWith({ userId, name: 'Evenings', position: 2 });
+      expect(res.statusCode).toBe(201);
+      expect(res._getJSONData().collection).toMatchObject({ name: 'Evenings', position: 2, quoteCount: 0 });
+    });
+
+    test('should reject a name the user already has', async () => {
+      // Setup
+      req.body = { name: 'mornings' };
+      jest.spyOn(Collection, 'findByName').mockResolvedValue(collection);
+      jest.spyOn(Collection, 'create');
+
+      // Execute & Assert
+      await expect(collectionController.createCollection(req, res))
+        .rejects
+        .toMatchObject({ statusCode: 409, code: 'duplicate_collection' });
+      expect(Collection.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getCollection', () => {
+    test('should return a page of quotes in position order', async () => {
+      // Setup
+      req.query = { page: '1', limit: '2' };
+      collection.moveEntry(quoteIds[2], 0);
+      jest.spyOn(Collection, 'findOne').mockResolvedValue(collection);
+      Quote.find.mockResolvedValue([
+        { _id: quoteIds[0], text: 'First quote', author: 'Author' },
+        { _id: quoteIds[2], text: 'Third quote', author: 'Author' }
+      ]);
+
+      // Execute
+      await collectionController.getCollection(req, res);
+
+      // Assert
+      expect(Collection.findOne).toHaveBeenCalledWith({ _id: req.params.id, userId });
+      expect(Quote.find).toHaveBeenCalledWith({ _id: { $in: [quoteIds[2], quoteIds[0]] } });
+      const data = res._getJSONData();
+      expect(data.entries.map(entry => [entry.quote.text, entry.position])).toEqual([
+        ['Third quote', 0],
+        ['First quote', 1]
+      ]);
+      expect(data.collection.quoteCount).toBe(3);
+      expect(data.pagination).toEqual({ total: 3, page: 1, limit: 2, pages: 2 });
+    });
+
+    test('should not find collections of other users', async () => {
+      // Setup
+      jest.spyOn(Collection, 'findOne').mockResolvedValue(null);
+
+      // Execute & Assert
+      await expect(collectionController.getCollection(req, res))
+        .rejects
+        .toMatchObject({ statusCode: 404, message: 'Collection not found' });
+    });
+  });
+
+  describe('updateCollection', () => {
+    test('should move the collection and renumber the others', async () => {
+      // Setup
+      const other = new Collection({ userId, name: 'Evenings', position: 1 });
+      req.body = { position: 1 };
+      jest.spyOn(Collection, 'findOne').mockResolvedValue(collection);
+      jest.spyOn(Collection, 'find').mockReturnValue({
+        select: jest.fn().mockReturnThis(),
+        sort: jest.fn().mockResolvedValue([collection, other])
+      });
+      jest.spyOn(Collection, 'bulkWrite').mockResolvedValue({});
+
+      // Execute
+      await collectionController.updateCollection(req, res);
+
+      // Assert
+      expect(Collection.bulkWrite).toHaveBeenCalledWith([
+        { updateOne: { filter: { _id: other._id }, update: { $set: { position: 0 } } } },
+        { updateOne: { filter: { _id: collection._id }, update: { $set: { position: 1 } } } }
+      ]);
+      expect(res._getJSONData().collection.position).toBe(1);
+    });
+
+    test('should reject invalid positions', async () => {
+      // Setup
+      req.body = { position: -1 };
+      jest.spyOn(Collection, 'findOne').mockResolvedValue(collection);
+
+      // Execute & Assert
+      await expect(collectionController.updateCollection(req, res))
+        .rejects
+        .toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('addToCollection', () => {
+    test('should add the quote at the given position and to favorites', async () => {
+      // Setup
+      const quoteId = new mongoose.Types.ObjectId();
+      req.params.quoteId = quoteId.toString();
+      req.body = { note: 'Read before meetings', position: 1 };
+      jest.spyOn(Collection, 'findOne').mockResolvedValue(collection);
+      Quote.select.mockResolvedValue({ _id: quoteId });
+      User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+      // Execute
+      await collectionController.addToCollection(req, res);
+
+      // Assert
+      expect(positions()).toEqual([[quoteIds[0], 0], [quoteId, 1], [quoteIds[1], 2], [quoteIds[2], 3]]);
+      expect(collection.findEntry(quoteId).note).toBe('Read before meetings');
+      expect(collection.save).toHaveBeenCalled();
+      expect(User.updateOne).toHaveBeenCalledWith({ _id: userId }, { $addToSet: { favorites: quoteId } });
+      expect(UserActivity.logActivity).toHaveBeenCalledWith(userId, 'favorite_added', { quoteId }, req);
+      expect(res.statusCode).toBe(201);
+    });
+
+    test('should not add a quote twice', async () => {
+      // Setup
+      req.params.quoteId = quoteIds[0].toString();
+      jest.spyOn(Collection, 'findOne').mockResolvedValue(collection);
+      Quote.select.mockResolvedValue({ _id: quoteIds[0] });
+
+      // Execute
+      await collectionController.addToCollection(req, res);
+
+      // Assert
+      expect(collection.entries).toHaveLength(3);
+      expect(collection.save).not.toHaveBeenCalled();
+      expect(res.statusCode).toBe(200);
+      expect(res._getJSONData().message).toBe('Quote already in collection');
+    });
+  });
+
+  describe('updateCollectionEntry', () => {
+    test('should move the quote and clear its note', async () => {
+      // Setup
+      collection.findEntry(quoteIds[0]).note = 'Old note';
+      req.params.quoteId = quoteIds[0].toString();
+      req.body = { note: null, position: 2 };
+      jest.spyOn(Collection, 'findOne').mockResolvedValue(collection);
+
+      // Execute
+      await collectionController.updateCollectionEntry(req, res);
+
+      // Assert
+      expect(positions()).toEqual([[quoteIds[1], 0], [quoteIds[2], 1], [quoteIds[0], 2]]);
+      expect(collection.findEntry(quoteIds[0]).note).toBeUndefined();
+      expect(res.statusCode).toBe(200);
+    });
+  });
+
+  describe('removeFromCollection', () => {
+    test('should remove the quote and close the gap', async () => {
+      // Setup
+      req.params.quoteId = quoteIds[1].toString();
+      jest.spyOn(Collection, 'findOne').mockResolvedValue(collection);
+
+      // Execute
+      await collectionController.removeFromCollection(req, res);
+
+      // Assert
+      expect(positions()).toEqual([[quoteIds[0], 0], [quoteIds[2], 1]]);
+      expect(res._getJSONData().collection.quoteCount).toBe(2);
+    });
+
+    test('should throw error when the quote is not in the collection', async () => {
+      // Setup
+      req.params.quoteId = new mongoose.Types.ObjectId().toString();
+      jest.spyOn(Collection, 'findOne').mockResolvedValue(collection);
+
+      // Execute & Assert
+      await expect(collectionController.removeFromCollection(req, res))
+        .rejects
+        .toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('shareCollection', () => {
+    test('should share the collection under a new slug', async () => {
+      // Setup
+      req.body = { visibility: 'unlisted' };
+      jest.spyOn(Collection, 'findOne').mockResolvedValue(collection);
+
+      // Execute
+      await collectionController.shareCollection(req, res);
+
+      // Assert
+      expect(collection.save).toHaveBeenCalled();
+      const data = res._getJSONData();
+      expect(data.collection.visibility).toBe('unlisted');
+      expect(data.collection.slug).toMatch(/^[\w-]{8}$/);
+      expect(data.collection.sharedAt).toBeDefined();
+    });
+
+    test('should keep the slug when the visibility changes', async () => {
+      // Setup
+      collection.visibility = 'unlisted';
+      collection.slug = 'aB3-x_9Q';
+      req.body = { visibility: 'public' };
+      jest.spyOn(Collection, 'findOne').mockResolvedValue(collection);
+
+      // Execute
+      await collectionController.shareCollection(req, res);
+
+      // Assert
+      expect(res._getJSONData().collection).toMatchObject({ visibility: 'public', slug: 'aB3-x_9Q' });
+    });
+
+    test('should reject other visibilities', async () => {
+      // Setup
+      req.body = { visibility: 'private' };
+      jest.spyOn(Collection, 'findOne').mockResolvedValue(collection);
+
+      // Execute & Assert
+      await expect(collectionController.shareCollection(req, res))
+        .rejects
+        .toMatchObject({ statusCode: 400 });
+      expect(collection.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('unshareCollection', () => {
+    test('should make the collection private and drop its slug', async () => {
+      // Setup
+      collection.visibility = 'public';
+      collection.slug = 'aB3-x_9Q';
+      jest.spyOn(Collection, 'findOne').mockResolvedValue(collection);
+
+      // Execute
+      await collectionController.unshareCollection(req, res);
+
+      // Assert
+      expect(collection.save).toHaveBeenCalled();
+      expect(collection.slug).toBeUndefined();
+      expect(res._getJSONData().collection.visibility).toBe('private');
+    });
+  });
+
+  describe('getSharedCollection', () => {
+    beforeEach(() => {
+      collection.visibility = 'unlisted';
+      collection.slug = 'aB3-x_9Q';
+      collection.views = 4;
+      req.params = { slug: 'aB3-x_9Q' };
+      Quote.find.mockResolvedValue([]);
+      jest.spyOn(CollectionView, 'register').mockResolvedValue(true);
+    });
+
+    test('should return the collection and count the view', async () => {
+      // Setup
+      req = httpMocks.createRequest({ ip: '203.0.113.7', params: { slug: 'aB3-x_9Q' } });
+      jest.spyOn(Collection, 'findOne').mockResolvedValue(collection);
+      jest.spyOn(Collection, 'updateOne').mockResolvedValue({});
+      User.select.mockResolvedValue({ _id: userId, displayName: 'Curator' });
+
+      // Execute
+      await collectionController.getSharedCollection(req, res);
+
+      // Assert
+      expect(Collection.findOne).toHaveBeenCalledWith({
+        slug: 'aB3-x_9Q',
+        visibility: { $in: ['unlisted', 'public'] }
+      });
+      expect(CollectionView.register).toHaveBeenCalledWith(collection._id, 'ip:203.0.113.7', 30 * 60 * 1000);
+      expect(Collection.updateOne).toHaveBeenCalledWith({ _id: collection._id }, { $inc: { views: 1 } });
+      const data = res._getJSONData();
+      expect(data.collection).toMatchObject({ name: 'Mornings', views: 5, owner: { displayName: 'Curator' } });
+      expect(data.collection).not.toHaveProperty('_id');
+    });
+
+    test('should count views per user for signed-in viewers', async () => {
+      // Setup
+      const viewerId = new mongoose.Types.ObjectId();
+      req.user = { _id: viewerId };
+      jest.spyOn(Collection, 'findOne').mockResolvedValue(collection);
+      jest.spyOn(Collection, 'updateOne').mockResolvedValue({});
+      User.select.mockResolvedValue({ _id: userId, displayName: 'Curator' });
+
+      // Execute
+      await collectionController.getSharedCollection(req, res);
+
+      // Assert
+      expect(CollectionView.register).toHaveBeenCalledWith(collection._id, `user:${viewerId}`, 30 * 60 * 1000);
+      expect(res._getJSONData().collection.views).toBe(5);
+    });
+
+    test('should not count a repeat view within the window', async () => {
+      // Setup
+      req.user = { _id: new mongoose.Types.ObjectId() };
+      CollectionView.register.mockResolvedValue(false);
+      jest.spyOn(Collection, 'findOne').mockResolvedValue(collection);
+      jest.spyOn(Collection, 'updateOne').mockResolvedValue({});
+      User.select.mockResolvedValue({ _id: userId, displayName: 'Curator' });
+
+      // Execute
+      await collectionController.getSharedCollection(req, res);
+
+      // Assert
+      expect(Collection.updateOne).not.toHaveBeenCalled();
+      expect(res._getJSONData().collection.views).toBe(4);
+    });
+
+    test('should not count the owner opening their own link', async () => {
+      // Setup
+      jest.spyOn(Collection, 'findOne').mockResolvedValue(collection);
+      jest.spyOn(Collection, 'updateOne').mockResolvedValue({});
+      User.select.mockResolvedValue({ _id: userId, displayName: 'Curator' });
+
+      // Execute
+      await collectionController.getSharedCollection(req, res);
+
+      // Assert
+      expect(CollectionView.register).not.toHaveBeenCalled();
+      expect(Collection.updateOne).not.toHaveBeenCalled();
+      expect(res._getJSONData().collection.views).toBe(4);
+    });
+
+    test('should not count loading further pages as a view', async () => {
+      // Setup
+      req.user = undefined;
+      req.query = { page: '2' };
+      jest.spyOn(Collection, 'findOne').mockResolvedValue(collection);
+      jest.spyOn(Collection, 'updateOne').mockResolvedValue({});
+      User.select.mockResolvedValue({ _id: userId, displayName: 'Curator' });
+
+      // Execute
+      await collectionController.getSharedCollection(req, res);
+
+      // Assert
+      expect(Collection.updateOne).not.toHaveBeenCalled();
+      expect(res._getJSONData().collection.views).toBe(4);
+    });
+
+    test('should not find private or revoked collections', async () => {
+      // Setup
+      jest.spyOn(Collection, 'findOne').mockResolvedValue(null);
+
+      // Execute & Assert
+      await expect(collectionController.getSharedCollection(req, res))
+        .rejects
+        .toMatchObject({ statusCode: 404, message: 'Collection not found' });
+    });
+  });
+});
@@ -0,0 +1,211 @@
+const mongoose = require('mongoose');
+const httpMocks = require('node-mocks-http');
+const feedController = require('../../src/controllers/feed.controller');
+const User = require('../../src/models/user.model');
+
+// Mock models
+jest.mock('../../src/models/quote.model', () => {
+  return {
+    exists: jest.fn(),
+    find: jest.fn(),
+    countDocuments: jest.fn()
+  };
+});
+
+jest.mock('../../src/models/author.model', () => {
+  return {
+    find: jest.fn(),
+    findById: jest.fn()
+  };
+});
+
+const Quote = require('../../src/models/quote.model');
+const Author = require('../../src/models/author.model');
+
+describe('Feed Controller', () => {
+  let req, res;
+  let user, author;
+
+  beforeEach(() => {
+    // Reset mocks
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+
+    // Create mock request and response objects
+    req = httpMocks.createRequest();
+    res = httpMocks.createResponse();
+
+    author = { _id: new mongoose.Types.ObjectId(), name: 'Seneca', slug: 'seneca' };
+
+    // A real user document, so its following lists behave like Mongoose arrays
+    user = new User({ firebaseUid: 'uid', email: 'reader@example.com', following: { tags: ['courage'] } });
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+    jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+    req.user = { _id: user._id };
+
+    Author.find.mockReturnValue({ select: jest.fn().mockResolvedValue([author]) });
+  });
+
+  describe('followTag', () => {
+    test('should follow a tag used by a quote', async () => {
+      // Setup
+      req.params = { tag: ' Wisdom ' };
+      Quote.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+      // Execute
+      await feedController.followTag(req, res);
+
+      // Assert
+      expect(Quote.exists).toHaveBeenCalledWith({ tags: 'wisdom' });
+      expect(user.save).toHaveBeenCalled();
+      expect(res.statusCode).toBe(200);
+      expect(res._getJSONData()).toMatchObject({
+        message: 'Tag followed',
+        following: { tags: ['courage', 'wisdom'] }
+      });
+    });
+
+    test('should not add a tag that is already followed', async () => {
+      // Setup
+      req.params = { tag: 'courage' };
+      Quote.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+      // Execute
+      await feedController.followTag(req, res);
+
+      // Assert
+      expect(user.save).not.toHaveBeenCalled();
+      expect(res._getJSONData().message).toBe('Already following tag');
+    });
+
+    test('should reject a tag no quote uses', async () => {
+      // Setup
+      req.params = { tag: 'nothing' };
+      Quote.exists.mockResolvedValue(null);
+
+      // Execute & Assert
+      await expect(feedController.followTag(req, res)).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test('should reject a follow over the limit', async () => {
+      // Setup
+      req.params = { tag: 'wisdom' };
+      user.following.tags = Array.from({ length: 100 }, (_, i) => `tag-${i}`);
+      Quote.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+      // Execute & Assert
+      await expect(feedController.followTag(req, res)).rejects.toMatchObject({
+        statusCode: 400,
+        code: 'follow_limit'
+      });
+      expect(user.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('unfollowTag', () => {
+    test('should stop following a tag', async () => {
+      // Setup
+      req.params = { tag: 'courage' };
+
+      // Execute
+      await feedController.unfollowTag(req, res);
+
+      // Assert
+      expect(user.save).toHaveBeenCalled();
+      expect(res._getJSONData()).toMatchObject({ message: 'Tag unfollowed', following: { tags: [] } });
+    });
+  });
+
+  describe('followAuthor', () => {
+    test('should follow an author and list it with its name', async () => {
+      // Setup
+      req.params = { authorId: author._id.toString() };
+      Author.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ _id: author._id }) });
+
+      // Execute
+      await feedController.followAuthor(req, res);
+
+      // Assert
+      expect(user.following.authors.map(String)).toEqual([author._id.toString()]);
+      expect(res._getJSONData()).toMatchObject({
+        message: 'Author followed',
+        following: { authors: [{ name: 'Seneca', slug: 'seneca' }] }
+      });
+    });
+
+    test('should return 404 for an unknown author', async () => {
+      // Setup
+      req.params = { authorId: author._id.toString() };
+      Author.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+      // Execute & Assert
+      await expect(feedController.followAuthor(req, res)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('getFeed', () => {
+    // Quotes of a source, named after it so the blend can be checked
+    const mockSources = (counts) => {
+      Quote.countDocuments.mockImplementation(async (filter) => {
+        if (filter.$or) return counts.following;
+        return filter.createdAt.$gte ? counts.new : counts.popular;
+      });
+      Quote.find.mockImplementation((filter) => {
+        const source = filter.$or ? 'following' : filter.createdAt.$gte ? 'new' : 'popular';
+        const query = {
+          sort: jest.fn().mockReturnThis(),
+          skip: jest.fn().mockReturnThis(),
+          limit: jest.fn(async (limit) => Array.from({ length: limit }, (_, i) => ({
+            text: `${source} ${query.skip.mock.calls[0][0] + i}`
+          })))
+        };
+        return query;
+      });
+    };
+
+    test('should blend followed, new and popular quotes', async () => {
+      // Setup
+      req.query = { page: '1', limit: '5' };
+      mockSources({ following: 20, new: 20, popular: 20 });
+
+      // Execute
+      await feedController.getFeed(req, res);
+
+      // Assert
+      const { feed, pagination } = res._getJSONData();
+      expect(feed.map(item => item.quote.text)).toEqual([
+        'following 0', 'new 0', 'popular 0', 'following 1', 'following 2'
+      ]);
+      expect(feed.map(item => item.reason)).toEqual(['following', 'new', 'popular', 'following', 'following']);
+      expect(pagination).toEqual({ total: 60, page: 1, limit: 5, pages: 12 });
+    });
+
+    test('should fill the slots of sources that ran out', async () => {
+      // Setup
+      req.query = { page: '2', limit: '5' };
+      mockSources({ following: 4, new: 1, popular: 20 });
+
+      // Execute
+      await feedController.getFeed(req, res);
+
+      // Assert
+      expect(res._getJSONData().feed.map(item => item.quote.text)).toEqual([
+        'following 3', 'popular 1', 'popular 2', 'popular 3', 'popular 4'
+      ]);
+    });
+
+    test('should only blend new and popular quotes without follows', async () => {
+      // Setup
+      user.following.tags = [];
+      mockSources({ following: 0, new: 2, popular: 3 });
+
+      // Execute
+      await feedController.getFeed(req, res);
+
+      // Assert
+      const filter = Quote.countDocuments.mock.calls[0][0];
+      expect(filter.$or).toEqual([{ tags: { $in: [] } }, { authorId: { $in: [] } }]);
+      expect(res._getJSONData().feed).toHaveLength(5);
+    });
+  });
+});
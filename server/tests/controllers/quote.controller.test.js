@@ -8,10 +8,15 @@ const quoteController = require('../../src/controllers/quote.controller');
 jest.mock('../../src/models/quote.model', () => {
   return {
     getRandom: jest.fn(),
+    getTagCounts: jest.fn(),
+    search: jest.fn(),
+    findDuplicates: jest.fn().mockResolvedValue([]),
     findById: jest.fn(),
+    findInOrder: jest.fn(),
     find: jest.fn().mockReturnThis(),
     findOne: jest.fn(),
     findByIdAndDelete: jest.fn(),
+    exists: jest.fn(),
     countDocuments: jest.fn(),
     create: jest.fn(),
     sort: jest.fn().mockReturnThis(),
@@ -32,9 +37,35 @@ jest.mock('../../src/models/userActivity.model', () => {
   };
 });
 
+jest.mock('../../src/models/dailyQuote.model', () => {
+  return {
+    getForDate: jest.fn()
+  };
+});
+
+jest.mock('../../src/models/quoteRevision.model', () => {
+  return {
+    snapshot: jest.fn(),
+    record: jest.fn(),
+    find: jest.fn(),
+    countDocuments: jest.fn()
+  };
+});
+
+jest.mock('../../src/utils/trending.utils', () => {
+  return {
+    TRENDING_WINDOWS: ['day', 'week', 'month'],
+    TRENDING_SIZE: 50,
+    getTrending: jest.fn()
+  };
+});
+
 const Quote = require('../../src/models/quote.model');
+const DailyQuote = require('../../src/models/dailyQuote.model');
+const QuoteRevision = require('../../src/models/quoteRevision.model');
 const User = require('../../src/models/user.model');
 const UserActivity = require('../../src/models/userActivity.model');
+const { getTrending } = require('../../src/utils/trending.utils');
 
 describe('Quote Controller', () => {
   let req, res, next;
@@ -118,6 +149,267 @@ describe('Quote Controller', () => {
     });
   });
 
+  describe('getRandomQuote filters and view history', () => {
+    test('should exclude recently viewed quotes for authenticated users', async () => {
+      // Setup
+      const viewedId = new mongoose.Types.ObjectId();
+      mockUser.quotesViewed = [{ quoteId: viewedId, viewedAt: new Date() }];
+      Quote.getRandom.mockResolvedValue(mockQuote);
+
+      // Execute
+      await quoteController.getRandomQuote(req, res);
+
+      // Assert
+      expect(Quote.getRandom).toHaveBeenCalledTimes(1);
+      expect(Quote.getRandom).toHaveBeenCalledWith({ _id: { $nin: [viewedId] } });
+      expect(res.statusCode).toBe(200);
+    });
+
+    test('should fall back to all quotes when every quote was viewed', async () => {
+      // Setup
+      mockUser.quotesViewed = [{ quoteId: mockQuote._id, viewedAt: new Date() }];
+      Quote.getRandom
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(mockQuote);
+
+      // Execute
+      await quoteController.getRandomQuote(req, res);
+
+      // Assert
+      expect(Quote.getRandom).toHaveBeenCalledTimes(2);
+      expect(Quote.getRandom).toHaveBeenLastCalledWith({});
+      expect(res._getJSONData().quote.text).toBe(mockQuote.text);
+    });
+
+    test('should apply tag, author and excludeTags filters', async () => {
+      // Setup
+      req.query = { tag: 'Success,work', author: 'Steve Jobs', excludeTags: 'failure' };
+      Quote.getRandom.mockResolvedValue(mockQuote);
+
+      // Execute
+      await quoteController.getRandomQuote(req, res);
+
+      // Assert
+      expect(Quote.getRandom).toHaveBeenCalledWith({
+        tags: { $in: ['success', 'work'], $nin: ['failure'] },
+        author: { $regex: '^Steve Jobs$', $options: 'i' }
+      });
+    });
+
+    test('should apply filters together with the excluded quotes', async () => {
+      // Setup
+      const viewedIds = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+      mockUser.quotesViewed = viewedIds.map(quoteId => ({ quoteId, viewedAt: new Date() }));
+      req.query = { tag: 'success', excludeTags: 'failure' };
+      Quote.getRandom.mockResolvedValue(mockQuote);
+
+      // Execute
+      await quoteController.getRandomQuote(req, res);
+
+      // Assert
+      expect(Quote.getRandom).toHaveBeenCalledTimes(1);
+      expect(Quote.getRandom).toHaveBeenCalledWith({
+        tags: { $in: ['success'], $nin: ['failure'] },
+        _id: { $nin: viewedIds }
+      });
+    });
+
+    test('should keep the filters when falling back to viewed quotes', async () => {
+      // Setup
+      mockUser.quotesViewed = [{ quoteId: mockQuote._id, viewedAt: new Date() }];
+      req.query = { author: 'Steve Jobs' };
+      Quote.getRandom
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(mockQuote);
+
+      // Execute
+      await quoteController.getRandomQuote(req, res);
+
+      // Assert
+      const author = { $regex: '^Steve Jobs$', $options: 'i' };
+      expect(Quote.getRandom).toHaveBeenNthCalledWith(1, { author, _id: { $nin: [mockQuote._id] } });
+      expect(Quote.getRandom).toHaveBeenNthCalledWith(2, { author });
+      expect(mockUser.addViewedQuote).toHaveBeenCalledWith(mockQuote._id);
+      expect(res.statusCode).toBe(200);
+    });
+
+    test('should not fall back for callers without a view history', async () => {
+      // Setup
+      req.query = { tag: 'missing' };
+      Quote.getRandom.mockResolvedValue(null);
+
+      // Execute & Assert
+      await expect(quoteController.getRandomQuote(req, res))
+        .rejects
+        .toThrow('No quotes available');
+      expect(Quote.getRandom).toHaveBeenCalledTimes(1);
+      expect(Quote.getRandom).toHaveBeenCalledWith({ tags: { $in: ['missing'] } });
+    });
+
+    test('should throw not found when the fallback has no match either', async () => {
+      // Setup
+      mockUser.quotesViewed = [{ quoteId: mockQuote._id, viewedAt: new Date() }];
+      req.query = { tag: 'missing' };
+      Quote.getRandom.mockResolvedValue(null);
+
+      // Execute & Assert
+      await expect(quoteController.getRandomQuote(req, res))
+        .rejects
+        .toThrow('No quotes available');
+      expect(Quote.getRandom).toHaveBeenCalledTimes(2);
+      expect(mockQuote.incrementViews).not.toHaveBeenCalled();
+      expect(UserActivity.logActivity).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('view de-duplication', () => {
+    test('should count views per user for authenticated callers', async () => {
+      // Setup
+      Quote.getRandom.mockResolvedValue(mockQuote);
+
+      // Execute
+      await quoteController.getRandomQuote(req, res);
+
+      // Assert
+      expect(mockQuote.incrementViews).toHaveBeenCalledWith(`user:${mockUser._id}`);
+    });
+
+    test('should count views per IP for anonymous callers', async () => {
+      // Setup
+      req = httpMocks.createRequest({ ip: '203.0.113.7' });
+      req.params.id = mockQuote._id;
+      Quote.findById.mockResolvedValue(mockQuote);
+
+      // Execute
+      await quoteController.getQuoteById(req, res);
+
+      // Assert
+      expect(mockQuote.incrementViews).toHaveBeenCalledWith('ip:203.0.113.7');
+    });
+  });
+
+  describe('getDailyQuote', () => {
+    test('should return the quote of the day for the requested timezone', async () => {
+      // Setup
+      req.query.tz = 'Asia/Tokyo';
+      DailyQuote.getForDate.mockResolvedValue(mockQuote);
+
+      // Execute
+      await quoteController.getDailyQuote(req, res);
+
+      // Assert
+      const data = res._getJSONData();
+      expect(DailyQuote.getForDate).toHaveBeenCalledWith(data.date, 30);
+      expect(data.date).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+      expect(data.timezone).toBe('Asia/Tokyo');
+      expect(data.quote.text).toBe(mockQuote.text);
+      expect(mockQuote.incrementViews).toHaveBeenCalled();
+      expect(mockUser.addViewedQuote).toHaveBeenCalledWith(mockQuote._id);
+      expect(res.statusCode).toBe(200);
+    });
+
+    test('should fall back to the user timezone preference', async () => {
+      // Setup
+      mockUser.preferences = { timezone: 'America/New_York' };
+      DailyQuote.getForDate.mockResolvedValue(mockQuote);
+
+      // Execute
+      await quoteController.getDailyQuote(req, res);
+
+      // Assert
+      expect(res._getJSONData().timezone).toBe('America/New_York');
+    });
+
+    test('should default to UTC for anonymous callers', async () => {
+      // Setup
+      req.user = null;
+      DailyQuote.getForDate.mockResolvedValue(mockQuote);
+
+      // Execute
+      await quoteController.getDailyQuote(req, res);
+
+      // Assert
+      expect(res._getJSONData().timezone).toBe('UTC');
+      expect(UserActivity.logActivity).not.toHaveBeenCalled();
+    });
+
+    test('should throw error for an invalid timezone', async () => {
+      // Setup
+      req.query.tz = 'Mars/Olympus_Mons';
+
+      // Execute & Assert
+      await expect(quoteController.getDailyQuote(req, res))
+        .rejects
+        .toThrow(ApiError);
+      expect(DailyQuote.getForDate).not.toHaveBeenCalled();
+    });
+
+    test('should throw error when no quotes are available', async () => {
+      // Setup
+      DailyQuote.getForDate.mockResolvedValue(null);
+
+      // Execute & Assert
+      await expect(quoteController.getDailyQuote(req, res))
+        .rejects
+        .toThrow(ApiError);
+    });
+  });
+
+  describe('getTrendingQuotes', () => {
+    const ids = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+    const updatedAt = new Date('2026-01-05T10:00:00Z');
+
+    beforeEach(() => {
+      getTrending.mockResolvedValue({
+        quotes: ids.map((quoteId, i) => ({ quoteId, score: 30 - i * 10 })),
+        updatedAt
+      });
+    });
+
+    test('should return the cached ranking of the window with scores', async () => {
+      // Setup
+      req.query = { window: 'day' };
+      Quote.findInOrder.mockResolvedValue(ids.map(_id => ({ _id, text: 'Trending quote' })));
+
+      // Execute
+      await quoteController.getTrendingQuotes(req, res);
+
+      // Assert
+      expect(getTrending).toHaveBeenCalledWith('day');
+      expect(Quote.findInOrder).toHaveBeenCalledWith(ids);
+      const data = res._getJSONData();
+      expect(data.window).toBe('day');
+      expect(data.updatedAt).toBe(updatedAt.toISOString());
+      expect(data.trending.map(item => item.score)).toEqual([30, 20, 10]);
+      expect(res.statusCode).toBe(200);
+    });
+
+    test('should default to the week and leave out quotes no longer found', async () => {
+      // Setup
+      req.query = { limit: '1' };
+      Quote.findInOrder.mockResolvedValue([{ _id: ids[1], text: 'Still here' }, { _id: ids[2], text: 'Also here' }]);
+
+      // Execute
+      await quoteController.getTrendingQuotes(req, res);
+
+      // Assert
+      expect(getTrending).toHaveBeenCalledWith('week');
+      expect(res._getJSONData().trending).toEqual([{ quote: { _id: ids[1].toString(), text: 'Still here' }, score: 20 }]);
+    });
+
+    test('should reject an unknown window', async () => {
+      // Setup
+      req.query = { window: 'year' };
+
+      // Execute & Assert
+      await expect(quoteController.getTrendingQuotes(req, res)).rejects.toMatchObject({
+        statusCode: 400,
+        code: 'invalid_window'
+      });
+      expect(getTrending).not.toHaveBeenCalled();
+    });
+  });
+
   describe('getQuoteById', () => {
     test('should return a quote by ID', async () => {
       // Setup
@@ -191,6 +483,102 @@ describe('Quote Controller', () => {
     });
   });
 
+  describe('getTags', () => {
+    test('should return tags with quote counts', async () => {
+      // Setup
+      const mockTags = [{ tag: 'inspiration', count: 12 }, { tag: 'success', count: 4 }];
+      Quote.getTagCounts.mockResolvedValue(mockTags);
+
+      // Execute
+      await quoteController.getTags(req, res);
+
+      // Assert
+      expect(Quote.getTagCounts).toHaveBeenCalledWith('', 100);
+      expect(res.statusCode).toBe(200);
+      expect(res._getJSONData()).toEqual({ tags: mockTags });
+    });
+
+    test('should pass prefix and capped limit', async () => {
+      // Setup
+      req.query = { prefix: ' ins ', limit: '1000' };
+      Quote.getTagCounts.mockResolvedValue([]);
+
+      // Execute
+      await quoteController.getTags(req, res);
+
+      // Assert
+      expect(Quote.getTagCounts).toHaveBeenCalledWith('ins', 500);
+    });
+  });
+
+  describe('searchQuotes', () => {
+    test('should throw error if search query is missing', async () => {
+      // Setup
+      req.query = { q: '  ' };
+
+      // Execute & Assert
+      await expect(quoteController.searchQuotes(req, res)).rejects.toThrow(ApiError);
+      expect(Quote.search).not.toHaveBeenCalled();
+    });
+
+    test('should return ranked results with highlights and facets', async () => {
+      // Setup
+      req.query = { q: 'dreams', tags: 'Life,success', page: '2', limit: '5' };
+      const mockFacets = {
+        tags: [{ tag: 'life', count: 3 }],
+        authors: [{ authorId: null, author: 'Test Author', count: 3 }]
+      };
+      Quote.search.mockResolvedValue({
+        quotes: [{ _id: 'quote-1', text: 'Follow your dream', author: 'Test Author', score: 1.1 }],
+        total: 6,
+        facets: mockFacets
+      });
+
+      // Execute
+      await quoteController.searchQuotes(req, res);
+
+      // Assert
+      expect(Quote.search).toHaveBeenCalledWith(
+        'dreams',
+        { tags: { $in: ['life', 'success'] } },
+        { skip: 5, limit: 5 }
+      );
+      expect(res.statusCode).toBe(200);
+      const data = res._getJSONData();
+      expect(data.quotes[0].highlights).toEqual({
+        text: [
+          { text: 'Follow your ', match: false },
+          { text: 'dream', match: true }
+        ]
+      });
+      expect(data.facets).toEqual(mockFacets);
+      expect(data.pagination).toEqual({ total: 6, page: 2, limit: 5, pages: 2 });
+    });
+
+    test('should include the whole day of a plain to date', async () => {
+      // Setup
+      req.query = { q: 'courage', from: '2024-01-01', to: '2024-01-31' };
+      Quote.search.mockResolvedValue({ quotes: [], total: 0, facets: { tags: [], authors: [] } });
+
+      // Execute
+      await quoteController.searchQuotes(req, res);
+
+      // Assert
+      expect(Quote.search.mock.calls[0][1].createdAt).toEqual({
+        $gte: new Date('2024-01-01'),
+        $lt: new Date('2024-02-01T00:00:00Z')
+      });
+    });
+
+    test('should throw error for an invalid date', async () => {
+      // Setup
+      req.query = { q: 'courage', from: 'yesterday' };
+
+      // Execute & Assert
+      await expect(quoteController.searchQuotes(req, res)).rejects.toThrow(ApiError);
+    });
+  });
+
   describe('getAllQuotes', () => {
     test('should return all quotes with pagination', async () => {
       // Setup
@@ -292,6 +680,58 @@ describe('Quote Controller', () => {
         .rejects
         .toThrow(ApiError);
     });
+
+    test('should return 409 with the matching quote for an exact duplicate', async () => {
+      // Setup
+      req.body = {
+        text: 'Test quote!',
+        author: 'Test Author',
+        force: true
+      };
+      
+      Quote.findDuplicates.mockResolvedValueOnce([
+        { quote: mockQuote, score: 1, exact: true }
+      ]);
+
+      // Execute & Assert
+      await expect(quoteController.createQuote(req, res))
+        .rejects
+        .toMatchObject({
+          statusCode: 409,
+          code: 'duplicate_quote',
+          details: { matches: [{ quote: mockQuote, score: 1, exact: true }] }
+        });
+      expect(Quote.findDuplicates).toHaveBeenCalledWith('Test quote!');
+      expect(Quote.create).not.toHaveBeenCalled();
+    });
+
+    test('should create a near-duplicate only when forced', async () => {
+      // Setup
+      const nearMatch = { quote: mockQuote, score: 0.9, exact: false };
+      req.body = {
+        text: 'A test quote',
+        author: 'Test Author'
+      };
+      
+      Quote.findDuplicates.mockResolvedValueOnce([nearMatch]);
+
+      // Execute & Assert
+      await expect(quoteController.createQuote(req, res))
+        .rejects
+        .toMatchObject({ statusCode: 409, code: 'duplicate_quote' });
+      
+      req.body.force = true;
+      Quote.findDuplicates.mockResolvedValueOnce([nearMatch]);
+      Quote.create.mockResolvedValue({
+        _id: new mongoose.Types.ObjectId(),
+        ...req.body
+      });
+      
+      await quoteController.createQuote(req, res);
+      
+      expect(Quote.create).toHaveBeenCalled();
+      expect(res.statusCode).toBe(201);
+    });
   });
 
   describe('updateQuote', () => {
@@ -356,31 +796,103 @@ describe('Quote Controller', () => {
       expect(mockQuote.save).toHaveBeenCalled();
       expect(res.statusCode).toBe(200);
     });
+
+    test('should record a revision with the previous values', async () => {
+      // Setup
+      req.params.id = mockQuote._id;
+      req.body = { text: 'Updated quote' };
+      const previous = { text: 'Test quote', author: 'Test Author', tags: ['test', 'inspiration'] };
+
+      Quote.findById.mockResolvedValue(mockQuote);
+      QuoteRevision.snapshot.mockReturnValue(previous);
+      QuoteRevision.record.mockResolvedValue({ revision: 3 });
+
+      // Execute
+      await quoteController.updateQuote(req, res);
+
+      // Assert
+      expect(QuoteRevision.record).toHaveBeenCalledWith(mockQuote, mockUser._id, 'updated', previous);
+      expect(UserActivity.logActivity).toHaveBeenCalledWith(
+        mockUser._id,
+        'quote_updated',
+        { quoteId: mockQuote._id, revision: 3 },
+        req
+      );
+    });
+  });
+
+  describe('getQuoteRevisions', () => {
+    test('should return revisions newest first', async () => {
+      // Setup
+      req.params.id = mockQuote._id.toString();
+      const mockRevisions = [
+        { revision: 2, action: 'updated', changes: [{ field: 'text', from: 'Old', to: 'Test quote' }] },
+        { revision: 1, action: 'created', changes: [] }
+      ];
+      const mockFind = {
+        select: jest.fn().mockReturnThis(),
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        populate: jest.fn().mockResolvedValue(mockRevisions)
+      };
+
+      Quote.exists.mockResolvedValue({ _id: mockQuote._id });
+      QuoteRevision.find.mockReturnValue(mockFind);
+      QuoteRevision.countDocuments.mockResolvedValue(2);
+
+      // Execute
+      await quoteController.getQuoteRevisions(req, res);
+
+      // Assert
+      expect(QuoteRevision.find).toHaveBeenCalledWith({ quoteId: req.params.id });
+      expect(mockFind.sort).toHaveBeenCalledWith({ revision: -1, _id: -1 });
+      expect(mockFind.populate).toHaveBeenCalledWith('editedBy', 'displayName');
+      expect(res.statusCode).toBe(200);
+      const data = res._getJSONData();
+      expect(data.revisions).toHaveLength(2);
+      expect(data.pagination.total).toBe(2);
+    });
+
+    test('should throw error when quote is not found', async () => {
+      // Setup
+      req.params.id = 'nonexistent-id';
+      Quote.exists.mockResolvedValue(null);
+
+      // Execute & Assert
+      await expect(quoteController.getQuoteRevisions(req, res))
+        .rejects
+        .toThrow(ApiError);
+      expect(QuoteRevision.find).not.toHaveBeenCalled();
+    });
   });
 
   describe('deleteQuote', () => {
-    test('should delete a quote', async () => {
+    test('should move a quote to the trash', async () => {
       // Setup
       req.params.id = mockQuote._id;
-      Quote.findByIdAndDelete.mockResolvedValue(mockQuote);
+      mockQuote.softDelete = jest.fn().mockResolvedValue(mockQuote);
+      Quote.findById.mockResolvedValue(mockQuote);
 
       // Execute
       await quoteController.deleteQuote(req, res);
 
       // Assert
-      expect(Quote.findByIdAndDelete).toHaveBeenCalledWith(mockQuote._id);
+      expect(Quote.findById).toHaveBeenCalledWith(mockQuote._id);
+      expect(mockQuote.softDelete).toHaveBeenCalledWith(mockUser._id);
+      expect(Quote.findByIdAndDelete).not.toHaveBeenCalled();
       expect(UserActivity.logActivity).toHaveBeenCalled();
       expect(res.statusCode).toBe(200);
       expect(res._getJSONData()).toEqual({
         success: true,
-        message: 'Quote deleted successfully'
+        message: 'Quote moved to trash'
       });
     });
 
     test('should throw error when quote is not found', async () => {
       // Setup
       req.params.id = 'nonexistent-id';
-      Quote.findByIdAndDelete.mockResolvedValue(null);
+      Quote.findById.mockResolvedValue(null);
 
       // Execute & Assert
       await expect(quoteController.deleteQuote(req, res))
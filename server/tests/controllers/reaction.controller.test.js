@@ -0,0 +1,213 @@
+const mongoose = require('mongoose');
+const httpMocks = require('node-mocks-http');
+const reactionController = require('../../src/controllers/reaction.controller');
+
+// Mock models
+jest.mock('../../src/models/quote.model', () => {
+  return {
+    findById: jest.fn()
+  };
+});
+
+jest.mock('../../src/models/quoteReaction.model', () => {
+  return {
+    findOne: jest.fn(),
+    setForUser: jest.fn(),
+    updateQuoteStats: jest.fn().mockResolvedValue()
+  };
+});
+
+jest.mock('../../src/models/userActivity.model', () => {
+  return {
+    logActivity: jest.fn().mockResolvedValue({})
+  };
+});
+
+jest.mock('../../src/utils/pagination.utils', () => {
+  return {
+    paginate: jest.fn()
+  };
+});
+
+const Quote = require('../../src/models/quote.model');
+const QuoteReaction = require('../../src/models/quoteReaction.model');
+const UserActivity = require('../../src/models/userActivity.model');
+const { paginate } = require('../../src/utils/pagination.utils');
+
+describe('Reaction Controller', () => {
+  let req, res;
+  let userId, quote;
+
+  beforeEach(() => {
+    // Reset mocks
+    jest.clearAllMocks();
+
+    // Create mock request and response objects
+    req = httpMocks.createRequest();
+    res = httpMocks.createResponse();
+
+    userId = new mongoose.Types.ObjectId();
+    req.user = { _id: userId };
+
+    quote = {
+      _id: new mongoose.Types.ObjectId(),
+      text: 'Test quote',
+      reactions: { inspiring: 2, funny: 0, thought_provoking: 1 },
+      reactionCount: 3,
+      ratingAverage: 4.5,
+      ratingCount: 2,
+      score: 3.6
+    };
+    req.params = { id: quote._id.toString() };
+    Quote.findById.mockResolvedValue(quote);
+  });
+
+  describe('getTopQuotes', () => {
+    test('should list quotes by score, filtered by tag', async () => {
+      // Setup
+      req.query = { tag: 'Courage' };
+      paginate.mockResolvedValue({ items: [quote], pagination: { total: 1, page: 1, limit: 10, pages: 1 } });
+
+      // Execute
+      await reactionController.getTopQuotes(req, res);
+
+      // Assert
+      expect(paginate).toHaveBeenCalledWith(Quote, { tags: { $in: ['courage'] } }, req.query, { sortField: 'score' });
+      expect(res._getJSONData().quotes).toHaveLength(1);
+    });
+
+    test('should accept the same filters as the quote list', async () => {
+      // Setup
+      req.query = { tag: 'courage,hope', excludeTags: 'Sad', author: 'Maya Angelou' };
+      paginate.mockResolvedValue({ items: [], pagination: { total: 0, page: 1, limit: 10, pages: 0 } });
+
+      // Execute
+      await reactionController.getTopQuotes(req, res);
+
+      // Assert
+      expect(paginate).toHaveBeenCalledWith(
+        Quote,
+        {
+          tags: { $in: ['courage', 'hope'], $nin: ['sad'] },
+          author: { $regex: '^Maya Angelou$', $options: 'i' }
+        },
+        req.query,
+        { sortField: 'score' }
+      );
+    });
+  });
+
+  describe('getReactions', () => {
+    test('should return totals and the user\'s own reaction', async () => {
+      // Setup
+      QuoteReaction.findOne.mockResolvedValue({ reaction: 'inspiring' });
+
+      // Execute
+      await reactionController.getReactions(req, res);
+
+      // Assert
+      expect(res._getJSONData()).toMatchObject({
+        reactions: { inspiring: 2, funny: 0, thought_provoking: 1 },
+        reactionCount: 3,
+        rating: { average: 4.5, count: 2 },
+        mine: { reaction: 'inspiring', rating: null }
+      });
+    });
+
+    test('should leave out the user\'s own reaction when signed out', async () => {
+      // Setup
+      req.user = undefined;
+
+      // Execute
+      await reactionController.getReactions(req, res);
+
+      // Assert
+      expect(QuoteReaction.findOne).not.toHaveBeenCalled();
+      expect(res._getJSONData().mine).toBeNull();
+    });
+
+    test('should return 404 for an unknown quote', async () => {
+      // Setup
+      Quote.findById.mockResolvedValue(null);
+
+      // Execute & Assert
+      await expect(reactionController.getReactions(req, res)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('react', () => {
+    test('should set the reaction, update the totals and log it', async () => {
+      // Setup
+      req.body = { reaction: 'funny' };
+      QuoteReaction.setForUser.mockResolvedValue({ reaction: 'funny', rating: 4 });
+
+      // Execute
+      await reactionController.react(req, res);
+
+      // Assert
+      expect(QuoteReaction.setForUser).toHaveBeenCalledWith(quote._id, userId, { reaction: 'funny' });
+      expect(QuoteReaction.updateQuoteStats).toHaveBeenCalledWith([quote._id]);
+      expect(UserActivity.logActivity).toHaveBeenCalledWith(
+        userId,
+        'quote_reacted',
+        { quoteId: quote._id, reaction: 'funny' },
+        req
+      );
+      expect(res.statusCode).toBe(200);
+      expect(res._getJSONData().mine).toEqual({ reaction: 'funny', rating: 4 });
+    });
+
+    test('should reject an unknown reaction', async () => {
+      // Setup
+      req.body = { reaction: 'angry' };
+
+      // Execute & Assert
+      await expect(reactionController.react(req, res)).rejects.toMatchObject({ statusCode: 400 });
+      expect(QuoteReaction.setForUser).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('unreact', () => {
+    test('should clear the reaction without logging it', async () => {
+      // Setup
+      QuoteReaction.setForUser.mockResolvedValue(null);
+
+      // Execute
+      await reactionController.unreact(req, res);
+
+      // Assert
+      expect(QuoteReaction.setForUser).toHaveBeenCalledWith(quote._id, userId, { reaction: null });
+      expect(UserActivity.logActivity).not.toHaveBeenCalled();
+      expect(res._getJSONData().mine).toEqual({ reaction: null, rating: null });
+    });
+  });
+
+  describe('rate', () => {
+    test('should set the rating and log it', async () => {
+      // Setup
+      req.body = { rating: 5 };
+      QuoteReaction.setForUser.mockResolvedValue({ rating: 5 });
+
+      // Execute
+      await reactionController.rate(req, res);
+
+      // Assert
+      expect(QuoteReaction.setForUser).toHaveBeenCalledWith(quote._id, userId, { rating: 5 });
+      expect(UserActivity.logActivity).toHaveBeenCalledWith(
+        userId,
+        'quote_rated',
+        { quoteId: quote._id, rating: 5 },
+        req
+      );
+      expect(res._getJSONData().mine).toEqual({ reaction: null, rating: 5 });
+    });
+
+    test.each([0, 6, 3.5, '4'])('should reject a rating of %p', async (rating) => {
+      // Setup
+      req.body = { rating };
+
+      // Execute & Assert
+      await expect(reactionController.rate(req, res)).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
@@ -0,0 +1,263 @@
+const mongoose = require('mongoose');
+const httpMocks = require('node-mocks-http');
+const { ApiError } = require('../../src/middleware/error.middleware');
+const reflectionController = require('../../src/controllers/reflection.controller');
+
+// Mock models
+jest.mock('../../src/models/reflection.model', () => {
+  return {
+    find: jest.fn().mockReturnThis(),
+    findOne: jest.fn(),
+    select: jest.fn().mockReturnThis(),
+    sort: jest.fn().mockReturnThis(),
+    skip: jest.fn().mockReturnThis(),
+    limit: jest.fn().mockReturnThis(),
+    populate: jest.fn(),
+    lean: jest.fn().mockReturnThis(),
+    cursor: jest.fn(),
+    countDocuments: jest.fn(),
+    create: jest.fn(),
+    deleteOne: jest.fn()
+  };
+});
+
+jest.mock('../../src/models/quote.model', () => {
+  return {
+    findById: jest.fn().mockReturnThis(),
+    select: jest.fn()
+  };
+});
+
+const Reflection = require('../../src/models/reflection.model');
+const Quote = require('../../src/models/quote.model');
+
+describe('Reflection Controller', () => {
+  let req, res;
+  let mockQuote, mockReflection;
+
+  beforeEach(() => {
+    // Reset mocks
+    jest.clearAllMocks();
+
+    // Create mock request and response objects
+    req = httpMocks.createRequest();
+    res = httpMocks.createResponse();
+
+    req.user = {
+      _id: new mongoose.Types.ObjectId(),
+      preferences: { timezone: 'Asia/Tokyo' }
+    };
+
+    mockQuote = {
+      _id: new mongoose.Types.ObjectId(),
+      text: 'Well begun is half done.',
+      author: 'Aristotle',
+      tags: ['beginnings']
+    };
+
+    mockReflection = {
+      _id: new mongoose.Types.ObjectId(),
+      userId: req.user._id,
+      quoteId: mockQuote._id,
+      text: 'Start the essay tonight.',
+      mood: 'motivated',
+      date: '2024-03-10',
+      save: jest.fn().mockResolvedValue(undefined),
+      populate: jest.fn().mockResolvedValue(undefined)
+    };
+  });
+
+  describe('getReflections', () => {
+    test('should return the user reflections matching the filters', async () => {
+      // Setup
+      req.query = { q: 'essay', mood: 'motivated', from: '2024-03-01', to: '2024-03-31' };
+      Reflection.populate.mockResolvedValue([mockReflection]);
+      Reflection.countDocuments.mockResolvedValue(1);
+
+      // Execute
+      await reflectionController.getReflections(req, res);
+
+      // Assert
+      expect(Reflection.find).toHaveBeenCalledWith({
+        userId: req.user._id,
+        $text: { $search: 'essay' },
+        mood: 'motivated',
+        date: { $gte: '2024-03-01', $lte: '2024-03-31' }
+      });
+      expect(Reflection.sort).toHaveBeenCalledWith({ date: -1, _id: -1 });
+      expect(Reflection.populate).toHaveBeenCalledWith('quoteId', 'text author source tags');
+      expect(res.statusCode).toBe(200);
+      expect(res._getJSONData().reflections).toHaveLength(1);
+      expect(res._getJSONData().pagination.total).toBe(1);
+    });
+
+    test('should reject malformed dates', async () => {
+      // Setup
+      req.query = { from: 'last week' };
+
+      // Execute & Assert
+      await expect(reflectionController.getReflections(req, res))
+        .rejects
+        .toMatchObject({ statusCode: 400 });
+      expect(Reflection.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createReflection', () => {
+    beforeEach(() => {
+      jest.useFakeTimers({ now: new Date('2024-03-10T20:00:00Z') });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should create a reflection dated today in the user timezone', async () => {
+      // Setup
+      req.body = { quoteId: mockQuote._id.toString(), text: 'Start the essay tonight.', mood: 'motivated' };
+      Quote.select.mockResolvedValue(mockQuote);
+      Reflection.create.mockResolvedValue(mockReflection);
+
+      // Execute
+      await reflectionController.createReflection(req, res);
+
+      // Assert
+      expect(Reflection.create).toHaveBeenCalledWith({
+        userId: req.user._id,
+        quoteId: mockQuote._id,
+        text: 'Start the essay tonight.',
+        mood: 'motivated',
+        // 20:00 UTC is already the next day in Tokyo
+        date: '2024-03-11'
+      });
+      expect(mockReflection.populate).toHaveBeenCalledWith('quoteId', 'text author source tags');
+      expect(res.statusCode).toBe(201);
+    });
+
+    test('should throw error when the quote is not found', async () => {
+      // Setup
+      req.body = { quoteId: mockQuote._id.toString(), text: 'Text' };
+      Quote.select.mockResolvedValue(null);
+
+      // Execute & Assert
+      await expect(reflectionController.createReflection(req, res))
+        .rejects
+        .toMatchObject({ statusCode: 404, message: 'Quote not found' });
+      expect(Reflection.create).not.toHaveBeenCalled();
+    });
+
+    test('should require a quote ID', async () => {
+      // Setup
+      req.body = { text: 'Text' };
+
+      // Execute & Assert
+      await expect(reflectionController.createReflection(req, res))
+        .rejects
+        .toThrow(ApiError);
+    });
+  });
+
+  describe('updateReflection', () => {
+    test('should update the text and clear the mood', async () => {
+      // Setup
+      req.params = { id: mockReflection._id.toString() };
+      req.body = { text: 'Finished the outline.', mood: null };
+      Reflection.findOne.mockResolvedValue(mockReflection);
+
+      // Execute
+      await reflectionController.updateReflection(req, res);
+
+      // Assert
+      expect(Reflection.findOne).toHaveBeenCalledWith({ _id: req.params.id, userId: req.user._id });
+      expect(mockReflection.text).toBe('Finished the outline.');
+      expect(mockReflection.mood).toBeUndefined();
+      expect(mockReflection.date).toBe('2024-03-10');
+      expect(mockReflection.save).toHaveBeenCalled();
+      expect(res.statusCode).toBe(200);
+    });
+
+    test('should not find reflections of other users', async () => {
+      // Setup
+      req.params = { id: mockReflection._id.toString() };
+      req.body = { text: 'Not mine' };
+      Reflection.findOne.mockResolvedValue(null);
+
+      // Execute & Assert
+      await expect(reflectionController.updateReflection(req, res))
+        .rejects
+        .toMatchObject({ statusCode: 404, message: 'Reflection not found' });
+    });
+  });
+
+  describe('deleteReflection', () => {
+    test('should delete the reflection', async () => {
+      // Setup
+      req.params = { id: mockReflection._id.toString() };
+      Reflection.findOne.mockResolvedValue(mockReflection);
+      Reflection.deleteOne.mockResolvedValue({ deletedCount: 1 });
+
+      // Execute
+      await reflectionController.deleteReflection(req, res);
+
+      // Assert
+      expect(Reflection.deleteOne).toHaveBeenCalledWith({ _id: mockReflection._id });
+      expect(res.statusCode).toBe(200);
+      expect(res._getJSONData()).toEqual({
+        success: true,
+        message: 'Reflection deleted'
+      });
+    });
+  });
+
+  describe('exportReflections', () => {
+    test('should stream the journal as Markdown', async () => {
+      // Setup
+      const rows = [
+        { ...mockReflection, quoteId: mockQuote },
+        { ...mockReflection, quoteId: null, mood: undefined, date: '2024-03-11', text: 'Quote was removed.' }
+      ];
+      Reflection.populate.mockReturnThis();
+      Reflection.cursor.mockReturnValue({
+        async *[Symbol.asyncIterator]() {
+          yield* rows;
+        },
+        close: jest.fn().mockResolvedValue(undefined)
+      });
+      // The mock response doesn't report backpressure like a real stream
+      const write = res.write;
+      res.write = (chunk) => {
+        write(chunk);
+        return true;
+      };
+
+      // Execute
+      await reflectionController.exportReflections(req, res);
+
+      // Assert
+      expect(Reflection.find).toHaveBeenCalledWith({ userId: req.user._id });
+      expect(Reflection.sort).toHaveBeenCalledWith({ date: 1, _id: 1 });
+      expect(res.getHeader('Content-Type')).toBe('text/markdown; charset=utf-8');
+      expect(res._getData()).toBe([
+        '# Journal',
+        '',
+        '## 2024-03-10 · motivated',
+        '',
+        '> Well begun is half done.',
+        '>',
+        '> — Aristotle',
+        '',
+        'Tags: `beginnings`',
+        '',
+        'Start the essay tonight.',
+        '',
+        '## 2024-03-11',
+        '',
+        '> *This quote is no longer available*',
+        '',
+        'Quote was removed.',
+        '',
+        ''
+      ].join('\n'));
+    });
+  });
+});
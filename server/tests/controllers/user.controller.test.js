@@ -8,6 +8,7 @@ const userController = require('../../src/controllers/user.controller');
 jest.mock('../../src/models/user.model', () => {
   return {
     findById: jest.fn().mockReturnThis(),
+    findOne: jest.fn().mockReturnThis(),
     select: jest.fn().mockReturnThis(),
     populate: jest.fn().mockReturnThis()
   };
@@ -15,7 +16,18 @@ jest.mock('../../src/models/user.model', () => {
 
 jest.mock('../../src/models/quote.model', () => {
   return {
-    findById: jest.fn()
+    findById: jest.fn(),
+    findInOrder: jest.fn(),
+    distinct: jest.fn()
+  };
+});
+
+jest.mock('../../src/models/collection.model', () => {
+  return {
+    find: jest.fn().mockReturnThis(),
+    select: jest.fn().mockReturnThis(),
+    sort: jest.fn(),
+    pullQuote: jest.fn().mockResolvedValue()
   };
 });
 
@@ -30,9 +42,26 @@ jest.mock('../../src/models/userActivity.model', () => {
   };
 });
 
+jest.mock('../../src/models/submission.model', () => {
+  return {
+    create: jest.fn(),
+    countDocuments: jest.fn()
+  };
+});
+
+jest.mock('../../src/utils/personalData.utils', () => {
+  return {
+    ...jest.requireActual('../../src/utils/personalData.utils'),
+    collectPersonalData: jest.fn()
+  };
+});
+
 const User = require('../../src/models/user.model');
+const Submission = require('../../src/models/submission.model');
+const Collection = require('../../src/models/collection.model');
 const Quote = require('../../src/models/quote.model');
 const UserActivity = require('../../src/models/userActivity.model');
+const { collectPersonalData } = require('../../src/utils/personalData.utils');
 
 describe('User Controller', () => {
   let req, res, next;
@@ -151,6 +180,114 @@ describe('User Controller', () => {
       expect(res.statusCode).toBe(200);
     });
 
+    test('should update extended profile fields and clear empty ones', async () => {
+      // Setup
+      mockUser.bio = 'Old bio';
+      req.body = {
+        firstName: 'Ada',
+        lastName: 'Lovelace',
+        bio: null,
+        avatar: 'https://example.com/avatar.png',
+        preferences: {
+          theme: 'system',
+          quotesPerDay: 3,
+          language: 'en-GB',
+          timezone: 'Europe/London'
+        }
+      };
+
+      User.findById.mockResolvedValue(mockUser);
+
+      // Execute
+      await userController.updateUserProfile(req, res);
+
+      // Assert
+      expect(mockUser.firstName).toBe('Ada');
+      expect(mockUser.lastName).toBe('Lovelace');
+      expect(mockUser.bio).toBeUndefined();
+      expect(mockUser.avatar).toBe('https://example.com/avatar.png');
+      expect(mockUser.preferences).toEqual({
+        theme: 'system',
+        emailNotifications: true,
+        quotesPerDay: 3,
+        language: 'en-GB',
+        timezone: 'Europe/London'
+      });
+      expect(mockUser.save).toHaveBeenCalled();
+      expect(res.statusCode).toBe(200);
+    });
+
+    test('should accept the preferences the desktop profile form sends', async () => {
+      // Setup
+      req.body = {
+        preferences: {
+          theme: 'dark',
+          emailNotifications: false,
+          timezone: 'America/New_York',
+          language: 'en-US',
+          quotesPerDay: 5
+        }
+      };
+
+      User.findById.mockResolvedValue(mockUser);
+
+      // Execute
+      await userController.updateUserProfile(req, res);
+
+      // Assert
+      expect(mockUser.preferences).toEqual(req.body.preferences);
+      expect(mockUser.save).toHaveBeenCalled();
+      expect(res.statusCode).toBe(200);
+    });
+
+    test('should reject the old notificationsEnabled preference', async () => {
+      // Setup
+      req.body = {
+        preferences: {
+          theme: 'light',
+          notificationsEnabled: true,
+          quotesPerDay: 1
+        }
+      };
+
+      // Execute & Assert
+      const error = await userController.updateUserProfile(req, res).catch(err => err);
+
+      expect(error).toBeInstanceOf(ApiError);
+      expect(error.statusCode).toBe(400);
+      expect(error.details).toEqual([
+        { field: 'preferences.notificationsEnabled', message: 'preferences.notificationsEnabled is not a profile field' }
+      ]);
+    });
+
+    test('should reject unknown fields and wrong types with field errors', async () => {
+      // Setup
+      req.body = {
+        nickname: 'Ada',
+        bio: 42,
+        preferences: {
+          quotesPerDay: 2.5,
+          emailNotifications: 'yes',
+          fontSize: 'large'
+        }
+      };
+
+      // Execute & Assert
+      const error = await userController.updateUserProfile(req, res).catch(err => err);
+
+      expect(error).toBeInstanceOf(ApiError);
+      expect(error.statusCode).toBe(400);
+      expect(error.code).toBe('validation_error');
+      expect(error.details).toEqual([
+        { field: 'nickname', message: 'nickname is not a profile field' },
+        { field: 'bio', message: 'bio must be a string' },
+        { field: 'preferences.quotesPerDay', message: 'preferences.quotesPerDay must be a whole number' },
+        { field: 'preferences.emailNotifications', message: 'preferences.emailNotifications must be a boolean' },
+        { field: 'preferences.fontSize', message: 'preferences.fontSize is not a profile field' }
+      ]);
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+
     test('should throw error when user is not found', async () => {
       // Setup
       User.findById.mockResolvedValue(null);
@@ -162,6 +299,212 @@ describe('User Controller', () => {
     });
   });
 
+  describe('exportPersonalData', () => {
+    test('should download the personal data as JSON', async () => {
+      // Setup
+      const data = {
+        exportedAt: new Date().toISOString(),
+        profile: { email: mockUser.email },
+        favorites: [],
+        viewHistory: [],
+        activity: [],
+        submissions: []
+      };
+      collectPersonalData.mockResolvedValue(data);
+
+      // Execute
+      await userController.exportPersonalData(req, res);
+
+      // Assert
+      expect(collectPersonalData).toHaveBeenCalledWith(mockUser._id);
+      expect(UserActivity.logActivity).toHaveBeenCalledWith(
+        mockUser._id,
+        'personal_data_exported',
+        { format: 'json' },
+        req
+      );
+      expect(res.statusCode).toBe(200);
+      expect(res.getHeader('Content-Disposition')).toMatch(/attachment; filename="personal_data_\d{4}-\d{2}-\d{2}\.json"/);
+      expect(res._getJSONData()).toEqual(data);
+    });
+
+    test('should reject unknown formats', async () => {
+      // Setup
+      req.query = { format: 'xml' };
+
+      // Execute & Assert
+      await expect(userController.exportPersonalData(req, res))
+        .rejects
+        .toMatchObject({ statusCode: 400 });
+      expect(collectPersonalData).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteAccount', () => {
+    test('should move the account to the trash until the grace period ends', async () => {
+      // Setup
+      mockUser.role = 'user';
+      mockUser.softDelete = jest.fn(async function() {
+        this.deletedAt = new Date('2024-03-01T00:00:00Z');
+      });
+      User.findById.mockResolvedValue(mockUser);
+
+      // Execute
+      await userController.deleteAccount(req, res);
+
+      // Assert
+      const purgeAfter = new Date('2024-03-15T00:00:00Z');
+      expect(mockUser.softDelete).toHaveBeenCalledWith(mockUser._id);
+      expect(UserActivity.logActivity).toHaveBeenCalledWith(
+        mockUser._id,
+        'account_deleted',
+        { purgeAfter },
+        req
+      );
+      expect(res.statusCode).toBe(200);
+      expect(res._getJSONData()).toEqual({
+        success: true,
+        message: 'Account scheduled for deletion',
+        purgeAfter: purgeAfter.toISOString()
+      });
+    });
+
+    test('should not delete the only admin account', async () => {
+      // Setup
+      mockUser.role = 'admin';
+      mockUser.softDelete = jest.fn();
+      User.findById.mockResolvedValue(mockUser);
+      User.countDocuments = jest.fn().mockResolvedValue(1);
+
+      // Execute & Assert
+      await expect(userController.deleteAccount(req, res))
+        .rejects
+        .toMatchObject({ statusCode: 400, code: 'last_admin' });
+      expect(mockUser.softDelete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('restoreAccount', () => {
+    test('should cancel a pending self-deletion', async () => {
+      // Setup
+      const deletedUser = {
+        _id: mockUser._id,
+        deletedAt: new Date(),
+        deletedBy: mockUser._id,
+        restore: jest.fn().mockResolvedValue({})
+      };
+      req.user = deletedUser;
+
+      // Execute
+      await userController.restoreAccount(req, res);
+
+      // Assert
+      expect(deletedUser.restore).toHaveBeenCalled();
+      expect(UserActivity.logActivity).toHaveBeenCalledWith(
+        mockUser._id,
+        'account_restored',
+        {},
+        req
+      );
+      expect(res.statusCode).toBe(200);
+      expect(res._getJSONData()).toMatchObject({ success: true, message: 'Account deletion cancelled' });
+    });
+
+    test('should not restore accounts deleted by an admin', async () => {
+      // Setup
+      const deletedUser = {
+        _id: mockUser._id,
+        deletedAt: new Date(),
+        deletedBy: new mongoose.Types.ObjectId(),
+        restore: jest.fn()
+      };
+      req.user = deletedUser;
+
+      // Execute & Assert
+      await expect(userController.restoreAccount(req, res))
+        .rejects
+        .toMatchObject({ statusCode: 403, code: 'account_deleted' });
+      expect(deletedUser.restore).not.toHaveBeenCalled();
+    });
+
+    test('should not restore accounts after the grace period', async () => {
+      // Setup
+      const deletedUser = {
+        _id: mockUser._id,
+        deletedAt: new Date(Date.now() - 15 * 24 * 60 * 60 * 1000),
+        deletedBy: mockUser._id,
+        restore: jest.fn()
+      };
+      req.user = deletedUser;
+
+      // Execute & Assert
+      await expect(userController.restoreAccount(req, res))
+        .rejects
+        .toMatchObject({ statusCode: 403, code: 'grace_period_ended' });
+      expect(deletedUser.restore).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getStreak', () => {
+    beforeEach(() => {
+      jest.useFakeTimers({ now: new Date('2024-03-10T12:00:00Z') });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should return streaks and a heatmap in the user timezone', async () => {
+      // Setup
+      req.user.preferences = { timezone: 'Asia/Tokyo' };
+      req.query = { days: '5' };
+      UserActivity.getActiveDays = jest.fn().mockResolvedValue([
+        { date: '2024-03-01', count: 2 },
+        { date: '2024-03-02', count: 1 },
+        { date: '2024-03-03', count: 4 },
+        { date: '2024-03-09', count: 1 },
+        { date: '2024-03-10', count: 3 }
+      ]);
+
+      // Execute
+      await userController.getStreak(req, res);
+
+      // Assert
+      expect(UserActivity.getActiveDays).toHaveBeenCalledWith(mockUser._id, 'quote_viewed', 'Asia/Tokyo');
+      expect(res.statusCode).toBe(200);
+      expect(res._getJSONData()).toEqual({
+        currentStreak: 2,
+        longestStreak: 3,
+        lastActiveDate: '2024-03-10',
+        today: '2024-03-10',
+        timezone: 'Asia/Tokyo',
+        heatmap: [
+          { date: '2024-03-06', count: 0 },
+          { date: '2024-03-07', count: 0 },
+          { date: '2024-03-08', count: 0 },
+          { date: '2024-03-09', count: 1 },
+          { date: '2024-03-10', count: 3 }
+        ]
+      });
+    });
+
+    test('should reject an invalid timezone or heatmap length', async () => {
+      UserActivity.getActiveDays = jest.fn();
+
+      req.query = { tz: 'Mars/Olympus' };
+      await expect(userController.getStreak(req, res))
+        .rejects
+        .toMatchObject({ statusCode: 400, code: 'invalid_timezone' });
+
+      req.query = { days: '400' };
+      await expect(userController.getStreak(req, res))
+        .rejects
+        .toMatchObject({ statusCode: 400 });
+
+      expect(UserActivity.getActiveDays).not.toHaveBeenCalled();
+    });
+  });
+
   describe('getUserActivity', () => {
     test('should return user activity with pagination', async () => {
       // Setup
@@ -203,40 +546,71 @@ describe('User Controller', () => {
   });
 
   describe('getFavorites', () => {
-    test('should return user favorites', async () => {
+    test('should return a page of favorites, most recently added first', async () => {
       // Setup
-      mockUser.favorites = [mockQuote._id];
+      const ids = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId(), mockQuote._id];
+      mockUser.favorites = ids;
+      req.query = { page: '1', limit: '2' };
       User.findById.mockReturnThis();
-      User.populate.mockResolvedValue(mockUser);
+      User.select.mockResolvedValue(mockUser);
+      Quote.distinct.mockResolvedValue(ids);
+      Quote.findInOrder.mockResolvedValue([mockQuote]);
 
       // Execute
       await userController.getFavorites(req, res);
 
       // Assert
       expect(User.findById).toHaveBeenCalledWith(mockUser._id);
-      expect(User.populate).toHaveBeenCalledWith('favorites');
+      expect(Quote.distinct).toHaveBeenCalledWith('_id', { _id: { $in: ids } });
+      expect(User.select).toHaveBeenCalledWith('favorites');
+      expect(Quote.findInOrder).toHaveBeenCalledWith([ids[2], ids[1]]);
       expect(res.statusCode).toBe(200);
-      expect(res._getJSONData()).toEqual({ favorites: mockUser.favorites });
+      expect(res._getJSONData().favorites).toHaveLength(1);
+      expect(res._getJSONData().pagination).toEqual({ total: 3, page: 1, limit: 2, pages: 2 });
+    });
+
+    test('should leave quotes in the trash out of the page and the count', async () => {
+      // Setup
+      const trashedId = new mongoose.Types.ObjectId();
+      const ids = [new mongoose.Types.ObjectId(), trashedId, mockQuote._id];
+      mockUser.favorites = ids;
+      req.query = { page: '1', limit: '2' };
+      User.findById.mockReturnThis();
+      User.select.mockResolvedValue(mockUser);
+      Quote.distinct.mockResolvedValue([ids[0], mockQuote._id]);
+      Quote.findInOrder.mockResolvedValue([mockQuote]);
+
+      // Execute
+      await userController.getFavorites(req, res);
+
+      // Assert
+      expect(Quote.findInOrder).toHaveBeenCalledWith([ids[2], ids[0]]);
+      expect(res._getJSONData().pagination).toEqual({ total: 2, page: 1, limit: 2, pages: 1 });
     });
 
     test('should return empty array when no favorites', async () => {
       // Setup
       mockUser.favorites = undefined;
       User.findById.mockReturnThis();
-      User.populate.mockResolvedValue(mockUser);
+      User.select.mockResolvedValue(mockUser);
+      Quote.distinct.mockResolvedValue([]);
+      Quote.findInOrder.mockResolvedValue([]);
 
       // Execute
       await userController.getFavorites(req, res);
 
       // Assert
       expect(res.statusCode).toBe(200);
-      expect(res._getJSONData()).toEqual({ favorites: [] });
+      expect(res._getJSONData()).toEqual({
+        favorites: [],
+        pagination: { total: 0, page: 1, limit: 10, pages: 0 }
+      });
     });
 
     test('should throw error when user is not found', async () => {
       // Setup
       User.findById.mockReturnThis();
-      User.populate.mockResolvedValue(null);
+      User.select.mockResolvedValue(null);
 
       // Execute & Assert
       await expect(userController.getFavorites(req, res))
@@ -245,6 +619,43 @@ describe('User Controller', () => {
     });
   });
 
+  describe('checkFavorite', () => {
+    test('should report the favorite and its collections', async () => {
+      // Setup
+      const collection = { _id: new mongoose.Types.ObjectId(), name: 'Mornings' };
+      req.params.quoteId = mockQuote._id.toString();
+      User.findOne.mockReturnThis();
+      User.select.mockResolvedValue({ _id: mockUser._id });
+      Collection.sort.mockResolvedValue([collection]);
+
+      // Execute
+      await userController.checkFavorite(req, res);
+
+      // Assert
+      expect(User.findOne).toHaveBeenCalledWith({ _id: mockUser._id, favorites: req.params.quoteId });
+      expect(Collection.find).toHaveBeenCalledWith({ userId: mockUser._id, 'entries.quoteId': req.params.quoteId });
+      expect(res.statusCode).toBe(200);
+      expect(res._getJSONData()).toEqual({
+        isFavorite: true,
+        collections: [{ _id: collection._id.toString(), name: 'Mornings' }]
+      });
+    });
+
+    test('should report quotes that are not favorites', async () => {
+      // Setup
+      req.params.quoteId = mockQuote._id.toString();
+      User.findOne.mockReturnThis();
+      User.select.mockResolvedValue(null);
+      Collection.sort.mockResolvedValue([]);
+
+      // Execute
+      await userController.checkFavorite(req, res);
+
+      // Assert
+      expect(res._getJSONData()).toEqual({ isFavorite: false, collections: [] });
+    });
+  });
+
   describe('addFavorite', () => {
     test('should add quote to favorites', async () => {
       // Setup
@@ -319,6 +730,7 @@ describe('User Controller', () => {
       expect(User.findById).toHaveBeenCalledWith(mockUser._id);
       expect(mockUser.favorites).toHaveLength(0); // Quote removed
       expect(mockUser.save).toHaveBeenCalled();
+      expect(Collection.pullQuote).toHaveBeenCalledWith(mockUser._id, mockQuote._id.toString());
       expect(UserActivity.logActivity).toHaveBeenCalledWith(
         mockUser._id,
         'favorite_removed',
@@ -356,4 +768,64 @@ describe('User Controller', () => {
         .toThrow(ApiError);
     });
   });
+
+  describe('submitQuote', () => {
+    beforeEach(() => {
+      req.user = mockUser;
+      req.body = {
+        text: 'Submitted quote',
+        author: 'Submitted Author',
+        tags: ['hope']
+      };
+    });
+
+    test('should create a pending submission', async () => {
+      // Setup
+      const mockSubmission = { _id: new mongoose.Types.ObjectId(), ...req.body, status: 'pending' };
+      Submission.countDocuments.mockResolvedValue(0);
+      Submission.create.mockResolvedValue(mockSubmission);
+
+      // Execute
+      await userController.submitQuote(req, res);
+
+      // Assert
+      expect(Submission.create).toHaveBeenCalledWith({
+        text: 'Submitted quote',
+        author: 'Submitted Author',
+        source: undefined,
+        tags: ['hope'],
+        submittedBy: mockUser._id
+      });
+      expect(UserActivity.logActivity).toHaveBeenCalledWith(
+        mockUser._id,
+        'quote_submitted',
+        { submissionId: mockSubmission._id },
+        req
+      );
+      expect(res.statusCode).toBe(201);
+      expect(res._getJSONData().submission.status).toBe('pending');
+    });
+
+    test('should throw error when required fields are missing', async () => {
+      // Setup
+      req.body = { text: 'No author' };
+
+      // Execute & Assert
+      await expect(userController.submitQuote(req, res))
+        .rejects
+        .toThrow(ApiError);
+      expect(Submission.create).not.toHaveBeenCalled();
+    });
+
+    test('should throw error when too many submissions are pending', async () => {
+      // Setup
+      Submission.countDocuments.mockResolvedValue(10);
+
+      // Execute & Assert
+      await expect(userController.submitQuote(req, res))
+        .rejects
+        .toMatchObject({ statusCode: 429, code: 'submission_limit_reached' });
+      expect(Submission.create).not.toHaveBeenCalled();
+    });
+  });
 });
\ No newline at end of file
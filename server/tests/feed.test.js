@@ -0,0 +1,85 @@
+const { getSlots, allocateFeedPage, interleaveFeed } = require('../src/utils/feed.utils');
+
+/**
+ * Build an allocation from `[skip, limit]` pairs in source order
+ */
+function pages(following, recent, popular) {
+  return {
+    following: { skip: following[0], limit: following[1] },
+    new: { skip: recent[0], limit: recent[1] },
+    popular: { skip: popular[0], limit: popular[1] }
+  };
+}
+
+describe('Feed Utilities', () => {
+  describe('getSlots', () => {
+    test.each([
+      [10, { following: 6, new: 2, popular: 2 }],
+      [5, { following: 3, new: 1, popular: 1 }],
+      [7, { following: 5, new: 1, popular: 1 }],
+      [4, { following: 3, new: 1, popular: 0 }],
+      [3, { following: 2, new: 1, popular: 0 }],
+      [1, { following: 1, new: 0, popular: 0 }]
+    ])('splits %p slots as %p', (limit, slots) => {
+      expect(getSlots(limit)).toEqual(slots);
+    });
+  });
+
+  describe('allocateFeedPage', () => {
+    test.each([
+      ['every source full', { following: 100, new: 100, popular: 100 }, 1, 10, pages([0, 6], [0, 2], [0, 2])],
+      ['later pages of full sources', { following: 100, new: 100, popular: 100 }, 3, 10, pages([12, 6], [4, 2], [4, 2])],
+      ['a source running out mid-page', { following: 20, new: 5, popular: 100 }, 3, 10, pages([12, 7], [4, 1], [4, 2])],
+      ['no followed quotes', { following: 0, new: 3, popular: 50 }, 1, 10, pages([0, 0], [0, 3], [0, 7])],
+      ['only followed quotes', { following: 25, new: 0, popular: 0 }, 2, 10, pages([10, 10], [0, 0], [0, 0])],
+      ['the short last page', { following: 4, new: 1, popular: 2 }, 2, 5, pages([3, 1], [1, 0], [1, 1])],
+      ['the first page past the end', { following: 4, new: 1, popular: 2 }, 3, 5, pages([4, 0], [1, 0], [2, 0])],
+      ['a page far past the end', { following: 4, new: 1, popular: 2 }, 50, 5, pages([4, 0], [1, 0], [2, 0])],
+      ['empty sources', { following: 0, new: 0, popular: 0 }, 1, 10, pages([0, 0], [0, 0], [0, 0])]
+    ])('allocates %s', (name, counts, page, limit, allocation) => {
+      expect(allocateFeedPage(counts, page, limit)).toEqual(allocation);
+    });
+
+    test('covers every quote exactly once across pages', () => {
+      const counts = { following: 13, new: 4, popular: 9 };
+      const seen = { following: [], new: [], popular: [] };
+
+      for (let page = 1; page <= 5; page++) {
+        const allocation = allocateFeedPage(counts, page, 7);
+        for (const [source, { skip, limit }] of Object.entries(allocation)) {
+          for (let i = skip; i < skip + limit; i++) {
+            seen[source].push(i);
+          }
+        }
+      }
+
+      for (const source of Object.keys(counts)) {
+        expect(seen[source]).toEqual([...Array(counts[source]).keys()]);
+      }
+    });
+  });
+
+  describe('interleaveFeed', () => {
+    test.each([
+      [
+        'sources of different lengths',
+        { following: ['a', 'b', 'c'], new: ['d'], popular: ['e', 'f'] },
+        [['a', 'following'], ['d', 'new'], ['e', 'popular'], ['b', 'following'], ['f', 'popular'], ['c', 'following']]
+      ],
+      [
+        'a single source',
+        { following: [], new: [], popular: ['a', 'b'] },
+        [['a', 'popular'], ['b', 'popular']]
+      ],
+      [
+        'a page past the end',
+        { following: [], new: [], popular: [] },
+        []
+      ]
+    ])('takes turns between %s', (name, quotesBySource, expected) => {
+      expect(interleaveFeed(quotesBySource)).toEqual(
+        expected.map(([quote, reason]) => ({ quote, reason }))
+      );
+    });
+  });
+});
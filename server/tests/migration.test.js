@@ -0,0 +1,290 @@
+const mongoose = require('mongoose');
+const Migration = require('../src/models/migration.model');
+const migrationUtils = require('../src/utils/migration.utils');
+const linkAuthors = require('../src/migrations/005-link-authors');
+const addProfileFields = require('../src/migrations/002-add-profile-fields');
+
+const {
+  loadMigrations,
+  migrateUp,
+  migrateDown,
+  runMigrationsOnStart
+} = migrationUtils;
+
+describe('Migration Utilities', () => {
+  let db;
+  let locks;
+  let applied;
+  let calls;
+
+  /**
+   * Build a migration that records when it runs
+   */
+  function migration(version, name) {
+    return {
+      version,
+      name,
+      description: '',
+      up: jest.fn(async () => calls.push(`up ${version}`)),
+      down: jest.fn(async () => calls.push(`down ${version}`))
+    };
+  }
+
+  /**
+   * Resolve to the applied migration records, newest or oldest first
+   */
+  function sortedApplied(sort) {
+    const records = applied.map(version => ({ version, name: `migration-${version}`, appliedAt: new Date() }));
+    return sort.version < 0 ? records.reverse() : records;
+  }
+
+  beforeEach(() => {
+    calls = [];
+    applied = [];
+    locks = {
+      deleteOne: jest.fn().mockResolvedValue({}),
+      insertOne: jest.fn().mockResolvedValue({})
+    };
+    db = { collection: jest.fn().mockReturnValue(locks) };
+    mongoose.connection.db = db;
+
+    jest.spyOn(migrationUtils, 'loadMigrations').mockReturnValue([
+      migration(1, 'first'),
+      migration(2, 'second'),
+      migration(3, 'third')
+    ]);
+    jest.spyOn(Migration, 'distinct').mockImplementation(async () => applied);
+    jest.spyOn(Migration, 'find').mockImplementation(() => ({
+      sort: jest.fn(async sort => sortedApplied(sort))
+    }));
+    jest.spyOn(Migration, 'findOne').mockImplementation(() => ({
+      sort: jest.fn(async () => (applied.length > 0 ? { version: Math.max(...applied) } : null))
+    }));
+    jest.spyOn(Migration, 'create').mockImplementation(async ({ version }) => {
+      applied.push(version);
+    });
+    jest.spyOn(Migration, 'deleteOne').mockImplementation(async ({ version }) => {
+      applied = applied.filter(value => value !== version);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.RUN_MIGRATIONS_ON_START;
+    mongoose.connection.db = undefined;
+  });
+
+  describe('loadMigrations', () => {
+    test('loads the migration files in version order', () => {
+      migrationUtils.loadMigrations.mockRestore();
+
+      const migrations = loadMigrations();
+
+      expect(migrations.map(({ version }) => version)).toEqual([1, 2, 3, 4, 5]);
+      expect(migrations[4].name).toBe('link-authors');
+      migrations.forEach(({ up, down }) => {
+        expect(typeof up).toBe('function');
+        expect(typeof down).toBe('function');
+      });
+    });
+  });
+
+  describe('migrateUp', () => {
+    test('applies pending migrations in order and records them', async () => {
+      applied = [1];
+
+      const result = await migrateUp();
+
+      expect(result.map(({ version }) => version)).toEqual([2, 3]);
+      expect(calls).toEqual(['up 2', 'up 3']);
+      expect(Migration.create).toHaveBeenCalledWith(expect.objectContaining({ version: 2, name: 'second' }));
+      expect(applied).toEqual([1, 2, 3]);
+    });
+
+    test('stops at the target version', async () => {
+      const result = await migrateUp({ to: 2 });
+
+      expect(result.map(({ version }) => version)).toEqual([1, 2]);
+      expect(calls).toEqual(['up 1', 'up 2']);
+    });
+
+    test('takes the lock and releases it afterwards', async () => {
+      await migrateUp();
+
+      expect(db.collection).toHaveBeenCalledWith('migrationlocks');
+      expect(locks.insertOne).toHaveBeenCalledWith({ _id: 'migrations', lockedAt: expect.any(Date) });
+      expect(locks.deleteOne).toHaveBeenLastCalledWith({ _id: 'migrations' });
+    });
+
+    test('clears a lock left over from a crashed run first', async () => {
+      await migrateUp();
+
+      const [filter] = locks.deleteOne.mock.calls[0];
+      expect(filter._id).toBe('migrations');
+      expect(Date.now() - filter.lockedAt.$lt.getTime()).toBeGreaterThanOrEqual(10 * 60 * 1000);
+      expect(locks.deleteOne.mock.invocationCallOrder[0]).toBeLessThan(locks.insertOne.mock.invocationCallOrder[0]);
+    });
+
+    test('releases the lock when a migration fails', async () => {
+      const [, second] = migrationUtils.loadMigrations();
+      second.up.mockRejectedValue(new Error('Migration failed'));
+      migrationUtils.loadMigrations.mockReturnValue([migration(1, 'first'), second]);
+
+      await expect(migrateUp()).rejects.toThrow('Migration failed');
+
+      expect(applied).toEqual([1]);
+      expect(locks.deleteOne).toHaveBeenLastCalledWith({ _id: 'migrations' });
+    });
+
+    test('refuses to run while another process holds the lock', async () => {
+      locks.insertOne.mockRejectedValue({ code: 11000 });
+
+      await expect(migrateUp()).rejects.toMatchObject({
+        code: 'migration_locked',
+        message: 'Migrations are already running in another process'
+      });
+
+      expect(calls).toEqual([]);
+      expect(locks.deleteOne).not.toHaveBeenCalledWith({ _id: 'migrations' });
+    });
+  });
+
+  describe('migrateDown', () => {
+    test('rolls back the latest migration by default', async () => {
+      applied = [1, 2, 3];
+
+      const result = await migrateDown();
+
+      expect(result.map(({ version }) => version)).toEqual([3]);
+      expect(calls).toEqual(['down 3']);
+      expect(applied).toEqual([1, 2]);
+    });
+
+    test('rolls back the given number of migrations newest first', async () => {
+      applied = [1, 2, 3];
+
+      await migrateDown({ steps: 2 });
+
+      expect(calls).toEqual(['down 3', 'down 2']);
+      expect(applied).toEqual([1]);
+    });
+
+    test('rolls back every migration after the target version', async () => {
+      applied = [1, 2, 3];
+
+      await migrateDown({ to: 0 });
+
+      expect(calls).toEqual(['down 3', 'down 2', 'down 1']);
+      expect(applied).toEqual([]);
+    });
+
+    test.each([0, -1, 1.5])('rejects %p steps', async (steps) => {
+      applied = [1, 2, 3];
+
+      await expect(migrateDown({ steps })).rejects.toThrow('The number of migrations to roll back must be at least 1');
+
+      expect(calls).toEqual([]);
+      expect(locks.deleteOne).toHaveBeenLastCalledWith({ _id: 'migrations' });
+    });
+
+    test('refuses to roll back migrations whose file is missing', async () => {
+      applied = [1, 2, 3, 4];
+
+      await expect(migrateDown()).rejects.toThrow("Can't roll back 4: migration file not found");
+
+      expect(calls).toEqual([]);
+    });
+  });
+
+  describe('runMigrationsOnStart', () => {
+    test('applies pending migrations when enabled', async () => {
+      process.env.RUN_MIGRATIONS_ON_START = 'true';
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      await runMigrationsOnStart();
+
+      expect(calls).toEqual(['up 1', 'up 2', 'up 3']);
+    });
+
+    test('leaves the migrations to another process holding the lock', async () => {
+      process.env.RUN_MIGRATIONS_ON_START = 'true';
+      locks.insertOne.mockRejectedValue({ code: 11000 });
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      await expect(runMigrationsOnStart()).resolves.toBeUndefined();
+
+      expect(console.warn).toHaveBeenCalledWith('Skipping migrations: another process is running them');
+    });
+
+    test('warns when the database is behind the latest migration', async () => {
+      applied = [1];
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      await runMigrationsOnStart();
+
+      expect(calls).toEqual([]);
+      expect(console.warn).toHaveBeenCalledWith(
+        'Database is at migration 1 but the latest migration is 3. Run npm run migrate to update it'
+      );
+    });
+
+    test('does not warn when the database is up to date', async () => {
+      applied = [1, 2, 3];
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      await runMigrationsOnStart();
+
+      expect(console.warn).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('Migrations', () => {
+  describe('002-add-profile-fields', () => {
+    test('refuses to roll back', async () => {
+      await expect(addProfileFields.down()).rejects.toThrow("Migration 002 can't be rolled back");
+    });
+  });
+
+  describe('005-link-authors', () => {
+    test('links quotes to matching or new authors and counts their quotes', async () => {
+      // Setup
+      const einstein = { _id: new mongoose.Types.ObjectId(), name: 'Albert Einstein', nameKeys: ['albert einstein', 'einstein'] };
+      const quotes = {
+        distinct: jest.fn().mockResolvedValue(['Einstein', 'Maya Angelou', '', null]),
+        updateMany: jest.fn().mockResolvedValue({}),
+        aggregate: jest.fn().mockReturnValue({
+          toArray: jest.fn().mockResolvedValue([{ _id: einstein._id, count: 2 }])
+        })
+      };
+      const authors = {
+        findOne: jest.fn(async ({ nameKeys }) => (einstein.nameKeys.includes(nameKeys) ? einstein : null)),
+        insertOne: jest.fn().mockResolvedValue({}),
+        updateMany: jest.fn().mockResolvedValue({}),
+        updateOne: jest.fn().mockResolvedValue({})
+      };
+      const db = { collection: name => (name === 'quotes' ? quotes : authors) };
+
+      // Execute
+      await linkAuthors.up(db);
+
+      // Assert
+      expect(quotes.updateMany).toHaveBeenCalledWith(
+        { author: 'Einstein' },
+        { $set: { authorId: einstein._id, author: 'Albert Einstein' } }
+      );
+
+      expect(authors.insertOne).toHaveBeenCalledTimes(1);
+      const [created] = authors.insertOne.mock.calls[0];
+      expect(created).toMatchObject({ name: 'Maya Angelou', slug: 'maya-angelou', nameKeys: ['maya angelou'] });
+      expect(quotes.updateMany).toHaveBeenCalledWith(
+        { author: 'Maya Angelou' },
+        { $set: { authorId: created._id, author: 'Maya Angelou' } }
+      );
+      expect(quotes.updateMany).toHaveBeenCalledTimes(2);
+
+      expect(quotes.aggregate.mock.calls[0][0][0]).toEqual({ $match: { authorId: { $ne: null }, deletedAt: null } });
+      expect(authors.updateOne).toHaveBeenCalledWith({ _id: einstein._id }, { $set: { quoteCount: 2 } });
+    });
+  });
+});
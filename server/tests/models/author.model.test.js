@@ -0,0 +1,68 @@
+const Author = require('../../src/models/author.model');
+
+describe('Author Model', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('slug and name keys', () => {
+    test('should strip accents from Latin names', async () => {
+      // Setup
+      const author = new Author({ name: 'Café Society!', aliases: ['Nguyễn Du'] });
+
+      // Execute
+      await author.validate();
+
+      // Assert
+      expect(author.slug).toBe('cafe-society');
+      expect(author.nameKeys).toEqual(['cafe society', 'nguyen du']);
+    });
+
+    test.each([
+      ['老子', '老子', '老子'],
+      ['Лев Толстой', 'лев-толстой', 'лев толстой'],
+      ['محمود درويش', 'محمود-درويش', 'محمود درويش']
+    ])('should keep the letters of %p', async (name, slug, nameKey) => {
+      // Setup
+      const author = new Author({ name });
+
+      // Execute
+      await author.validate();
+
+      // Assert
+      expect(author.slug).toBe(slug);
+      expect(author.nameKeys).toEqual([nameKey]);
+    });
+
+    test('should fall back to the ID for names without letters or digits', async () => {
+      // Setup
+      const author = new Author({ name: '🙂 🙂' });
+
+      // Execute
+      await author.validate();
+
+      // Assert
+      expect(author.slug).toBe(`author-${author._id}`);
+      expect(author.nameKeys).toEqual(['🙂 🙂']);
+    });
+  });
+
+  describe('resolve', () => {
+    test('should create an author for a name outside the Latin alphabet', async () => {
+      // Setup
+      jest.spyOn(Author, 'findOne').mockResolvedValue(null);
+      jest.spyOn(Author, 'create').mockImplementation(async (data) => {
+        const author = new Author(data);
+        await author.validate();
+        return author;
+      });
+
+      // Execute
+      const author = await Author.resolve('Лев Толстой');
+
+      // Assert
+      expect(Author.findOne).toHaveBeenCalledWith({ nameKeys: 'лев толстой' });
+      expect(author.slug).toBe('лев-толстой');
+    });
+  });
+});
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const DailyQuote = require('../../src/models/dailyQuote.model');
+const Quote = require('../../src/models/quote.model');
+
+describe('Daily Quote Model', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getForDate', () => {
+    let recentId;
+    let pinnedId;
+    let quote;
+    let query;
+
+    beforeEach(() => {
+      recentId = new mongoose.Types.ObjectId();
+      pinnedId = new mongoose.Types.ObjectId();
+      quote = { _id: new mongoose.Types.ObjectId(), text: 'Quote 1' };
+
+      jest.spyOn(DailyQuote, 'findOne').mockResolvedValue(null);
+      jest.spyOn(DailyQuote, 'find').mockImplementation(({ pinned }) => ({
+        distinct: jest.fn().mockResolvedValue(pinned ? [pinnedId] : [recentId])
+      }));
+      jest.spyOn(DailyQuote, 'create').mockImplementation(async data => data);
+      jest.spyOn(Quote, 'findById').mockResolvedValue(quote);
+
+      query = {
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        select: jest.fn().mockResolvedValue({ _id: quote._id })
+      };
+      jest.spyOn(Quote, 'findOne').mockReturnValue(query);
+    });
+
+    test('should leave out recent quotes and quotes pinned to a later day', async () => {
+      // Setup
+      jest.spyOn(Quote, 'countDocuments').mockResolvedValue(10);
+
+      // Execute
+      const result = await DailyQuote.getForDate('2026-03-10');
+
+      // Assert
+      expect(DailyQuote.find).toHaveBeenCalledWith({ date: { $gte: '2026-02-08', $lt: '2026-03-10' } });
+      expect(DailyQuote.find).toHaveBeenCalledWith({ date: { $gt: '2026-03-10' }, pinned: true });
+      expect(Quote.findOne).toHaveBeenCalledWith({ _id: { $nin: [recentId, pinnedId] } });
+      expect(DailyQuote.create).toHaveBeenCalledWith({ date: '2026-03-10', quoteId: quote._id });
+      expect(result).toBe(quote);
+    });
+
+    test('should allow repeats when every quote is recent or pinned', async () => {
+      // Setup
+      jest.spyOn(Quote, 'countDocuments')
+        .mockResolvedValueOnce(0)
+        .mockResolvedValueOnce(10);
+
+      // Execute
+      await DailyQuote.getForDate('2026-03-10');
+
+      // Assert
+      expect(Quote.findOne).toHaveBeenCalledWith({});
+    });
+
+    test('should show a quote pinned to the day', async () => {
+      // Setup
+      DailyQuote.findOne.mockResolvedValue({ date: '2026-03-10', quoteId: pinnedId, pinned: true });
+
+      // Execute
+      const result = await DailyQuote.getForDate('2026-03-10');
+
+      // Assert
+      expect(Quote.findById).toHaveBeenCalledWith(pinnedId);
+      expect(DailyQuote.find).not.toHaveBeenCalled();
+      expect(result).toBe(quote);
+    });
+  });
+});
@@ -0,0 +1,320 @@
+const mongoose = require('mongoose');
+const Quote = require('../../src/models/quote.model');
+const QuoteRevision = require('../../src/models/quoteRevision.model');
+const User = require('../../src/models/user.model');
+const Collection = require('../../src/models/collection.model');
+const QuoteReaction = require('../../src/models/quoteReaction.model');
+
+describe('Quote Model', () => {
+  let editorId;
+
+  beforeEach(() => {
+    editorId = new mongoose.Types.ObjectId();
+
+    jest.spyOn(QuoteRevision, 'record').mockResolvedValue({});
+    jest.spyOn(Quote, 'updateMany').mockResolvedValue({ matchedCount: 0, modifiedCount: 0 });
+    jest.spyOn(User, 'updateMany').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Make Quote.find resolve to the given quotes through its query chain
+   */
+  function mockFind(quotes) {
+    const query = {
+      setOptions: jest.fn().mockReturnThis(),
+      select: jest.fn().mockReturnThis(),
+      lean: jest.fn().mockResolvedValue(quotes)
+    };
+    jest.spyOn(Quote, 'find').mockReturnValue(query);
+    return query;
+  }
+
+  describe('getRandom', () => {
+    let pipelines;
+
+    /**
+     * Resolve each aggregation the driver runs to the next result, keeping
+     * the pipelines as they are sent after the middleware ran
+     */
+    function mockAggregate(...results) {
+      pipelines = [];
+      jest.spyOn(Quote.collection, 'aggregate').mockImplementation((pipeline) => {
+        pipelines.push(pipeline);
+        const docs = results.shift() || [];
+        return { toArray: jest.fn().mockResolvedValue(docs) };
+      });
+    }
+
+    test('should sample first and leave out quotes in the trash itself', async () => {
+      // Setup
+      const quote = { _id: new mongoose.Types.ObjectId(), text: 'Quote 1', author: 'Author 1' };
+      mockAggregate([quote]);
+
+      // Execute
+      const result = await Quote.getRandom();
+
+      // Assert
+      expect(pipelines).toEqual([[
+        { $sample: { size: 20 } },
+        { $match: { deletedAt: null } },
+        { $limit: 1 },
+        { $project: { fingerprint: 0 } }
+      ]]);
+      expect(result).toBeInstanceOf(Quote);
+      expect(result._id).toEqual(quote._id);
+    });
+
+    test('should apply filters and excluded quotes to the sample', async () => {
+      // Setup
+      const viewedId = new mongoose.Types.ObjectId();
+      mockAggregate([{ _id: new mongoose.Types.ObjectId(), text: 'Quote 1' }]);
+
+      // Execute
+      await Quote.getRandom({ tags: { $in: ['life'] }, _id: { $nin: [viewedId.toString()] } });
+
+      // Assert
+      const [match] = pipelines[0].slice(1);
+      expect(pipelines[0][0]).toEqual({ $sample: { size: 20 } });
+      expect(match.$match).toEqual({
+        tags: { $in: ['life'] },
+        _id: { $nin: [viewedId] },
+        deletedAt: null
+      });
+    });
+
+    test('should match the filter first when the sample has no match', async () => {
+      // Setup
+      const quote = { _id: new mongoose.Types.ObjectId(), text: 'Rare quote' };
+      mockAggregate([], [quote]);
+
+      // Execute
+      const result = await Quote.getRandom({ tags: { $in: ['rare'] } });
+
+      // Assert
+      expect(pipelines[1]).toEqual([
+        { $match: { tags: { $in: ['rare'] }, deletedAt: null } },
+        { $sample: { size: 1 } },
+        { $project: { fingerprint: 0 } }
+      ]);
+      expect(result._id).toEqual(quote._id);
+    });
+
+    test('should resolve to null when no quote matches', async () => {
+      // Setup
+      mockAggregate([], []);
+
+      // Execute & Assert
+      await expect(Quote.getRandom({ tags: { $in: ['missing'] } })).resolves.toBeNull();
+    });
+  });
+
+  describe('search', () => {
+    test('should rank by text relevance without replacing the reaction score', async () => {
+      // Setup
+      jest.spyOn(Quote, 'aggregate').mockResolvedValue([
+        { quotes: [], total: [], tags: [], authors: [] }
+      ]);
+
+      // Execute
+      await Quote.search('courage');
+
+      // Assert
+      const [, addFields, facet] = Quote.aggregate.mock.calls[0][0];
+      expect(addFields).toEqual({ $addFields: { relevance: { $meta: 'textScore' } } });
+      expect(facet.$facet.quotes[0]).toEqual({ $sort: { relevance: -1, _id: 1 } });
+    });
+
+    test('should leave the fingerprint out of the results', async () => {
+      // Setup
+      jest.spyOn(Quote, 'aggregate').mockResolvedValue([
+        { quotes: [], total: [], tags: [], authors: [] }
+      ]);
+
+      // Execute
+      await Quote.search('courage', {}, { skip: 10, limit: 5 });
+
+      // Assert
+      const [, , facet] = Quote.aggregate.mock.calls[0][0];
+      expect(facet.$facet.quotes).toEqual([
+        { $sort: { relevance: -1, _id: 1 } },
+        { $skip: 10 },
+        { $limit: 5 },
+        { $project: { fingerprint: 0 } }
+      ]);
+    });
+  });
+
+  describe('findNearDuplicates', () => {
+    test('should keep the reaction score of matching quotes', async () => {
+      // Setup
+      const match = { _id: new mongoose.Types.ObjectId(), text: 'Stay hungry, stay foolish!', score: 4.2 };
+      const query = {
+        sort: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue([match])
+      };
+      jest.spyOn(Quote, 'find').mockReturnValue(query);
+
+      // Execute
+      const [result] = await Quote.findNearDuplicates('Stay hungry, stay foolish.');
+
+      // Assert
+      expect(Quote.find).toHaveBeenCalledWith(
+        { $text: { $search: 'stay hungry stay foolish' } },
+        { relevance: { $meta: 'textScore' } }
+      );
+      expect(query.sort).toHaveBeenCalledWith({ relevance: { $meta: 'textScore' } });
+      expect(result.quote.score).toBe(4.2);
+      expect(result.exact).toBe(false);
+    });
+  });
+
+  describe('getExactDuplicates', () => {
+    test('should group quotes by fingerprint in the database', async () => {
+      // Setup
+      const quotes = [{ _id: 'quote1', text: 'Stay hungry.' }, { _id: 'quote2', text: 'Stay hungry!' }];
+      const allowDiskUse = jest.fn().mockResolvedValue([
+        { clusters: [{ _id: 'stay hungry', count: 2, quotes }], total: [{ count: 1 }] }
+      ]);
+      jest.spyOn(Quote, 'aggregate').mockReturnValue({ allowDiskUse });
+
+      // Execute
+      const result = await Quote.getExactDuplicates({ skip: 50, limit: 50 });
+
+      // Assert
+      const pipeline = Quote.aggregate.mock.calls[0][0];
+      expect(pipeline[1].$group._id).toBe('$fingerprint');
+      expect(pipeline[pipeline.length - 1].$facet.clusters).toEqual([{ $skip: 50 }, { $limit: 50 }]);
+      expect(allowDiskUse).toHaveBeenCalledWith(true);
+      expect(result).toEqual({ clusters: [{ quotes, exact: true, score: 1 }], total: 1 });
+    });
+  });
+
+  describe('mergeTags', () => {
+    test('should record a revision of each quote, including quotes in the trash', async () => {
+      // Setup
+      const quotes = [
+        { _id: new mongoose.Types.ObjectId(), text: 'Quote 1', author: 'Author 1', tags: ['work', 'life'] },
+        { _id: new mongoose.Types.ObjectId(), text: 'Quote 2', author: 'Author 2', tags: ['career', 'job'] }
+      ];
+      const query = mockFind(quotes);
+
+      // Execute
+      const count = await Quote.mergeTags(['work', 'job'], 'career', editorId);
+
+      // Assert
+      expect(count).toBe(2);
+      expect(Quote.find).toHaveBeenCalledWith({ tags: { $in: ['work', 'job'] } });
+      expect(query.setOptions).toHaveBeenCalledWith({ withDeleted: true });
+
+      const ids = { _id: { $in: quotes.map(quote => quote._id) } };
+      expect(Quote.updateMany).toHaveBeenCalledWith(ids, { $addToSet: { tags: 'career' } });
+      expect(Quote.updateMany).toHaveBeenCalledWith(ids, { $pull: { tags: { $in: ['work', 'job'] } } });
+
+      expect(QuoteRevision.record).toHaveBeenCalledTimes(2);
+      expect(QuoteRevision.record).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: quotes[0]._id, tags: ['life', 'career'] }),
+        editorId,
+        'updated',
+        expect.objectContaining({ tags: ['work', 'life'] })
+      );
+      expect(QuoteRevision.record).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: quotes[1]._id, tags: ['career'] }),
+        editorId,
+        'updated',
+        expect.objectContaining({ tags: ['career', 'job'] })
+      );
+    });
+
+    test('should not update anything when no quote has the tags', async () => {
+      // Setup
+      mockFind([]);
+
+      // Execute
+      const count = await Quote.mergeTags(['missing'], 'career', editorId);
+
+      // Assert
+      expect(count).toBe(0);
+      expect(Quote.updateMany).not.toHaveBeenCalled();
+      expect(QuoteRevision.record).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('removeTag', () => {
+    test('should record a revision of each quote', async () => {
+      // Setup
+      const quote = { _id: new mongoose.Types.ObjectId(), text: 'Quote 1', author: 'Author 1', tags: ['obsolete', 'life'] };
+      mockFind([quote]);
+
+      // Execute
+      const count = await Quote.removeTag('obsolete', editorId);
+
+      // Assert
+      expect(count).toBe(1);
+      expect(QuoteRevision.record).toHaveBeenCalledWith(
+        expect.objectContaining({ tags: ['life'] }),
+        editorId,
+        'updated',
+        expect.objectContaining({ tags: ['obsolete', 'life'] })
+      );
+      expect(User.updateMany).toHaveBeenCalledWith(
+        { 'following.tags': 'obsolete' },
+        { $pull: { 'following.tags': 'obsolete' } }
+      );
+    });
+  });
+
+  describe('mergeDuplicates', () => {
+    test('should record a revision of the tags added to the target', async () => {
+      // Setup
+      jest.spyOn(Collection, 'replaceQuotes').mockResolvedValue();
+      jest.spyOn(QuoteReaction, 'mergeQuotes').mockResolvedValue();
+      const target = new Quote({ text: 'Quote 1', author: 'Author 1', tags: ['life'], views: 2 });
+      const source = new Quote({ text: 'Quote 1!', author: 'Author 1', tags: ['work'], views: 3 });
+      jest.spyOn(target, 'save').mockResolvedValue(target);
+      jest.spyOn(source, 'softDelete').mockResolvedValue(source);
+
+      // Execute
+      await Quote.mergeDuplicates(target, [source], editorId);
+
+      // Assert
+      expect(target.views).toBe(5);
+      expect(QuoteRevision.record).toHaveBeenCalledWith(
+        target,
+        editorId,
+        'updated',
+        expect.objectContaining({ tags: ['life'] })
+      );
+      expect(QuoteRevision.record.mock.calls[0][0].tags).toEqual(['life', 'work']);
+    });
+  });
+
+  describe('updateTracked', () => {
+    test('should record author renames', async () => {
+      // Setup
+      const authorId = new mongoose.Types.ObjectId();
+      const quote = { _id: new mongoose.Types.ObjectId(), text: 'Quote 1', author: 'Mark Twain', tags: [] };
+      mockFind([quote]);
+
+      // Execute
+      await Quote.updateTracked(
+        { authorId },
+        { author: 'Samuel Clemens' },
+        () => ({ author: 'Samuel Clemens' }),
+        editorId
+      );
+
+      // Assert
+      expect(Quote.updateMany).toHaveBeenCalledWith({ _id: { $in: [quote._id] } }, { author: 'Samuel Clemens' });
+      expect(QuoteRevision.record).toHaveBeenCalledWith(
+        expect.objectContaining({ author: 'Samuel Clemens' }),
+        editorId,
+        'updated',
+        expect.objectContaining({ author: 'Mark Twain' })
+      );
+    });
+  });
+});
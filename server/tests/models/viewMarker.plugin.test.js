@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const QuoteView = require('../../src/models/quoteView.model');
+const CollectionView = require('../../src/models/collectionView.model');
+
+describe('View Marker Plugin', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe.each([
+    ['QuoteView', QuoteView, 'quoteId'],
+    ['CollectionView', CollectionView, 'collectionId']
+  ])('%s', (name, Model, field) => {
+    test('should key markers by viewer and document', () => {
+      // Assert
+      expect(Model.schema.path(field).options.required).toBe(true);
+      expect(Model.schema.indexes()).toEqual([
+        [{ [field]: 1, viewer: 1 }, expect.objectContaining({ unique: true })],
+        [{ expiresAt: 1 }, expect.objectContaining({ expireAfterSeconds: 0 })]
+      ]);
+    });
+
+    test('should count a view when no active marker exists', async () => {
+      // Setup
+      const id = new mongoose.Types.ObjectId();
+      jest.spyOn(Model, 'updateOne').mockResolvedValue({ upsertedCount: 1 });
+
+      // Execute
+      const isNewView = await Model.register(id, 'user:1', 60 * 1000);
+
+      // Assert
+      expect(isNewView).toBe(true);
+      expect(Model.updateOne).toHaveBeenCalledWith(
+        { [field]: id, viewer: 'user:1', expiresAt: { $lte: expect.any(Date) } },
+        { $set: { expiresAt: expect.any(Date) } },
+        { upsert: true }
+      );
+    });
+
+    test('should not count a view inside the window', async () => {
+      // Setup
+      jest.spyOn(Model, 'updateOne').mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+      // Execute & Assert
+      await expect(Model.register(new mongoose.Types.ObjectId(), 'ip:203.0.113.7', 60 * 1000)).resolves.toBe(false);
+    });
+
+    test('should pass on other errors', async () => {
+      // Setup
+      jest.spyOn(Model, 'updateOne').mockRejectedValue(new Error('connection lost'));
+
+      // Execute & Assert
+      await expect(Model.register(new mongoose.Types.ObjectId(), 'user:1', 60 * 1000)).rejects.toThrow('connection lost');
+    });
+  });
+});
@@ -0,0 +1,9 @@
+/**
+ * Server helpers exposed outside src, e.g. for tests/utils.test.js
+ */
+
+const { calculateStreak } = require('../src/utils/streak.utils');
+
+module.exports = {
+  calculateStreak
+};
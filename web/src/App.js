@@ -14,6 +14,9 @@ import Profile from './pages/Profile';
 import NotFound from './pages/NotFound';
 import Admin from './pages/Admin';
 import Downloads from './pages/Downloads';
+import Author from './pages/Author';
+import Search from './pages/Search';
+import SharedCollection from './pages/SharedCollection';
 
 // Components
 import Layout from './components/Layout';
@@ -175,6 +178,9 @@ function App() {
           <Route path="/login" element={user ? <Navigate to="/dashboard" /> : <Login />} />
           <Route path="/register" element={user ? <Navigate to="/dashboard" /> : <Register />} />
           <Route path="/downloads" element={<Downloads />} />
+          <Route path="/authors/:slug" element={<Author />} />
+          <Route path="/search" element={<Search />} />
+          <Route path="/collections/:slug" element={<SharedCollection />} />
           <Route path="/dashboard" element={<Layout user={user} userRole={userRole} darkMode={darkMode} toggleDarkMode={toggleDarkMode} />}>
             <Route index element={user ? <Dashboard /> : <Navigate to="/login" />} />
             <Route path="profile" element={user ? <Profile /> : <Navigate to="/login" />} />
@@ -0,0 +1,107 @@
+import React from 'react';
+import { Box, Paper, Tooltip, Typography } from '@mui/material';
+import { LocalFireDepartment as FireIcon } from '@mui/icons-material';
+import { alpha, useTheme } from '@mui/material/styles';
+
+const CELL_SIZE = 12;
+
+/**
+ * Get the shade of a heatmap cell from the number of quotes read that day
+ */
+const getLevel = (count) => {
+  if (count === 0) return 0;
+  if (count === 1) return 1;
+  if (count <= 3) return 2;
+  if (count <= 5) return 3;
+  return 4;
+};
+
+/**
+ * Split heatmap days into week columns starting on Sunday
+ */
+const getWeeks = (heatmap) => {
+  const weeks = [];
+  const firstDay = heatmap.length > 0 ? new Date(`${heatmap[0].date}T00:00:00Z`).getUTCDay() : 0;
+  const days = [...Array(firstDay).fill(null), ...heatmap];
+
+  for (let i = 0; i < days.length; i += 7) {
+    weeks.push(days.slice(i, i + 7));
+  }
+
+  return weeks;
+};
+
+/**
+ * StreakCard component shows the user's reading streaks and a calendar heatmap of the days they read quotes
+ * @param {Object} props - Component props
+ * @param {Object} props.streak - Response of the streak API
+ */
+const StreakCard = ({ streak }) => {
+  const theme = useTheme();
+
+  if (!streak) return null;
+
+  const { currentStreak, longestStreak, lastActiveDate, heatmap } = streak;
+  const shades = [theme.palette.action.hover, 0.3, 0.5, 0.75, 1].map((shade, level) => (
+    level === 0 ? shade : alpha(theme.palette.primary.main, shade)
+  ));
+
+  return (
+    <Paper sx={{ p: 3, mb: 3 }}>
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 4, mb: 2 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center' }}>
+          <FireIcon sx={{ color: currentStreak > 0 ? 'warning.main' : 'text.disabled', fontSize: 40, mr: 1 }} />
+          <Box>
+            <Typography variant="h5" component="div">
+              {currentStreak} {currentStreak === 1 ? 'day' : 'days'}
+            </Typography>
+            <Typography variant="body2" color="text.secondary">
+              Current streak
+            </Typography>
+          </Box>
+        </Box>
+        <Box>
+          <Typography variant="h5" component="div">
+            {longestStreak} {longestStreak === 1 ? 'day' : 'days'}
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            Longest streak
+          </Typography>
+        </Box>
+        {currentStreak === 0 && lastActiveDate && (
+          <Typography variant="body2" color="text.secondary">
+            Read a quote today to start a new streak.
+          </Typography>
+        )}
+      </Box>
+
+      <Box sx={{ display: 'flex', gap: '3px', overflowX: 'auto', pb: 1 }} aria-label="Reading activity heatmap">
+        {getWeeks(heatmap).map((week, index) => (
+          <Box key={index} sx={{ display: 'flex', flexDirection: 'column', gap: '3px' }}>
+            {week.map((day, dayIndex) => (
+              day ? (
+                <Tooltip
+                  key={day.date}
+                  title={`${day.count} ${day.count === 1 ? 'quote' : 'quotes'} on ${day.date}`}
+                >
+                  <Box
+                    sx={{
+                      width: CELL_SIZE,
+                      height: CELL_SIZE,
+                      borderRadius: '2px',
+                      backgroundColor: shades[getLevel(day.count)],
+                    }}
+                  />
+                </Tooltip>
+              ) : (
+                <Box key={`empty-${dayIndex}`} sx={{ width: CELL_SIZE, height: CELL_SIZE }} />
+              )
+            ))}
+          </Box>
+        ))}
+      </Box>
+    </Paper>
+  );
+};
+
+export default StreakCard;
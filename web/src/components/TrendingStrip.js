@@ -0,0 +1,130 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  CircularProgress,
+  Paper,
+  ToggleButton,
+  ToggleButtonGroup,
+  Typography,
+} from '@mui/material';
+import { TrendingUp as TrendingUpIcon } from '@mui/icons-material';
+import { api } from '../services/api';
+
+const WINDOWS = [
+  { value: 'day', label: 'Today' },
+  { value: 'week', label: 'This week' },
+  { value: 'month', label: 'This month' },
+];
+
+const CARD_WIDTH = 260;
+
+/**
+ * TrendingStrip component shows a scrolling row of the quotes trending over the last day, week or month
+ * @param {Object} props - Component props
+ * @param {number} props.limit - Number of quotes to show
+ */
+const TrendingStrip = ({ limit = 10 }) => {
+  const [trendingWindow, setTrendingWindow] = useState('week');
+  const [trending, setTrending] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchTrending = async () => {
+      setLoading(true);
+      try {
+        const data = await api.getTrendingQuotes(trendingWindow, limit);
+        setTrending(data.trending);
+      } catch (err) {
+        console.error('Error fetching trending quotes:', err);
+        // Don't show error for the strip, just leave it empty
+        setTrending([]);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchTrending();
+  }, [trendingWindow, limit]);
+
+  const handleWindowChange = (event, value) => {
+    // Keep the current window when its button is clicked again
+    if (value) setTrendingWindow(value);
+  };
+
+  const renderQuotes = () => {
+    if (loading) {
+      return (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 2 }}>
+          <CircularProgress size={24} />
+        </Box>
+      );
+    }
+
+    if (trending.length === 0) {
+      return (
+        <Typography variant="body2" color="text.secondary">
+          Nothing is trending yet. Check back once people start reading.
+        </Typography>
+      );
+    }
+
+    return (
+      <Box sx={{ display: 'flex', gap: 2, overflowX: 'auto', pb: 1 }} aria-label="Trending quotes">
+        {trending.map(({ quote }) => (
+          <Card key={quote._id} variant="outlined" sx={{ flex: `0 0 ${CARD_WIDTH}px` }}>
+            <CardContent>
+              <Typography
+                variant="body2"
+                sx={{
+                  fontStyle: 'italic',
+                  mb: 1,
+                  display: '-webkit-box',
+                  WebkitLineClamp: 4,
+                  WebkitBoxOrient: 'vertical',
+                  overflow: 'hidden',
+                }}
+              >
+                "{quote.text}"
+              </Typography>
+              <Typography variant="caption" color="text.secondary">
+                — {quote.author}
+              </Typography>
+            </CardContent>
+          </Card>
+        ))}
+      </Box>
+    );
+  };
+
+  return (
+    <Paper sx={{ p: 3, mb: 3 }}>
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', justifyContent: 'space-between', gap: 2, mb: 2 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center' }}>
+          <TrendingUpIcon sx={{ color: 'primary.main', mr: 1 }} />
+          <Typography variant="h6" component="div">
+            Trending now
+          </Typography>
+        </Box>
+        <ToggleButtonGroup
+          value={trendingWindow}
+          exclusive
+          onChange={handleWindowChange}
+          size="small"
+          aria-label="Trending window"
+        >
+          {WINDOWS.map(({ value, label }) => (
+            <ToggleButton key={value} value={value}>
+              {label}
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+      </Box>
+
+      {renderQuotes()}
+    </Paper>
+  );
+};
+
+export default TrendingStrip;
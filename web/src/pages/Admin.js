@@ -28,6 +28,8 @@ import {
   Alert,
   Snackbar,
   CircularProgress,
+  LinearProgress,
+  MenuItem,
   Tooltip,
   Divider,
 } from '@mui/material';
@@ -100,6 +102,21 @@ const Admin = () => {
     name: '',
   });
   
+  const [exportDialog, setExportDialog] = useState({
+    open: false,
+    filters: {
+      format: 'json',
+      tag: '',
+      author: '',
+      from: '',
+      to: '',
+      minViews: '',
+    },
+  });
+  
+  // Bytes downloaded so far while an export is running
+  const [exportProgress, setExportProgress] = useState(null);
+  
   const [snackbar, setSnackbar] = useState({
     open: false,
     message: '',
@@ -343,7 +360,7 @@ const Admin = () => {
         await api.deleteQuote(deleteDialog.id);
         setSnackbar({
           open: true,
-          message: 'Quote deleted successfully',
+          message: 'Quote moved to trash',
           severity: 'success',
         });
         fetchQuotes();
@@ -351,7 +368,7 @@ const Admin = () => {
         await api.deleteUser(deleteDialog.id);
         setSnackbar({
           open: true,
-          message: 'User deleted successfully',
+          message: 'User moved to trash',
           severity: 'success',
         });
         fetchUsers();
@@ -369,20 +386,42 @@ const Admin = () => {
     }
   };
 
+  const handleExportFilterChange = (e) => {
+    const { name, value } = e.target;
+    setExportDialog({
+      ...exportDialog,
+      filters: {
+        ...exportDialog.filters,
+        [name]: value,
+      },
+    });
+  };
+
   const handleExportQuotes = async () => {
+    // Only send the filters that were filled in
+    const filters = Object.fromEntries(
+      Object.entries(exportDialog.filters).filter(([, value]) => value !== '')
+    );
+    const extension = filters.format === 'markdown' ? 'md' : filters.format;
+    
+    setExportProgress({ loaded: 0, total: 0 });
+    
     try {
-      const data = await api.exportQuotes();
-      // Create a download link for the JSON file
-      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+      const blob = await api.exportQuotes(filters, (loaded, total) => {
+        setExportProgress({ loaded, total: total || 0 });
+      });
+      
+      // Create a download link for the exported file
       const url = URL.createObjectURL(blob);
       const link = document.createElement('a');
       link.href = url;
-      link.download = `quotes_export_${format(new Date(), 'yyyy-MM-dd')}.json`;
+      link.download = `quotes_export_${format(new Date(), 'yyyy-MM-dd')}.${extension}`;
       document.body.appendChild(link);
       link.click();
       document.body.removeChild(link);
       URL.revokeObjectURL(url);
       
+      setExportDialog({ ...exportDialog, open: false });
       setSnackbar({
         open: true,
         message: 'Quotes exported successfully',
@@ -395,6 +434,8 @@ const Admin = () => {
         message: 'Failed to export quotes',
         severity: 'error',
       });
+    } finally {
+      setExportProgress(null);
     }
   };
 
@@ -402,37 +443,28 @@ const Admin = () => {
     // Create a file input element
     const fileInput = document.createElement('input');
     fileInput.type = 'file';
-    fileInput.accept = 'application/json';
+    fileInput.accept = '.json,.ndjson,.jsonl,.csv,.yaml,.yml';
     fileInput.onchange = async (e) => {
       const file = e.target.files[0];
       if (file) {
         try {
-          const reader = new FileReader();
-          reader.onload = async (event) => {
-            try {
-              const quotes = JSON.parse(event.target.result);
-              await api.importQuotes(quotes);
-              setSnackbar({
-                open: true,
-                message: 'Quotes imported successfully',
-                severity: 'success',
-              });
-              fetchQuotes();
-            } catch (err) {
-              console.error('Error parsing or importing quotes:', err);
-              setSnackbar({
-                open: true,
-                message: 'Failed to import quotes: Invalid JSON format',
-                severity: 'error',
-              });
-            }
-          };
-          reader.readAsText(file);
+          const formData = new FormData();
+          formData.append('file', file);
+          
+          const { results } = await api.importQuotes(formData);
+          const { imported, skipped, errors } = results;
+          
+          setSnackbar({
+            open: true,
+            message: `Imported ${imported} quotes (${skipped} duplicates skipped, ${errors.length} errors)`,
+            severity: errors.length > 0 ? 'warning' : 'success',
+          });
+          fetchQuotes();
         } catch (err) {
-          console.error('Error reading file:', err);
+          console.error('Error importing quotes:', err);
           setSnackbar({
             open: true,
-            message: 'Failed to read import file',
+            message: err.response?.data?.error?.message || 'Failed to import quotes',
             severity: 'error',
           });
         }
@@ -593,6 +625,51 @@ const Admin = () => {
           </CardContent>
         </Card>
       </Grid>
+      
+      <Grid item xs={12}>
+        <Card>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>
+              Quote Views (Last 30 Days)
+            </Typography>
+            {stats?.viewsOverTime?.some(item => item.views > 0) ? (
+              <Box sx={{ height: 200, display: 'flex', alignItems: 'flex-end' }}>
+                {stats.viewsOverTime.map((item) => (
+                  <Box 
+                    key={item.date}
+                    sx={{
+                      height: `${(item.views / Math.max(...stats.viewsOverTime.map(i => i.views))) * 100}%`,
+                      width: `${100 / stats.viewsOverTime.length}%`,
+                      backgroundColor: theme.palette.info.main,
+                      mx: 0.5,
+                      borderTopLeftRadius: 4,
+                      borderTopRightRadius: 4,
+                      position: 'relative',
+                      '&:hover::after': {
+                        content: `'${item.date}: ${item.views}'`,
+                        position: 'absolute',
+                        bottom: '100%',
+                        left: '50%',
+                        transform: 'translateX(-50%)',
+                        backgroundColor: theme.palette.background.paper,
+                        padding: '4px 8px',
+                        borderRadius: 1,
+                        boxShadow: '0 2px 10px rgba(0,0,0,0.2)',
+                        zIndex: 1,
+                        whiteSpace: 'nowrap',
+                      },
+                    }}
+                  />
+                ))}
+              </Box>
+            ) : (
+              <Typography variant="body2" color="textSecondary" sx={{ textAlign: 'center', py: 2 }}>
+                No data available
+              </Typography>
+            )}
+          </CardContent>
+        </Card>
+      </Grid>
     </Grid>
   );
 
@@ -696,7 +773,7 @@ const Admin = () => {
           <Button
             variant="outlined"
             startIcon={<CloudDownloadIcon />}
-            onClick={handleExportQuotes}
+            onClick={() => setExportDialog({ ...exportDialog, open: true })}
           >
             Export
           </Button>
@@ -968,6 +1045,102 @@ const Admin = () => {
         </DialogActions>
       </Dialog>
 
+      {/* Export Dialog */}
+      <Dialog
+        open={exportDialog.open}
+        onClose={() => !exportProgress && setExportDialog({ ...exportDialog, open: false })}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle>Export Quotes</DialogTitle>
+        <DialogContent>
+          <TextField
+            select
+            margin="dense"
+            name="format"
+            label="Format"
+            fullWidth
+            value={exportDialog.filters.format}
+            onChange={handleExportFilterChange}
+          >
+            <MenuItem value="json">JSON</MenuItem>
+            <MenuItem value="ndjson">NDJSON</MenuItem>
+            <MenuItem value="csv">CSV</MenuItem>
+            <MenuItem value="markdown">Markdown</MenuItem>
+          </TextField>
+          <TextField
+            margin="dense"
+            name="tag"
+            label="Tags (comma separated)"
+            fullWidth
+            value={exportDialog.filters.tag}
+            onChange={handleExportFilterChange}
+          />
+          <TextField
+            margin="dense"
+            name="author"
+            label="Author"
+            fullWidth
+            value={exportDialog.filters.author}
+            onChange={handleExportFilterChange}
+          />
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            <TextField
+              margin="dense"
+              name="from"
+              label="Created from"
+              type="date"
+              fullWidth
+              InputLabelProps={{ shrink: true }}
+              value={exportDialog.filters.from}
+              onChange={handleExportFilterChange}
+            />
+            <TextField
+              margin="dense"
+              name="to"
+              label="Created to"
+              type="date"
+              fullWidth
+              InputLabelProps={{ shrink: true }}
+              value={exportDialog.filters.to}
+              onChange={handleExportFilterChange}
+            />
+          </Box>
+          <TextField
+            margin="dense"
+            name="minViews"
+            label="Minimum views"
+            type="number"
+            fullWidth
+            inputProps={{ min: 0 }}
+            value={exportDialog.filters.minViews}
+            onChange={handleExportFilterChange}
+          />
+          {exportProgress && (
+            <Box sx={{ mt: 2 }}>
+              <LinearProgress
+                variant={exportProgress.total ? 'determinate' : 'indeterminate'}
+                value={exportProgress.total ? (exportProgress.loaded / exportProgress.total) * 100 : 0}
+              />
+              <Typography variant="body2" color="textSecondary" sx={{ mt: 1 }}>
+                Downloaded {(exportProgress.loaded / 1024).toFixed(0)} KB
+              </Typography>
+            </Box>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button
+            onClick={() => setExportDialog({ ...exportDialog, open: false })}
+            disabled={Boolean(exportProgress)}
+          >
+            Cancel
+          </Button>
+          <Button onClick={handleExportQuotes} variant="contained" disabled={Boolean(exportProgress)}>
+            Export
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       {/* Delete Confirmation Dialog */}
       <Dialog
         open={deleteDialog.open}
@@ -980,7 +1153,7 @@ const Admin = () => {
             <br />
             <strong>{deleteDialog.name}</strong>
             <br />
-            This action cannot be undone.
+            It can be restored from the trash until it is permanently purged.
           </DialogContentText>
         </DialogContent>
         <DialogActions>
@@ -0,0 +1,162 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  Button,
+  Container,
+  Typography,
+  Grid,
+  Card,
+  CardContent,
+  Chip,
+  Paper,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { FormatQuote as FormatQuoteIcon } from '@mui/icons-material';
+import { api } from '../services/api';
+
+const QUOTES_PER_PAGE = 10;
+
+const Author = () => {
+  const { slug } = useParams();
+
+  const [author, setAuthor] = useState(null);
+  const [quotes, setQuotes] = useState([]);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchAuthor = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const data = await api.getAuthorQuotes(slug, 1, QUOTES_PER_PAGE);
+        setAuthor(data.author);
+        setQuotes(data.quotes || []);
+        setPage(1);
+        setPages(data.pagination?.pages || 1);
+      } catch (err) {
+        console.error('Error fetching author:', err);
+        setError(err.response?.status === 404 ? 'Author not found.' : 'Failed to load author. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchAuthor();
+  }, [slug]);
+
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const data = await api.getAuthorQuotes(slug, page + 1, QUOTES_PER_PAGE);
+      setQuotes([...quotes, ...(data.quotes || [])]);
+      setPage(page + 1);
+      setPages(data.pagination?.pages || pages);
+    } catch (err) {
+      console.error('Error fetching more quotes:', err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const formatLifespan = () => {
+    if (!author.birthYear && !author.deathYear) return null;
+    return `${author.birthYear || '?'} – ${author.deathYear || ''}`;
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (error) {
+    return (
+      <Container maxWidth="md" sx={{ py: 4 }}>
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+        <Button component={RouterLink} to="/" variant="outlined">
+          Go to Home
+        </Button>
+      </Container>
+    );
+  }
+
+  return (
+    <Container maxWidth="md" sx={{ py: 4 }}>
+      <Paper sx={{ p: 3, mb: 3 }}>
+        <Typography variant="h4" component="h1" gutterBottom>
+          {author.name}
+        </Typography>
+        {formatLifespan() && (
+          <Typography variant="subtitle1" color="text.secondary" gutterBottom>
+            {formatLifespan()}
+          </Typography>
+        )}
+        {author.bio && (
+          <Typography variant="body1" sx={{ mt: 2 }}>
+            {author.bio}
+          </Typography>
+        )}
+        {author.aliases?.length > 0 && (
+          <Box sx={{ mt: 2, display: 'flex', flexWrap: 'wrap', gap: 0.5, alignItems: 'center' }}>
+            <Typography variant="body2" color="text.secondary" sx={{ mr: 1 }}>
+              Also known as:
+            </Typography>
+            {author.aliases.map((alias) => (
+              <Chip key={alias} label={alias} size="small" variant="outlined" />
+            ))}
+          </Box>
+        )}
+        <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+          {author.quoteCount} {author.quoteCount === 1 ? 'quote' : 'quotes'}
+        </Typography>
+      </Paper>
+
+      <Grid container spacing={3}>
+        {quotes.map((quote) => (
+          <Grid item xs={12} key={quote._id}>
+            <Card>
+              <CardContent>
+                <FormatQuoteIcon color="primary" />
+                <Typography variant="body1" sx={{ fontStyle: 'italic', mb: 1 }}>
+                  "{quote.text}"
+                </Typography>
+                {quote.source && (
+                  <Typography variant="body2" color="text.secondary">
+                    {quote.source}
+                  </Typography>
+                )}
+                {quote.tags?.length > 0 && (
+                  <Box sx={{ mt: 2, display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                    {quote.tags.map((tag) => (
+                      <Chip key={tag} label={tag} size="small" variant="outlined" />
+                    ))}
+                  </Box>
+                )}
+              </CardContent>
+            </Card>
+          </Grid>
+        ))}
+      </Grid>
+
+      {page < pages && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', mt: 3 }}>
+          <Button variant="outlined" onClick={handleLoadMore} disabled={loadingMore}>
+            {loadingMore ? <CircularProgress size={24} /> : 'Load More'}
+          </Button>
+        </Box>
+      )}
+    </Container>
+  );
+};
+
+export default Author;
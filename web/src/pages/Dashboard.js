@@ -16,6 +16,8 @@ import {
   Snackbar,
   Alert,
   CircularProgress,
+  Rating,
+  Tooltip,
   useMediaQuery,
 } from '@mui/material';
 import {
@@ -25,9 +27,32 @@ import {
   Share as ShareIcon,
   Refresh as RefreshIcon,
   FormatQuote as FormatQuoteIcon,
+  Add as AddIcon,
+  Check as CheckIcon,
+  AutoAwesome as AutoAwesomeIcon,
+  SentimentVerySatisfied as SentimentVerySatisfiedIcon,
+  Psychology as PsychologyIcon,
 } from '@mui/icons-material';
 import { useTheme } from '@mui/material/styles';
 import { api } from '../services/api';
+import StreakCard from '../components/StreakCard';
+import TrendingStrip from '../components/TrendingStrip';
+
+const FEED_PER_PAGE = 10;
+
+// Why a quote is in the feed
+const FEED_REASONS = {
+  following: 'Following',
+  new: 'New',
+  popular: 'Popular',
+};
+
+// Reactions a user can leave on a quote, at most one per quote
+const REACTIONS = [
+  { value: 'inspiring', label: 'Inspiring', icon: <AutoAwesomeIcon /> },
+  { value: 'funny', label: 'Funny', icon: <SentimentVerySatisfiedIcon /> },
+  { value: 'thought_provoking', label: 'Thought-provoking', icon: <PsychologyIcon /> },
+];
 
 const Dashboard = () => {
   const theme = useTheme();
@@ -35,6 +60,16 @@ const Dashboard = () => {
   
   const [quote, setQuote] = useState(null);
   const [favorites, setFavorites] = useState([]);
+  const [quoteIsFavorite, setQuoteIsFavorite] = useState(false);
+  const [quoteReactions, setQuoteReactions] = useState(null);
+  const [reactionLoading, setReactionLoading] = useState(false);
+  const [streak, setStreak] = useState(null);
+  const [feed, setFeed] = useState([]);
+  const [feedPage, setFeedPage] = useState(1);
+  const [feedPages, setFeedPages] = useState(1);
+  const [feedLoading, setFeedLoading] = useState(true);
+  const [following, setFollowing] = useState({ tags: [], authors: [] });
+  const [followLoading, setFollowLoading] = useState(false);
   const [tabValue, setTabValue] = useState(0);
   const [loading, setLoading] = useState(true);
   const [favoriteLoading, setFavoriteLoading] = useState(false);
@@ -51,6 +86,10 @@ const Dashboard = () => {
     try {
       const data = await api.getRandomQuote();
       setQuote(data);
+      // Reading a quote may extend today's streak
+      fetchStreak();
+      fetchFavoriteStatus(data._id);
+      fetchQuoteReactions(data._id);
     } catch (err) {
       console.error('Error fetching random quote:', err);
       setError('Failed to fetch a quote. Please try again.');
@@ -59,6 +98,34 @@ const Dashboard = () => {
     }
   };
 
+  const fetchFeed = async (page = 1) => {
+    setFeedLoading(true);
+    try {
+      const data = await api.getFeed(page, FEED_PER_PAGE);
+      setFeed(page === 1 ? data.feed : [...feed, ...data.feed]);
+      setFeedPage(page);
+      setFeedPages(data.pagination?.pages || 1);
+    } catch (err) {
+      console.error('Error fetching feed:', err);
+      setSnackbar({
+        open: true,
+        message: 'Failed to load your feed',
+        severity: 'error',
+      });
+    } finally {
+      setFeedLoading(false);
+    }
+  };
+
+  const fetchFollowing = async () => {
+    try {
+      const data = await api.getFollowing();
+      setFollowing(data.following);
+    } catch (err) {
+      console.error('Error fetching followed tags and authors:', err);
+    }
+  };
+
   const fetchFavorites = async () => {
     try {
       const data = await api.getFavorites();
@@ -69,9 +136,42 @@ const Dashboard = () => {
     }
   };
 
+  // Favorites are paginated, so ask the server about the current quote
+  const fetchFavoriteStatus = async (quoteId) => {
+    try {
+      const data = await api.isInFavorites(quoteId);
+      setQuoteIsFavorite(data.isFavorite);
+    } catch (err) {
+      console.error('Error checking favorite:', err);
+    }
+  };
+
+  const fetchQuoteReactions = async (quoteId) => {
+    setQuoteReactions(null);
+    try {
+      const data = await api.getQuoteReactions(quoteId);
+      setQuoteReactions(data);
+    } catch (err) {
+      console.error('Error fetching reactions:', err);
+      // Don't show error for reactions, just log it
+    }
+  };
+
+  const fetchStreak = async () => {
+    try {
+      const data = await api.getStreak();
+      setStreak(data);
+    } catch (err) {
+      console.error('Error fetching streak:', err);
+      // Don't show error for the streak, just log it
+    }
+  };
+
   useEffect(() => {
     fetchRandomQuote();
     fetchFavorites();
+    fetchFeed();
+    fetchFollowing();
   }, []);
 
   const handleTabChange = (event, newValue) => {
@@ -81,10 +181,13 @@ const Dashboard = () => {
   const handleToggleFavorite = async (quoteId) => {
     setFavoriteLoading(true);
     try {
-      const isFavorite = favorites.some(fav => fav._id === quoteId);
+      const isFavorite = isQuoteFavorite(quoteId);
       if (isFavorite) {
         await api.removeFromFavorites(quoteId);
         setFavorites(favorites.filter(fav => fav._id !== quoteId));
+        if (quote && quote._id === quoteId) {
+          setQuoteIsFavorite(false);
+        }
         setSnackbar({
           open: true,
           message: 'Quote removed from favorites',
@@ -93,7 +196,9 @@ const Dashboard = () => {
       } else {
         await api.addToFavorites(quoteId);
         if (quote && quote._id === quoteId) {
-          setFavorites([...favorites, quote]);
+          // Newest favorites are listed first
+          setFavorites([quote, ...favorites]);
+          setQuoteIsFavorite(true);
         } else {
           // Refresh favorites to get the updated list
           await fetchFavorites();
@@ -116,6 +221,82 @@ const Dashboard = () => {
     }
   };
 
+  const isFollowingTag = (tag) => following.tags.includes(tag);
+
+  const isFollowingAuthor = (authorId) => following.authors.some((author) => author._id === authorId);
+
+  // Follows change what the feed shows, so it starts over from the first page
+  const handleToggleFollow = async (follow, unfollow, isFollowing, value) => {
+    setFollowLoading(true);
+    try {
+      const data = isFollowing ? await unfollow(value) : await follow(value);
+      setFollowing(data.following);
+      setSnackbar({
+        open: true,
+        message: data.message,
+        severity: 'success',
+      });
+      fetchFeed();
+    } catch (err) {
+      console.error('Error updating follows:', err);
+      setSnackbar({
+        open: true,
+        message: err.response?.data?.error?.message || 'Failed to update what you follow',
+        severity: 'error',
+      });
+    } finally {
+      setFollowLoading(false);
+    }
+  };
+
+  const handleToggleFollowTag = (tag) => {
+    handleToggleFollow(api.followTag, api.unfollowTag, isFollowingTag(tag), tag);
+  };
+
+  const handleToggleFollowAuthor = (authorId) => {
+    handleToggleFollow(api.followAuthor, api.unfollowAuthor, isFollowingAuthor(authorId), authorId);
+  };
+
+  // Picking the user's current reaction again removes it
+  const handleReact = async (reaction) => {
+    setReactionLoading(true);
+    try {
+      const data = quoteReactions.mine?.reaction === reaction
+        ? await api.removeQuoteReaction(quote._id)
+        : await api.reactToQuote(quote._id, reaction);
+      setQuoteReactions(data);
+    } catch (err) {
+      console.error('Error updating reaction:', err);
+      setSnackbar({
+        open: true,
+        message: 'Failed to update your reaction',
+        severity: 'error',
+      });
+    } finally {
+      setReactionLoading(false);
+    }
+  };
+
+  // Clicking the user's current rating again clears it
+  const handleRate = async (rating) => {
+    setReactionLoading(true);
+    try {
+      const data = rating
+        ? await api.rateQuote(quote._id, rating)
+        : await api.removeQuoteRating(quote._id);
+      setQuoteReactions(data);
+    } catch (err) {
+      console.error('Error updating rating:', err);
+      setSnackbar({
+        open: true,
+        message: 'Failed to update your rating',
+        severity: 'error',
+      });
+    } finally {
+      setReactionLoading(false);
+    }
+  };
+
   const handleCopyQuote = (text) => {
     navigator.clipboard.writeText(text)
       .then(() => {
@@ -172,10 +353,47 @@ const Dashboard = () => {
   };
 
   const isQuoteFavorite = (quoteId) => {
+    if (quote && quote._id === quoteId) {
+      return quoteIsFavorite;
+    }
     return favorites.some(fav => fav._id === quoteId);
   };
 
-  const renderQuoteCard = (quoteData, isFavoritesList = false) => {
+  const renderReactions = () => (
+    <Box sx={{ mt: 2, display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 1 }}>
+      {REACTIONS.map(({ value, label, icon }) => (
+        <Tooltip key={value} title={label}>
+          {/* Wrapped so the tooltip still shows while the chip is disabled */}
+          <span>
+            <Chip
+              icon={icon}
+              label={quoteReactions.reactions[value]}
+              color={quoteReactions.mine?.reaction === value ? 'primary' : 'default'}
+              variant={quoteReactions.mine?.reaction === value ? 'filled' : 'outlined'}
+              onClick={() => handleReact(value)}
+              disabled={reactionLoading}
+              aria-label={label}
+            />
+          </span>
+        </Tooltip>
+      ))}
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, ml: 'auto' }}>
+        <Rating
+          name="quote-rating"
+          value={quoteReactions.mine?.rating || null}
+          onChange={(event, value) => handleRate(value)}
+          disabled={reactionLoading}
+        />
+        <Typography variant="body2" color="text.secondary">
+          {quoteReactions.rating.count > 0
+            ? `${quoteReactions.rating.average.toFixed(1)} (${quoteReactions.rating.count})`
+            : 'No ratings yet'}
+        </Typography>
+      </Box>
+    </Box>
+  );
+
+  const renderQuoteCard = (quoteData, isFavoritesList = false, reason = null) => {
     if (!quoteData) return null;
     
     const favorite = isQuoteFavorite(quoteData._id);
@@ -216,19 +434,48 @@ const Dashboard = () => {
           }}
         />
         <CardContent sx={{ flexGrow: 1, pt: 3 }}>
+          {reason && (
+            <Chip label={FEED_REASONS[reason]} size="small" color="secondary" sx={{ mb: 1 }} />
+          )}
           <Typography variant="body1" component="div" gutterBottom sx={{ fontStyle: 'italic', mb: 2 }}>
             "{quoteData.text}"
           </Typography>
           <Typography variant="subtitle1" color="text.secondary" sx={{ textAlign: 'right' }}>
             — {quoteData.author}
           </Typography>
+          {reason && quoteData.authorId && (
+            <Box sx={{ textAlign: 'right' }}>
+              <Button
+                size="small"
+                startIcon={isFollowingAuthor(quoteData.authorId) ? <CheckIcon /> : <AddIcon />}
+                onClick={() => handleToggleFollowAuthor(quoteData.authorId)}
+                disabled={followLoading}
+              >
+                {isFollowingAuthor(quoteData.authorId) ? 'Following author' : 'Follow author'}
+              </Button>
+            </Box>
+          )}
           {quoteData.tags && quoteData.tags.length > 0 && (
             <Box sx={{ mt: 2, display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
               {quoteData.tags.map((tag) => (
-                <Chip key={tag} label={tag} size="small" variant="outlined" />
+                reason ? (
+                  <Chip
+                    key={tag}
+                    label={tag}
+                    size="small"
+                    color={isFollowingTag(tag) ? 'primary' : 'default'}
+                    variant={isFollowingTag(tag) ? 'filled' : 'outlined'}
+                    icon={isFollowingTag(tag) ? <CheckIcon /> : <AddIcon />}
+                    onClick={() => handleToggleFollowTag(tag)}
+                    disabled={followLoading}
+                  />
+                ) : (
+                  <Chip key={tag} label={tag} size="small" variant="outlined" />
+                )
               ))}
             </Box>
           )}
+          {!isFavoritesList && !reason && quoteReactions?.quoteId === quoteData._id && renderReactions()}
         </CardContent>
         <Divider />
         <CardActions sx={{ justifyContent: 'space-between', p: 1 }}>
@@ -254,7 +501,7 @@ const Dashboard = () => {
               <ShareIcon />
             </IconButton>
           </Box>
-          {!isFavoritesList && (
+          {!isFavoritesList && !reason && (
             <Button 
               startIcon={<RefreshIcon />} 
               onClick={fetchRandomQuote}
@@ -272,6 +519,10 @@ const Dashboard = () => {
 
   return (
     <Box sx={{ flexGrow: 1 }}>
+      <StreakCard streak={streak} />
+
+      <TrendingStrip />
+
       <Paper sx={{ mb: 3 }}>
         <Tabs
           value={tabValue}
@@ -282,6 +533,7 @@ const Dashboard = () => {
           centered={!isMobile}
         >
           <Tab label="Daily Quote" />
+          <Tab label="For You" />
           <Tab label="Favorites" />
         </Tabs>
       </Paper>
@@ -311,6 +563,62 @@ const Dashboard = () => {
       )}
 
       {tabValue === 1 && (
+        <Box sx={{ py: 2 }}>
+          {(following.tags.length > 0 || following.authors.length > 0) ? (
+            <Box sx={{ mb: 3, display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 1 }}>
+              <Typography variant="body2" color="text.secondary">
+                Following:
+              </Typography>
+              {following.tags.map((tag) => (
+                <Chip
+                  key={tag}
+                  label={tag}
+                  size="small"
+                  onDelete={() => handleToggleFollowTag(tag)}
+                  disabled={followLoading}
+                />
+              ))}
+              {following.authors.map((author) => (
+                <Chip
+                  key={author._id}
+                  label={author.name}
+                  size="small"
+                  color="primary"
+                  variant="outlined"
+                  onDelete={() => handleToggleFollowAuthor(author._id)}
+                  disabled={followLoading}
+                />
+              ))}
+            </Box>
+          ) : (
+            <Alert severity="info" sx={{ mb: 3 }}>
+              Follow tags and authors from the quotes below to see more of what you like.
+            </Alert>
+          )}
+          {feedLoading && feed.length === 0 ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+              <CircularProgress />
+            </Box>
+          ) : (
+            <Grid container spacing={3}>
+              {feed.map(({ quote: feedQuote, reason }) => (
+                <Grid item xs={12} md={6} key={feedQuote._id}>
+                  {renderQuoteCard(feedQuote, false, reason)}
+                </Grid>
+              ))}
+            </Grid>
+          )}
+          {feedPage < feedPages && (
+            <Box sx={{ display: 'flex', justifyContent: 'center', mt: 3 }}>
+              <Button variant="outlined" onClick={() => fetchFeed(feedPage + 1)} disabled={feedLoading}>
+                {feedLoading ? <CircularProgress size={24} /> : 'Load More'}
+              </Button>
+            </Box>
+          )}
+        </Box>
+      )}
+
+      {tabValue === 2 && (
         <Box sx={{ py: 2 }}>
           {favorites.length === 0 ? (
             <Paper sx={{ p: 3, textAlign: 'center' }}>
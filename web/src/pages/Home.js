@@ -30,6 +30,7 @@ import {
   ArrowDownward as ArrowDownwardIcon,
 } from '@mui/icons-material';
 import { api } from '../services/api';
+import TrendingStrip from '../components/TrendingStrip';
 
 const Home = () => {
   const theme = useTheme();
@@ -295,6 +296,9 @@ const Home = () => {
         <Box sx={{ mt: 4, maxWidth: 800, mx: 'auto' }}>
           {renderQuoteCard()}
         </Box>
+        <Box sx={{ mt: 6, maxWidth: 800, mx: 'auto' }}>
+          <TrendingStrip />
+        </Box>
       </Container>
 
       {/* Features Section */}
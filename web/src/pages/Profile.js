@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
 import {
   Box,
   Paper,
@@ -32,6 +33,8 @@ import {
   DialogContentText,
   DialogTitle,
   InputAdornment,
+  Menu,
+  Pagination,
 } from '@mui/material';
 import {
   Edit as EditIcon,
@@ -44,14 +47,32 @@ import {
   Favorite as FavoriteIcon,
   Settings as SettingsIcon,
   PhotoCamera as PhotoCameraIcon,
+  Download as DownloadIcon,
+  DeleteForever as DeleteForeverIcon,
+  Delete as DeleteIcon,
+  NoteAdd as NoteAddIcon,
+  Search as SearchIcon,
+  PlaylistAdd as PlaylistAddIcon,
+  ArrowUpward as ArrowUpwardIcon,
+  ArrowDownward as ArrowDownwardIcon,
+  ChevronLeft as ChevronLeftIcon,
+  ChevronRight as ChevronRightIcon,
+  Close as CloseIcon,
+  Share as ShareIcon,
+  ContentCopy as ContentCopyIcon,
 } from '@mui/icons-material';
 import { useTheme } from '@mui/material/styles';
-import { getAuth, updateEmail, updatePassword, reauthenticateWithCredential, EmailAuthProvider } from 'firebase/auth';
+import { getAuth, signOut, updateEmail, updatePassword, reauthenticateWithCredential, EmailAuthProvider } from 'firebase/auth';
 import { api } from '../services/api';
 import { format } from 'date-fns';
 
+const FAVORITES_PER_PAGE = 10;
+
+const MOODS = ['inspired', 'motivated', 'grateful', 'hopeful', 'calm', 'reflective', 'uncertain', 'sad'];
+
 const Profile = () => {
   const theme = useTheme();
+  const navigate = useNavigate();
   const auth = getAuth();
   const user = auth.currentUser;
   
@@ -84,6 +105,13 @@ const Profile = () => {
   
   const [activityHistory, setActivityHistory] = useState([]);
   const [favorites, setFavorites] = useState([]);
+  const [favoritesPage, setFavoritesPage] = useState(1);
+  const [favoritesPages, setFavoritesPages] = useState(1);
+  const [collections, setCollections] = useState([]);
+  const [selectedCollection, setSelectedCollection] = useState(null);
+  const [collectionEntries, setCollectionEntries] = useState([]);
+  const [reflections, setReflections] = useState([]);
+  const [journalSearch, setJournalSearch] = useState('');
   
   const [snackbar, setSnackbar] = useState({
     open: false,
@@ -98,13 +126,45 @@ const Profile = () => {
     callback: null,
   });
   
+  const [deleteDialog, setDeleteDialog] = useState({
+    open: false,
+    confirmation: '',
+  });
+  
+  const [reflectionDialog, setReflectionDialog] = useState({
+    open: false,
+    quote: null,
+    text: '',
+    mood: '',
+  });
+  
+  const [collectionDialog, setCollectionDialog] = useState({
+    open: false,
+    id: null,
+    name: '',
+  });
+  
+  const [shareDialog, setShareDialog] = useState({
+    open: false,
+    id: null,
+    visibility: 'unlisted',
+  });
+  
+  const [collectionMenu, setCollectionMenu] = useState({
+    anchorEl: null,
+    quote: null,
+  });
+  
+  const [exporting, setExporting] = useState(false);
+  
   const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
 
   useEffect(() => {
     const fetchProfileData = async () => {
       setLoading(true);
       try {
-        const data = await api.getUserProfile();
+        const { user: data } = await api.getUserProfile();
         setProfileData(data);
         setFormData({
           displayName: user.displayName || '',
@@ -138,20 +198,51 @@ const Profile = () => {
     }
   };
 
-  const fetchFavorites = async () => {
+  const fetchFavorites = async (page = favoritesPage) => {
     try {
-      const data = await api.getFavorites();
-      setFavorites(data);
+      const data = await api.getFavorites(page, FAVORITES_PER_PAGE);
+      setFavorites(data.favorites || []);
+      setFavoritesPages(data.pagination?.pages || 1);
     } catch (err) {
       console.error('Error fetching favorites:', err);
     }
   };
 
+  const fetchCollections = async () => {
+    try {
+      const data = await api.getCollections();
+      setCollections(data.collections || []);
+    } catch (err) {
+      console.error('Error fetching collections:', err);
+    }
+  };
+
+  const fetchCollectionEntries = async (id, page = favoritesPage) => {
+    try {
+      const data = await api.getCollection(id, page, FAVORITES_PER_PAGE);
+      setCollectionEntries(data.entries || []);
+      setFavoritesPages(data.pagination?.pages || 1);
+    } catch (err) {
+      console.error('Error fetching collection:', err);
+    }
+  };
+
+  const fetchReflections = async (search = journalSearch) => {
+    try {
+      const data = await api.getReflections(search ? { q: search } : {}, 1, 50);
+      setReflections(data.reflections || []);
+    } catch (err) {
+      console.error('Error fetching reflections:', err);
+    }
+  };
+
   useEffect(() => {
     if (tabValue === 1) {
       fetchActivityHistory();
     } else if (tabValue === 2) {
       fetchFavorites();
+      fetchCollections();
+      fetchReflections();
     }
   }, [tabValue]);
 
@@ -206,6 +297,7 @@ const Profile = () => {
   const handleSaveProfile = async () => {
     setLoading(true);
     setError('');
+    setFieldErrors({});
     
     try {
       // Check if email has changed
@@ -243,11 +335,12 @@ const Profile = () => {
 
   const updateProfileData = async () => {
     try {
+      // Empty optional fields are sent as null to clear them
       await api.updateUserProfile({
         displayName: formData.displayName,
-        firstName: formData.firstName,
-        lastName: formData.lastName,
-        bio: formData.bio,
+        firstName: formData.firstName || null,
+        lastName: formData.lastName || null,
+        bio: formData.bio || null,
         preferences: formData.preferences,
       });
       
@@ -259,11 +352,15 @@ const Profile = () => {
       });
       
       // Refresh profile data
-      const data = await api.getUserProfile();
+      const { user: data } = await api.getUserProfile();
       setProfileData(data);
     } catch (err) {
       console.error('Error updating profile:', err);
-      setError('Failed to update profile');
+      
+      // Show validation errors next to the fields they belong to
+      const details = err.response?.data?.error?.details || [];
+      setFieldErrors(Object.fromEntries(details.map(({ field, message }) => [field, message])));
+      setError(details.length > 0 ? 'Please correct the highlighted fields' : 'Failed to update profile');
     } finally {
       setLoading(false);
     }
@@ -364,6 +461,269 @@ const Profile = () => {
     }
   };
 
+  const showError = (message) => {
+    setSnackbar({
+      open: true,
+      message,
+      severity: 'error',
+    });
+  };
+
+  const handleSelectCollection = (id) => {
+    setSelectedCollection(id);
+    setFavoritesPage(1);
+    if (id) {
+      fetchCollectionEntries(id, 1);
+    } else {
+      fetchFavorites(1);
+    }
+  };
+  
+  const handleFavoritesPageChange = (event, page) => {
+    setFavoritesPage(page);
+    if (selectedCollection) {
+      fetchCollectionEntries(selectedCollection, page);
+    } else {
+      fetchFavorites(page);
+    }
+  };
+  
+  const handleSaveCollection = async () => {
+    try {
+      if (collectionDialog.id) {
+        await api.updateCollection(collectionDialog.id, { name: collectionDialog.name });
+      } else {
+        await api.createCollection(collectionDialog.name);
+      }
+      setCollectionDialog({ open: false, id: null, name: '' });
+      fetchCollections();
+    } catch (err) {
+      console.error('Error saving collection:', err);
+      showError(err.response?.data?.error?.message || 'Failed to save collection');
+    }
+  };
+  
+  const handleMoveCollection = async (collection, offset) => {
+    try {
+      await api.updateCollection(collection._id, { position: collection.position + offset });
+      fetchCollections();
+    } catch (err) {
+      console.error('Error moving collection:', err);
+      showError('Failed to move collection');
+    }
+  };
+  
+  const handleDeleteCollection = async (id) => {
+    try {
+      await api.deleteCollection(id);
+      handleSelectCollection(null);
+      fetchCollections();
+    } catch (err) {
+      console.error('Error deleting collection:', err);
+      showError('Failed to delete collection');
+    }
+  };
+  
+  const handleOpenShareDialog = (collection) => {
+    setShareDialog({
+      open: true,
+      id: collection._id,
+      visibility: collection.visibility === 'private' ? 'unlisted' : collection.visibility,
+    });
+  };
+  
+  const handleShareCollection = async () => {
+    try {
+      await api.shareCollection(shareDialog.id, shareDialog.visibility);
+      fetchCollections();
+      setSnackbar({
+        open: true,
+        message: 'Collection shared',
+        severity: 'success',
+      });
+    } catch (err) {
+      console.error('Error sharing collection:', err);
+      showError(err.response?.data?.error?.message || 'Failed to share collection');
+    }
+  };
+  
+  const handleUnshareCollection = async () => {
+    try {
+      await api.unshareCollection(shareDialog.id);
+      setShareDialog({ ...shareDialog, open: false });
+      fetchCollections();
+      setSnackbar({
+        open: true,
+        message: 'Share link revoked',
+        severity: 'success',
+      });
+    } catch (err) {
+      console.error('Error revoking share link:', err);
+      showError('Failed to revoke share link');
+    }
+  };
+  
+  const handleCopyShareLink = (link) => {
+    navigator.clipboard.writeText(link)
+      .then(() => {
+        setSnackbar({
+          open: true,
+          message: 'Link copied to clipboard',
+          severity: 'success',
+        });
+      })
+      .catch((err) => {
+        console.error('Error copying link:', err);
+        showError('Failed to copy link');
+      });
+  };
+  
+  const handleAddToCollection = async (collectionId) => {
+    const { quote } = collectionMenu;
+    setCollectionMenu({ anchorEl: null, quote: null });
+    try {
+      const data = await api.addToCollection(collectionId, quote._id);
+      fetchCollections();
+      setSnackbar({
+        open: true,
+        message: data.message,
+        severity: 'success',
+      });
+    } catch (err) {
+      console.error('Error adding to collection:', err);
+      showError('Failed to add quote to collection');
+    }
+  };
+  
+  const handleMoveEntry = async (entry, offset) => {
+    try {
+      await api.updateCollectionEntry(selectedCollection, entry.quote._id, { position: entry.position + offset });
+      fetchCollectionEntries(selectedCollection);
+    } catch (err) {
+      console.error('Error moving quote:', err);
+      showError('Failed to move quote');
+    }
+  };
+  
+  const handleRemoveFromCollection = async (quoteId) => {
+    try {
+      await api.removeFromCollection(selectedCollection, quoteId);
+      fetchCollectionEntries(selectedCollection);
+      fetchCollections();
+    } catch (err) {
+      console.error('Error removing from collection:', err);
+      showError('Failed to remove quote from collection');
+    }
+  };
+
+  const handleSaveReflection = async () => {
+    try {
+      await api.createReflection({
+        quoteId: reflectionDialog.quote._id,
+        text: reflectionDialog.text,
+        mood: reflectionDialog.mood || undefined,
+      });
+      setReflectionDialog({ open: false, quote: null, text: '', mood: '' });
+      fetchReflections();
+      setSnackbar({
+        open: true,
+        message: 'Reflection saved',
+        severity: 'success',
+      });
+    } catch (err) {
+      console.error('Error saving reflection:', err);
+      setSnackbar({
+        open: true,
+        message: 'Failed to save reflection',
+        severity: 'error',
+      });
+    }
+  };
+  
+  const handleDeleteReflection = async (id) => {
+    try {
+      await api.deleteReflection(id);
+      setReflections(reflections.filter((reflection) => reflection._id !== id));
+    } catch (err) {
+      console.error('Error deleting reflection:', err);
+      setSnackbar({
+        open: true,
+        message: 'Failed to delete reflection',
+        severity: 'error',
+      });
+    }
+  };
+  
+  const handleExportJournal = async () => {
+    setExporting(true);
+    try {
+      const blob = await api.exportJournal(journalSearch ? { q: journalSearch } : {});
+      
+      // Create a download link for the journal
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `journal_${format(new Date(), 'yyyy-MM-dd')}.md`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error exporting journal:', err);
+      setSnackbar({
+        open: true,
+        message: 'Failed to download your journal',
+        severity: 'error',
+      });
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleExportData = async (exportFormat) => {
+    setExporting(true);
+    try {
+      const blob = await api.exportPersonalData(exportFormat);
+      
+      // Create a download link for the exported file
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `personal_data_${format(new Date(), 'yyyy-MM-dd')}.${exportFormat}`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error exporting personal data:', err);
+      setSnackbar({
+        open: true,
+        message: 'Failed to download your data',
+        severity: 'error',
+      });
+    } finally {
+      setExporting(false);
+    }
+  };
+  
+  const handleDeleteAccount = async () => {
+    setLoading(true);
+    try {
+      await api.deleteAccount();
+      await signOut(auth);
+      navigate('/login');
+    } catch (err) {
+      console.error('Error deleting account:', err);
+      setDeleteDialog({ open: false, confirmation: '' });
+      setSnackbar({
+        open: true,
+        message: err.response?.data?.error?.message || 'Failed to delete account',
+        severity: 'error',
+      });
+      setLoading(false);
+    }
+  };
+
   const handleCloseSnackbar = (event, reason) => {
     if (reason === 'clickaway') {
       return;
@@ -485,6 +845,9 @@ const Profile = () => {
                 onChange={handleChange}
                 disabled={!editMode || loading}
                 margin="normal"
+                error={Boolean(fieldErrors.firstName)}
+                helperText={fieldErrors.firstName}
+                inputProps={{ maxLength: 50 }}
               />
             </Grid>
             <Grid item xs={12} sm={6}>
@@ -496,6 +859,9 @@ const Profile = () => {
                 onChange={handleChange}
                 disabled={!editMode || loading}
                 margin="normal"
+                error={Boolean(fieldErrors.lastName)}
+                helperText={fieldErrors.lastName}
+                inputProps={{ maxLength: 50 }}
               />
             </Grid>
             <Grid item xs={12}>
@@ -507,6 +873,9 @@ const Profile = () => {
                 onChange={handleChange}
                 disabled={!editMode || loading}
                 margin="normal"
+                error={Boolean(fieldErrors.bio)}
+                helperText={fieldErrors.bio || `${formData.bio.length}/500`}
+                inputProps={{ maxLength: 500 }}
                 multiline
                 rows={3}
               />
@@ -636,6 +1005,43 @@ const Profile = () => {
               />
             </Grid>
           </Grid>
+          
+          <Divider sx={{ my: 3 }} />
+          
+          <Typography variant="h6" sx={{ mb: 2 }}>
+            Your Data
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Download your profile, favorites, reflections, view history and activity, or delete your account.
+            Deleted accounts are permanently removed after a grace period.
+          </Typography>
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2 }}>
+            <Button
+              variant="outlined"
+              startIcon={exporting ? <CircularProgress size={20} /> : <DownloadIcon />}
+              onClick={() => handleExportData('json')}
+              disabled={exporting}
+            >
+              Download (JSON)
+            </Button>
+            <Button
+              variant="outlined"
+              startIcon={exporting ? <CircularProgress size={20} /> : <DownloadIcon />}
+              onClick={() => handleExportData('zip')}
+              disabled={exporting}
+            >
+              Download (ZIP)
+            </Button>
+            <Button
+              variant="outlined"
+              color="error"
+              startIcon={<DeleteForeverIcon />}
+              onClick={() => setDeleteDialog({ open: true, confirmation: '' })}
+              disabled={loading}
+            >
+              Delete Account
+            </Button>
+          </Box>
         </Paper>
       </Grid>
     </Grid>
@@ -670,36 +1076,340 @@ const Profile = () => {
     </Paper>
   );
 
+  const renderCollectionBar = () => {
+    const selected = collections.find((collection) => collection._id === selectedCollection);
+
+    return (
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 1, mb: 2 }}>
+        <Chip
+          label="All favorites"
+          color={selectedCollection ? 'default' : 'primary'}
+          onClick={() => handleSelectCollection(null)}
+        />
+        {collections.map((collection) => (
+          <Chip
+            key={collection._id}
+            label={`${collection.name} (${collection.quoteCount})`}
+            icon={collection.visibility === 'private' ? undefined : <ShareIcon />}
+            color={collection._id === selectedCollection ? 'primary' : 'default'}
+            onClick={() => handleSelectCollection(collection._id)}
+          />
+        ))}
+        {selected && (
+          <Box>
+            <IconButton
+              size="small"
+              aria-label="move collection left"
+              disabled={selected.position === 0}
+              onClick={() => handleMoveCollection(selected, -1)}
+            >
+              <ChevronLeftIcon />
+            </IconButton>
+            <IconButton
+              size="small"
+              aria-label="move collection right"
+              disabled={selected.position === collections.length - 1}
+              onClick={() => handleMoveCollection(selected, 1)}
+            >
+              <ChevronRightIcon />
+            </IconButton>
+            <IconButton
+              size="small"
+              aria-label="rename collection"
+              onClick={() => setCollectionDialog({ open: true, id: selected._id, name: selected.name })}
+            >
+              <EditIcon />
+            </IconButton>
+            <IconButton
+              size="small"
+              aria-label="share collection"
+              onClick={() => handleOpenShareDialog(selected)}
+            >
+              <ShareIcon />
+            </IconButton>
+            <IconButton
+              size="small"
+              aria-label="delete collection"
+              onClick={() => handleDeleteCollection(selected._id)}
+            >
+              <DeleteIcon />
+            </IconButton>
+          </Box>
+        )}
+      </Box>
+    );
+  };
+
+  const renderShareDialog = () => {
+    const shared = collections.find((collection) => collection._id === shareDialog.id);
+    const link = shared?.slug && `${window.location.origin}/collections/${shared.slug}`;
+
+    return (
+      <Dialog
+        open={shareDialog.open}
+        onClose={() => setShareDialog({ ...shareDialog, open: false })}
+        fullWidth
+        maxWidth="sm"
+      >
+        <DialogTitle>Share Collection</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            Anyone with the link can view an unlisted collection. Public collections are also listed for everyone to browse.
+          </DialogContentText>
+          <FormControl fullWidth margin="dense">
+            <InputLabel id="share-visibility-label">Visibility</InputLabel>
+            <Select
+              labelId="share-visibility-label"
+              value={shareDialog.visibility}
+              label="Visibility"
+              onChange={(e) => setShareDialog({ ...shareDialog, visibility: e.target.value })}
+            >
+              <MenuItem value="unlisted">Unlisted</MenuItem>
+              <MenuItem value="public">Public</MenuItem>
+            </Select>
+          </FormControl>
+          {link && (
+            <>
+              <TextField
+                margin="dense"
+                label="Share link"
+                fullWidth
+                variant="outlined"
+                value={link}
+                InputProps={{
+                  readOnly: true,
+                  endAdornment: (
+                    <InputAdornment position="end">
+                      <IconButton aria-label="copy share link" onClick={() => handleCopyShareLink(link)}>
+                        <ContentCopyIcon />
+                      </IconButton>
+                    </InputAdornment>
+                  ),
+                }}
+              />
+              <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                Viewed {shared.views} {shared.views === 1 ? 'time' : 'times'}
+              </Typography>
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          {link && (
+            <Button color="error" onClick={handleUnshareCollection}>
+              Revoke Link
+            </Button>
+          )}
+          <Button onClick={() => setShareDialog({ ...shareDialog, open: false })}>Close</Button>
+          <Button
+            onClick={handleShareCollection}
+            variant="contained"
+            disabled={shared?.visibility === shareDialog.visibility}
+          >
+            {link ? 'Update' : 'Share'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    );
+  };
+
+  const renderFavoritesList = () => (
+    favorites.length === 0 ? (
+      <Typography variant="body1" color="text.secondary" sx={{ textAlign: 'center', py: 3 }}>
+        You haven't added any favorites yet.
+      </Typography>
+    ) : (
+      <List>
+        {favorites.map((quote) => (
+          <ListItem key={quote._id} divider>
+            <ListItemAvatar>
+              <Avatar sx={{ bgcolor: theme.palette.secondary.main }}>
+                <FormatQuoteIcon />
+              </Avatar>
+            </ListItemAvatar>
+            <ListItemText
+              primary={`"${quote.text}"`}
+              secondary={`— ${quote.author}`}
+              sx={{ pr: 12 }}
+            />
+            <ListItemSecondaryAction>
+              <IconButton
+                aria-label="add to collection"
+                onClick={(e) => setCollectionMenu({ anchorEl: e.currentTarget, quote })}
+                disabled={collections.length === 0}
+              >
+                <PlaylistAddIcon />
+              </IconButton>
+              <IconButton
+                aria-label="write a reflection"
+                onClick={() => setReflectionDialog({ open: true, quote, text: '', mood: '' })}
+              >
+                <NoteAddIcon />
+              </IconButton>
+              <IconButton 
+                edge="end" 
+                aria-label="remove from favorites" 
+                color="error"
+                onClick={() => handleRemoveFavorite(quote._id)}
+              >
+                <FavoriteIcon />
+              </IconButton>
+            </ListItemSecondaryAction>
+          </ListItem>
+        ))}
+      </List>
+    )
+  );
+
+  const renderCollectionEntries = () => (
+    collectionEntries.length === 0 ? (
+      <Typography variant="body1" color="text.secondary" sx={{ textAlign: 'center', py: 3 }}>
+        This collection is empty. Add quotes to it from your favorites.
+      </Typography>
+    ) : (
+      <List>
+        {collectionEntries.map((entry) => (
+          <ListItem key={entry.quote._id} divider>
+            <ListItemAvatar>
+              <Avatar sx={{ bgcolor: theme.palette.secondary.main }}>
+                <FormatQuoteIcon />
+              </Avatar>
+            </ListItemAvatar>
+            <ListItemText
+              primary={`"${entry.quote.text}"`}
+              secondary={entry.note ? `— ${entry.quote.author} · ${entry.note}` : `— ${entry.quote.author}`}
+              sx={{ pr: 12 }}
+            />
+            <ListItemSecondaryAction>
+              <IconButton
+                aria-label="move up"
+                disabled={entry.position === 0}
+                onClick={() => handleMoveEntry(entry, -1)}
+              >
+                <ArrowUpwardIcon />
+              </IconButton>
+              <IconButton
+                aria-label="move down"
+                onClick={() => handleMoveEntry(entry, 1)}
+              >
+                <ArrowDownwardIcon />
+              </IconButton>
+              <IconButton
+                edge="end"
+                aria-label="remove from collection"
+                onClick={() => handleRemoveFromCollection(entry.quote._id)}
+              >
+                <CloseIcon />
+              </IconButton>
+            </ListItemSecondaryAction>
+          </ListItem>
+        ))}
+      </List>
+    )
+  );
+
   const renderFavoritesTab = () => (
     <Paper sx={{ p: 3 }}>
-      <Typography variant="h6" gutterBottom>
-        Favorite Quotes
-      </Typography>
-      {favorites.length === 0 ? (
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Typography variant="h6">Favorite Quotes</Typography>
+        <Button
+          variant="outlined"
+          startIcon={<PlaylistAddIcon />}
+          onClick={() => setCollectionDialog({ open: true, id: null, name: '' })}
+        >
+          New Collection
+        </Button>
+      </Box>
+      {renderCollectionBar()}
+      {selectedCollection ? renderCollectionEntries() : renderFavoritesList()}
+      {favoritesPages > 1 && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', mt: 3 }}>
+          <Pagination
+            count={favoritesPages}
+            page={favoritesPage}
+            onChange={handleFavoritesPageChange}
+            color="primary"
+          />
+        </Box>
+      )}
+      <Menu
+        anchorEl={collectionMenu.anchorEl}
+        open={Boolean(collectionMenu.anchorEl)}
+        onClose={() => setCollectionMenu({ anchorEl: null, quote: null })}
+      >
+        {collections.map((collection) => (
+          <MenuItem key={collection._id} onClick={() => handleAddToCollection(collection._id)}>
+            {collection.name}
+          </MenuItem>
+        ))}
+      </Menu>
+    </Paper>
+  );
+
+  const renderJournal = () => (
+    <Paper sx={{ p: 3, mt: 3 }}>
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'space-between', alignItems: 'center', gap: 2, mb: 2 }}>
+        <Typography variant="h6">Journal</Typography>
+        <Box sx={{ display: 'flex', gap: 2 }}>
+          <TextField
+            size="small"
+            placeholder="Search reflections"
+            value={journalSearch}
+            onChange={(e) => setJournalSearch(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && fetchReflections()}
+            InputProps={{
+              startAdornment: (
+                <InputAdornment position="start">
+                  <SearchIcon />
+                </InputAdornment>
+              ),
+            }}
+          />
+          <Button
+            variant="outlined"
+            startIcon={exporting ? <CircularProgress size={20} /> : <DownloadIcon />}
+            onClick={handleExportJournal}
+            disabled={exporting || reflections.length === 0}
+          >
+            Markdown
+          </Button>
+        </Box>
+      </Box>
+      {reflections.length === 0 ? (
         <Typography variant="body1" color="text.secondary" sx={{ textAlign: 'center', py: 3 }}>
-          You haven't added any favorites yet.
+          {journalSearch ? 'No reflections match your search.' : 'Write a reflection on one of your favorites to start your journal.'}
         </Typography>
       ) : (
         <List>
-          {favorites.map((quote) => (
-            <ListItem key={quote._id} divider>
-              <ListItemAvatar>
-                <Avatar sx={{ bgcolor: theme.palette.secondary.main }}>
-                  <FormatQuoteIcon />
-                </Avatar>
-              </ListItemAvatar>
+          {reflections.map((reflection) => (
+            <ListItem key={reflection._id} divider alignItems="flex-start">
               <ListItemText
-                primary={`"${quote.text}"`}
-                secondary={`— ${quote.author}`}
+                primary={
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 0.5 }}>
+                    <Typography variant="subtitle2">{reflection.date}</Typography>
+                    {reflection.mood && <Chip label={reflection.mood} size="small" />}
+                  </Box>
+                }
+                secondary={
+                  <>
+                    <Typography variant="body2" color="text.secondary" sx={{ fontStyle: 'italic', mb: 1 }}>
+                      {reflection.quoteId
+                        ? `"${reflection.quoteId.text}" — ${reflection.quoteId.author}`
+                        : 'This quote is no longer available'}
+                    </Typography>
+                    <Typography variant="body1" color="text.primary" sx={{ whiteSpace: 'pre-line' }}>
+                      {reflection.text}
+                    </Typography>
+                  </>
+                }
+                secondaryTypographyProps={{ component: 'div' }}
               />
               <ListItemSecondaryAction>
-                <IconButton 
-                  edge="end" 
-                  aria-label="remove from favorites" 
-                  color="error"
-                  onClick={() => handleRemoveFavorite(quote._id)}
+                <IconButton
+                  edge="end"
+                  aria-label="delete reflection"
+                  onClick={() => handleDeleteReflection(reflection._id)}
                 >
-                  <FavoriteIcon />
+                  <DeleteIcon />
                 </IconButton>
               </ListItemSecondaryAction>
             </ListItem>
@@ -736,6 +1446,7 @@ const Profile = () => {
       {tabValue === 0 && renderProfileTab()}
       {tabValue === 1 && renderActivityTab()}
       {tabValue === 2 && renderFavoritesTab()}
+      {tabValue === 2 && renderJournal()}
 
       <Dialog open={reauthDialog.open} onClose={handleReauthDialogClose}>
         <DialogTitle>Verify Your Identity</DialogTitle>
@@ -776,6 +1487,125 @@ const Profile = () => {
         </DialogActions>
       </Dialog>
 
+      <Dialog
+        open={collectionDialog.open}
+        onClose={() => setCollectionDialog({ ...collectionDialog, open: false })}
+      >
+        <DialogTitle>{collectionDialog.id ? 'Rename Collection' : 'New Collection'}</DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            margin="dense"
+            id="collection-name"
+            label="Name"
+            fullWidth
+            variant="outlined"
+            value={collectionDialog.name}
+            onChange={(e) => setCollectionDialog({ ...collectionDialog, name: e.target.value })}
+            inputProps={{ maxLength: 100 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setCollectionDialog({ ...collectionDialog, open: false })}>Cancel</Button>
+          <Button
+            onClick={handleSaveCollection}
+            variant="contained"
+            disabled={!collectionDialog.name.trim()}
+          >
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {renderShareDialog()}
+
+      <Dialog
+        open={reflectionDialog.open}
+        onClose={() => setReflectionDialog({ ...reflectionDialog, open: false })}
+        fullWidth
+        maxWidth="sm"
+      >
+        <DialogTitle>Write a Reflection</DialogTitle>
+        <DialogContent>
+          {reflectionDialog.quote && (
+            <DialogContentText sx={{ fontStyle: 'italic', mb: 2 }}>
+              "{reflectionDialog.quote.text}" — {reflectionDialog.quote.author}
+            </DialogContentText>
+          )}
+          <TextField
+            autoFocus
+            margin="dense"
+            id="reflection-text"
+            label="Reflection"
+            fullWidth
+            multiline
+            rows={4}
+            variant="outlined"
+            value={reflectionDialog.text}
+            onChange={(e) => setReflectionDialog({ ...reflectionDialog, text: e.target.value })}
+            inputProps={{ maxLength: 5000 }}
+          />
+          <FormControl fullWidth margin="dense">
+            <InputLabel id="reflection-mood-label">Mood</InputLabel>
+            <Select
+              labelId="reflection-mood-label"
+              id="reflection-mood"
+              value={reflectionDialog.mood}
+              label="Mood"
+              onChange={(e) => setReflectionDialog({ ...reflectionDialog, mood: e.target.value })}
+            >
+              <MenuItem value="">None</MenuItem>
+              {MOODS.map((mood) => (
+                <MenuItem key={mood} value={mood} sx={{ textTransform: 'capitalize' }}>
+                  {mood}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setReflectionDialog({ ...reflectionDialog, open: false })}>Cancel</Button>
+          <Button
+            onClick={handleSaveReflection}
+            variant="contained"
+            disabled={!reflectionDialog.text.trim()}
+          >
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={deleteDialog.open} onClose={() => setDeleteDialog({ open: false, confirmation: '' })}>
+        <DialogTitle>Delete Your Account?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            You will be signed out and won't be able to sign in again. Your profile, favorites and
+            activity are permanently deleted after a grace period. Type DELETE to confirm.
+          </DialogContentText>
+          <TextField
+            autoFocus
+            margin="dense"
+            id="delete-confirmation"
+            label="Confirmation"
+            fullWidth
+            variant="outlined"
+            value={deleteDialog.confirmation}
+            onChange={(e) => setDeleteDialog({ ...deleteDialog, confirmation: e.target.value })}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDeleteDialog({ open: false, confirmation: '' })}>Cancel</Button>
+          <Button
+            onClick={handleDeleteAccount}
+            variant="contained"
+            color="error"
+            disabled={deleteDialog.confirmation !== 'DELETE' || loading}
+          >
+            Delete Account
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       <Snackbar
         open={snackbar.open}
         autoHideDuration={6000}
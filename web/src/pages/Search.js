@@ -0,0 +1,288 @@
+import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import {
+  Box,
+  Button,
+  Container,
+  Typography,
+  Grid,
+  Card,
+  CardContent,
+  Chip,
+  Paper,
+  TextField,
+  InputAdornment,
+  Pagination,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { Search as SearchIcon, FormatQuote as FormatQuoteIcon } from '@mui/icons-material';
+import { api } from '../services/api';
+
+const RESULTS_PER_PAGE = 10;
+
+// Render highlight segments, emphasizing the matched words
+const Highlighted = ({ segments, fallback }) => {
+  if (!segments) return fallback;
+
+  return segments.map((segment, index) =>
+    segment.match ? (
+      <Box component="mark" key={index} sx={{ bgcolor: 'warning.light', color: 'inherit', px: 0.25 }}>
+        {segment.text}
+      </Box>
+    ) : (
+      <React.Fragment key={index}>{segment.text}</React.Fragment>
+    )
+  );
+};
+
+const Search = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const q = searchParams.get('q') || '';
+  const tags = searchParams.get('tags') ? searchParams.get('tags').split(',') : [];
+  const author = searchParams.get('author') || '';
+  const from = searchParams.get('from') || '';
+  const to = searchParams.get('to') || '';
+  const page = parseInt(searchParams.get('page')) || 1;
+
+  const [input, setInput] = useState(q);
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setInput(q);
+  }, [q]);
+
+  useEffect(() => {
+    if (!q) {
+      setResults(null);
+      return;
+    }
+
+    const fetchResults = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const filters = { page, limit: RESULTS_PER_PAGE };
+        if (tags.length > 0) filters.tags = tags.join(',');
+        if (author) filters.author = author;
+        if (from) filters.from = from;
+        if (to) filters.to = to;
+
+        const data = await api.searchQuotes(q, filters);
+        setResults(data);
+      } catch (err) {
+        console.error('Error searching quotes:', err);
+        setError('Search failed. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchResults();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [searchParams]);
+
+  // Update one or more URL params, returning to the first page
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) {
+        next.set(key, value);
+      } else {
+        next.delete(key);
+      }
+    });
+    if (!('page' in changes)) {
+      next.delete('page');
+    }
+    setSearchParams(next);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    updateParams({ q: input.trim() });
+  };
+
+  const toggleTag = (tag) => {
+    const next = tags.includes(tag) ? tags.filter((t) => t !== tag) : [...tags, tag];
+    updateParams({ tags: next.join(',') });
+  };
+
+  const toggleAuthor = (name) => {
+    updateParams({ author: author === name ? '' : name });
+  };
+
+  const hasFilters = tags.length > 0 || author || from || to;
+
+  return (
+    <Container maxWidth="lg" sx={{ py: 4 }}>
+      <Typography variant="h4" component="h1" gutterBottom>
+        Search Quotes
+      </Typography>
+
+      <Box component="form" onSubmit={handleSubmit} sx={{ mb: 3 }}>
+        <TextField
+          fullWidth
+          placeholder='Search quotes and authors, e.g. courage -fear or "great work"'
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <SearchIcon />
+              </InputAdornment>
+            ),
+          }}
+        />
+      </Box>
+
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={3}>
+          <Paper sx={{ p: 2 }}>
+            <Typography variant="subtitle1" gutterBottom>
+              Created
+            </Typography>
+            <TextField
+              label="From"
+              type="date"
+              size="small"
+              fullWidth
+              value={from}
+              onChange={(e) => updateParams({ from: e.target.value })}
+              InputLabelProps={{ shrink: true }}
+              sx={{ mb: 2 }}
+            />
+            <TextField
+              label="To"
+              type="date"
+              size="small"
+              fullWidth
+              value={to}
+              onChange={(e) => updateParams({ to: e.target.value })}
+              InputLabelProps={{ shrink: true }}
+            />
+
+            {results?.facets.tags.length > 0 && (
+              <>
+                <Typography variant="subtitle1" sx={{ mt: 3 }} gutterBottom>
+                  Tags
+                </Typography>
+                <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                  {results.facets.tags.map(({ tag, count }) => (
+                    <Chip
+                      key={tag}
+                      label={`${tag} (${count})`}
+                      size="small"
+                      color={tags.includes(tag) ? 'primary' : 'default'}
+                      variant={tags.includes(tag) ? 'filled' : 'outlined'}
+                      onClick={() => toggleTag(tag)}
+                    />
+                  ))}
+                </Box>
+              </>
+            )}
+
+            {results?.facets.authors.length > 0 && (
+              <>
+                <Typography variant="subtitle1" sx={{ mt: 3 }} gutterBottom>
+                  Authors
+                </Typography>
+                <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                  {results.facets.authors.map(({ author: name, count }) => (
+                    <Chip
+                      key={name}
+                      label={`${name} (${count})`}
+                      size="small"
+                      color={author === name ? 'primary' : 'default'}
+                      variant={author === name ? 'filled' : 'outlined'}
+                      onClick={() => toggleAuthor(name)}
+                    />
+                  ))}
+                </Box>
+              </>
+            )}
+
+            {hasFilters && (
+              <Button
+                size="small"
+                sx={{ mt: 3 }}
+                onClick={() => updateParams({ tags: '', author: '', from: '', to: '' })}
+              >
+                Clear Filters
+              </Button>
+            )}
+          </Paper>
+        </Grid>
+
+        <Grid item xs={12} md={9}>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+
+          {loading ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+              <CircularProgress />
+            </Box>
+          ) : !q ? (
+            <Typography variant="body1" color="text.secondary">
+              Enter a word, phrase or author to start searching.
+            </Typography>
+          ) : results && results.quotes.length === 0 ? (
+            <Typography variant="body1" color="text.secondary">
+              No quotes match your search.
+            </Typography>
+          ) : results && (
+            <>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                {results.pagination.total} {results.pagination.total === 1 ? 'result' : 'results'}
+              </Typography>
+
+              <Grid container spacing={2}>
+                {results.quotes.map((quote) => (
+                  <Grid item xs={12} key={quote._id}>
+                    <Card>
+                      <CardContent>
+                        <FormatQuoteIcon color="primary" />
+                        <Typography variant="body1" sx={{ fontStyle: 'italic', mb: 1 }}>
+                          "<Highlighted segments={quote.highlights?.text} fallback={quote.text} />"
+                        </Typography>
+                        <Typography variant="subtitle2" color="text.secondary">
+                          — <Highlighted segments={quote.highlights?.author} fallback={quote.author} />
+                        </Typography>
+                        {quote.tags?.length > 0 && (
+                          <Box sx={{ mt: 2, display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                            {quote.tags.map((tag) => (
+                              <Chip key={tag} label={tag} size="small" variant="outlined" />
+                            ))}
+                          </Box>
+                        )}
+                      </CardContent>
+                    </Card>
+                  </Grid>
+                ))}
+              </Grid>
+
+              {results.pagination.pages > 1 && (
+                <Box sx={{ display: 'flex', justifyContent: 'center', mt: 3 }}>
+                  <Pagination
+                    count={results.pagination.pages}
+                    page={page}
+                    onChange={(e, value) => updateParams({ page: String(value) })}
+                    color="primary"
+                  />
+                </Box>
+              )}
+            </>
+          )}
+        </Grid>
+      </Grid>
+    </Container>
+  );
+};
+
+export default Search;
@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  Button,
+  Container,
+  Typography,
+  Grid,
+  Card,
+  CardContent,
+  Chip,
+  Paper,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { FormatQuote as FormatQuoteIcon } from '@mui/icons-material';
+import { format } from 'date-fns';
+import { api } from '../services/api';
+
+const QUOTES_PER_PAGE = 10;
+
+const SharedCollection = () => {
+  const { slug } = useParams();
+
+  const [collection, setCollection] = useState(null);
+  const [entries, setEntries] = useState([]);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchCollection = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const data = await api.getSharedCollection(slug, 1, QUOTES_PER_PAGE);
+        setCollection(data.collection);
+        setEntries(data.entries || []);
+        setPage(1);
+        setPages(data.pagination?.pages || 1);
+      } catch (err) {
+        console.error('Error fetching collection:', err);
+        setError(err.response?.status === 404
+          ? 'This collection does not exist or is no longer shared.'
+          : 'Failed to load collection. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchCollection();
+  }, [slug]);
+
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const data = await api.getSharedCollection(slug, page + 1, QUOTES_PER_PAGE);
+      setEntries([...entries, ...(data.entries || [])]);
+      setPage(page + 1);
+      setPages(data.pagination?.pages || pages);
+    } catch (err) {
+      console.error('Error fetching more quotes:', err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (error) {
+    return (
+      <Container maxWidth="md" sx={{ py: 4 }}>
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+        <Button component={RouterLink} to="/" variant="outlined">
+          Go to Home
+        </Button>
+      </Container>
+    );
+  }
+
+  return (
+    <Container maxWidth="md" sx={{ py: 4 }}>
+      <Paper sx={{ p: 3, mb: 3 }}>
+        <Typography variant="h4" component="h1" gutterBottom>
+          {collection.name}
+        </Typography>
+        {collection.owner.displayName && (
+          <Typography variant="subtitle1" color="text.secondary">
+            Collected by {collection.owner.displayName}
+          </Typography>
+        )}
+        <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+          {collection.quoteCount} {collection.quoteCount === 1 ? 'quote' : 'quotes'}
+          {' · '}
+          {collection.views} {collection.views === 1 ? 'view' : 'views'}
+          {collection.sharedAt && ` · Shared ${format(new Date(collection.sharedAt), 'MMM d, yyyy')}`}
+        </Typography>
+      </Paper>
+
+      <Grid container spacing={3}>
+        {entries.map(({ quote, note }) => (
+          <Grid item xs={12} key={quote._id}>
+            <Card>
+              <CardContent>
+                <FormatQuoteIcon color="primary" />
+                <Typography variant="body1" sx={{ fontStyle: 'italic', mb: 1 }}>
+                  "{quote.text}"
+                </Typography>
+                <Typography variant="body2" color="text.secondary">
+                  — {quote.author}
+                </Typography>
+                {note && (
+                  <Typography variant="body2" sx={{ mt: 2 }}>
+                    {note}
+                  </Typography>
+                )}
+                {quote.tags?.length > 0 && (
+                  <Box sx={{ mt: 2, display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                    {quote.tags.map((tag) => (
+                      <Chip key={tag} label={tag} size="small" variant="outlined" />
+                    ))}
+                  </Box>
+                )}
+              </CardContent>
+            </Card>
+          </Grid>
+        ))}
+      </Grid>
+
+      {page < pages && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', mt: 3 }}>
+          <Button variant="outlined" onClick={handleLoadMore} disabled={loadingMore}>
+            {loadingMore ? <CircularProgress size={24} /> : 'Load More'}
+          </Button>
+        </Box>
+      )}
+    </Container>
+  );
+};
+
+export default SharedCollection;
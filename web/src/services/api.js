@@ -82,9 +82,22 @@ const auth = {
 const quotes = {
   /**
    * Get a random quote
+   * @param {Object} filters - Optional `tag`, `author` and `excludeTags` filters
    */
-  getRandomQuote: () => {
-    return api.get('/api/quotes/random');
+  getRandomQuote: (filters = {}) => {
+    return api.get('/api/quotes/random', {
+      params: filters,
+    });
+  },
+  
+  /**
+   * Get the quote of the day
+   * @param {string} tz - IANA timezone name (defaults to the browser timezone)
+   */
+  getDailyQuote: (tz = Intl.DateTimeFormat().resolvedOptions().timeZone) => {
+    return api.get('/api/quotes/daily', {
+      params: { tz },
+    });
   },
   
   /**
@@ -95,6 +108,83 @@ const quotes = {
     return api.get(`/api/quotes/${id}`);
   },
   
+  /**
+   * Get the revision history of a quote
+   * @param {string} id - Quote ID
+   * @param {number} page - Page number for pagination
+   * @param {number} limit - Number of revisions per page
+   */
+  getQuoteRevisions: (id, page = 1, limit = 10) => {
+    return api.get(`/api/quotes/${id}/revisions`, {
+      params: { page, limit },
+    });
+  },
+  
+  /**
+   * Get quotes with the highest score from ratings and reactions first
+   * @param {number} page - Page number for pagination
+   * @param {number} limit - Number of quotes per page
+   * @param {string} tag - Optional tag to filter quotes
+   */
+  getTopQuotes: (page = 1, limit = 10, tag) => {
+    return api.get('/api/quotes/top', {
+      params: { page, limit, tag },
+    });
+  },
+  
+  /**
+   * Get the quotes trending over a recent window, highest score first
+   * @param {string} window - day, week or month
+   * @param {number} limit - Number of quotes
+   */
+  getTrendingQuotes: (window = 'week', limit = 10) => {
+    return api.get('/api/quotes/trending', {
+      params: { window, limit },
+    });
+  },
+  
+  /**
+   * Get a quote's reaction and rating totals, and the user's own
+   * @param {string} id - Quote ID
+   */
+  getQuoteReactions: (id) => {
+    return api.get(`/api/quotes/${id}/reactions`);
+  },
+  
+  /**
+   * React to a quote, replacing the user's earlier reaction
+   * @param {string} id - Quote ID
+   * @param {string} reaction - inspiring, funny or thought_provoking
+   */
+  reactToQuote: (id, reaction) => {
+    return api.put(`/api/quotes/${id}/reaction`, { reaction });
+  },
+  
+  /**
+   * Remove the user's reaction to a quote
+   * @param {string} id - Quote ID
+   */
+  removeQuoteReaction: (id) => {
+    return api.delete(`/api/quotes/${id}/reaction`);
+  },
+  
+  /**
+   * Rate a quote, replacing the user's earlier rating
+   * @param {string} id - Quote ID
+   * @param {number} rating - Whole number from 1 to 5
+   */
+  rateQuote: (id, rating) => {
+    return api.put(`/api/quotes/${id}/rating`, { rating });
+  },
+  
+  /**
+   * Remove the user's rating of a quote
+   * @param {string} id - Quote ID
+   */
+  removeQuoteRating: (id) => {
+    return api.delete(`/api/quotes/${id}/rating`);
+  },
+  
   /**
    * Get quotes by tag
    * @param {string} tag - Tag to filter quotes
@@ -107,6 +197,27 @@ const quotes = {
     });
   },
   
+  /**
+   * Get all tags with quote counts
+   * @param {string} prefix - Only return tags starting with this text
+   */
+  getTags: (prefix = '') => {
+    return api.get('/api/quotes/tags', {
+      params: prefix ? { prefix } : {},
+    });
+  },
+  
+  /**
+   * Search quotes by relevance with highlights and facet counts
+   * @param {string} q - Search text
+   * @param {Object} filters - Optional `tags`, `author`, `from`, `to`, `page` and `limit`
+   */
+  searchQuotes: (q, filters = {}) => {
+    return api.get('/api/quotes/search', {
+      params: { q, ...filters },
+    });
+  },
+  
   /**
    * Get all quotes with pagination
    * @param {number} page - Page number for pagination
@@ -145,10 +256,11 @@ const quotes = {
   
   /**
    * Import quotes from file (admin only)
-   * @param {FormData} formData - Form data with file
+   * @param {FormData} formData - Form data with a JSON, NDJSON, CSV or YAML `file`,
+   *   and optional `format`, `mapping` (CSV columns as JSON), `mode` (`insert` or `upsert`) and `dryRun`
    */
   importQuotes: (formData) => {
-    return api.post('/api/quotes/import', formData, {
+    return api.post('/api/admin/quotes/import', formData, {
       headers: {
         'Content-Type': 'multipart/form-data',
       },
@@ -156,6 +268,41 @@ const quotes = {
   },
 };
 
+// Author related API calls
+const authors = {
+  /**
+   * Get all authors with pagination
+   * @param {number} page - Page number for pagination
+   * @param {number} limit - Number of authors per page
+   * @param {string} search - Search term for author names and aliases
+   */
+  getAuthors: (page = 1, limit = 20, search = '') => {
+    return api.get('/api/authors', {
+      params: search ? { page, limit, search } : { page, limit },
+    });
+  },
+  
+  /**
+   * Get an author profile
+   * @param {string} slug - Author slug
+   */
+  getAuthor: (slug) => {
+    return api.get(`/api/authors/${slug}`);
+  },
+  
+  /**
+   * Get quotes by an author
+   * @param {string} slug - Author slug
+   * @param {number} page - Page number for pagination
+   * @param {number} limit - Number of quotes per page
+   */
+  getAuthorQuotes: (slug, page = 1, limit = 10) => {
+    return api.get(`/api/authors/${slug}/quotes`, {
+      params: { page, limit },
+    });
+  },
+};
+
 // User profile related API calls
 const profile = {
   /**
@@ -180,6 +327,24 @@ const profile = {
   updateUserPreferences: (preferences) => {
     return api.put('/api/users/preferences', preferences);
   },
+  
+  /**
+   * Download all personal data stored about the user
+   * @param {string} format - json or zip
+   */
+  exportPersonalData: (format = 'json') => {
+    return api.get('/api/users/me/export', {
+      params: { format },
+      responseType: 'blob',
+    });
+  },
+  
+  /**
+   * Delete the user's own account, which is purged after a grace period
+   */
+  deleteAccount: () => {
+    return api.delete('/api/users/me');
+  },
 };
 
 // User activity related API calls
@@ -213,6 +378,17 @@ const activity = {
   logActivity: (activityData) => {
     return api.post('/api/users/activity', activityData);
   },
+  
+  /**
+   * Get the user's reading streak and a heatmap of active days
+   * @param {number} days - Number of days in the heatmap
+   * @param {string} tz - IANA timezone name (defaults to the browser timezone)
+   */
+  getStreak: (days = 182, tz = Intl.DateTimeFormat().resolvedOptions().timeZone) => {
+    return api.get('/api/users/streak', {
+      params: { days, tz },
+    });
+  },
 };
 
 // Favorites related API calls
@@ -245,7 +421,7 @@ const favorites = {
   },
   
   /**
-   * Check if a quote is in favorites
+   * Check if a quote is in favorites, and which collections it is in
    * @param {string} quoteId - Quote ID to check
    */
   isInFavorites: (quoteId) => {
@@ -253,6 +429,249 @@ const favorites = {
   },
 };
 
+// Feed and following related API calls
+const feed = {
+  /**
+   * Get a page of the user's feed of followed, new and popular quotes
+   * @param {number} page - Page number for pagination
+   * @param {number} limit - Number of quotes per page
+   */
+  getFeed: (page = 1, limit = 10) => {
+    return api.get('/api/users/feed', {
+      params: { page, limit },
+    });
+  },
+  
+  /**
+   * Get the tags and authors the user follows
+   */
+  getFollowing: () => {
+    return api.get('/api/users/following');
+  },
+  
+  /**
+   * Follow a tag
+   * @param {string} tag - Tag to follow
+   */
+  followTag: (tag) => {
+    return api.post(`/api/users/following/tags/${encodeURIComponent(tag)}`);
+  },
+  
+  /**
+   * Stop following a tag
+   * @param {string} tag - Tag to stop following
+   */
+  unfollowTag: (tag) => {
+    return api.delete(`/api/users/following/tags/${encodeURIComponent(tag)}`);
+  },
+  
+  /**
+   * Follow an author
+   * @param {string} authorId - Author ID to follow
+   */
+  followAuthor: (authorId) => {
+    return api.post(`/api/users/following/authors/${authorId}`);
+  },
+  
+  /**
+   * Stop following an author
+   * @param {string} authorId - Author ID to stop following
+   */
+  unfollowAuthor: (authorId) => {
+    return api.delete(`/api/users/following/authors/${authorId}`);
+  },
+};
+
+// Favorites collection related API calls
+const collections = {
+  /**
+   * Get the user's collections in order
+   */
+  getCollections: () => {
+    return api.get('/api/users/collections');
+  },
+
+  /**
+   * Get a collection with a page of its quotes in order
+   * @param {string} id - Collection ID
+   * @param {number} page - Page number for pagination
+   * @param {number} limit - Number of quotes per page
+   */
+  getCollection: (id, page = 1, limit = 10) => {
+    return api.get(`/api/users/collections/${id}`, {
+      params: { page, limit },
+    });
+  },
+
+  /**
+   * Create a collection
+   * @param {string} name - Collection name
+   */
+  createCollection: (name) => {
+    return api.post('/api/users/collections', { name });
+  },
+
+  /**
+   * Rename a collection or move it to another position
+   * @param {string} id - Collection ID
+   * @param {Object} collectionData - New `name` and/or zero-based `position`
+   */
+  updateCollection: (id, collectionData) => {
+    return api.put(`/api/users/collections/${id}`, collectionData);
+  },
+
+  /**
+   * Delete a collection, keeping its quotes in favorites
+   * @param {string} id - Collection ID
+   */
+  deleteCollection: (id) => {
+    return api.delete(`/api/users/collections/${id}`);
+  },
+
+  /**
+   * Add a quote to a collection (and to favorites)
+   * @param {string} id - Collection ID
+   * @param {string} quoteId - Quote ID to add
+   * @param {Object} entryData - Optional `note` and `position`
+   */
+  addToCollection: (id, quoteId, entryData = {}) => {
+    return api.post(`/api/users/collections/${id}/quotes/${quoteId}`, entryData);
+  },
+
+  /**
+   * Update the note or position of a quote in a collection
+   * @param {string} id - Collection ID
+   * @param {string} quoteId - Quote ID
+   * @param {Object} entryData - `note` (null clears it) and/or `position`
+   */
+  updateCollectionEntry: (id, quoteId, entryData) => {
+    return api.put(`/api/users/collections/${id}/quotes/${quoteId}`, entryData);
+  },
+
+  /**
+   * Remove a quote from a collection, keeping it in favorites
+   * @param {string} id - Collection ID
+   * @param {string} quoteId - Quote ID to remove
+   */
+  removeFromCollection: (id, quoteId) => {
+    return api.delete(`/api/users/collections/${id}/quotes/${quoteId}`);
+  },
+
+  /**
+   * Share a collection, keeping its link if it's already shared
+   * @param {string} id - Collection ID
+   * @param {string} visibility - `unlisted` (anyone with the link) or `public` (also listed)
+   */
+  shareCollection: (id, visibility) => {
+    return api.post(`/api/users/collections/${id}/share`, { visibility });
+  },
+
+  /**
+   * Make a collection private again, revoking its share link
+   * @param {string} id - Collection ID
+   */
+  unshareCollection: (id) => {
+    return api.delete(`/api/users/collections/${id}/share`);
+  },
+
+  /**
+   * Get public collections, most recently shared first
+   * @param {number} page - Page number for pagination
+   * @param {number} limit - Number of collections per page
+   */
+  getPublicCollections: (page = 1, limit = 10) => {
+    return api.get('/api/collections', {
+      params: { page, limit },
+    });
+  },
+
+  /**
+   * Get a shared collection by its share link slug (no sign-in needed)
+   * @param {string} slug - Share link slug
+   * @param {number} page - Page number for pagination
+   * @param {number} limit - Number of quotes per page
+   */
+  getSharedCollection: (slug, page = 1, limit = 10) => {
+    return api.get(`/api/collections/${slug}`, {
+      params: { page, limit },
+    });
+  },
+};
+
+// Quote submission related API calls
+const submissions = {
+  /**
+   * Submit a quote for moderation
+   * @param {Object} quoteData - Quote `text`, `author`, `source` and `tags`
+   */
+  submitQuote: (quoteData) => {
+    return api.post('/api/users/submissions', quoteData);
+  },
+  
+  /**
+   * Get the current user's submissions and their review status
+   * @param {string} status - Optional `pending`, `approved` or `rejected` filter
+   * @param {number} page - Page number for pagination
+   * @param {number} limit - Number of submissions per page
+   */
+  getMySubmissions: (status = '', page = 1, limit = 10) => {
+    return api.get('/api/users/submissions', {
+      params: status ? { status, page, limit } : { page, limit },
+    });
+  },
+};
+
+// Reflection journal related API calls
+const reflections = {
+  /**
+   * Get the user's reflections, newest day first
+   * @param {Object} filters - Optional `q` (text search), `quoteId`, `mood`, `from` and `to` (YYYY-MM-DD)
+   * @param {number} page - Page number for pagination
+   * @param {number} limit - Number of reflections per page
+   */
+  getReflections: (filters = {}, page = 1, limit = 10) => {
+    return api.get('/api/users/reflections', {
+      params: { ...filters, page, limit },
+    });
+  },
+
+  /**
+   * Write a reflection on a quote
+   * @param {Object} reflectionData - `quoteId`, `text` and optional `mood` and `date`
+   */
+  createReflection: (reflectionData) => {
+    return api.post('/api/users/reflections', reflectionData);
+  },
+
+  /**
+   * Update a reflection
+   * @param {string} id - Reflection ID
+   * @param {Object} reflectionData - Updated `text`, `mood` (null clears it) or `date`
+   */
+  updateReflection: (id, reflectionData) => {
+    return api.put(`/api/users/reflections/${id}`, reflectionData);
+  },
+
+  /**
+   * Delete a reflection
+   * @param {string} id - Reflection ID
+   */
+  deleteReflection: (id) => {
+    return api.delete(`/api/users/reflections/${id}`);
+  },
+
+  /**
+   * Download the user's reflections as a Markdown journal
+   * @param {Object} filters - Same filters as getReflections
+   */
+  exportJournal: (filters = {}) => {
+    return api.get('/api/users/reflections/export', {
+      params: filters,
+      responseType: 'blob',
+    });
+  },
+};
+
 // Admin related API calls
 const admin = {
   /**
@@ -281,6 +700,66 @@ const admin = {
     return api.delete(`/api/admin/users/${userId}`);
   },
   
+  /**
+   * Get deleted quotes or users (admin only)
+   * @param {string} type - `quotes` or `users`
+   * @param {number} page - Page number for pagination
+   * @param {number} limit - Number of items per page
+   */
+  getTrash: (type, page = 1, limit = 10) => {
+    return api.get(`/api/admin/trash/${type}`, {
+      params: { page, limit },
+    });
+  },
+  
+  /**
+   * Restore a deleted quote or user (admin only)
+   * @param {string} type - `quotes` or `users`
+   * @param {string} id - ID of the item to restore
+   */
+  restoreFromTrash: (type, id) => {
+    return api.post(`/api/admin/trash/${type}/${id}/restore`);
+  },
+  
+  /**
+   * Download quotes as a file (admin only)
+   * @param {Object} filters - Optional `format` (json, ndjson, csv or markdown), `tag`, `author`, `from`, `to` and `minViews`
+   * @param {Function} onProgress - Called with the bytes received so far and the total size, if known
+   */
+  exportQuotes: (filters = {}, onProgress) => {
+    return api.get('/api/admin/quotes/export', {
+      params: filters,
+      responseType: 'blob',
+      onDownloadProgress: (event) => {
+        if (onProgress) {
+          onProgress(event.loaded, event.total);
+        }
+      },
+    });
+  },
+  
+  /**
+   * Get clusters of duplicate quotes (admin only)
+   * @param {string} type - exact, or near for near-duplicates by the same author
+   * @param {number} page - Page number for pagination
+   * @param {number} limit - Clusters per page, or authors per page for near-duplicates
+   * @param {number} threshold - Optional similarity threshold from 0 to 1
+   */
+  getDuplicateClusters: (type = 'exact', page = 1, limit = 50, threshold) => {
+    return api.get('/api/admin/quotes/duplicates', {
+      params: { type, page, limit, threshold },
+    });
+  },
+  
+  /**
+   * Merge duplicate quotes into one (admin only)
+   * @param {string} target - ID of the quote to keep
+   * @param {Array<string>} sources - IDs of the duplicates to merge into it
+   */
+  mergeDuplicateQuotes: (target, sources) => {
+    return api.post('/api/admin/quotes/duplicates/merge', { target, sources });
+  },
+  
   /**
    * Update a user's role (admin only)
    * @param {string} userId - User ID to update
@@ -289,35 +768,125 @@ const admin = {
   updateUserRole: (userId, roleData) => {
     return api.put(`/api/admin/users/${userId}/role`, roleData);
   },
+  
+  /**
+   * Get quote submissions for moderation (admin only)
+   * @param {string} status - `pending`, `approved` or `rejected`
+   * @param {number} page - Page number for pagination
+   * @param {number} limit - Number of submissions per page
+   */
+  getSubmissions: (status = 'pending', page = 1, limit = 10) => {
+    return api.get('/api/admin/submissions', {
+      params: { status, page, limit },
+    });
+  },
+  
+  /**
+   * Approve a submission, optionally editing it first (admin only)
+   * @param {string} submissionId - Submission ID to approve
+   * @param {Object} edits - Optional `text`, `author`, `source` and `tags` overrides
+   */
+  approveSubmission: (submissionId, edits = {}) => {
+    return api.post(`/api/admin/submissions/${submissionId}/approve`, edits);
+  },
+  
+  /**
+   * Reject a submission (admin only)
+   * @param {string} submissionId - Submission ID to reject
+   * @param {string} reason - Reason shown to the submitter
+   */
+  rejectSubmission: (submissionId, reason) => {
+    return api.post(`/api/admin/submissions/${submissionId}/reject`, { reason });
+  },
+  
+  /**
+   * Restore a quote to an earlier revision (admin only)
+   * @param {string} quoteId - Quote ID to restore
+   * @param {number} revision - Revision number to restore
+   */
+  restoreQuoteRevision: (quoteId, revision) => {
+    return api.post(`/api/admin/quotes/${quoteId}/revisions/${revision}/restore`);
+  },
 };
 
 // Export all API functions
 export const apiService = {
   initApi,
   getRandomQuote: quotes.getRandomQuote,
+  getDailyQuote: quotes.getDailyQuote,
   getQuoteById: quotes.getQuoteById,
+  getQuoteRevisions: quotes.getQuoteRevisions,
   getQuotesByTag: quotes.getQuotesByTag,
+  getTopQuotes: quotes.getTopQuotes,
+  getTrendingQuotes: quotes.getTrendingQuotes,
+  getQuoteReactions: quotes.getQuoteReactions,
+  reactToQuote: quotes.reactToQuote,
+  removeQuoteReaction: quotes.removeQuoteReaction,
+  rateQuote: quotes.rateQuote,
+  removeQuoteRating: quotes.removeQuoteRating,
+  getTags: quotes.getTags,
+  searchQuotes: quotes.searchQuotes,
   getAllQuotes: quotes.getAllQuotes,
   createQuote: quotes.createQuote,
   updateQuote: quotes.updateQuote,
   deleteQuote: quotes.deleteQuote,
   importQuotes: quotes.importQuotes,
+  getAuthors: authors.getAuthors,
+  getAuthor: authors.getAuthor,
+  getAuthorQuotes: authors.getAuthorQuotes,
   getUserProfile: profile.getUserProfile,
   updateUserProfile: profile.updateUserProfile,
+  exportPersonalData: profile.exportPersonalData,
+  deleteAccount: profile.deleteAccount,
   updateUserPreferences: profile.updateUserPreferences,
   getUserActivity: activity.getUserActivity,
   getAllUserActivity: activity.getAllUserActivity,
   logActivity: activity.logActivity,
+  getStreak: activity.getStreak,
   getFavorites: favorites.getFavorites,
   addToFavorites: favorites.addToFavorites,
   removeFromFavorites: favorites.removeFromFavorites,
   isInFavorites: favorites.isInFavorites,
+  getFeed: feed.getFeed,
+  getFollowing: feed.getFollowing,
+  followTag: feed.followTag,
+  unfollowTag: feed.unfollowTag,
+  followAuthor: feed.followAuthor,
+  unfollowAuthor: feed.unfollowAuthor,
+  getCollections: collections.getCollections,
+  getCollection: collections.getCollection,
+  createCollection: collections.createCollection,
+  updateCollection: collections.updateCollection,
+  deleteCollection: collections.deleteCollection,
+  addToCollection: collections.addToCollection,
+  updateCollectionEntry: collections.updateCollectionEntry,
+  removeFromCollection: collections.removeFromCollection,
+  shareCollection: collections.shareCollection,
+  unshareCollection: collections.unshareCollection,
+  getPublicCollections: collections.getPublicCollections,
+  getSharedCollection: collections.getSharedCollection,
+  submitQuote: submissions.submitQuote,
+  getMySubmissions: submissions.getMySubmissions,
+  getReflections: reflections.getReflections,
+  createReflection: reflections.createReflection,
+  updateReflection: reflections.updateReflection,
+  deleteReflection: reflections.deleteReflection,
+  exportJournal: reflections.exportJournal,
   createUserProfile: auth.createUserProfile,
   checkAdminRole: auth.checkAdminRole,
   getDashboardStats: admin.getDashboardStats,
   getAllUsers: admin.getAllUsers,
   deleteUser: admin.deleteUser,
   updateUserRole: admin.updateUserRole,
+  getTrash: admin.getTrash,
+  restoreFromTrash: admin.restoreFromTrash,
+  exportQuotes: admin.exportQuotes,
+  getDuplicateClusters: admin.getDuplicateClusters,
+  mergeDuplicateQuotes: admin.mergeDuplicateQuotes,
+  getSubmissions: admin.getSubmissions,
+  approveSubmission: admin.approveSubmission,
+  rejectSubmission: admin.rejectSubmission,
+  restoreQuoteRevision: admin.restoreQuoteRevision,
 };
 
 // For backward compatibility